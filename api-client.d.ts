@@ -1,30 +1,96 @@
 // TypeScript declaration file for api-client.js
+// The declarations are the module's exports; in scripts that are not modules they are available under the
+// ApiClientJs global, which api-client.js defines when loaded with a script tag.
+
+export as namespace ApiClientJs;
 
 /**
  * Structured input body for chat completions API
  * Follows the format described in streaming-api-spec.md
  */
-declare class ApiClientInputBody {
+export declare class ApiClientInputBody {
     model: string | null;
-    messages: Array<{ role: string; content: string }>;
+    messages: ApiClientChatMessage[];
     stream: boolean;
     temperature: number | null;
+    maxTokens: number | null;
+    topP: number | null;
+    stop: string | string[] | null;
+    seed: number | null;
+    presencePenalty: number | null;
+    frequencyPenalty: number | null;
+    responseFormat: ApiClientResponseFormat | null;
+    user: string | null;
+    tools: ApiClientTool[] | null;
+    toolChoice: ApiClientToolChoice | null;
+    /** Provider-specific fields, sent as they are */
+    extras: Record<string, any>;
     isSse: boolean; // Internal flag, not part of the actual request
 
+    /** Request body fields and their names on the wire */
+    static FIELDS: Record<string, string>;
+    /** Message roles accepted by validate */
+    static ROLES: string[];
+    /** Embeddings request fields and their names on the wire */
+    static EMBEDDING_FIELDS: Record<string, string>;
+
     constructor();
 
+    /**
+     * Creates a request body from an options object
+     * Options other than the listed ones are passed through to the request unchanged.
+     *
+     * @param options - The request parameters
+     * @return The created input body
+     * @throws TypeError or RangeError if a value is invalid
+     */
+    static create(options: ApiClientInputBodyOptions): ApiClientInputBody;
+
+    /**
+     * Sets request parameters from an options object; values are checked on validate or serialization
+     *
+     * @param options - The request parameters to set
+     * @return This body, for chaining
+     */
+    set(options: Partial<ApiClientInputBodyOptions>): this;
+
+    /**
+     * Creates a response_format that asks for JSON matching a schema (structured output)
+     *
+     * @param name - A name for the schema
+     * @param schema - The JSON schema the reply must match
+     * @param strict - Whether the server must follow the schema exactly, true by default
+     * @return The response format
+     */
+    static jsonSchema(name: string, schema: Record<string, any>, strict?: boolean): ApiClientResponseFormat;
+
+    /**
+     * Checks the body before it is sent
+     *
+     * @return This body, for chaining
+     * @throws TypeError or RangeError naming the first invalid value
+     */
+    validate(): this;
+
+    /**
+     * Checks a response_format value
+     *
+     * @throws TypeError if the format is malformed
+     */
+    static validateResponseFormat(format: ApiClientResponseFormat): void;
+
     /**
      * Creates a full completion request body
      *
      * @param model - Model identifier or null to use default
      * @param messages - Array of message objects with role and content
      * @param stream - Whether to stream the response
-     * @param temperature - Temperature value (0-1) or null for default
+     * @param temperature - Temperature value (0-2) or null for default
      * @return The created input body
      */
     static chat(
         model: string | null,
-        messages: Array<{ role: string; content: string }>,
+        messages: ApiClientChatMessage[],
         stream: boolean,
         temperature: number | null
     ): ApiClientInputBody;
@@ -34,12 +100,12 @@ declare class ApiClientInputBody {
      *
      * @param model - Model identifier or null to use default
      * @param messages - Array of message objects with role and content
-     * @param temperature - Temperature value (0-1) or null for default
+     * @param temperature - Temperature value (0-2) or null for default
      * @return The created input body configured for SSE
      */
     static sse(
         model: string | null,
-        messages: Array<{ role: string; content: string }>,
+        messages: ApiClientChatMessage[],
         temperature: number | null
     ): ApiClientInputBody;
 
@@ -52,250 +118,3479 @@ declare class ApiClientInputBody {
      */
     static chatMessage(content: string, stream: boolean): ApiClientInputBody;
 
+    /**
+     * Creates a function tool definition for the tools array
+     *
+     * @param name - The function name the model calls
+     * @param description - What the function does, for the model
+     * @param parameters - JSON schema of the function's arguments
+     * @return A tool definition
+     */
+    static tool(name: string, description: string, parameters?: Record<string, any>): ApiClientTool;
+
+    /**
+     * Sets the tools the model may call
+     *
+     * @param tools - Tool definitions, see ApiClientInputBody.tool
+     * @param toolChoice - "auto", "none", "required" or a specific tool, null for the server default
+     * @return This body, for chaining
+     */
+    withTools(tools: ApiClientTool[], toolChoice?: ApiClientToolChoice | null): this;
+
+    /**
+     * Creates an embeddings request body
+     * Send it with ApiClient.sendEmbeddings, which splits a long input array into batches.
+     *
+     * @param model - Model identifier or null to use default
+     * @param input - The text to embed, or several texts
+     * @param options - Further parameters; options other than the listed ones are sent as they are
+     * @return The request body, in wire format
+     * @throws TypeError if input is empty or not text
+     */
+    static embeddings(model: string | null, input: string | string[], options?: ApiClientEmbeddingsOptions): ApiClientEmbeddingsBody;
+
+    /**
+     * Creates a request body for the legacy text completions endpoint, which continues a prompt rather than a chat
+     *
+     * @param model - Model identifier or null to use default
+     * @param prompt - The text to continue
+     * @param options - Generation parameters, named as for ApiClientInputBody.create; others, such as suffix, are sent as they are
+     * @return The request body, in wire format
+     */
+    static completion(model: string | null, prompt: string, options?: Partial<ApiClientInputBodyOptions> & Record<string, any>): ApiClientCompletionBody;
+
     /**
      * Converts the input body to a JSON-serializable object
      *
      * @return A JSON-serializable object
+     * @throws TypeError or RangeError if the body is invalid, see validate
      */
     toJsonObject(): Record<string, any>;
 }
 
 /**
- * Input contract for HTTP requests
+ * Options accepted by ApiClientInputBody.embeddings
  */
-declare class ApiClientInput {
-    url: string;
-    method: string;
-    body: string | null;
-    headers: Record<string, string>;
-    inputBody?: ApiClientInputBody;
+export interface ApiClientEmbeddingsOptions {
+    /** Length of the vectors, for models that can shorten them */
+    dimensions?: number;
+    /** "float" or "base64"; ApiClientOutput.getEmbeddings decodes both */
+    encodingFormat?: 'float' | 'base64';
+    /** End-user identifier for abuse monitoring */
+    user?: string;
+    [option: string]: any;
+}
 
-    constructor();
+/**
+ * An embeddings request body, as created by ApiClientInputBody.embeddings
+ */
+export interface ApiClientEmbeddingsBody {
+    model?: string;
+    input: string | string[];
+    [field: string]: any;
+}
+
+/**
+ * A legacy text completions request body, as created by ApiClientInputBody.completion
+ */
+export interface ApiClientCompletionBody {
+    model?: string;
+    prompt: string;
+    stream: boolean;
+    [field: string]: any;
+}
+
+/**
+ * The format the model should reply in
+ */
+export type ApiClientResponseFormat =
+    | { type: 'text' }
+    | { type: 'json_object' }
+    | { type: 'json_schema'; json_schema: { name: string; schema: Record<string, any>; strict?: boolean; description?: string } };
+
+/**
+ * Options accepted by ApiClientInputBody.create and set
+ */
+export interface ApiClientInputBodyOptions {
+    model?: string | null;
+    messages: ApiClientChatMessage[];
+    stream?: boolean;
+    /** Stream as Server-Sent Events; implies stream */
+    sse?: boolean;
+    /** Sampling temperature, 0-2 */
+    temperature?: number | null;
+    maxTokens?: number | null;
+    /** Nucleus sampling probability mass, 0-1 */
+    topP?: number | null;
+    stop?: string | string[] | null;
+    seed?: number | null;
+    /** -2 to 2 */
+    presencePenalty?: number | null;
+    /** -2 to 2 */
+    frequencyPenalty?: number | null;
+    responseFormat?: ApiClientResponseFormat | null;
+    user?: string | null;
+    tools?: ApiClientTool[] | null;
+    toolChoice?: ApiClientToolChoice | null;
+    /** Provider-specific fields to send as they are */
+    extras?: Record<string, any>;
+    /** Any other option is sent as it is, like extras */
+    [field: string]: any;
+}
+
+/**
+ * A function the model may call
+ */
+export interface ApiClientTool {
+    type: 'function';
+    function: {
+        name: string;
+        description?: string;
+        parameters?: Record<string, any>;
+    };
+}
+
+/**
+ * Which tool the model should call: a mode or a specific function
+ */
+export type ApiClientToolChoice = 'auto' | 'none' | 'required' | { type: 'function'; function: { name: string } };
+
+/**
+ * A tool call in the wire format of an assistant message
+ * Ollama sends arguments as an object and omits the id.
+ */
+export interface ApiClientWireToolCall {
+    id?: string;
+    type: 'function';
+    function: {
+        name: string;
+        arguments: string | Record<string, any>;
+    };
+}
+
+/**
+ * A tool call with its arguments parsed
+ */
+export interface ApiClientToolCall {
+    id: string | null;
+    name: string;
+    /** The parsed arguments, or null if they were not valid JSON */
+    arguments: any;
+    /** The arguments as the server sent them */
+    rawArguments: string;
+}
+
+/**
+ * A part of multi-part message content
+ */
+export type ApiClientContentPart =
+    | { type: 'text'; text: string }
+    | { type: 'image_url'; image_url: { url: string; detail?: 'low' | 'high' | 'auto' } }
+    | { type: 'file'; file: { filename: string; file_data: string } };
+
+/**
+ * Content accepted by ApiClientMessage.image, file and encode: the bytes, or a URL or data URL to read them from
+ */
+export type ApiClientAttachmentSource = Blob | File | Uint8Array | ArrayBuffer | string;
+
+/**
+ * Options accepted by ApiClientMessage.image, file and encode
+ */
+export interface ApiClientAttachmentOptions {
+    /** The file name, taken from a File or URL if omitted */
+    filename?: string;
+    /** The MIME type, detected from the content or name if omitted */
+    mimeType?: string;
+    /** Size limit in bytes */
+    maxBytes?: number;
+}
+
+/**
+ * The result of ApiClientMessage.encode
+ */
+export interface ApiClientEncodedAttachment {
+    mimeType: string;
+    base64: string;
+    dataUrl: string;
+    size: number;
+    filename: string | null;
+}
+
+/**
+ * Factory for the message objects in ApiClientInputBody.messages
+ */
+export declare class ApiClientMessage {
+    /**
+     * Creates a system message
+     */
+    static system(content: string): ApiClientChatMessage;
+
+    /** Default size limit for image, in bytes (20 MB) */
+    static maxImageBytes: number;
+    /** Default size limit for file, in bytes (32 MB) */
+    static maxFileBytes: number;
+    /** MIME types by file extension, for content that has no recognisable signature */
+    static MIME_TYPES: Record<string, string>;
 
     /**
-     * Creates an input object for any HTTP method
-     *
-     * @param method - The HTTP method to use
-     * @param url - The URL to send the request to
-     * @param body - The body of the request
-     * @param headers - Headers for the request
-     * @return A new ApiClientInput
+     * Creates a user message
      */
-    static create(method: string, url: string, body: string | null, headers: Record<string, string>): ApiClientInput;
+    static user(content: string | ApiClientContentPart[]): ApiClientChatMessage;
 
     /**
-     * Convenience factory method for GET requests
+     * Creates a message with multi-part content, such as text with attached images and files
+     *
+     * @param role - The message role, usually "user"
+     * @param parts - The content parts, in order; strings become text parts
+     * @return The message
      */
-    static get(url: string, headers: Record<string, string>): ApiClientInput;
+    static parts(
+        role: string,
+        parts: Array<string | ApiClientContentPart | Promise<ApiClientContentPart>>
+    ): Promise<ApiClientChatMessage>;
 
     /**
-     * Convenience factory method for POST requests
+     * Creates a text content part
      */
-    static post(url: string, body: string, headers: Record<string, string>): ApiClientInput;
+    static text(text: string): ApiClientContentPart;
 
     /**
-     * Convenience factory method for PUT requests
+     * Creates an image content part
+     * http(s) URLs are passed to the server as they are; other sources are sent inline as a base64 data URL.
+     *
+     * @param source - The image, or its URL or data URL
+     * @param options - Encoding options
+     * @return The content part
+     * @throws RangeError if the image is larger than the limit, TypeError if it is not an image
      */
-    static put(url: string, body: string, headers: Record<string, string>): ApiClientInput;
+    static image(source: ApiClientAttachmentSource, options?: ApiClientAttachmentOptions & { detail?: 'low' | 'high' | 'auto' }): Promise<ApiClientContentPart>;
 
     /**
-     * Convenience factory method for DELETE requests
+     * Creates a file content part, sent inline as a base64 data URL
+     * A URL source is downloaded first.
+     *
+     * @param source - The file, or its URL or data URL
+     * @param options - Encoding options
+     * @return The content part
+     * @throws RangeError if the file is larger than the limit
      */
-    static delete(url: string, headers: Record<string, string>): ApiClientInput;
+    static file(source: ApiClientAttachmentSource, options?: ApiClientAttachmentOptions): Promise<ApiClientContentPart>;
 
     /**
-     * Convenience factory method for PATCH requests
+     * Reads a source and encodes it as base64
+     *
+     * @param source - The content, or a URL or data URL to read it from
+     * @param options - Encoding options; no size limit unless maxBytes is given
+     * @return The encoding
+     * @throws RangeError if the content is larger than maxBytes, TypeError if the source cannot be read
      */
-    static patch(url: string, body: string, headers: Record<string, string>): ApiClientInput;
+    static encode(source: ApiClientAttachmentSource, options?: ApiClientAttachmentOptions): Promise<ApiClientEncodedAttachment>;
 
     /**
-     * Creates an input object for a JSON request
+     * Detects a MIME type from the leading bytes of the content, falling back to the file extension
+     *
+     * @return The MIME type, application/octet-stream if unknown
      */
-    static createJson<T = any>(method: string, url: string, jsonObject: T, headers: Record<string, string>): ApiClientInput;
+    static detectMimeType(bytes: Uint8Array, filename?: string | null): string;
 
     /**
-     * Convenience factory method for POST requests with JSON body
+     * Encodes bytes as base64
      */
-    static postJson<T = any>(url: string, jsonObject: T, headers: Record<string, string>): ApiClientInput;
+    static toBase64(bytes: Uint8Array): string;
 
     /**
-     * Convenience factory method for PUT requests with JSON body
-     *
-     * @param url - The URL to send the request to
-     * @param jsonObject - The object to serialize as JSON
-     * @param headers - Headers for the request
-     * @return A new ApiClientInput for a PUT request with JSON
+     * Creates an assistant message
      */
-    static putJson<T = any>(url: string, jsonObject: T, headers: Record<string, string>): ApiClientInput;
+    static assistant(content: string): ApiClientChatMessage;
 
     /**
-     * Convenience factory method for PATCH requests with JSON body
+     * Creates an assistant message that carries tool calls
      *
-     * @param url - The URL to send the request to
-     * @param jsonObject - The object to serialize as JSON
-     * @param headers - Headers for the request
-     * @return A new ApiClientInput for a PATCH request with JSON
+     * @param toolCalls - Calls in wire format or as in ApiClientOutput.toolCalls
+     * @param content - Any text that came with the calls
+     * @return The message
      */
-    static patchJson<T = any>(url: string, jsonObject: T, headers: Record<string, string>): ApiClientInput;
+    static assistantToolCalls(
+        toolCalls: Array<ApiClientWireToolCall | ApiClientToolCall>,
+        content?: string | null
+    ): ApiClientChatMessage;
 
     /**
-     * Creates an input object for a POST request with an ApiClientInputBody
+     * Creates a tool message holding the result of a tool call
      *
-     * @param url - The URL to send the request to
-     * @param inputBody - The input body object
-     * @param headers - Headers for the request
-     * @return A new ApiClientInput configured for chat completions
+     * @param toolCallId - The id of the call being answered, null for servers that do not use ids
+     * @param content - The result; anything other than a string is sent as JSON
+     * @param name - The name of the tool that was called
+     * @return The message
      */
-    static chat(url: string, inputBody: ApiClientInputBody, headers: Record<string, string>): ApiClientInput;
+    static tool(toolCallId: string | null, content: any, name?: string): ApiClientChatMessage;
 }
 
 /**
- * Output response for HTTP requests with enhanced utility methods
+ * A request body accepted by ApiClientInput
  */
-declare class ApiClientOutput {
-    statusCode: number;
+export type ApiClientRequestBody = string | FormData | URLSearchParams | Blob | ArrayBuffer | Uint8Array | null;
+
+/**
+ * How ApiClientOutput reads a successful response body
+ */
+export type ApiClientResponseType = 'text' | 'json' | 'blob' | 'arrayBuffer';
+
+/**
+ * Upload or download progress
+ */
+export interface ApiClientProgress {
+    /** Bytes transferred so far */
+    loaded: number;
+    /** Total bytes, or null when the size is not known */
+    total: number | null;
+}
+
+/**
+ * Input contract for HTTP requests
+ */
+export declare class ApiClientInput {
+    url: string;
+    method: string;
+    body: ApiClientRequestBody;
     headers: Record<string, string>;
-    body: string | null;
-    error: Error | null;
+    /** Set by ApiClientInput.chat, embeddings and completion: the body before serialization */
+    inputBody?: ApiClientInputBody | ApiClientEmbeddingsBody | ApiClientCompletionBody;
+    signal: AbortSignal | null;
+    timeout: number | null;
+    retryPolicy: ApiClientRetryPolicy | null;
+    responseType: ApiClientResponseType;
+    onDownloadProgress: ((progress: ApiClientProgress) => void) | null;
+    onUploadProgress: ((progress: ApiClientProgress) => void) | null;
+    /** false bypasses the client's cache */
+    cache: ApiClientCacheRequestOptions | false | null;
 
     constructor();
 
     /**
-     * Determines if the request was successful based on status code
+     * Sets how the body of a successful response is read; error responses are always read as text
      *
-     * @return true if the request was successful (status 200-299), false otherwise
+     * @param responseType - "text", "json", "blob" or "arrayBuffer"
+     * @return This input, for chaining
+     * @throws TypeError for an unknown response type
      */
-    isSuccessful(): boolean;
+    withResponseType(responseType: ApiClientResponseType): this;
 
     /**
-     * Gets the reason for failure if the request failed
+     * Sets progress callbacks
+     * Download progress uses Content-Length. Upload progress is reported chunk by chunk where the runtime can
+     * stream request bodies, otherwise only at the start and once the server has received the body.
      *
-     * @return The error message if an error occurred, null otherwise
+     * @param onDownloadProgress - Called as the response body is read
+     * @param onUploadProgress - Called as the request body is sent
+     * @return This input, for chaining
      */
-    getFailureReason(): string | null;
+    withProgress(
+        onDownloadProgress: ((progress: ApiClientProgress) => void) | null,
+        onUploadProgress?: ((progress: ApiClientProgress) => void) | null
+    ): this;
 
     /**
-     * Retrieves a specific header value
+     * Sets an AbortSignal that cancels the request when aborted
      *
-     * @param name - The name of the header to retrieve
-     * @return The header value, or null if the header doesn't exist
+     * @param signal - The signal to follow
+     * @return This input, for chaining
      */
-    getHeader(name: string): string | null;
+    withSignal(signal: AbortSignal | null): this;
 
     /**
-     * Attempts to parse the response body as JSON, returning null if parsing fails
+     * Sets a timeout after which the request is aborted
+     * For streams the timeout applies to each wait for the next chunk.
      *
-     * @return The parsed JSON object or null if parsing fails
+     * @param timeout - The timeout in milliseconds, or null for none
+     * @return This input, for chaining
      */
-    parseJsonBody<T = any>(): T | null;
+    withTimeout(timeout: number | null): this;
 
     /**
-     * Returns the response as a map for easier data access
+     * Sets the retry policy for this request, overriding ApiClient.retryPolicy
      *
-     * @return A map containing the status code, success flag, body, and error if any
+     * @param policy - A policy, or options for ApiClientRetryPolicy.create
+     * @return This input, for chaining
      */
-    asMap(): {
-        statusCode: number;
-        successful: boolean;
-        body: string | null;
-        error?: string;
-        json?: any;
-    };
+    withRetry(policy: ApiClientRetryPolicy | ApiClientRetryOptions | null): this;
 
     /**
-     * Creates an output object for an error
+     * Sets how this request uses the client's cache, see ApiClientCache
      *
-     * @param error - The error that occurred
-     * @return A new ApiClientOutput with the error set
+     * @param options - false to bypass the cache, or settings
      */
-    static createForError(error: Error): ApiClientOutput;
+    withCache(options: ApiClientCacheRequestOptions | boolean): this;
 
     /**
-     * Creates an output object for a successful response
-     *
-     * @param response - The fetch Response object
-     * @param body - The response body content
-     * @return A new ApiClientOutput with success data
+     * Creates a copy of this input with its own headers object
      */
-    static createForSuccess(response: Response, body: string): ApiClientOutput;
+    clone(): ApiClientInput;
 
     /**
-     * Creates an output object from a fetch Response
-     *
-     * @param response - The fetch Response object
-     * @return A Promise that resolves to a new ApiClientOutput
+     * Returns the request as a JSON-serializable object; throws a TypeError for bodies other than text and URLSearchParams
      */
-    static create(response: Response): Promise<ApiClientOutput>;
+    toJSON(): ApiClientSerializedInput;
 
     /**
-     * Creates an output object for a response error
-     *
-     * @param response - The fetch Response object containing an error
-     * @return A new ApiClientOutput with error information
+     * Restores a request saved with toJSON
      */
-    static createResponseError(response: Response): ApiClientOutput;
+    static fromJSON(json: string | ApiClientSerializedInput): ApiClientInput;
 
     /**
-     * Creates a headers object from a Response object
-     *
-     * @param response - The Response object to extract headers from
-     * @return An object containing the headers
+     * Determines if a request body survives toJSON: text, URLSearchParams or no body
      */
-    static createHeaders(response: Response): Record<string, string>;
-}
+    static isSerializable(body: unknown): boolean;
 
-/**
- * A utility class for making HTTP requests
- */
-declare class ApiClient {
     /**
-     * Performs an HTTP request
+     * Retrieves a request header, whatever the case of its name
+     */
+    getHeader(name: string): string | null;
+
+    /**
+     * Sets a request header, replacing any value set under the same name in another case
      *
-     * @param input - The input parameters for the request
-     * @return A Promise that resolves to the output response
+     * @param name - The name of the header
+     * @param value - The value, or null to remove the header
+     * @return This input, for chaining
      */
-    static send(input: ApiClientInput): Promise<ApiClientOutput>;
+    setHeader(name: string, value: string | null): this;
 
     /**
-     * Performs a streaming HTTP request
+     * Finds the key under which a header is stored, comparing names case-insensitively
      *
-     * @param input - The input parameters for the request
-     * @param onStart - Callback that runs before first chunk is received
-     * @param onChunk - Callback that runs for each chunk of data
-     * @param onFinish - Callback that runs when all data is received, returns ApiClientOutput
-     * @param onFailure - Callback that runs if an error occurs, returns ApiClientOutput with error
+     * @return The key as stored, or null if the header is absent
      */
-    static stream(
-        input: ApiClientInput,
-        onStart: () => void,
-        onChunk: (chunk: string) => void,
-        onFinish: (output: ApiClientOutput) => void,
-        onFailure: (errorOutput: ApiClientOutput) => void
-    ): void;
+    static findHeaderName(headers: Record<string, string> | null, name: string): string | null;
 
     /**
-     * Execute multiple requests in parallel
+     * Merges header objects, later ones overriding earlier ones whatever the case of their names
      *
-     * @param inputs - List of request inputs
-     * @param onStart - Called before the batch begins processing
-     * @param onUnit - Called for each completed request with ApiClientOutput (success or error)
-     * @param onFinished - Called when all requests are complete with a summary ApiClientOutput
-     * @param onFailure - Called if there's a failure in the batch process, returns ApiClientOutput with error
-     * @return A Promise that resolves to an array of outputs
+     * @param sources - The header objects, lowest priority first
+     * @return The merged headers
      */
-    static batchSendParallel(
-        inputs: ApiClientInput[],
-        onStart: () => void,
-        onUnit: (output: ApiClientOutput) => void,
-        onFinished: (batchOutput: ApiClientOutput) => void,
-        onFailure: (errorOutput: ApiClientOutput) => void
-    ): Promise<ApiClientOutput[]>;
+    static mergeHeaders(...sources: Array<Record<string, string> | null | undefined>): Record<string, string>;
 
     /**
-     * Determines if a stream is completed based on the reader record
+     * Creates an input object for any HTTP method
      *
-     * @param record - The record from reader.read()
-     * @return true if the stream is done, false otherwise
+     * @param method - The HTTP method to use
+     * @param url - The URL to send the request to
+     * @param body - The body of the request
+     * @param headers - Headers for the request
+     * @return A new ApiClientInput
      */
-    static isDone(record: { done: boolean; value?: Uint8Array }): boolean;
-}
\ No newline at end of file
+    static create(method: string, url: string, body: ApiClientRequestBody, headers?: Record<string, string>): ApiClientInput;
+
+    /**
+     * Convenience factory method for GET requests
+     */
+    static get(url: string, headers?: Record<string, string>): ApiClientInput;
+
+    /**
+     * Convenience factory method for POST requests
+     */
+    static post(url: string, body: string, headers?: Record<string, string>): ApiClientInput;
+
+    /**
+     * Convenience factory method for PUT requests
+     */
+    static put(url: string, body: string, headers?: Record<string, string>): ApiClientInput;
+
+    /**
+     * Convenience factory method for DELETE requests
+     */
+    static delete(url: string, headers?: Record<string, string>): ApiClientInput;
+
+    /**
+     * Convenience factory method for PATCH requests
+     */
+    static patch(url: string, body: string, headers?: Record<string, string>): ApiClientInput;
+
+    /**
+     * Creates an input object for a JSON request
+     */
+    static createJson<T = any>(method: string, url: string, jsonObject: T, headers?: Record<string, string>): ApiClientInput;
+
+    /**
+     * Convenience factory method for POST requests with JSON body
+     */
+    static postJson<T = any>(url: string, jsonObject: T, headers?: Record<string, string>): ApiClientInput;
+
+    /**
+     * Convenience factory method for PUT requests with JSON body
+     *
+     * @param url - The URL to send the request to
+     * @param jsonObject - The object to serialize as JSON
+     * @param headers - Headers for the request
+     * @return A new ApiClientInput for a PUT request with JSON
+     */
+    static putJson<T = any>(url: string, jsonObject: T, headers?: Record<string, string>): ApiClientInput;
+
+    /**
+     * Convenience factory method for PATCH requests with JSON body
+     *
+     * @param url - The URL to send the request to
+     * @param jsonObject - The object to serialize as JSON
+     * @param headers - Headers for the request
+     * @return A new ApiClientInput for a PATCH request with JSON
+     */
+    static patchJson<T = any>(url: string, jsonObject: T, headers?: Record<string, string>): ApiClientInput;
+
+    /**
+     * Creates a multipart/form-data request, for file uploads; fetch sets the Content-Type with its boundary
+     *
+     * @param method - The HTTP method to use
+     * @param url - The URL to send the request to
+     * @param formData - The form, or an object whose values are strings, Blobs or Files
+     * @param headers - Headers for the request
+     * @return A new ApiClientInput with a multipart body
+     */
+    static createMultipart(
+        method: string,
+        url: string,
+        formData: FormData | Record<string, string | number | boolean | Blob>,
+        headers?: Record<string, string>
+    ): ApiClientInput;
+
+    /**
+     * Convenience factory method for POST requests with a multipart/form-data body
+     */
+    static postMultipart(
+        url: string,
+        formData: FormData | Record<string, string | number | boolean | Blob>,
+        headers?: Record<string, string>
+    ): ApiClientInput;
+
+    /**
+     * Creates an application/x-www-form-urlencoded request
+     *
+     * @param method - The HTTP method to use
+     * @param url - The URL to send the request to
+     * @param params - The fields, as URLSearchParams or a plain object
+     * @param headers - Headers for the request
+     * @return A new ApiClientInput with a form body
+     */
+    static createForm(
+        method: string,
+        url: string,
+        params: URLSearchParams | Record<string, string>,
+        headers?: Record<string, string>
+    ): ApiClientInput;
+
+    /**
+     * Convenience factory method for POST requests with a form body
+     */
+    static postForm(url: string, params: URLSearchParams | Record<string, string>, headers?: Record<string, string>): ApiClientInput;
+
+    /**
+     * Creates a request with a binary body
+     *
+     * @param method - The HTTP method to use
+     * @param url - The URL to send the request to
+     * @param data - The body
+     * @param contentType - The Content-Type, the Blob's type or application/octet-stream if null
+     * @param headers - Headers for the request
+     * @return A new ApiClientInput with a binary body
+     */
+    static createBinary(
+        method: string,
+        url: string,
+        data: Blob | ArrayBuffer | Uint8Array,
+        contentType: string | null,
+        headers?: Record<string, string>
+    ): ApiClientInput;
+
+    /**
+     * Convenience factory method for POST requests with a binary body
+     */
+    static postBinary(
+        url: string,
+        data: Blob | ArrayBuffer | Uint8Array,
+        contentType: string | null,
+        headers?: Record<string, string>
+    ): ApiClientInput;
+
+    /**
+     * Convenience factory method for PUT requests with a binary body
+     */
+    static putBinary(
+        url: string,
+        data: Blob | ArrayBuffer | Uint8Array,
+        contentType: string | null,
+        headers?: Record<string, string>
+    ): ApiClientInput;
+
+    /**
+     * Convenience factory method for downloading a file as a Blob
+     *
+     * @param url - The URL to download
+     * @param headers - Headers for the request
+     * @return A new ApiClientInput for a GET request read as a Blob
+     */
+    static download(url: string, headers?: Record<string, string>): ApiClientInput;
+
+    /**
+     * Creates an input object for a POST request with an ApiClientInputBody
+     *
+     * @param url - The URL to send the request to, or a provider that builds the request in its API's format
+     * @param inputBody - The input body object
+     * @param headers - Headers for the request
+     * @return A new ApiClientInput configured for chat completions
+     */
+    static chat(url: string | ApiClientProvider, inputBody: ApiClientInputBody, headers?: Record<string, string>): ApiClientInput;
+
+    /**
+     * Creates an input object for an embeddings request
+     *
+     * @param url - The embeddings URL, or a provider that knows its own
+     * @param body - The request body, see ApiClientInputBody.embeddings
+     * @param headers - Headers for the request
+     * @return A new ApiClientInput, with the body kept as inputBody for ApiClient.sendEmbeddings
+     */
+    static embeddings(url: string | ApiClientProvider, body: ApiClientEmbeddingsBody, headers?: Record<string, string>): ApiClientInput;
+
+    /**
+     * Creates an input object for a legacy text completions request
+     * The reply can be read with ApiClientOutput.getCompletion, or streamed with ApiClient.streamChat.
+     *
+     * @param url - The completions URL, or a provider that knows its own
+     * @param body - The request body, see ApiClientInputBody.completion
+     * @param headers - Headers for the request
+     */
+    static completion(url: string | ApiClientProvider, body: ApiClientCompletionBody, headers?: Record<string, string>): ApiClientInput;
+}
+
+/**
+ * The error a server or LLM gateway described in its response body
+ */
+export interface ApiClientProviderError {
+    message: string | null;
+    code: string | null;
+    type: string | null;
+}
+
+/**
+ * Details of the constructor arguments shared by the ApiClientError classes
+ */
+export interface ApiClientErrorDetails {
+    /** The response status, 0 if there was no response */
+    statusCode?: number;
+    headers?: Record<string, string>;
+    /** The response body, parsed for the server's own error description */
+    body?: any;
+    input?: ApiClientInput;
+    isRetryable?: boolean;
+    cause?: any;
+}
+
+/**
+ * Base class of the errors reported in ApiClientOutput.error
+ */
+export declare class ApiClientError extends Error {
+    /** Stable identifier of the kind of failure, e.g. "http_error" or "timeout_error" */
+    type: string;
+    /** The response status, 0 if there was no response */
+    statusCode: number;
+    headers: Record<string, string>;
+    /** The error the server described in its body, if it did */
+    providerError: ApiClientProviderError | null;
+    /** The input that was sent */
+    input: ApiClientInput | null;
+    /** Whether the same request may succeed if tried again */
+    isRetryable: boolean;
+    cause?: any;
+
+    constructor(message: string, details?: ApiClientErrorDetails);
+
+    /**
+     * Returns the error's details as a JSON-serializable object, as reported by ApiClientOutput.asMap
+     */
+    toJSON(): {
+        name: string;
+        type: string;
+        message: string;
+        statusCode: number;
+        isRetryable: boolean;
+        providerError: ApiClientProviderError | null;
+    };
+
+    /**
+     * Extracts the error a server or LLM gateway describes in its response body
+     *
+     * @param body - The response body, as text or parsed
+     * @return The description, or null if the body does not describe an error
+     */
+    static parseProviderError(body: any): ApiClientProviderError | null;
+
+    /**
+     * Wraps any thrown value as an ApiClientError, keeping it as the cause
+     *
+     * @param error - The thrown value
+     * @param input - The input that was sent
+     * @return The error itself if it already is one
+     */
+    static from(error: any, input?: ApiClientInput): ApiClientError;
+}
+
+/**
+ * The request could not reach the server, or the connection failed while the response was read
+ */
+export declare class ApiClientNetworkError extends ApiClientError {
+    constructor(message: string, details?: ApiClientErrorDetails);
+}
+
+/**
+ * The request's timeout elapsed
+ */
+export declare class ApiClientTimeoutError extends ApiClientError {
+    /** The timeout that elapsed, in milliseconds */
+    timeout: number | null;
+
+    constructor(timeout: number | null, details?: ApiClientErrorDetails);
+}
+
+/**
+ * The request was cancelled through its handle or AbortSignal
+ */
+export declare class ApiClientAbortError extends ApiClientError {
+    constructor(details?: ApiClientErrorDetails);
+}
+
+/**
+ * The server answered with a status outside 200-299
+ */
+export declare class ApiClientHttpError extends ApiClientError {
+    /** Statuses that usually clear up if the request is tried again */
+    static RETRYABLE_STATUS_CODES: number[];
+
+    /**
+     * @param statusCode - The response status
+     * @param details - isRetryable defaults to whether the status is transient
+     */
+    constructor(statusCode: number, details?: ApiClientErrorDetails);
+}
+
+/**
+ * The auth provider could not refresh its credentials after a 401
+ */
+export declare class ApiClientAuthError extends ApiClientError {
+    constructor(message: string, details?: ApiClientErrorDetails);
+}
+
+/**
+ * A response body could not be parsed as the requested type
+ */
+export declare class ApiClientParseError extends ApiClientError {
+    /** For JSON syntax errors: the offset, line and column (from 1) where parsing failed, otherwise null */
+    position: number | null;
+    line: number | null;
+    column: number | null;
+    constructor(message: string, details?: ApiClientErrorDetails & { position?: number; line?: number; column?: number });
+}
+
+/**
+ * A parsed body does not match the JSON schema it was validated against
+ */
+export declare class ApiClientValidationError extends ApiClientError {
+    errors: ApiClientSchemaViolation[];
+    constructor(errors: ApiClientSchemaViolation[], details?: ApiClientErrorDetails);
+}
+
+/**
+ * A streamed response stopped before it was complete; the output's body holds the text received
+ */
+export declare class ApiClientStreamError extends ApiClientError {
+    constructor(message: string, details?: ApiClientErrorDetails);
+}
+
+/**
+ * Output response for HTTP requests with enhanced utility methods
+ */
+export declare class ApiClientOutput {
+    statusCode: number;
+    headers: Record<string, string>;
+    /** A string, unless the request's responseType was json (parsed value), blob (Blob) or arrayBuffer (ArrayBuffer) */
+    body: any;
+    error: ApiClientError | null;
+    /** Set by ApiClient.send and on stream failures: one record per attempt made */
+    attempts?: ApiClientAttempt[];
+    /** Set by ApiClient.streamChat: the assembled assistant message */
+    message?: ApiClientChatMessage;
+    /** Set by ApiClient.streamChat: the tool calls the model made, empty if none */
+    toolCalls?: ApiClientToolCall[];
+    /** Set by ApiClient.paginate: the number of the page, starting at 1 */
+    pageNumber?: number;
+    /** Set by ApiClientCache: "hit" from storage, "revalidated" after a 304, "miss" from the network */
+    cacheStatus?: 'hit' | 'revalidated' | 'miss';
+    /** Set by ApiClientToolRunner.run: the whole conversation, including tool results */
+    messages?: ApiClientChatMessage[];
+    /** Set by ApiClient.streamChat: why the model stopped, e.g. "stop" or "length" */
+    finishReason?: string | null;
+    /** Set by ApiClient.streamChat: the model that produced the reply */
+    model?: string | null;
+    /** Set by ApiClient.streamChat and sendEmbeddings: token counts, when the server reports them */
+    usage?: ApiClientChatUsage | null;
+    /** Set by ApiClient.sendEmbeddings: one vector per input text, in input order */
+    embeddings?: number[][];
+    /** Set by ApiClientPipeline.run on its summary: the outputs by step name, an array for a step that fanned out */
+    results?: ApiClientPipelineOutputs;
+    /** Set by ApiClient.send when the client's offline queue saved the request: the ID of its queue entry */
+    queueId?: string;
+    /** Set by ApiClient.send and the stream methods: the ID its lifecycle events carry */
+    requestId?: string;
+    /** Set by ApiClient.send and the stream methods: the W3C trace ID sent, null when the client does not trace */
+    traceId?: string | null;
+    /** Set by ApiClient.send and the stream methods: how long the request took */
+    timing?: ApiClientTiming;
+
+    constructor();
+
+    /**
+     * Determines if the request was successful based on status code
+     *
+     * @return true if the request was successful (status 200-299), false otherwise
+     */
+    isSuccessful(): boolean;
+
+    /**
+     * Determines if the request was cancelled, by ApiClientRequestHandle.cancel() or the input's AbortSignal
+     */
+    isAborted(): boolean;
+
+    /**
+     * Determines if the request was aborted because its timeout elapsed
+     */
+    isTimedOut(): boolean;
+
+    /**
+     * Determines if the request failed because the auth provider could not refresh its credentials
+     */
+    isAuthFailure(): boolean;
+
+    /**
+     * Determines if the request could not be sent and was saved by the client's ApiClientOfflineQueue for later
+     */
+    isQueued(): boolean;
+
+    /**
+     * Gets the reason for failure if the request failed
+     *
+     * @return The error message if an error occurred, null otherwise
+     */
+    getFailureReason(): string | null;
+
+    /**
+     * Retrieves a specific header value, whatever the case of its name
+     * A header the server sent several times is returned as one comma-separated value.
+     *
+     * @param name - The name of the header to retrieve
+     * @return The header value, or null if the header doesn't exist
+     */
+    getHeader(name: string): string | null;
+
+    /**
+     * Determines if the response has a header, whatever the case of its name
+     */
+    hasHeader(name: string): boolean;
+
+    /**
+     * Retrieves each value of a header that may be sent several times, such as Link, Vary or Set-Cookie
+     *
+     * @param name - The name of the header
+     * @return The values, empty if the header doesn't exist
+     */
+    getHeaderValues(name: string): string[];
+
+    /**
+     * Parses the RFC 5988 Link header into URLs by relation
+     *
+     * @param baseUrl - The URL to resolve relative links against, usually the request URL
+     * @return URLs keyed by relation, e.g. {next: '...', last: '...'}
+     */
+    getLinks(baseUrl?: string): Record<string, string>;
+
+    /**
+     * Attempts to parse the response body as JSON, returning null if parsing fails
+     * Model output is parsed tolerantly, but only an object or array that fills the body or its code fence is
+     * accepted; use parseJson() to find JSON within prose, or to learn why a body could not be parsed.
+     *
+     * @return The parsed JSON object or null if parsing fails
+     */
+    parseJsonBody<T = any>(): T | null;
+
+    /**
+     * Parses the response body as JSON, tolerating model output, and explains any failure
+     */
+    parseJson<T = any>(options?: ApiClientJsonParseOptions): ApiClientJsonResult<T>;
+
+    /**
+     * Returns the vectors of an embeddings response, in input order
+     * Understands OpenAI (float or base64) and Ollama replies.
+     */
+    getEmbeddings(): number[][];
+
+    /**
+     * Returns the models of a model listing, from OpenAI, Anthropic or Ollama
+     */
+    getModels(): ApiClientModelInfo[];
+
+    /**
+     * Returns the model described by a model inspection response, or null if the body is not JSON
+     */
+    getModel(): ApiClientModelInfo | null;
+
+    /**
+     * Returns the reply of a legacy text completions request, streamed or not
+     */
+    getCompletion(): ApiClientCompletion;
+
+    /**
+     * Returns the token usage a JSON response reports, in OpenAI, Anthropic or Ollama form
+     */
+    getUsage(): ApiClientChatUsage | null;
+
+    /**
+     * Returns the response body as bytes, whatever response type it was read as
+     */
+    getBytes(): Promise<Uint8Array>;
+
+    /**
+     * Returns the file name suggested by the Content-Disposition header, preferring the RFC 5987 form
+     *
+     * @return The file name without any path, or null if the response does not suggest one
+     */
+    getFilename(): string | null;
+
+    /**
+     * Returns the response as a map for easier data access
+     *
+     * @return A map containing the status code, success flag, body, and error if any
+     */
+    asMap(): {
+        statusCode: number;
+        successful: boolean;
+        body: any;
+        error?: string;
+        errorDetails?: ReturnType<ApiClientError['toJSON']>;
+        json?: any;
+    };
+
+    /**
+     * Creates an output object for an error, taking its status and headers from the error
+     *
+     * @param error - The error that occurred; anything other than an ApiClientError is wrapped in one
+     * @param input - The input that was sent
+     * @return A new ApiClientOutput with the error set
+     */
+    static createForError(error: any, input?: ApiClientInput): ApiClientOutput;
+
+    /**
+     * Normalises a model record of any supported server
+     */
+    static createModelInfo(record: Record<string, any>): ApiClientModelInfo;
+
+    /**
+     * Decodes an embedding sent as base64 little-endian 32-bit floats
+     */
+    static decodeEmbedding(value: number[] | string): number[];
+
+    /**
+     * Creates an output object for a request that was aborted or timed out
+     *
+     * @param reason - Either 'abort' or 'timeout'
+     * @param timeout - The timeout that elapsed, used in the message
+     * @return A new ApiClientOutput with the error set
+     */
+    static createForAbort(reason: 'abort' | 'timeout', timeout: number | null): ApiClientOutput;
+
+    /**
+     * Creates an output object for a request whose credentials could not be refreshed
+     *
+     * @param cause - The error raised by the auth provider's refresh
+     * @param output - The 401 output that triggered the refresh
+     * @return A new ApiClientOutput with the 401 response and the error set
+     */
+    static createForAuthFailure(cause: any, output: ApiClientOutput): ApiClientOutput;
+
+    /**
+     * Creates an output object for a successful response
+     *
+     * @param response - The fetch Response object
+     * @param body - The response body content
+     * @return A new ApiClientOutput with success data
+     */
+    static createForSuccess(response: Response, body: string): ApiClientOutput;
+
+    /** Response types accepted by ApiClientInput.withResponseType */
+    static RESPONSE_TYPES: ApiClientResponseType[];
+    /** Headers whose values contain commas of their own, so getHeaderValues never splits them */
+    static SINGLE_VALUE_HEADERS: string[];
+
+    /**
+     * Creates an output object from a fetch Response
+     *
+     * @param response - The fetch Response object
+     * @param responseType - How to read a successful body, "text" by default
+     * @param onProgress - Called as the body is read
+     * @return A Promise that resolves to a new ApiClientOutput
+     */
+    static create(
+        response: Response,
+        responseType?: ApiClientResponseType,
+        onProgress?: ((progress: ApiClientProgress) => void) | null
+    ): Promise<ApiClientOutput>;
+
+    /**
+     * Reads a response body, reporting progress against Content-Length
+     *
+     * @param response - The fetch Response object
+     * @param onProgress - Called after each chunk
+     * @return The body
+     */
+    static readWithProgress(response: Response, onProgress: (progress: ApiClientProgress) => void): Promise<Blob>;
+
+    /**
+     * Reads a response body as the given type
+     *
+     * @return The output, with a parse or network error if the body could not be read
+     */
+    static read(
+        response: Response,
+        type: ApiClientResponseType,
+        onProgress: ((progress: ApiClientProgress) => void) | null
+    ): Promise<ApiClientOutput>;
+
+    /**
+     * Creates an output object for a response error without reading its body
+     * Prefer ApiClientOutput.create, which includes the server's explanation from the body.
+     *
+     * @param response - The fetch Response object containing an error
+     * @return A new ApiClientOutput with error information
+     */
+    static createResponseError(response: Response): ApiClientOutput;
+
+    /**
+     * Creates a headers object from a Response object
+     *
+     * @param response - The Response object to extract headers from
+     * @return An object containing the headers
+     */
+    static createHeaders(response: Response): Record<string, string>;
+}
+
+/**
+ * Settings for ApiClientJson.parse
+ */
+export interface ApiClientJsonParseOptions {
+    /** Close off a value that the text ends in the middle of */
+    partial?: boolean;
+    /** Only accept an object or array that fills the text, or its code fence, rather than finding one in prose; one pair of quotes around it is removed */
+    whole?: boolean;
+    /** A JSON schema, or a response_format from ApiClientInputBody.jsonSchema, to validate a complete value against */
+    schema?: object;
+}
+
+/**
+ * A JSON schema violation
+ */
+export interface ApiClientSchemaViolation {
+    /** Where the value is, as $.items[0].name */
+    path: string;
+    /** The schema keyword that failed, e.g. "type", "required" or "enum" */
+    keyword: string;
+    message: string;
+}
+
+/**
+ * The result of ApiClientJson.parse
+ */
+export interface ApiClientJsonResult<T = any> {
+    ok: boolean;
+    /** The value, undefined if parsing failed */
+    value: T | undefined;
+    /** Whether the text ended inside the value, which was closed off */
+    partial: boolean;
+    /** Each fix that was needed, empty for strict JSON */
+    repairs: string[];
+    error: ApiClientParseError | ApiClientValidationError | null;
+    errors: ApiClientSchemaViolation[];
+}
+
+/**
+ * Tolerant JSON parsing and JSON schema validation for model output
+ */
+export declare class ApiClientJson {
+    /**
+     * Parses JSON from text that may not be strict JSON: code fences, prose around the JSON, comments, trailing
+     * or missing commas, single quotes, unquoted keys and Python literals are repaired
+     *
+     * @param text - The text; a value that is not a string is taken as already parsed
+     */
+    static parse<T = any>(text: string | any, options?: ApiClientJsonParseOptions): ApiClientJsonResult<T>;
+
+    /**
+     * Parses text that may be incomplete, closing off open strings, arrays and objects
+     *
+     * @return The value so far, or undefined if none has started
+     */
+    static parsePartial<T = any>(text: string): T | undefined;
+
+    /**
+     * Validates a value against a JSON schema
+     * Supports type, enum, const, properties, required, additionalProperties, items, prefixItems, minItems,
+     * maxItems, uniqueItems, minLength, maxLength, pattern, minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+     * multipleOf, allOf, anyOf, oneOf, not and local $ref.
+     *
+     * @param schema - The schema, or a response_format from ApiClientInputBody.jsonSchema
+     * @return The violations; empty if the value is valid
+     */
+    static validate(value: any, schema: object): ApiClientSchemaViolation[];
+}
+
+/**
+ * Builds up a JSON value from streamed chunks, for rendering structured output as it arrives
+ */
+export declare class ApiClientPartialJson<T = any> {
+    text: string;
+    /** The value so far, undefined until one has started */
+    value: T | undefined;
+    /** Whether the text holds a whole value */
+    complete: boolean;
+
+    constructor(options?: { schema?: object });
+
+    /**
+     * Adds a chunk of text
+     *
+     * @return The value so far, with unfinished strings, arrays and objects closed off
+     */
+    feed(chunk: string): T | undefined;
+
+    /**
+     * Parses the full text once the stream has ended, validating it against the schema if one was given
+     */
+    end(): ApiClientJsonResult<T>;
+}
+
+/**
+ * A single Server-Sent Event as dispatched by ApiClientSseParser
+ */
+export declare class ApiClientSseEvent {
+    type: string;
+    data: string;
+    id: string;
+    retry: number | null;
+
+    constructor();
+
+    /**
+     * Attempts to parse the event data as JSON, returning null if parsing fails
+     *
+     * @return The parsed JSON object or null if parsing fails
+     */
+    parseJsonData<T = any>(): T | null;
+}
+
+/**
+ * Incremental parser for the text/event-stream wire format
+ */
+export declare class ApiClientSseParser {
+    lastEventId: string;
+    retry: number | null;
+
+    constructor();
+
+    /**
+     * Clears any partially received event, keeping lastEventId and retry for reconnection
+     */
+    reset(): void;
+
+    /**
+     * Feeds decoded text into the parser
+     *
+     * @param text - The next piece of the stream
+     * @return The events completed by this piece, in order
+     */
+    feed(text: string): ApiClientSseEvent[];
+
+    /**
+     * Creates a TransformStream that parses decoded text into events, for piping ApiClient.streamReadable() output
+     */
+    static createTransform(): TransformStream<string, ApiClientSseEvent>;
+}
+
+/**
+ * Callbacks for ApiClient.streamSse
+ */
+export interface ApiClientSseHandlers {
+    onStart?: () => void;
+    onEvent?: (event: ApiClientSseEvent) => void;
+    onFinish?: (output: ApiClientOutput) => void;
+    onFailure?: (errorOutput: ApiClientOutput) => void;
+}
+
+/**
+ * Reconnection settings for ApiClient.streamSse
+ */
+export interface ApiClientSseOptions {
+    /** Maximum number of reconnection attempts (default 3) */
+    maxReconnects?: number;
+    /** Reconnection delay in ms until the server sends a retry field (default 3000) */
+    retry?: number;
+    /** Finish when the server closes the connection, for servers that send no data: [DONE]; otherwise a close reconnects (default false) */
+    finishOnClose?: boolean;
+}
+
+/**
+ * A chat message as stored in ApiClientInputBody.messages
+ */
+export interface ApiClientChatMessage {
+    role: string;
+    content: string | ApiClientContentPart[];
+    tool_calls?: ApiClientWireToolCall[];
+    tool_call_id?: string;
+    name?: string;
+}
+
+/**
+ * Token counts reported for a chat completion
+ */
+export interface ApiClientChatUsage {
+    promptTokens: number;
+    completionTokens: number;
+    totalTokens: number;
+}
+
+/**
+ * Assembles a streamed chat completion into a single assistant message
+ * Understands Ollama-style NDJSON records, OpenAI-style SSE records and Anthropic Messages API events, streamed or
+ * complete. An error event in the stream is kept as error. Finish reasons are reported in the OpenAI vocabulary
+ * whichever server sent them.
+ */
+export declare class ApiClientChatAccumulator {
+    role: string;
+    content: string;
+    finishReason: string | null;
+    model: string | null;
+    usage: ApiClientChatUsage | null;
+    /** Tool calls in wire format, indexed as the server numbers them */
+    toolCalls: ApiClientWireToolCall[];
+    done: boolean;
+    /** Set once the server reports an error in the stream, such as an Anthropic error event */
+    error: ApiClientStreamError | null;
+
+    constructor();
+
+    /**
+     * Feeds raw stream text into the accumulator
+     *
+     * @param text - The next chunk as received from ApiClient.stream
+     * @return The content deltas completed by this chunk, in order
+     */
+    feed(text: string): string[];
+
+    /**
+     * Processes anything left in the buffer once the stream has ended
+     *
+     * @return Any content deltas from a final record that had no trailing newline
+     */
+    flush(): string[];
+
+    /**
+     * Processes a single Server-Sent Event
+     */
+    addEvent(event: ApiClientSseEvent): string | null;
+
+    /**
+     * Processes a single NDJSON line
+     */
+    addLine(line: string): string | null;
+
+    /**
+     * Processes a single parsed record in either supported shape
+     */
+    addRecord(record: Record<string, any>): string | null;
+
+    /**
+     * Processes an Anthropic Messages API record: a complete message, or one streamed event
+     */
+    addAnthropicRecord(record: Record<string, any>): string | null;
+
+    /**
+     * Merges Anthropic token counts into usage
+     */
+    addAnthropicUsage(usage: Record<string, number>): void;
+
+    /**
+     * Merges tool calls from a record
+     *
+     * @param calls - The tool_calls array of the record
+     * @param streamed - true if the calls are delta fragments that share an index
+     */
+    addToolCalls(calls: Array<Record<string, any>>, streamed: boolean): void;
+
+    /**
+     * Returns the assembled tool calls with their arguments parsed
+     */
+    getToolCalls(): ApiClientToolCall[];
+
+    /**
+     * Returns the assembled assistant message, ready to append to a messages array
+     */
+    toMessage(): ApiClientChatMessage;
+
+    /**
+     * Copies the assembled message, tool calls, finish reason, model and usage onto an output
+     */
+    applyTo(output: ApiClientOutput): ApiClientOutput;
+
+    /**
+     * Creates an accumulator from a complete, non-streamed chat response
+     *
+     * @param output - The output of ApiClient.send for a chat request
+     * @return The accumulator holding the parsed reply
+     */
+    static fromOutput(output: ApiClientOutput): ApiClientChatAccumulator;
+
+    /** Anthropic record types read by addAnthropicRecord */
+    static ANTHROPIC_TYPES: string[];
+    /** Anthropic error types of a stream that may succeed if the request is sent again */
+    static RETRYABLE_ERRORS: string[];
+    /** Finish reasons of other servers and the OpenAI reasons they are reported as */
+    static FINISH_REASONS: Record<string, string>;
+}
+
+/**
+ * A model, as returned by ApiClientOutput.getModels and getModel
+ */
+export interface ApiClientModelInfo {
+    id: string | null;
+    name: string | null;
+    /** Milliseconds since the epoch */
+    created: number | null;
+    ownedBy: string | null;
+    /** Size in bytes, reported by Ollama */
+    size: number | null;
+    /** Format, family and parameter size, reported by Ollama */
+    details: Record<string, any> | null;
+    /** The model as the server described it */
+    raw: Record<string, any>;
+}
+
+/**
+ * The reply of a legacy text completions request, as returned by ApiClientOutput.getCompletion
+ */
+export interface ApiClientCompletion {
+    text: string;
+    finishReason: string | null;
+    model: string | null;
+    usage: ApiClientChatUsage | null;
+}
+
+/**
+ * Settings for the ApiClientProvider constructors
+ */
+export interface ApiClientProviderOptions {
+    /** The API's base URL, the provider's public endpoint by default */
+    baseUrl?: string;
+    /** The full chat endpoint URL, overriding baseUrl */
+    url?: string;
+    /** The API key */
+    apiKey?: string;
+    /** Model for bodies that do not name one */
+    model?: string;
+    /** Extra headers for each request; the request's own headers win */
+    headers?: Record<string, string>;
+}
+
+/**
+ * Settings for ApiClientAnthropicProvider
+ */
+export interface ApiClientAnthropicProviderOptions extends ApiClientProviderOptions {
+    /** The anthropic-version header, ApiClientAnthropicProvider.VERSION by default */
+    version?: string;
+    /** max_tokens for bodies that set none, ApiClientAnthropicProvider.MAX_TOKENS by default */
+    maxTokens?: number;
+}
+
+/**
+ * Provider settings with the provider's type, for ApiClientProvider.from
+ */
+export type ApiClientProviderConfig =
+    | ApiClientProviderOptions & { type: 'openai' | 'ollama' }
+    | ApiClientAnthropicProviderOptions & { type: 'anthropic' };
+
+/**
+ * Translates chat requests into the format of a provider's API
+ * Replies need no provider: ApiClientChatAccumulator reads each format into the same message, finishReason and usage.
+ */
+export declare class ApiClientProvider {
+    baseUrl: string | null;
+    url: string | null;
+    apiKey: string | null;
+    model: string | null;
+    headers: Record<string, string>;
+
+    constructor(options?: ApiClientProviderOptions);
+
+    /**
+     * Creates the input for a chat request in the provider's format
+     *
+     * @param inputBody - The request body
+     * @param headers - Headers for the request
+     * @return The input, with inputBody set as for ApiClientInput.chat
+     */
+    createInput(inputBody: ApiClientInputBody, headers?: Record<string, string>): ApiClientInput;
+
+    /**
+     * Creates the input for an embeddings request
+     *
+     * @throws TypeError if the provider has no embeddings endpoint
+     */
+    createEmbeddingsInput(body: ApiClientEmbeddingsBody, headers?: Record<string, string>): ApiClientInput;
+
+    /**
+     * Creates the input for a legacy text completions request
+     *
+     * @throws TypeError if the provider has no text completions endpoint
+     */
+    createCompletionInput(body: ApiClientCompletionBody, headers?: Record<string, string>): ApiClientInput;
+
+    /**
+     * Creates the input that lists the available models, read with ApiClientOutput.getModels
+     */
+    createModelsInput(headers?: Record<string, string>): ApiClientInput;
+
+    /**
+     * Creates the input that describes one model, read with ApiClientOutput.getModel
+     */
+    createModelInput(id: string, headers?: Record<string, string>): ApiClientInput;
+
+    /**
+     * Creates an input carrying the provider's headers
+     */
+    createJsonInput(method: string, url: string, jsonObject: Record<string, any> | null, headers?: Record<string, string>): ApiClientInput;
+
+    /**
+     * Returns the URL of one of the provider's endpoints
+     *
+     * @param endpoint - "chat" by default
+     * @throws TypeError if the provider has no such endpoint
+     */
+    getUrl(endpoint?: 'chat' | 'embeddings' | 'completions' | 'models' | string): string;
+
+    /**
+     * Returns the headers the provider's API requires, such as its API key and version headers
+     *
+     * @param stream - Whether the request asks for a streamed reply
+     */
+    getHeaders(stream: boolean): Record<string, string>;
+
+    /**
+     * Converts a request body to the provider's JSON format
+     */
+    toJsonObject(inputBody: ApiClientInputBody): Record<string, any>;
+
+    /**
+     * Converts an embeddings request body to the provider's format
+     */
+    toEmbeddingsObject(body: ApiClientEmbeddingsBody): Record<string, any>;
+
+    /**
+     * Converts a text completions request body to the provider's format
+     */
+    toCompletionObject(body: ApiClientCompletionBody): Record<string, any>;
+
+    /**
+     * Creates a provider from settings, so the provider can be chosen by configuration
+     *
+     * @param value - A provider, a type name, or settings with a type
+     */
+    static from(value: ApiClientProvider | ApiClientProviderConfig | 'openai' | 'ollama' | 'anthropic'): ApiClientProvider;
+
+    /**
+     * Creates a provider for the OpenAI Chat Completions API and servers compatible with it
+     */
+    static openai(options?: ApiClientProviderOptions): ApiClientOpenAiProvider;
+
+    /**
+     * Creates a provider for Ollama's native chat API
+     */
+    static ollama(options?: ApiClientProviderOptions): ApiClientOllamaProvider;
+
+    /**
+     * Creates a provider for the Anthropic Messages API
+     */
+    static anthropic(options?: ApiClientAnthropicProviderOptions): ApiClientAnthropicProvider;
+
+    /**
+     * Joins the text of message content
+     */
+    static getText(content: string | ApiClientContentPart[] | null): string;
+
+    /**
+     * Splits a base64 data URL
+     */
+    static parseDataUrl(url: string): { mimeType: string; base64: string } | null;
+
+    /**
+     * Parses the arguments of a tool call for providers that take them as an object
+     */
+    static parseArguments(value: string | Record<string, any>): Record<string, any>;
+
+    /** Provider classes by the type names ApiClientProvider.from accepts */
+    static TYPES: Record<string, new (options?: any) => ApiClientProvider>;
+}
+
+/**
+ * Sends requests in the OpenAI Chat Completions format
+ * Also suits the many gateways and servers that copy that API; set baseUrl to theirs.
+ */
+export declare class ApiClientOpenAiProvider extends ApiClientProvider {
+    /**
+     * Asks a streamed request to report its token usage, which streams only do when asked to
+     */
+    static requestUsage(result: Record<string, any>): Record<string, any>;
+
+    static BASE_URL: string;
+    /** The endpoints, relative to the base URL */
+    static PATHS: Record<string, string>;
+}
+
+/**
+ * Sends requests to Ollama's native API, such as its /api/chat endpoint
+ * Sampling settings move into options, responseFormat becomes format, and images are sent in the images array.
+ */
+export declare class ApiClientOllamaProvider extends ApiClientProvider {
+    /**
+     * Converts a message to Ollama's format, sending developer messages as system messages
+     */
+    static toMessage(message: ApiClientChatMessage): Record<string, any>;
+
+    /**
+     * Sets the sampling settings in the options object of a request, where Ollama expects them
+     */
+    static moveOptions(result: Record<string, any>, getValue: (field: string) => any): Record<string, any>;
+
+    static BASE_URL: string;
+    /** The endpoints, relative to the base URL */
+    static PATHS: Record<string, string>;
+    /** Input body fields and their names in Ollama's options object */
+    static OPTIONS: Record<string, string>;
+}
+
+/**
+ * Sends requests to the Anthropic Messages API
+ * System messages move to the system field, tool calls and results become tool_use and tool_result blocks, and
+ * max_tokens is always sent.
+ */
+export declare class ApiClientAnthropicProvider extends ApiClientProvider {
+    version: string;
+    maxTokens: number;
+
+    constructor(options?: ApiClientAnthropicProviderOptions);
+
+    /**
+     * Converts messages to the Messages API format, merging consecutive messages of one role
+     */
+    static toMessages(messages: ApiClientChatMessage[]): Array<{ role: 'user' | 'assistant'; content: string | Array<Record<string, any>> }>;
+
+    /**
+     * Converts the content of one message to text or content blocks
+     */
+    static toContent(message: ApiClientChatMessage): string | Array<Record<string, any>>;
+
+    /**
+     * Converts a content part to a content block
+     */
+    static toBlock(part: ApiClientContentPart): Record<string, any>;
+
+    /**
+     * Converts a tool_choice value
+     */
+    static toToolChoice(choice: string | Record<string, any>): Record<string, any>;
+
+    static BASE_URL: string;
+    /** The endpoints, relative to the base URL; the API has no embeddings or text completions */
+    static PATHS: Record<string, string>;
+    /** The default anthropic-version header */
+    static VERSION: string;
+    /** The default max_tokens, sent when the body sets none */
+    static MAX_TOKENS: number;
+}
+
+/**
+ * Callbacks for ApiClient.streamChat
+ */
+export interface ApiClientChatHandlers {
+    onStart?: () => void;
+    onDelta?: (delta: string) => void;
+    onFinish?: (output: ApiClientOutput) => void;
+    onFailure?: (errorOutput: ApiClientOutput) => void;
+}
+
+/**
+ * Options accepted by ApiClientRetryPolicy.create
+ */
+export interface ApiClientRetryOptions {
+    maxAttempts?: number;
+    baseDelay?: number;
+    maxDelay?: number;
+    factor?: number;
+    jitter?: number;
+    retryableStatusCodes?: number[];
+    retryableMethods?: string[];
+    retryOnNetworkError?: boolean;
+    respectRetryAfter?: boolean;
+    maxRetryAfter?: number;
+}
+
+/**
+ * The record of a single attempt, stored on ApiClientOutput.attempts
+ */
+export interface ApiClientAttempt {
+    attempt: number;
+    statusCode: number;
+    error: string | null;
+    /** Delay before the next attempt in milliseconds, 0 if there is none */
+    delay: number;
+}
+
+/**
+ * Decides whether and when a failed request is attempted again
+ * Delays grow exponentially with jitter, unless the server sends a Retry-After header.
+ */
+export declare class ApiClientRetryPolicy {
+    maxAttempts: number;
+    baseDelay: number;
+    maxDelay: number;
+    factor: number;
+    /** Fraction of the delay that is randomised */
+    jitter: number;
+    retryableStatusCodes: number[];
+    retryableMethods: string[];
+    retryOnNetworkError: boolean;
+    respectRetryAfter: boolean;
+    /** Give up rather than wait longer than this for Retry-After */
+    maxRetryAfter: number;
+
+    constructor();
+
+    /**
+     * Creates a policy, overriding the defaults with the given options
+     */
+    static create(options?: ApiClientRetryOptions): ApiClientRetryPolicy;
+
+    /**
+     * Creates a policy that never retries, used to opt a request out of ApiClient.retryPolicy
+     */
+    static none(): ApiClientRetryPolicy;
+
+    /**
+     * Normalises a policy or an options object into a policy
+     */
+    static from(value: ApiClientRetryPolicy | ApiClientRetryOptions | null | undefined): ApiClientRetryPolicy | null;
+
+    /**
+     * Determines if a failed attempt should be retried
+     *
+     * @param input - The input that was sent
+     * @param output - The output of the attempt
+     * @param attempt - The number of the attempt, starting at 1
+     * @return true if another attempt should be made
+     */
+    shouldRetry(input: ApiClientInput, output: ApiClientOutput, attempt: number): boolean;
+
+    /**
+     * Calculates how long to wait before the next attempt, in milliseconds
+     */
+    getDelay(attempt: number, output: ApiClientOutput): number;
+
+    /**
+     * Reads the Retry-After header, which holds either seconds or an HTTP date
+     *
+     * @return The delay it asks for in milliseconds, or null if absent or ignored
+     */
+    getRetryAfter(output: ApiClientOutput): number | null;
+
+    /**
+     * Creates the record of an attempt that is stored on ApiClientOutput.attempts
+     */
+    static createAttempt(attempt: number, output: ApiClientOutput, delay: number): ApiClientAttempt;
+}
+
+/**
+ * Limits applied to one key of an ApiClientRateLimiter
+ */
+export interface ApiClientRateLimit {
+    /** "token-bucket" (default) allows bursts; "sliding-window" allows at most limit requests in any interval */
+    algorithm?: 'token-bucket' | 'sliding-window';
+    /** Requests allowed per interval, 10 by default */
+    limit?: number;
+    /** The interval in milliseconds, 1000 by default */
+    interval?: number;
+}
+
+/**
+ * Settings for new ApiClientRateLimiter()
+ */
+export interface ApiClientRateLimitOptions extends ApiClientRateLimit {
+    /** Maps a request to the key it is limited under, its host by default */
+    key?: (input: ApiClientInput) => string;
+    /** Limits for particular keys */
+    limits?: Record<string, ApiClientRateLimit>;
+    /** Whether to follow the server's rate-limit headers, true by default */
+    adaptive?: boolean;
+}
+
+/**
+ * Events emitted by ApiClientRateLimiter
+ */
+export interface ApiClientRateLimiterEvents {
+    /** The number of waiting requests changed; waitTime estimates when the last one is released, in milliseconds */
+    queue: { key: string; depth: number; totalDepth: number; waitTime: number };
+    /** A queued request was released after waiting this many milliseconds */
+    wait: { key: string; waited: number };
+    /** The server asked for a pause until this time, in milliseconds since the epoch */
+    throttle: { key: string; until: number };
+}
+
+/**
+ * Limits how fast requests are sent, queueing the excess instead of failing it
+ * Also pauses a key when X-RateLimit-Remaining reaches 0 or a 429/503 carries Retry-After.
+ */
+export declare class ApiClientRateLimiter {
+    algorithm: 'token-bucket' | 'sliding-window';
+    limit: number;
+    interval: number;
+    key: (input: ApiClientInput) => string;
+    limits: Record<string, ApiClientRateLimit>;
+    adaptive: boolean;
+
+    constructor(options?: ApiClientRateLimitOptions);
+
+    /**
+     * Normalises a limiter or an options object into a limiter
+     */
+    static from(value: ApiClientRateLimiter | ApiClientRateLimitOptions | null | undefined): ApiClientRateLimiter | null;
+
+    /**
+     * Adds an event listener
+     *
+     * @return Removes the listener
+     */
+    on<K extends keyof ApiClientRateLimiterEvents>(type: K, listener: (event: ApiClientRateLimiterEvents[K]) => void): () => void;
+
+    /**
+     * Waits until a request may be sent
+     *
+     * @param signal - Resolves early, without taking a slot, when aborted
+     * @return true once the request may be sent, false if the signal aborted first
+     */
+    acquire(input: ApiClientInput, signal?: AbortSignal): Promise<boolean>;
+
+    /**
+     * Adapts the limits of a key to the rate-limit headers of a response
+     */
+    update(input: ApiClientInput, output: ApiClientOutput): void;
+
+    /**
+     * Returns the number of requests waiting for a key, or for all keys if omitted
+     */
+    getQueueDepth(key?: string): number;
+
+    /**
+     * Determines if requests are waiting, or a key is paused at the server's request
+     */
+    isThrottled(key?: string): boolean;
+
+    /**
+     * Parses a rate-limit delay: seconds, an epoch timestamp, an HTTP date, or a duration such as "1m30s"
+     *
+     * @return The delay in milliseconds, or null if the value cannot be read
+     */
+    static parseDelay(value: string | null, now: number): number | null;
+
+    /** Headers that report the requests left in the server's quota, in order of preference */
+    static REMAINING_HEADERS: string[];
+    /** Headers that report when the server's quota resets, in order of preference */
+    static RESET_HEADERS: string[];
+}
+
+/**
+ * Per-request cache settings, see ApiClientInput.withCache
+ */
+export interface ApiClientCacheRequestOptions {
+    /** Milliseconds to keep the response when it carries no caching headers */
+    ttl?: number;
+    /** Go to the network even if a fresh response is stored, storing the new one */
+    reload?: boolean;
+}
+
+/**
+ * A stored response
+ */
+export interface ApiClientCacheEntry {
+    url: string;
+    statusCode: number;
+    headers: Record<string, string>;
+    body: any;
+    etag: string | null;
+    lastModified: string | null;
+    /** The request's value for each header named by the response's Vary header, null where it had none */
+    vary?: Record<string, string | null>;
+    /** When the response was stored, in milliseconds since the epoch */
+    stored: number;
+    /** Until when the response is fresh, in milliseconds since the epoch */
+    expires: number;
+}
+
+/**
+ * Where an ApiClientCache or ApiClientOfflineQueue keeps its entries; each method may return a Promise, e.g. for IndexedDB
+ */
+export interface ApiClientCacheStorage<T = ApiClientCacheEntry> {
+    get(key: string): T | undefined | null | Promise<T | undefined | null>;
+    set(key: string, entry: T): void | Promise<void>;
+    delete(key: string): void | Promise<void>;
+    keys(): string[] | Promise<string[]>;
+}
+
+/**
+ * Settings for new ApiClientCache()
+ */
+export interface ApiClientCacheOptions {
+    /** Where entries are kept, an ApiClientMemoryStorage by default */
+    storage?: ApiClientCacheStorage;
+    /** Size of the default in-memory storage, 100 by default */
+    maxEntries?: number;
+    /** Milliseconds to keep responses that carry no caching headers, 0 by default */
+    ttl?: number;
+    /** Whether identical concurrent requests share one fetch, true by default */
+    dedupe?: boolean;
+    /** Whether to also cache requests that carry credentials, false by default, see ApiClientCache.isCredentialed */
+    credentialed?: boolean;
+    /** Maps a request to its cache key, ApiClientCache.createKey by default */
+    key?: (input: ApiClientInput) => string;
+}
+
+/**
+ * Caches GET responses for an ApiClient and collapses identical concurrent requests into one fetch
+ * Freshness follows Cache-Control and Expires; stale entries are revalidated with If-None-Match/If-Modified-Since.
+ * Entries are keyed by the Authorization and Accept headers too, and only answer requests that match them in the
+ * headers named by Vary. Requests with credentials bypass the cache unless it is credentialed.
+ */
+export declare class ApiClientCache {
+    storage: ApiClientCacheStorage;
+    ttl: number;
+    dedupe: boolean;
+    credentialed: boolean;
+    key: (input: ApiClientInput) => string;
+
+    constructor(options?: ApiClientCacheOptions);
+
+    /**
+     * Normalises a cache, an options object or true into a cache
+     */
+    static from(value: ApiClientCache | ApiClientCacheOptions | boolean | null | undefined): ApiClientCache | null;
+
+    /**
+     * Determines if a request goes through the cache
+     *
+     * @param authorized - Whether the client's auth provider adds credentials to the request
+     */
+    accepts(input: ApiClientInput, authorized?: boolean): boolean;
+
+    /**
+     * Creates the default cache key: method, URL, response type, Accept and a hash of the credential headers
+     */
+    static createKey(input: ApiClientInput): string;
+
+    /**
+     * Determines if a request carries credentials of its own, in an Authorization, Proxy-Authorization or Cookie header
+     */
+    static isCredentialed(input: ApiClientInput): boolean;
+
+    /**
+     * Hashes a header value, so that credentials do not appear in stored keys
+     */
+    static hash(text: string): string;
+
+    /**
+     * Lists the request headers a response varies by, in lower case, or null for Vary: *
+     */
+    static getVary(headers: Record<string, string>): string[] | null;
+
+    /**
+     * Collects the values a request has for the headers a response varies by
+     */
+    static getVaryValues(names: string[], input: ApiClientInput): Record<string, string | null>;
+
+    /**
+     * Determines if a stored entry may answer a request, matching it in the headers the response varies by
+     */
+    static matchesVary(entry: ApiClientCacheEntry, input: ApiClientInput): boolean;
+
+    /**
+     * Answers a request from the cache, or from the network through load
+     */
+    fetch(
+        input: ApiClientInput,
+        handle: ApiClientRequestHandle,
+        load: (input: ApiClientInput, handle: ApiClientRequestHandle) => Promise<ApiClientOutput>
+    ): Promise<ApiClientOutput>;
+
+    /**
+     * Removes the entries whose URL starts with a prefix, typically after a mutation
+     *
+     * @return The number of entries removed
+     */
+    invalidate(prefix: string): Promise<number>;
+
+    /**
+     * Removes every entry
+     */
+    clear(): Promise<number>;
+
+    /** Request headers that carry credentials */
+    static CREDENTIAL_HEADERS: string[];
+}
+
+/**
+ * In-memory cache storage that evicts the least recently used entry once full
+ */
+export declare class ApiClientMemoryStorage<T = ApiClientCacheEntry> implements ApiClientCacheStorage<T> {
+    maxEntries: number;
+    constructor(maxEntries?: number);
+    get(key: string): T | undefined;
+    set(key: string, entry: T): void;
+    delete(key: string): void;
+    keys(): string[];
+}
+
+/**
+ * Cache or offline queue storage backed by localStorage or sessionStorage, so entries survive a page reload
+ */
+export declare class ApiClientWebStorage<T = ApiClientCacheEntry> implements ApiClientCacheStorage<T> {
+    storage: Storage;
+    prefix: string;
+    constructor(storage?: Storage, prefix?: string);
+    get(key: string): T | undefined;
+    set(key: string, entry: T): void;
+    delete(key: string): void;
+    keys(): string[];
+}
+
+/**
+ * A request saved by ApiClientInput.toJSON
+ */
+export interface ApiClientSerializedInput {
+    version: 1;
+    method: string;
+    url: string;
+    headers: Record<string, string>;
+    body: string | null;
+    bodyType: 'text' | 'urlencoded';
+    timeout: number | null;
+    responseType: ApiClientResponseType;
+}
+
+/**
+ * A request kept by ApiClientOfflineQueue
+ */
+export interface ApiClientQueueEntry {
+    id: string;
+    /** The idempotency key the request is sent with, null if the queue sends none */
+    idempotencyKey: string | null;
+    input: ApiClientSerializedInput;
+    /** When the request was queued, in milliseconds since the epoch */
+    queuedAt: number;
+    sequence: number;
+    /** Replays answered with a retryable status so far */
+    attempts: number;
+}
+
+/**
+ * Settings for new ApiClientOfflineQueue()
+ */
+export interface ApiClientOfflineQueueOptions {
+    /** Where queued requests are kept, an ApiClientMemoryStorage by default; use an ApiClientWebStorage to survive reloads */
+    storage?: ApiClientCacheStorage<ApiClientQueueEntry>;
+    /** Methods whose requests are queued, POST, PUT, PATCH and DELETE by default */
+    methods?: string[];
+    /** Further limits which inputs are queued; by default every input except chat, embeddings and completion requests */
+    match?: (input: ApiClientInput) => boolean;
+    /** Header carrying the idempotency key, "Idempotency-Key" by default; null to send none */
+    idempotencyHeader?: string | null;
+    /** Replays of a request answered with 408, 429 or 5xx before it is given up, 5 by default */
+    maxAttempts?: number;
+    /** Whether to replay by itself, on the online event and after a request of the client succeeds; true by default */
+    replayOnReconnect?: boolean;
+}
+
+/**
+ * An event of ApiClientOfflineQueue
+ */
+export interface ApiClientQueueEvent {
+    entry: ApiClientQueueEntry;
+    /** null for a failed entry that could not be restored */
+    input: ApiClientInput | null;
+    output: ApiClientOutput;
+}
+
+/**
+ * Events emitted by ApiClientOfflineQueue
+ */
+export interface ApiClientOfflineQueueEvents {
+    /** A request was saved for later; output is the failure that queued it */
+    queued: ApiClientQueueEvent;
+    /** A queued request was sent successfully */
+    replayed: ApiClientQueueEvent;
+    /** A queued request was given up; output is the server's last answer, or the error of an entry that could not be restored */
+    failed: ApiClientQueueEvent;
+}
+
+/**
+ * The result of ApiClientOfflineQueue.replay
+ */
+export interface ApiClientReplayResult {
+    replayed: number;
+    failed: number;
+    /** Requests still queued */
+    remaining: number;
+}
+
+/**
+ * Keeps writes that could not be sent because the device is offline, and sends them again once it is back
+ * Queued requests are replayed one at a time, oldest first, each with the idempotency key of its first attempt.
+ */
+export declare class ApiClientOfflineQueue {
+    storage: ApiClientCacheStorage<ApiClientQueueEntry>;
+    methods: string[];
+    match: (input: ApiClientInput) => boolean;
+    idempotencyHeader: string | null;
+    maxAttempts: number;
+    replayOnReconnect: boolean;
+    client: ApiClient | null;
+    /** Whether requests may be waiting */
+    pending: boolean;
+    /** The replay in progress, if any */
+    replaying: Promise<ApiClientReplayResult> | null;
+
+    constructor(options?: ApiClientOfflineQueueOptions);
+
+    /**
+     * Normalises a queue, an options object or true into a queue
+     */
+    static from(value: ApiClientOfflineQueue | ApiClientOfflineQueueOptions | boolean | null | undefined): ApiClientOfflineQueue | null;
+
+    /**
+     * Adds an event listener
+     *
+     * @return Removes the listener
+     */
+    on<K extends keyof ApiClientOfflineQueueEvents>(type: K, listener: (event: ApiClientOfflineQueueEvents[K]) => void): () => void;
+
+    /**
+     * Connects the queue to the client that replays its requests, listening for the online event where there is one
+     */
+    attach(client: ApiClient): void;
+
+    /**
+     * Stops listening for the online event
+     */
+    detach(): void;
+
+    /**
+     * Determines if a request is queued when it cannot be sent
+     */
+    accepts(input: ApiClientInput): boolean;
+
+    /**
+     * Gives a request an idempotency key, unless it already has one
+     *
+     * @return The input to send, a copy when a key was added
+     */
+    addIdempotencyKey(input: ApiClientInput): ApiClientInput;
+
+    /**
+     * Determines if the runtime reports being offline
+     */
+    isOffline(): boolean;
+
+    /**
+     * Determines if requests are still queued, so that a new request must wait behind them to keep their order
+     * With replayOnReconnect the queued requests are replayed first.
+     */
+    hasPending(): Promise<boolean>;
+
+    /**
+     * Determines if a failed send means the request should wait for the connection
+     */
+    shouldQueue(output: ApiClientOutput): boolean;
+
+    /**
+     * Saves a request for replay and marks its output as queued
+     */
+    enqueue(input: ApiClientInput, output: ApiClientOutput): Promise<ApiClientOutput>;
+
+    /**
+     * Lists the queued requests, oldest first
+     */
+    getEntries(): Promise<ApiClientQueueEntry[]>;
+
+    /**
+     * Removes every queued request without sending it
+     */
+    clear(): Promise<void>;
+
+    /**
+     * Sends the queued requests, one at a time and oldest first; calls made while a replay runs share it
+     */
+    replay(): Promise<ApiClientReplayResult>;
+
+    /**
+     * Starts a replay in the background when requests may be waiting, ignoring its failures
+     */
+    resume(): void;
+}
+
+/**
+ * Supplies credentials for the requests of an ApiClient
+ * Providers implement authorize(), and refresh() if their credentials can be renewed after a 401.
+ */
+export declare class ApiClientAuth {
+    /**
+     * Adds credentials to the headers of a request
+     *
+     * @param headers - The headers to send, modified in place
+     * @param input - The prepared input
+     * @return The credential used, passed back to refresh() if the request gets a 401
+     */
+    authorize(headers: Record<string, string>, input: ApiClientInput): Promise<any>;
+
+    /**
+     * Renews the credentials after a 401
+     *
+     * @param credential - The credential the failed request was sent with
+     * @return true if the request should be replayed with new credentials
+     */
+    refresh(credential: any): Promise<boolean>;
+
+    /**
+     * Creates a bearer token provider
+     */
+    static bearer(options: ApiClientBearerAuthOptions): ApiClientBearerAuth;
+
+    /**
+     * Creates an API key provider
+     *
+     * @param key - The API key
+     * @param headerName - The header that carries the key, X-API-Key by default
+     */
+    static apiKey(key: string, headerName?: string): ApiClientApiKeyAuth;
+
+    /**
+     * Creates an HTTP basic auth provider
+     */
+    static basic(username: string, password: string): ApiClientBasicAuth;
+}
+
+/**
+ * Settings for ApiClientAuth.bearer
+ */
+export interface ApiClientBearerAuthOptions {
+    /** The initial token */
+    token?: string;
+    /** Returns the initial token when token is not given */
+    getToken?: () => string | Promise<string>;
+    /** Returns a new token after a 401 */
+    refresh?: () => string | Promise<string>;
+}
+
+/**
+ * Sends "Authorization: Bearer <token>" and refreshes the token on a 401
+ * Concurrent requests that fail with the same token share one refresh.
+ */
+export declare class ApiClientBearerAuth extends ApiClientAuth {
+    token: string | null;
+    constructor(options: ApiClientBearerAuthOptions);
+}
+
+/**
+ * Sends an API key in a header
+ */
+export declare class ApiClientApiKeyAuth extends ApiClientAuth {
+    key: string;
+    headerName: string;
+    constructor(key: string, headerName?: string);
+}
+
+/**
+ * Sends HTTP basic auth credentials
+ */
+export declare class ApiClientBasicAuth extends ApiClientAuth {
+    username: string;
+    password: string;
+    constructor(username: string, password: string);
+}
+
+/**
+ * Controls an in-flight request started by ApiClient
+ * Cancelling aborts the fetch and cancels the response body reader, so the connection stops downloading.
+ */
+export declare class ApiClientRequestHandle {
+    readonly signal: AbortSignal;
+    reason: 'abort' | 'timeout' | null;
+    timeout: number | null;
+    /** The monitor of the request, set by the client once it starts */
+    monitor: ApiClientRequestMonitor | null;
+    /** The offline queue entry being replayed, which is not queued again */
+    queueEntry: ApiClientQueueEntry | null;
+
+    /**
+     * @param input - The input whose signal and timeout the handle follows
+     */
+    constructor(input: ApiClientInput | null);
+
+    /**
+     * Aborts this handle when the given signal aborts
+     */
+    follow(signal: AbortSignal | null | undefined): this;
+
+    /**
+     * Cancels the request; the request's onFailure receives an output where isAborted() is true
+     */
+    cancel(): void;
+
+    /**
+     * Determines if the request has been cancelled or timed out
+     */
+    isCancelled(): boolean;
+
+    /**
+     * Aborts the fetch and cancels the reader, if one is attached
+     */
+    abort(reason: 'abort' | 'timeout'): void;
+
+    /**
+     * Starts the timeout again, called as stream chunks arrive
+     */
+    restartTimeout(): void;
+
+    /**
+     * Stops the timeout while the caller processes a chunk, until restartTimeout() is called
+     */
+    pauseTimeout(): void;
+
+    /**
+     * Waits for the given delay, resolving early if the handle is aborted
+     */
+    sleep(delay: number): Promise<void>;
+
+    /**
+     * Stops the timeout and detaches from followed signals once the request is over
+     */
+    dispose(): void;
+
+    /**
+     * Creates the failure output for an aborted request
+     */
+    createOutput(): ApiClientOutput;
+
+    /**
+     * Cancels a reader, ignoring errors from a stream that has already failed
+     */
+    static cancelReader(reader: ReadableStreamDefaultReader | null): void;
+}
+
+/**
+ * Timing metrics of a request, in milliseconds from its start; those that do not apply are null
+ */
+export interface ApiClientTiming {
+    /** When the request started, in milliseconds since the epoch */
+    startedAt: number;
+    duration: number;
+    /** Until the response headers of the last attempt arrived */
+    timeToFirstByte: number | null;
+    /** Streams only */
+    timeToFirstChunk: number | null;
+    /** Streams only: the number of chunks received */
+    chunks: number | null;
+    /** Streams only: the bytes received */
+    bytes: number | null;
+    /** Streams only: bytes per second from the response headers to the end */
+    bytesPerSecond: number | null;
+    /** ApiClient.streamChat only */
+    timeToFirstToken: number | null;
+    /** ApiClient.streamChat only: completion tokens per second after the first, estimated if the server reports no usage */
+    tokensPerSecond: number | null;
+}
+
+/**
+ * Fields carried by every ApiClient lifecycle event
+ */
+export interface ApiClientEvent {
+    type: keyof ApiClientEvents;
+    /** The same for every event of one request */
+    requestId: string;
+    /** Set from the first attempt on when the client traces requests */
+    traceId: string | null;
+    input: ApiClientInput;
+    /** When the event happened, in milliseconds since the epoch */
+    time: number;
+    /** Milliseconds since the request started */
+    elapsed: number;
+}
+
+/**
+ * Lifecycle events emitted by ApiClient, see ApiClient.on()
+ */
+export interface ApiClientEvents {
+    /** The request was made, before middleware runs */
+    start: ApiClientEvent;
+    /** An attempt's response headers arrived */
+    response: ApiClientEvent & { attempt: number; statusCode: number; headers: Record<string, string> };
+    /** The first chunk of a streamed body arrived */
+    firstChunk: ApiClientEvent & { bytes: number };
+    /** An attempt is repeated: by the retry policy, after refreshed credentials, or after a dropped SSE connection */
+    retry: ApiClientEvent & { attempt: number; delay: number; reason: 'retry' | 'auth' | 'reconnect'; output: ApiClientOutput | null };
+    /** The request succeeded */
+    finish: ApiClientEvent & { output: ApiClientOutput; timing: ApiClientTiming };
+    /** The request failed, was cancelled or answered with an error status */
+    failure: ApiClientEvent & { output: ApiClientOutput; timing: ApiClientTiming };
+}
+
+/**
+ * Follows one request of an ApiClient from start to finish
+ * It emits the client's lifecycle events, measures the request's timing and adds W3C traceparent headers.
+ */
+export declare class ApiClientRequestMonitor {
+    client: ApiClient;
+    input: ApiClientInput;
+    streaming: boolean;
+    requestId: string;
+    trace: { traceId: string; flags: string } | null;
+    startedAt: number;
+    chunks: number;
+    bytes: number;
+
+    /**
+     * @param input - The request as given by the caller, replaced by the prepared input once known
+     * @param streaming - Whether the body is read as a stream, which adds chunk metrics
+     */
+    constructor(client: ApiClient, input: ApiClientInput, streaming: boolean);
+
+    /**
+     * Emits an event to the client's listeners, with the fields every lifecycle event carries
+     */
+    emit(type: keyof ApiClientEvents, details?: object): void;
+
+    /**
+     * Adds the traceparent header for an attempt, when the client traces requests
+     */
+    addTraceparent(headers: Record<string, string>): Record<string, string>;
+
+    /**
+     * Records the arrival of an attempt's response headers and emits "response"
+     */
+    markResponse(response: Response, attempt: number): void;
+
+    /**
+     * Counts a received stream chunk, emitting "firstChunk" for the first
+     */
+    markChunk(bytes: number): void;
+
+    /**
+     * Records the arrival of the first token of a chat reply; later calls are ignored
+     */
+    markToken(): void;
+
+    /**
+     * Emits "retry" before an attempt is repeated
+     */
+    markRetry(attempt: number, output: ApiClientOutput | null, delay: number, reason: 'retry' | 'auth' | 'reconnect'): void;
+
+    /**
+     * Stops the clock and sets requestId, traceId and timing on the output
+     */
+    complete(output: ApiClientOutput): ApiClientOutput;
+
+    /**
+     * Adds the chat metrics to a completed output: time to the first token and tokens per second after it
+     */
+    addTokenTiming(output: ApiClientOutput): ApiClientOutput;
+
+    /**
+     * Emits "finish" for a successful output and "failure" for any other, once the request is over
+     */
+    report(output: ApiClientOutput): void;
+
+    /**
+     * Builds the timing metrics of the request
+     */
+    getTiming(): ApiClientTiming;
+
+    /**
+     * Measures the time from the start of the request, in milliseconds
+     */
+    getElapsed(time: number): number;
+
+    /**
+     * Reads a high-resolution clock where available, the wall clock otherwise
+     */
+    static now(): number;
+
+    /**
+     * Rounds a metric to one decimal place
+     */
+    static round(value: number): number;
+
+    /**
+     * Creates a request ID, a random UUID
+     */
+    static createId(): string;
+
+    /**
+     * Creates random bytes as lowercase hex
+     */
+    static randomHex(bytes: number): string;
+
+    /**
+     * Reads the trace ID and flags of a W3C traceparent header
+     *
+     * @return null if the value is missing or malformed
+     */
+    static parseTraceparent(value: string | null | undefined): { traceId: string; flags: string } | null;
+}
+
+/**
+ * Settings for ApiClient.batchSendParallel
+ */
+export interface ApiClientBatchOptions {
+    /** Aborts every request in the batch */
+    signal?: AbortSignal;
+    /** Maximum number of requests in flight at once, unlimited by default */
+    maxConcurrency?: number;
+    /** Maximum number of requests in flight to the same host, unlimited by default */
+    maxPerHost?: number;
+    /** Abort in-flight and pending requests once any request fails */
+    failFast?: boolean;
+}
+
+/**
+ * Settings for ApiClient.sendEmbeddings
+ */
+export interface ApiClientEmbeddingsBatchOptions {
+    /** Texts per request, ApiClient.embeddingBatchSize by default */
+    batchSize?: number;
+    /** Maximum number of batches in flight at once, 4 by default */
+    maxConcurrency?: number;
+    /** Aborts every batch */
+    signal?: AbortSignal;
+}
+
+/**
+ * Running counts passed to the batch onUnit callback
+ */
+export interface ApiClientBatchProgress {
+    completed: number;
+    successful: number;
+    failed: number;
+    total: number;
+}
+
+/**
+ * Middleware for an ApiClient instance; both hooks are optional and may be async
+ */
+export interface ApiClientMiddleware {
+    /** Runs in order before sending; may modify the input or return a replacement */
+    onRequest?: (input: ApiClientInput) => ApiClientInput | void | Promise<ApiClientInput | void>;
+    /** Runs in reverse order afterwards; may modify the output or return a replacement */
+    onResponse?: (output: ApiClientOutput, input: ApiClientInput) => ApiClientOutput | void | Promise<ApiClientOutput | void>;
+}
+
+/**
+ * Settings for new ApiClient()
+ */
+export interface ApiClientOptions {
+    /** Prefix for input URLs that are not absolute */
+    baseUrl?: string;
+    /** Headers sent with every request; the input's own headers win */
+    defaultHeaders?: Record<string, string>;
+    /** Retry policy for inputs without their own */
+    retryPolicy?: ApiClientRetryPolicy | ApiClientRetryOptions | null;
+    /** Middleware, in order */
+    middleware?: ApiClientMiddleware[];
+    /** Auth provider that supplies credentials for each request */
+    auth?: ApiClientAuth | null;
+    /** Limiter, or its options, that every request waits on */
+    rateLimiter?: ApiClientRateLimiter | ApiClientRateLimitOptions | null;
+    /** Cache, or its options, for GET requests made with send */
+    cache?: ApiClientCache | ApiClientCacheOptions | boolean | null;
+    /** Queue, or its options, that keeps writes made with send while offline */
+    offlineQueue?: ApiClientOfflineQueue | ApiClientOfflineQueueOptions | boolean | null;
+    /** Sends the requests, the global fetch by default */
+    transport?: ApiClientTransport | ApiClientFetch | null;
+    /**
+     * Adds a W3C traceparent header to every request: true starts a trace per request, a function names the
+     * parent span, such as the app tracer's active span
+     */
+    tracing?: boolean | ((input: ApiClientInput) => string | null | undefined) | null;
+}
+
+/**
+ * How ApiClient.paginate finds the next page
+ */
+export interface ApiClientPaginationStrategy {
+    /** "link" follows Link rel="next" (default); "cursor", "page" and "offset" set a query parameter */
+    type?: 'link' | 'cursor' | 'page' | 'offset';
+    /** Dot path to the items array in the JSON body, or a function; the body itself if it is an array */
+    itemsPath?: string | ((body: any, output: ApiClientOutput) => any[]);
+    /** For "cursor": dot path to the next cursor, "next_cursor" by default, or a function */
+    cursorPath?: string | ((body: any, output: ApiClientOutput) => any);
+    /** For "cursor": the query parameter the cursor is sent in, "cursor" by default */
+    cursorParam?: string;
+    /** For "page": the page number query parameter, "page" by default */
+    pageParam?: string;
+    /** For "page": the number of the first page, 1 by default */
+    startPage?: number;
+    /** For "offset": the offset query parameter, "offset" by default */
+    offsetParam?: string;
+    /** For "page" and "offset": a page size query parameter to send */
+    limitParam?: string;
+    /** The page size; a shorter page is taken as the last */
+    limit?: number;
+    /** Stop after this many pages, 100 by default */
+    maxPages?: number;
+    /** Yield each item instead of each page */
+    items?: boolean;
+}
+
+/**
+ * Settings for ApiClient.stream, streamIterator and streamReadable
+ */
+export interface ApiClientStreamOptions {
+    /** Whether to keep the full text as the final output's body; true for stream, false for the others */
+    buffer?: boolean;
+}
+
+/**
+ * The async iterable returned by ApiClient.streamIterator
+ */
+export interface ApiClientStreamIterator extends AsyncGenerator<string, void, undefined> {
+    /** Controls the request */
+    handle: ApiClientRequestHandle;
+    /** The final output once the stream has ended, failed or been left early, null until then */
+    output: ApiClientOutput | null;
+}
+
+/**
+ * The stream returned by ApiClient.streamReadable
+ */
+export interface ApiClientReadableStream extends ReadableStream<string> {
+    /** Controls the request */
+    handle: ApiClientRequestHandle;
+}
+
+/**
+ * A fetch-like function
+ */
+export type ApiClientFetch = (url: string, options: RequestInit) => Promise<Response>;
+
+/**
+ * Describes a canned response, see ApiClientTransport.createResponse
+ */
+export interface ApiClientResponseSpec {
+    status?: number;
+    statusText?: string;
+    headers?: Record<string, string>;
+    /** The whole body; plain objects and arrays are sent as JSON */
+    body?: any;
+    /** The body as chunks that arrive one by one, each a string, bytes, or {data, delay} */
+    chunks?: Array<string | Uint8Array | { data: string | Uint8Array; delay?: number }>;
+    /** Delay before chunks that do not set their own, in milliseconds */
+    interval?: number;
+    /** Delay before the response arrives, in milliseconds */
+    delay?: number;
+    /** Without chunks the request fails as a network error would; with chunks the stream breaks after the last one */
+    error?: string;
+}
+
+/**
+ * A request as seen by ApiClientMockTransport
+ */
+export interface ApiClientMockRequest {
+    method: string;
+    url: string;
+    /** Keyed by lower-case name */
+    headers: Record<string, string>;
+    body: string | null;
+}
+
+/**
+ * Which requests an ApiClientMockTransport route answers
+ * A URL without a scheme matches the path and query. An object body matches JSON bodies that contain it.
+ */
+export type ApiClientMockMatcher = string | RegExp | ((request: ApiClientMockRequest) => boolean) | {
+    method?: string;
+    url?: string | RegExp;
+    headers?: Record<string, string>;
+    body?: string | null | object | ((text: string | null) => boolean);
+};
+
+/**
+ * The response of an ApiClientMockTransport route
+ */
+export type ApiClientMockReply = ApiClientResponseSpec | ApiClientOutput
+    | ((request: ApiClientMockRequest) => ApiClientResponseSpec | ApiClientOutput | Promise<ApiClientResponseSpec | ApiClientOutput>);
+
+/**
+ * A request and its response as recorded by ApiClientRecordingTransport
+ */
+export interface ApiClientRecordedEntry {
+    started: string;
+    /** Milliseconds until the response headers arrived */
+    time: number;
+    request: { method: string; url: string; headers: Record<string, string>; body: string | null };
+    response: {
+        status: number;
+        statusText: string;
+        headers: Record<string, string>;
+        /** Text, or base64 when encoding is set */
+        body: string | null;
+        encoding?: 'base64';
+        size?: number;
+        /** Text chunks with the delay before each, for streamed bodies */
+        chunks?: Array<{ data: string; delay: number }>;
+        /** Set when the body broke off */
+        error?: string;
+    } | null;
+    /** Set when the request failed without a response */
+    error?: string;
+}
+
+/**
+ * Sends the requests of an ApiClient; the default calls the global fetch
+ */
+export declare class ApiClientTransport {
+    /**
+     * Sends a request
+     */
+    fetch(url: string, options: RequestInit): Promise<Response>;
+
+    /**
+     * Normalises a transport or a fetch-like function into a transport
+     */
+    static from(value: ApiClientTransport | ApiClientFetch | null | undefined): ApiClientTransport;
+
+    /**
+     * Creates a Response from a description, used to answer requests without a network
+     *
+     * @param signal - Breaks off the chunks when aborted
+     */
+    static createResponse(spec: ApiClientResponseSpec | ApiClientOutput, signal?: AbortSignal | null): Response;
+}
+
+/**
+ * Answers requests from canned responses, for testing code built on ApiClient without a server
+ * A request without a matching route fails as a network error, or goes to the fallback transport.
+ */
+export declare class ApiClientMockTransport extends ApiClientTransport {
+    /** Every request received, in order */
+    requests: ApiClientMockRequest[];
+    fallback: ApiClientTransport | null;
+
+    constructor(options?: { fallback?: ApiClientTransport });
+
+    /**
+     * Adds a route, matched in the order added
+     *
+     * @param times - How many requests the route answers, unlimited by default
+     */
+    on(matcher: ApiClientMockMatcher, reply: ApiClientMockReply, times?: number): this;
+
+    /**
+     * Adds a route that answers a single request
+     */
+    once(matcher: ApiClientMockMatcher, reply: ApiClientMockReply): this;
+
+    /**
+     * Removes all routes and recorded requests
+     */
+    reset(): this;
+
+    /**
+     * Splits text into chunks of UTF-8 bytes, for scripting streams that break characters and records apart
+     *
+     * @param sizes - A chunk size in bytes, or the size of each chunk in turn
+     */
+    static split(text: string, sizes: number | number[]): Uint8Array[];
+
+    /**
+     * Creates a mock that replays a recording, answering each request with the responses recorded for it in order
+     *
+     * @param recording - ApiClientRecordingTransport.toJSON() or toHar() output, or its JSON text
+     */
+    static fromRecording(
+        recording: { version: number; entries: ApiClientRecordedEntry[] } | { log: any } | string,
+        options?: { delays?: boolean; fallback?: ApiClientTransport }
+    ): ApiClientMockTransport;
+}
+
+/**
+ * Passes requests on to another transport and records them with their responses, to replay offline later
+ */
+export declare class ApiClientRecordingTransport extends ApiClientTransport {
+    transport: ApiClientTransport;
+    entries: ApiClientRecordedEntry[];
+
+    /**
+     * @param transport - The transport that sends the requests, the global fetch by default
+     */
+    constructor(transport?: ApiClientTransport | ApiClientFetch | null, options?: { redact?: string[] });
+
+    /**
+     * Waits until the bodies still being read have been recorded
+     */
+    flush(): Promise<void>;
+
+    /**
+     * Returns the recording in this library's fixture format
+     */
+    toJSON(): { version: number; entries: ApiClientRecordedEntry[] };
+
+    /**
+     * Returns the recording as a HAR 1.2 log
+     */
+    toHar(): { log: any };
+
+    /** Headers whose values are replaced by default, since they carry credentials */
+    static REDACTED_HEADERS: string[];
+}
+
+/**
+ * A utility class for making HTTP requests
+ * Instances carry their own settings; the static methods use a shared default instance.
+ */
+export declare class ApiClient {
+    baseUrl: string;
+    defaultHeaders: Record<string, string>;
+    retryPolicy: ApiClientRetryPolicy | ApiClientRetryOptions | null;
+    middleware: ApiClientMiddleware[];
+    auth: ApiClientAuth | null;
+    rateLimiter: ApiClientRateLimiter | null;
+    cache: ApiClientCache | null;
+    offlineQueue: ApiClientOfflineQueue | null;
+    transport: ApiClientTransport;
+    tracing: true | ((input: ApiClientInput) => string | null | undefined) | null;
+
+    /**
+     * Creates a client with its own base URL, default headers, retry policy and middleware
+     *
+     * @param options - Client settings
+     */
+    constructor(options?: ApiClientOptions);
+
+    /**
+     * Default number of texts per request for sendEmbeddings
+     */
+    static embeddingBatchSize: number;
+
+    /**
+     * Strategy types understood by paginate
+     */
+    static PAGINATION_TYPES: string[];
+
+    /**
+     * Retry policy of the default client, used for inputs without their own; null disables retries
+     */
+    static retryPolicy: ApiClientRetryPolicy | ApiClientRetryOptions | null;
+
+    /**
+     * Rate limiter of the default client; null sends requests as soon as they are made
+     */
+    static rateLimiter: ApiClientRateLimiter | ApiClientRateLimitOptions | null;
+
+    /**
+     * Response cache of the default client; null sends every request to the network
+     */
+    static cache: ApiClientCache | ApiClientCacheOptions | boolean | null;
+
+    /**
+     * Offline queue of the default client; null lets writes fail while offline
+     */
+    static offlineQueue: ApiClientOfflineQueue | ApiClientOfflineQueueOptions | boolean | null;
+
+    /**
+     * Returns the client used by the static methods, creating it on first use
+     */
+    static getDefault(): ApiClient;
+
+    /**
+     * Replaces the client used by the static methods
+     */
+    static setDefault(client: ApiClient): void;
+
+    /**
+     * Adds a lifecycle event listener to the default client
+     *
+     * @return Removes the listener
+     */
+    static on<K extends keyof ApiClientEvents>(type: K, listener: (event: ApiClientEvents[K]) => void): () => void;
+
+    /**
+     * Performs an HTTP request with the default client
+     */
+    static send(input: ApiClientInput): Promise<ApiClientOutput>;
+
+    /**
+     * Performs an HTTP request with the default client, cancellable through the given handle
+     */
+    static sendWithHandle(input: ApiClientInput, handle: ApiClientRequestHandle): Promise<ApiClientOutput>;
+
+    /**
+     * Performs a streaming HTTP request with the default client
+     */
+    static stream(
+        input: ApiClientInput,
+        onStart: () => void,
+        onChunk: (chunk: string) => void,
+        onFinish: (output: ApiClientOutput) => void,
+        onFailure: (errorOutput: ApiClientOutput) => void,
+        options?: ApiClientStreamOptions
+    ): ApiClientRequestHandle;
+
+    /**
+     * Performs a streaming HTTP request with the default client, as an async iterable of text chunks
+     */
+    static streamIterator(input: ApiClientInput, options?: ApiClientStreamOptions): ApiClientStreamIterator;
+
+    /**
+     * Performs a streaming HTTP request with the default client, as a ReadableStream of text chunks
+     */
+    static streamReadable(input: ApiClientInput, options?: ApiClientStreamOptions): ApiClientReadableStream;
+
+    /**
+     * Performs a Server-Sent Events request with the default client
+     */
+    static streamSse(input: ApiClientInput, handlers: ApiClientSseHandlers, options?: ApiClientSseOptions): ApiClientRequestHandle;
+
+    /**
+     * Performs a streaming chat request with the default client
+     */
+    static streamChat(input: ApiClientInput, handlers: ApiClientChatHandlers): ApiClientRequestHandle;
+
+    /**
+     * Performs an embeddings request with the default client
+     */
+    static sendEmbeddings(input: ApiClientInput, options?: ApiClientEmbeddingsBatchOptions): Promise<ApiClientOutput>;
+
+    /**
+     * Executes multiple requests in parallel with the default client
+     */
+    static batchSendParallel(
+        inputs: ApiClientInput[],
+        onStart: () => void,
+        onUnit: (output: ApiClientOutput, index: number, progress: ApiClientBatchProgress) => void,
+        onFinished: (batchOutput: ApiClientOutput) => void,
+        onFailure: (errorOutput: ApiClientOutput) => void,
+        options?: ApiClientBatchOptions
+    ): Promise<ApiClientOutput[]>;
+
+    /**
+     * Iterates over the pages of a paged endpoint with the default client
+     */
+    static paginate(input: ApiClientInput, strategy?: ApiClientPaginationStrategy): AsyncGenerator<any, void, undefined>;
+
+    /**
+     * Adds middleware to the end of the chain
+     *
+     * @param middleware - The middleware to add
+     * @return This client, for chaining
+     */
+    use(middleware: ApiClientMiddleware): this;
+
+    /**
+     * Adds a lifecycle event listener, called for every send, stream and batch request of this client
+     *
+     * @return Removes the listener
+     */
+    on<K extends keyof ApiClientEvents>(type: K, listener: (event: ApiClientEvents[K]) => void): () => void;
+
+    /**
+     * Calls the listeners of an event, ignoring their errors
+     */
+    emit<K extends keyof ApiClientEvents>(type: K, event: ApiClientEvents[K]): void;
+
+    /**
+     * Resolves a URL against the client's base URL
+     */
+    resolveUrl(url: string): string;
+
+    /**
+     * Builds the input that is actually sent: a copy with the base URL and default headers applied,
+     * passed through each middleware's onRequest
+     */
+    prepare(input: ApiClientInput): Promise<ApiClientInput>;
+
+    /**
+     * Passes an output through each middleware's onResponse, last middleware first
+     */
+    finalize(output: ApiClientOutput, input: ApiClientInput): Promise<ApiClientOutput>;
+
+    /**
+     * Performs an HTTP request
+     *
+     * @param input - The input parameters for the request
+     * @return A Promise that resolves to the output response
+     */
+    send(input: ApiClientInput): Promise<ApiClientOutput>;
+
+    /**
+     * Performs an HTTP request that can be cancelled through the given handle
+     *
+     * @param input - The input parameters for the request
+     * @param handle - The handle controlling the request
+     * @return A Promise that resolves to the output response
+     */
+    sendWithHandle(input: ApiClientInput, handle: ApiClientRequestHandle): Promise<ApiClientOutput>;
+
+    /**
+     * Performs a streaming HTTP request
+     *
+     * @param input - The input parameters for the request
+     * @param onStart - Callback that runs before first chunk is received
+     * @param onChunk - Callback that runs for each chunk of data
+     * @param onFinish - Callback that runs when all data is received, returns ApiClientOutput
+     * @param onFailure - Callback that runs if an error occurs, returns ApiClientOutput with error
+     * @param options - Stream settings; buffer: false leaves the final output's body null for very long streams
+     * @return A handle whose cancel() stops the stream
+     */
+    stream(
+        input: ApiClientInput,
+        onStart: () => void,
+        onChunk: (chunk: string) => void,
+        onFinish: (output: ApiClientOutput) => void,
+        onFailure: (errorOutput: ApiClientOutput) => void,
+        options?: ApiClientStreamOptions
+    ): ApiClientRequestHandle;
+
+    /**
+     * Performs a streaming HTTP request as an async iterable of decoded text chunks, for use with for await
+     * Leaving the loop early cancels the request; a failure is thrown as the ApiClientError of its output.
+     * Chunks are read only as the loop asks for them, and the timeout is paused while the loop body runs.
+     *
+     * @param options - Stream settings; buffer: true keeps the full text as the final output's body
+     */
+    streamIterator(input: ApiClientInput, options?: ApiClientStreamOptions): ApiClientStreamIterator;
+
+    /**
+     * Performs a streaming HTTP request as a ReadableStream of decoded text chunks, read with backpressure
+     * Cancelling the stream cancels the request; a failure errors the stream with the ApiClientError of its output.
+     */
+    streamReadable(input: ApiClientInput, options?: ApiClientStreamOptions): ApiClientReadableStream;
+
+    /**
+     * Creates a TransformStream that splits text into non-blank lines, for newline-delimited formats such as NDJSON
+     */
+    static createLineTransform(): TransformStream<string, string>;
+
+    /**
+     * Performs a streaming request over fetch and parses the response as Server-Sent Events
+     *
+     * @param input - The input parameters for the request
+     * @param handlers - Callbacks for the stream
+     * @param options - Reconnection settings
+     * @return A handle whose cancel() stops the stream, including pending reconnects
+     */
+    streamSse(input: ApiClientInput, handlers: ApiClientSseHandlers, options?: ApiClientSseOptions): ApiClientRequestHandle;
+
+    /**
+     * Performs a streaming chat request and assembles the reply
+     *
+     * @param input - The input parameters for the request, usually from ApiClientInput.chat
+     * @param handlers - Callbacks for the stream; onFinish receives an output with message, finishReason, model and usage set
+     */
+    streamChat(input: ApiClientInput, handlers: ApiClientChatHandlers): ApiClientRequestHandle;
+
+    /**
+     * Performs an embeddings request, splitting a long input array into batches
+     * The batches are sent in parallel and their vectors put back together in input order. If any batch fails, the
+     * rest are cancelled and the failed batch's output is returned.
+     *
+     * @param input - An input made by ApiClientInput.embeddings
+     * @param options - Batch settings
+     * @return The output, with embeddings (one vector per text, in order) and usage (summed over the batches) set
+     */
+    sendEmbeddings(input: ApiClientInput, options?: ApiClientEmbeddingsBatchOptions): Promise<ApiClientOutput>;
+
+    /**
+     * Execute multiple requests in parallel
+     *
+     * @param inputs - List of request inputs
+     * @param onStart - Called before the batch begins processing
+     * @param onUnit - Called for each completed request with ApiClientOutput (success or error), the input's index and progress counts
+     * @param onFinished - Called when all requests are complete with a summary ApiClientOutput
+     * @param onFailure - Called if there's a failure in the batch process, returns ApiClientOutput with error
+     * @param options - Batch settings
+     * @return A Promise that resolves to an array of outputs, in input order
+     */
+    batchSendParallel(
+        inputs: ApiClientInput[],
+        onStart: () => void,
+        onUnit: (output: ApiClientOutput, index: number, progress: ApiClientBatchProgress) => void,
+        onFinished: (batchOutput: ApiClientOutput) => void,
+        onFailure: (errorOutput: ApiClientOutput) => void,
+        options?: ApiClientBatchOptions
+    ): Promise<ApiClientOutput[]>;
+
+    /**
+     * Sends the inputs of a batch, respecting its concurrency limits and fail-fast setting
+     *
+     * @return A Promise that resolves to the outputs, in input order
+     */
+    runBatch(
+        inputs: ApiClientInput[],
+        options: ApiClientBatchOptions,
+        onUnit: (output: ApiClientOutput, index: number, progress: ApiClientBatchProgress) => void
+    ): Promise<ApiClientOutput[]>;
+
+    /**
+     * Sends a prepared input, applying auth and making further attempts as its retry policy allows
+     * A 401 response is replayed once after the auth provider refreshes its credentials.
+     *
+     * @param streaming - true to hand back a successful response unread, for streaming its body
+     * @return Either {response} when streaming succeeded, or {output} with the ApiClientOutput to report
+     */
+    execute(
+        input: ApiClientInput,
+        headers: Record<string, string>,
+        handle: ApiClientRequestHandle,
+        streaming: boolean
+    ): Promise<{ response?: Response; output?: ApiClientOutput }>;
+
+    /**
+     * Applies the client's auth provider to a copy of the headers
+     *
+     * @return The headers to send, and the credential the provider used
+     */
+    authorize(headers: Record<string, string>, input: ApiClientInput): Promise<{ headers: Record<string, string>; credential: any }>;
+
+    /**
+     * Opens the response for a stream, retrying failures that happen before the body starts
+     *
+     * @return Either {response} with a readable body, or {failure} with the ApiClientOutput to report
+     */
+    openStream(
+        input: ApiClientInput,
+        headers: Record<string, string>,
+        handle: ApiClientRequestHandle
+    ): Promise<{ response?: Response; failure?: ApiClientOutput }>;
+
+    /**
+     * Resolves the retry policy for an input
+     *
+     * @return The input's policy, else the client's, else null
+     */
+    getRetryPolicy(input: ApiClientInput): ApiClientRetryPolicy | null;
+
+    /**
+     * Iterates over the pages of a paged endpoint, requesting each page as the loop asks for it
+     *
+     * @param input - The request for the first page
+     * @param strategy - How to find the next page, following the Link header by default
+     * @return Yields an ApiClientOutput per page (pageNumber set); a failed page is yielded and ends the iteration.
+     *         In items mode yields each item, and a failed page throws its ApiClientError.
+     */
+    paginate(input: ApiClientInput, strategy?: ApiClientPaginationStrategy): AsyncGenerator<any, void, undefined>;
+
+    /**
+     * Reads a value from a parsed JSON body by dot path, such as "meta.next_cursor"
+     *
+     * @return The value at the path, or undefined if any part is missing
+     */
+    static getPath(value: any, path?: string | null): any;
+
+    /**
+     * Sets a query parameter on a URL, keeping relative URLs relative
+     */
+    static setQueryParam(url: string, name: string, value: any): string;
+
+    /**
+     * Extracts the host of a URL, resolving relative URLs against the page
+     */
+    static getHost(url: string): string;
+
+    /**
+     * Builds the fetch options for an input
+     *
+     * @param input - The input parameters for the request
+     * @param headers - The headers to send
+     * @return The options to pass to fetch
+     */
+    static createFetchOptions(input: ApiClientInput, headers: Record<string, string>, signal?: AbortSignal): RequestInit;
+
+    /**
+     * Determines if a stream is completed based on the reader record
+     *
+     * @param record - The record from reader.read()
+     * @return true if the stream is done, false otherwise
+     */
+    static isDone(record: { done: boolean; value?: Uint8Array }): boolean;
+
+    /**
+     * Creates the output for a stream whose connection failed part way through
+     *
+     * @param error - The error raised while reading or reconnecting
+     * @param response - The response being read, if any
+     * @param received - The text received before the failure
+     * @return An output with an ApiClientStreamError and the received text as its body
+     */
+    static createForInterruption(error: any, response: Response | null, received: string): ApiClientOutput;
+
+    /**
+     * Prepares fetch options so that sending the body reports upload progress
+     *
+     * @param options - The fetch options, modified in place
+     * @param onProgress - Called with the progress
+     * @return Reports the upload as complete
+     */
+    static trackUpload(options: RequestInit, onProgress: (progress: ApiClientProgress) => void): Promise<() => void>;
+
+    /**
+     * Determines if fetch can send a ReadableStream as a request body; always false in browsers,
+     * which only do so over HTTP/2
+     */
+    static canStreamUploads(): boolean;
+}
+
+/**
+ * The outputs of a pipeline step's dependencies, by step name: an array for a step that fanned out
+ */
+export type ApiClientPipelineOutputs = Record<string, ApiClientOutput | ApiClientOutput[]>;
+
+/**
+ * Settings for ApiClientPipeline.step
+ */
+export interface ApiClientPipelineStepOptions {
+    /** Names of the steps that must be done first */
+    dependsOn?: string[];
+    /** Called with the outputs of the dependencies before build; false skips the step */
+    when?: (outputs: ApiClientPipelineOutputs) => boolean | Promise<boolean>;
+    /**
+     * When the step fails: "stop" (default) cancels the whole pipeline, "skip" skips the steps that depend on it,
+     * "continue" runs them with the failure
+     */
+    onFailure?: 'stop' | 'skip' | 'continue';
+}
+
+/**
+ * How a pipeline step ended
+ */
+export type ApiClientPipelineStatus = 'succeeded' | 'failed' | 'skipped' | 'cancelled';
+
+/**
+ * A step that ended, passed to the onStep callback of ApiClientPipeline.run
+ */
+export interface ApiClientPipelineStepResult {
+    name: string;
+    status: ApiClientPipelineStatus;
+    /** null if the step sent nothing */
+    output: ApiClientOutput | ApiClientOutput[] | null;
+}
+
+/**
+ * Running counts passed to the onStep callback of ApiClientPipeline.run
+ */
+export interface ApiClientPipelineProgress {
+    completed: number;
+    successful: number;
+    failed: number;
+    skipped: number;
+    cancelled: number;
+    total: number;
+}
+
+/**
+ * Settings for ApiClientPipeline.run
+ */
+export interface ApiClientPipelineRunOptions {
+    /** Run one request at a time, steps in the order they were added */
+    sequential?: boolean;
+    /** Maximum number of steps running at once, and of requests in flight within a step that fans out */
+    maxConcurrency?: number;
+    /** Cancels the pipeline */
+    signal?: AbortSignal;
+    /** Called as each step ends */
+    onStep?: (result: ApiClientPipelineStepResult, progress: ApiClientPipelineProgress) => void;
+}
+
+/**
+ * Runs requests that depend on each other; steps whose dependencies are done run in parallel
+ */
+export declare class ApiClientPipeline {
+    client: ApiClient;
+    steps: Array<{
+        name: string;
+        build: (outputs: ApiClientPipelineOutputs) => ApiClientInput | ApiClientInput[] | null | Promise<ApiClientInput | ApiClientInput[] | null>;
+        dependsOn: string[];
+        when: ((outputs: ApiClientPipelineOutputs) => boolean | Promise<boolean>) | null;
+        onFailure: 'stop' | 'skip' | 'continue';
+    }>;
+
+    /**
+     * What a step may do when it fails
+     */
+    static FAILURE_POLICIES: string[];
+
+    /**
+     * @param client - The client to send with, the default client if omitted
+     */
+    constructor(client?: ApiClient);
+
+    /**
+     * Adds a step
+     *
+     * @param name - The step's name, unique within the pipeline
+     * @param build - Returns the input to send, an array of inputs to send in parallel, or null to skip the step
+     * @return This pipeline, for chaining
+     */
+    step(
+        name: string,
+        build: (outputs: ApiClientPipelineOutputs) => ApiClientInput | ApiClientInput[] | null | Promise<ApiClientInput | ApiClientInput[] | null>,
+        options?: ApiClientPipelineStepOptions
+    ): this;
+
+    /**
+     * Runs the steps; the summary output's status is 200 when no step failed or was cancelled and 207 otherwise
+     *
+     * @return A Promise that resolves to the summary, with results holding the outputs by step name
+     */
+    run(options?: ApiClientPipelineRunOptions): Promise<ApiClientOutput>;
+
+    /**
+     * Builds and sends the requests of one step
+     */
+    runStep(
+        step: ApiClientPipeline['steps'][number],
+        outputs: ApiClientPipelineOutputs,
+        signal: AbortSignal,
+        maxConcurrency: number
+    ): Promise<{ status: ApiClientPipelineStatus; output: ApiClientOutput | ApiClientOutput[] | null }>;
+
+    /**
+     * Checks that every dependency names a step and that the dependencies form no cycle
+     *
+     * @throws TypeError If a dependency is unknown or part of a cycle
+     */
+    validate(): void;
+
+    /**
+     * Creates the summary output of a run
+     */
+    summarize(states: Record<string, { status: ApiClientPipelineStatus; output: ApiClientOutput | ApiClientOutput[] | null }>): ApiClientOutput;
+}
+
+/**
+ * Callbacks for ApiClientToolRunner.run
+ */
+export interface ApiClientToolRunnerCallbacks {
+    onDelta?: (delta: string) => void;
+    onToolCall?: (call: ApiClientToolCall, result: any) => void;
+}
+
+/**
+ * Runs a chat that lets the model call registered JavaScript functions
+ */
+export declare class ApiClientToolRunner {
+    client: ApiClient;
+    tools: ApiClientTool[];
+    handlers: Record<string, (args: any, call: ApiClientToolCall) => any>;
+    /** Rounds to run before giving up, 8 by default */
+    maxRounds: number;
+
+    /**
+     * @param client - The client to send with, the default client if omitted
+     */
+    constructor(client?: ApiClient);
+
+    /**
+     * Registers a tool and the function that handles its calls
+     *
+     * @param name - The function name the model calls
+     * @param description - What the function does, for the model
+     * @param parameters - JSON schema of the function's arguments
+     * @param handler - Called with the parsed arguments and the call; may return a Promise
+     * @return This runner, for chaining
+     */
+    register(
+        name: string,
+        description: string,
+        parameters: Record<string, any>,
+        handler: (args: any, call: ApiClientToolCall) => any
+    ): this;
+
+    /**
+     * Runs the conversation until the model gives a final answer
+     *
+     * @param url - The chat completions URL, or the provider to build requests for
+     * @param inputBody - The initial request; its messages array is not modified
+     * @param headers - Headers for each request
+     * @param callbacks - Progress callbacks
+     * @return The output of the final round, with messages holding the whole conversation
+     */
+    run(
+        url: string | ApiClientProvider,
+        inputBody: ApiClientInputBody,
+        headers?: Record<string, string>,
+        callbacks?: ApiClientToolRunnerCallbacks
+    ): Promise<ApiClientOutput>;
+
+    /**
+     * Sends one round, streaming if the body asks for it
+     */
+    complete(input: ApiClientInput, onDelta: (delta: string) => void): Promise<ApiClientOutput>;
+
+    /**
+     * Runs the handler for a tool call; failures are returned as {error}
+     */
+    invoke(call: ApiClientToolCall): Promise<any>;
+}
+
+/**
+ * Options accepted by the ApiClientConversation constructor
+ */
+export interface ApiClientConversationOptions {
+    /** The chat completions URL, required unless provider is set */
+    url?: string;
+    /** Builds requests in a provider's format, see ApiClientProvider.from */
+    provider?: ApiClientProvider | ApiClientProviderConfig | 'openai' | 'ollama' | 'anthropic';
+    /** The client to send with, the default client if omitted */
+    client?: ApiClient;
+    /** Headers for each request */
+    headers?: Record<string, string>;
+    /** Instructions sent first in every request */
+    systemPrompt?: string | null;
+    /** Request parameters, as for ApiClientInputBody.create without messages */
+    body?: Partial<ApiClientInputBodyOptions>;
+    /** Token budget for the messages sent, null for no limit */
+    maxContextTokens?: number | null;
+    /** Estimates the tokens of a message, ApiClientConversation.estimateTokens by default */
+    tokenEstimator?: (message: ApiClientChatMessage) => number;
+}
+
+/**
+ * The form of a conversation saved with ApiClientConversation.toJSON
+ */
+export interface ApiClientConversationData {
+    version: 1;
+    systemPrompt: string | null;
+    body: Partial<ApiClientInputBodyOptions>;
+    maxContextTokens: number | null;
+    messages: ApiClientChatMessage[];
+}
+
+/**
+ * A chat conversation that keeps its own message history
+ * User turns and completed assistant replies are appended as they happen, and the oldest turns are left out of
+ * requests when the history no longer fits the token budget. The system prompt is always sent.
+ */
+export declare class ApiClientConversation {
+    url: string;
+    provider: ApiClientProvider | null;
+    client: ApiClient;
+    headers: Record<string, string>;
+    systemPrompt: string | null;
+    body: Partial<ApiClientInputBodyOptions>;
+    maxContextTokens: number | null;
+    tokenEstimator: (message: ApiClientChatMessage) => number;
+    /** The history, without the system prompt */
+    messages: ApiClientChatMessage[];
+
+    constructor(options: ApiClientConversationOptions);
+
+    /**
+     * Appends a user turn
+     */
+    addUser(content: string | ApiClientContentPart[]): this;
+
+    /**
+     * Replaces a message and discards every message after it, ready to regenerate from there
+     *
+     * @throws RangeError if there is no message at the index
+     */
+    edit(index: number, content: string | ApiClientContentPart[]): this;
+
+    /**
+     * Discards the message at an index and every message after it
+     *
+     * @return The discarded messages
+     */
+    rewind(index: number): ApiClientChatMessage[];
+
+    /**
+     * Discards the replies after the last user turn so they can be generated again with send or stream
+     *
+     * @throws RangeError if there is no user turn
+     */
+    prepareRegenerate(): this;
+
+    /**
+     * Returns the messages for the next request: the system prompt, then as many of the most recent turns as fit
+     * the token budget; the latest turn is always kept
+     *
+     * @param pending - Messages to include after the history without appending them
+     */
+    getContextMessages(pending?: ApiClientChatMessage[]): ApiClientChatMessage[];
+
+    /**
+     * Builds the request body for the next request
+     *
+     * @param pending - Messages to include after the history without appending them
+     */
+    createInputBody(pending?: ApiClientChatMessage[]): ApiClientInputBody;
+
+    /**
+     * Returns the user turn that send and stream append, as a list that is empty when there is none
+     */
+    static createTurn(content?: string | ApiClientContentPart[] | null): ApiClientChatMessage[];
+
+    /**
+     * Sends the conversation and appends the reply when it succeeds
+     * The body is validated before the user turn is appended.
+     *
+     * @param content - A user turn to append first; pass null or omit to send the history as it is
+     * @return The output, with message set to the reply
+     */
+    send(content?: string | ApiClientContentPart[] | null): Promise<ApiClientOutput>;
+
+    /**
+     * Streams the reply to the conversation and appends it once complete
+     * A failed or cancelled reply is not appended.
+     *
+     * @param content - A user turn to append first; pass null or omit to send the history as it is
+     * @param handlers - Callbacks, as for ApiClient.streamChat
+     * @return A handle that can cancel the stream
+     */
+    stream(content?: string | ApiClientContentPart[] | null, handlers?: ApiClientChatHandlers): ApiClientRequestHandle;
+
+    /**
+     * Returns the conversation as a JSON-serializable object, without the client, headers and token estimator
+     */
+    toJSON(): ApiClientConversationData;
+
+    /**
+     * Restores a conversation saved with toJSON
+     *
+     * @param json - The saved conversation, as text or parsed
+     * @param options - Settings that are not saved; saved ones can be overridden
+     * @throws TypeError if the data is not a saved conversation
+     */
+    static fromJSON(json: string | ApiClientConversationData, options: ApiClientConversationOptions): ApiClientConversation;
+
+    /**
+     * Estimates the tokens of a message at roughly four characters per token
+     */
+    static estimateTokens(message: ApiClientChatMessage): number;
+}
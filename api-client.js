@@ -8,16 +8,187 @@ class ApiClientInputBody {
         this.messages = [];
         this.stream = false;
         this.temperature = null;
+        this.maxTokens = null;
+        this.topP = null;
+        this.stop = null;
+        this.seed = null;
+        this.presencePenalty = null;
+        this.frequencyPenalty = null;
+        this.responseFormat = null;
+        this.user = null;
+        this.tools = null;
+        this.toolChoice = null;
+        this.extras = {}; // Provider-specific fields, sent as they are
         this.isSse = false; // Internal flag, not part of the actual request
     }
 
+    /**
+     * Creates a request body from an options object
+     * Options other than the ones listed are passed through to the request unchanged.
+     *
+     * @param {Object} options - The request parameters
+     * @param {string|null} [options.model] - Model identifier or null to use default
+     * @param {Array} options.messages - Array of message objects with role and content
+     * @param {boolean} [options.stream] - Whether to stream the response
+     * @param {boolean} [options.sse] - Whether to stream the response as Server-Sent Events
+     * @param {number} [options.temperature] - Sampling temperature, 0-2
+     * @param {number} [options.maxTokens] - Maximum number of tokens to generate
+     * @param {number} [options.topP] - Nucleus sampling probability mass, 0-1
+     * @param {string|Array<string>} [options.stop] - Sequences that end generation
+     * @param {number} [options.seed] - Seed for deterministic sampling
+     * @param {number} [options.presencePenalty] - Presence penalty, -2 to 2
+     * @param {number} [options.frequencyPenalty] - Frequency penalty, -2 to 2
+     * @param {Object} [options.responseFormat] - Output format, see ApiClientInputBody.jsonSchema
+     * @param {string} [options.user] - End-user identifier for abuse monitoring
+     * @param {Array<Object>} [options.tools] - Tool definitions, see ApiClientInputBody.tool
+     * @param {string|Object} [options.toolChoice] - Which tool the model should call
+     * @param {Object} [options.extras] - Provider-specific fields to send as they are
+     * @return {ApiClientInputBody} The created input body
+     * @throws {TypeError|RangeError} If a value is invalid
+     */
+    static create(options) {
+        const body = new ApiClientInputBody().set(options);
+        body.validate();
+        return body;
+    }
+
+    /**
+     * Sets request parameters from an options object, see ApiClientInputBody.create
+     * Values are checked when the body is validated or serialized, so a body can be built up in steps.
+     *
+     * @param {Object} options - The request parameters to set
+     * @return {ApiClientInputBody} This body, for chaining
+     */
+    set(options) {
+        Object.keys(options || {}).forEach(key => {
+            const value = options[key];
+            if (key === 'sse') {
+                this.isSse = !!value;
+                if (value) this.stream = true;
+            } else if (key === 'stream') {
+                this.stream = !!value;
+            } else if (key === 'extras') {
+                this.extras = {...this.extras, ...value};
+            } else if (ApiClientInputBody.FIELDS[key]) {
+                this[key] = value;
+            } else {
+                this.extras[key] = value;
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Creates a response_format that asks for JSON matching a schema (structured output)
+     *
+     * @param {string} name - A name for the schema
+     * @param {Object} schema - The JSON schema the reply must match
+     * @param {boolean} [strict=true] - Whether the server must follow the schema exactly
+     * @return {Object} The response format
+     */
+    static jsonSchema(name, schema, strict = true) {
+        return {type: 'json_schema', json_schema: {name, schema, strict}};
+    }
+
+    /**
+     * Checks the body before it is sent
+     *
+     * @return {ApiClientInputBody} This body, for chaining
+     * @throws {TypeError|RangeError} Naming the first invalid value
+     */
+    validate() {
+        const isSet = value => value !== null && value !== undefined;
+        const checkNumber = (name, value, min, max) => {
+            if (!isSet(value)) return;
+            if (typeof value !== 'number' || Number.isNaN(value)) {
+                throw new TypeError(`${name} must be a number, got ${JSON.stringify(value)}`);
+            }
+            if (value < min || value > max) {
+                throw new RangeError(`${name} must be between ${min} and ${max}, got ${value}`);
+            }
+        };
+        const checkInteger = (name, value, min) => {
+            if (!isSet(value)) return;
+            if (!Number.isInteger(value)) throw new TypeError(`${name} must be an integer, got ${JSON.stringify(value)}`);
+            if (value < min) throw new RangeError(`${name} must be at least ${min}, got ${value}`);
+        };
+
+        if (isSet(this.model) && typeof this.model !== 'string') {
+            throw new TypeError(`model must be a string, got ${JSON.stringify(this.model)}`);
+        }
+        if (!Array.isArray(this.messages) || this.messages.length === 0) {
+            throw new TypeError('messages must be a non-empty array');
+        }
+        this.messages.forEach((message, index) => {
+            if (!message || typeof message !== 'object') {
+                throw new TypeError(`messages[${index}] must be an object`);
+            }
+            if (!ApiClientInputBody.ROLES.includes(message.role)) {
+                throw new TypeError(`messages[${index}].role must be one of ${ApiClientInputBody.ROLES.join(', ')}, got ${JSON.stringify(message.role)}`);
+            }
+        });
+
+        checkNumber('temperature', this.temperature, 0, 2);
+        checkNumber('topP', this.topP, 0, 1);
+        checkNumber('presencePenalty', this.presencePenalty, -2, 2);
+        checkNumber('frequencyPenalty', this.frequencyPenalty, -2, 2);
+        checkInteger('maxTokens', this.maxTokens, 1);
+        checkInteger('seed', this.seed, Number.MIN_SAFE_INTEGER);
+
+        if (isSet(this.stop)) {
+            const stops = Array.isArray(this.stop) ? this.stop : [this.stop];
+            if (stops.length === 0 || stops.some(stop => typeof stop !== 'string' || stop === '')) {
+                throw new TypeError('stop must be a non-empty string or an array of non-empty strings');
+            }
+        }
+        if (isSet(this.user) && typeof this.user !== 'string') {
+            throw new TypeError(`user must be a string, got ${JSON.stringify(this.user)}`);
+        }
+        if (isSet(this.responseFormat)) ApiClientInputBody.validateResponseFormat(this.responseFormat);
+        if (isSet(this.tools)) {
+            if (!Array.isArray(this.tools)) throw new TypeError('tools must be an array');
+            this.tools.forEach((tool, index) => {
+                if (!tool || !tool.function || typeof tool.function.name !== 'string' || !tool.function.name) {
+                    throw new TypeError(`tools[${index}] must have a function with a name`);
+                }
+            });
+        }
+
+        return this;
+    }
+
+    /**
+     * Checks a response_format value
+     *
+     * @param {Object} format - The response format
+     * @throws {TypeError} If the format is malformed
+     */
+    static validateResponseFormat(format) {
+        const types = ['text', 'json_object', 'json_schema'];
+        if (typeof format !== 'object' || !types.includes(format.type)) {
+            throw new TypeError(`responseFormat.type must be one of ${types.join(', ')}`);
+        }
+        if (format.type !== 'json_schema') return;
+
+        const spec = format.json_schema;
+        if (!spec || typeof spec !== 'object') {
+            throw new TypeError('responseFormat.json_schema is required when type is json_schema');
+        }
+        if (typeof spec.name !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(spec.name)) {
+            throw new TypeError('responseFormat.json_schema.name must be 1-64 letters, digits, underscores or dashes');
+        }
+        if (!spec.schema || typeof spec.schema !== 'object' || Array.isArray(spec.schema)) {
+            throw new TypeError('responseFormat.json_schema.schema must be a JSON schema object');
+        }
+    }
+
     /**
      * Creates a full completion request body
      *
      * @param {string|null} model - Model identifier or null to use default
      * @param {Array} messages - Array of message objects with role and content
      * @param {boolean} stream - Whether to stream the response
-     * @param {number|null} temperature - Temperature value (0-1) or null for default
+     * @param {number|null} temperature - Temperature value (0-2) or null for default
      * @return {ApiClientInputBody} The created input body
      */
     static chat(model, messages, stream, temperature) {
@@ -34,7 +205,7 @@ class ApiClientInputBody {
      *
      * @param {string|null} model - Model identifier or null to use default
      * @param {Array} messages - Array of message objects with role and content
-     * @param {number|null} temperature - Temperature value (0-1) or null for default
+     * @param {number|null} temperature - Temperature value (0-2) or null for default
      * @return {ApiClientInputBody} The created input body configured for SSE
      */
     static sse(model, messages, temperature) {
@@ -59,577 +230,8175 @@ class ApiClientInputBody {
         );
     }
 
+    /**
+     * Creates a function tool definition for the tools array
+     *
+     * @param {string} name - The function name the model calls
+     * @param {string} description - What the function does, for the model
+     * @param {Object} parameters - JSON schema of the function's arguments
+     * @return {Object} A tool definition
+     */
+    static tool(name, description, parameters) {
+        return {
+            type: 'function',
+            function: {name, description, parameters: parameters || {type: 'object', properties: {}}}
+        };
+    }
+
+    /**
+     * Sets the tools the model may call
+     *
+     * @param {Array<Object>} tools - Tool definitions, see ApiClientInputBody.tool
+     * @param {string|Object|null} [toolChoice] - "auto", "none", "required" or a specific tool, null for the server default
+     * @return {ApiClientInputBody} This body, for chaining
+     */
+    withTools(tools, toolChoice) {
+        this.tools = tools;
+        if (toolChoice !== undefined) this.toolChoice = toolChoice;
+        return this;
+    }
+
+    /**
+     * Creates an embeddings request body
+     * Send it with ApiClient.sendEmbeddings, which splits a long input array into batches.
+     *
+     * @param {string|null} model - Model identifier or null to use default
+     * @param {string|Array<string>} input - The text to embed, or several texts
+     * @param {Object} [options] - Further parameters; options other than the ones listed are sent as they are
+     * @param {number} [options.dimensions] - Length of the vectors, for models that can shorten them
+     * @param {string} [options.encodingFormat] - "float" or "base64"; ApiClientOutput.getEmbeddings decodes both
+     * @param {string} [options.user] - End-user identifier for abuse monitoring
+     * @return {Object} The request body, in wire format
+     * @throws {TypeError} If input is empty or not text
+     */
+    static embeddings(model, input, options) {
+        const inputs = Array.isArray(input) ? input : [input];
+        if (inputs.length === 0 || inputs.some(text => typeof text !== 'string')) {
+            throw new TypeError('input must be a string or a non-empty array of strings');
+        }
+
+        const result = {};
+        Object.keys(options || {}).forEach(key => {
+            result[ApiClientInputBody.EMBEDDING_FIELDS[key] || key] = options[key];
+        });
+        if (model) result.model = model;
+        result.input = input;
+        return result;
+    }
+
+    /**
+     * Creates a request body for the legacy text completions endpoint, which continues a prompt rather than a chat
+     *
+     * @param {string|null} model - Model identifier or null to use default
+     * @param {string} prompt - The text to continue
+     * @param {Object} [options] - Generation parameters, named as for ApiClientInputBody.create (stream, maxTokens,
+     *                             temperature, stop...); other options, such as suffix, are sent as they are
+     * @return {Object} The request body, in wire format
+     * @throws {TypeError} If prompt is not a string
+     */
+    static completion(model, prompt, options) {
+        if (typeof prompt !== 'string') throw new TypeError(`prompt must be a string, got ${JSON.stringify(prompt)}`);
+
+        const result = {};
+        Object.keys(options || {}).forEach(key => {
+            result[ApiClientInputBody.FIELDS[key] || key] = options[key];
+        });
+        if (model) result.model = model;
+        result.prompt = prompt;
+        result.stream = !!result.stream;
+        return result;
+    }
+
     /**
      * Converts the input body to a JSON-serializable object
      *
      * @return {Object} A JSON-serializable object
+     * @throws {TypeError|RangeError} If the body is invalid, see validate
      */
     toJsonObject() {
-        const result = {};
+        this.validate();
+
+        // Extras go first so a typo there cannot silently replace a validated field
+        const result = {...this.extras};
 
         if (this.model) result.model = this.model;
-        if (this.messages && this.messages.length > 0) result.messages = this.messages;
+        result.messages = this.messages;
         result.stream = this.stream;
-        if (this.temperature !== null && this.temperature !== undefined) {
-            result.temperature = this.temperature;
-        }
+        if (this.tools && this.tools.length > 0) result.tools = this.tools;
+
+        Object.keys(ApiClientInputBody.FIELDS).forEach(key => {
+            const value = this[key];
+            if (value !== null && value !== undefined && key !== 'model' && key !== 'messages' && key !== 'tools') {
+                result[ApiClientInputBody.FIELDS[key]] = value;
+            }
+        });
 
         return result;
     }
 }
 
 /**
- * Input contract for HTTP requests
+ * Request body fields and their names on the wire
  */
-class ApiClientInput {
-    constructor() {
-        this.url = '';
-        this.method = '';
-        this.body = null;
-        this.headers = {};
-    }
+ApiClientInputBody.FIELDS = {
+    model: 'model',
+    messages: 'messages',
+    temperature: 'temperature',
+    maxTokens: 'max_tokens',
+    topP: 'top_p',
+    stop: 'stop',
+    seed: 'seed',
+    presencePenalty: 'presence_penalty',
+    frequencyPenalty: 'frequency_penalty',
+    responseFormat: 'response_format',
+    user: 'user',
+    tools: 'tools',
+    toolChoice: 'tool_choice'
+};
+
+/**
+ * Embeddings request fields and their names on the wire
+ */
+ApiClientInputBody.EMBEDDING_FIELDS = {
+    dimensions: 'dimensions',
+    encodingFormat: 'encoding_format',
+    user: 'user'
+};
+
+/**
+ * Message roles accepted by validate
+ */
+ApiClientInputBody.ROLES = ['system', 'developer', 'user', 'assistant', 'tool', 'function'];
 
+/**
+ * Factory for the message objects in ApiClientInputBody.messages
+ */
+class ApiClientMessage {
     /**
-     * Creates an input object for any HTTP method
+     * Creates a system message
      *
-     * @param {string} method - The HTTP method to use
-     * @param {string} url - The URL to send the request to
-     * @param {string|null} body - The body of the request
-     * @param {Object} headers - Headers for the request
-     * @return {ApiClientInput} A new ApiClientInput
+     * @param {string} content - The instructions
+     * @return {Object} The message
      */
-    static create(method, url, body, headers) {
-        const input = new ApiClientInput();
-        input.url = url;
-        input.method = method;
-        input.body = body;
-        input.headers = headers || {};
-        return input;
+    static system(content) {
+        return {role: 'system', content};
     }
 
     /**
-     * Convenience factory method for GET requests
+     * Creates a user message
      *
-     * @param {string} url - The URL to send the request to
-     * @param {Object} headers - Headers for the request
-     * @return {ApiClientInput} A new ApiClientInput for a GET request
+     * @param {string|Array<Object>} content - The user's text, or content parts
+     * @return {Object} The message
      */
-    static get(url, headers) {
-        return ApiClientInput.create('GET', url, null, headers);
+    static user(content) {
+        return {role: 'user', content};
     }
 
     /**
-     * Convenience factory method for POST requests
+     * Creates a message with multi-part content, such as text with attached images and files
+     * Parts may be Promises, as returned by ApiClientMessage.image and ApiClientMessage.file; strings become text parts.
      *
-     * @param {string} url - The URL to send the request to
-     * @param {string} body - The body of the request
-     * @param {Object} headers - Headers for the request
-     * @return {ApiClientInput} A new ApiClientInput for a POST request
+     * @param {string} role - The message role, usually "user"
+     * @param {Array<string|Object|Promise<Object>>} parts - The content parts, in order
+     * @return {Promise<Object>} The message
      */
-    static post(url, body, headers) {
-        return ApiClientInput.create('POST', url, body, headers);
+    static async parts(role, parts) {
+        const content = await Promise.all(parts.map(part =>
+            typeof part === 'string' ? ApiClientMessage.text(part) : part
+        ));
+        return {role, content};
     }
 
     /**
-     * Convenience factory method for PUT requests
+     * Creates a text content part
      *
-     * @param {string} url - The URL to send the request to
-     * @param {string} body - The body of the request
-     * @param {Object} headers - Headers for the request
-     * @return {ApiClientInput} A new ApiClientInput for a PUT request
+     * @param {string} text - The text
+     * @return {Object} The content part
      */
-    static put(url, body, headers) {
-        return ApiClientInput.create('PUT', url, body, headers);
+    static text(text) {
+        return {type: 'text', text};
     }
 
     /**
-     * Convenience factory method for DELETE requests
+     * Creates an image content part
+     * http(s) URLs are passed to the server as they are; other sources are sent inline as a base64 data URL.
      *
-     * @param {string} url - The URL to send the request to
-     * @param {Object} headers - Headers for the request
-     * @return {ApiClientInput} A new ApiClientInput for a DELETE request
+     * @param {Blob|File|Uint8Array|ArrayBuffer|string} source - The image, or its URL or data URL
+     * @param {Object} [options] - Encoding options
+     * @param {string} [options.detail] - Image detail for the model: "low", "high" or "auto"
+     * @param {string} [options.mimeType] - The MIME type, detected from the content if omitted
+     * @param {number} [options.maxBytes] - Size limit, ApiClientMessage.maxImageBytes by default
+     * @return {Promise<Object>} The content part
+     * @throws {RangeError} If the image is larger than the limit
+     * @throws {TypeError} If the source is not an image
      */
-    static delete(url, headers) {
-        return ApiClientInput.create('DELETE', url, null, headers);
+    static async image(source, options) {
+        const settings = options || {};
+        let url = source;
+
+        if (typeof source !== 'string' || !/^https?:/i.test(source)) {
+            const encoded = await ApiClientMessage.encode(source, {
+                maxBytes: ApiClientMessage.maxImageBytes,
+                ...settings
+            });
+            if (!encoded.mimeType.startsWith('image/')) {
+                throw new TypeError(`Expected an image, got ${encoded.mimeType}`);
+            }
+            url = encoded.dataUrl;
+        }
+
+        const part = {type: 'image_url', image_url: {url}};
+        if (settings.detail) part.image_url.detail = settings.detail;
+        return part;
     }
 
     /**
-     * Convenience factory method for PATCH requests
+     * Creates a file content part, sent inline as a base64 data URL
+     * A URL source is downloaded first, since servers do not fetch files themselves.
      *
-     * @param {string} url - The URL to send the request to
-     * @param {string} body - The body of the request
-     * @param {Object} headers - Headers for the request
-     * @return {ApiClientInput} A new ApiClientInput for a PATCH request
+     * @param {Blob|File|Uint8Array|ArrayBuffer|string} source - The file, or its URL or data URL
+     * @param {Object} [options] - Encoding options
+     * @param {string} [options.filename] - The file name shown to the model, taken from a File or URL if omitted
+     * @param {string} [options.mimeType] - The MIME type, detected from the content or name if omitted
+     * @param {number} [options.maxBytes] - Size limit, ApiClientMessage.maxFileBytes by default
+     * @return {Promise<Object>} The content part
+     * @throws {RangeError} If the file is larger than the limit
      */
-    static patch(url, body, headers) {
-        return ApiClientInput.create('PATCH', url, body, headers);
+    static async file(source, options) {
+        const encoded = await ApiClientMessage.encode(source, {
+            maxBytes: ApiClientMessage.maxFileBytes,
+            ...(options || {})
+        });
+        return {
+            type: 'file',
+            file: {filename: encoded.filename || 'file', file_data: encoded.dataUrl}
+        };
     }
 
     /**
-     * Creates an input object for a JSON request
+     * Reads a source and encodes it as base64
      *
-     * @param {string} method - The HTTP method to use
-     * @param {string} url - The URL to send the request to
-     * @param {Object} jsonObject - The object to serialize as JSON
-     * @param {Object} headers - Headers for the request
-     * @return {ApiClientInput} A new ApiClientInput for a JSON request
+     * @param {Blob|File|Uint8Array|ArrayBuffer|string} source - The content, or a URL or data URL to read it from
+     * @param {Object} [options] - Encoding options
+     * @param {string} [options.filename] - The file name, used for MIME detection
+     * @param {string} [options.mimeType] - The MIME type, detected if omitted
+     * @param {number} [options.maxBytes] - Size limit in bytes, none if omitted
+     * @return {Promise<Object>} The encoding as {mimeType, base64, dataUrl, size, filename}
+     * @throws {RangeError} If the content is larger than maxBytes
+     * @throws {TypeError} If the source type is not supported or the URL cannot be read
      */
-    static createJson(method, url, jsonObject, headers) {
-        const jsonBody = JSON.stringify(jsonObject);
-        const mergedHeaders = {'Content-Type': 'application/json', ...headers};
-        return ApiClientInput.create(method, url, jsonBody, mergedHeaders);
+    static async encode(source, options) {
+        const settings = options || {};
+        let filename = settings.filename || null;
+        let mimeType = settings.mimeType || null;
+        let bytes;
+
+        const checkSize = size => {
+            if (settings.maxBytes && size > settings.maxBytes) {
+                throw new RangeError(`${filename || 'Attachment'} is ${size} bytes, over the ${settings.maxBytes} byte limit`);
+            }
+        };
+
+        if (typeof source === 'string') {
+            const dataUrl = /^data:([^;,]*)(;base64)?,/i.exec(source);
+            if (dataUrl && dataUrl[2]) {
+                const base64 = source.slice(dataUrl[0].length);
+                const size = Math.floor(base64.replace(/=+$/, '').length * 3 / 4);
+                checkSize(size);
+                mimeType = mimeType || dataUrl[1] || 'application/octet-stream';
+                return {mimeType, base64, dataUrl: `data:${mimeType};base64,${base64}`, size, filename};
+            }
+            if (dataUrl) {
+                mimeType = mimeType || dataUrl[1] || 'text/plain';
+                source = new TextEncoder().encode(decodeURIComponent(source.slice(dataUrl[0].length)));
+            }
+        }
+
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            if (!response.ok) throw new TypeError(`Could not read ${source}: HTTP ${response.status}`);
+            filename = filename || decodeURIComponent(new URL(source, globalThis.location && location.href).pathname.split('/').pop()) || null;
+            const length = Number(response.headers.get('content-length'));
+            if (length) checkSize(length);
+            source = await response.blob();
+        }
+
+        if (typeof Blob !== 'undefined' && source instanceof Blob) {
+            checkSize(source.size);
+            filename = filename || source.name || null;
+            mimeType = mimeType || source.type || null;
+            bytes = new Uint8Array(await source.arrayBuffer());
+        } else if (source instanceof ArrayBuffer) {
+            bytes = new Uint8Array(source);
+        } else if (ArrayBuffer.isView(source)) {
+            bytes = new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+        } else {
+            throw new TypeError('Expected a Blob, File, Uint8Array, ArrayBuffer or URL');
+        }
+
+        checkSize(bytes.length);
+        mimeType = (mimeType || ApiClientMessage.detectMimeType(bytes, filename)).split(';')[0];
+        const base64 = ApiClientMessage.toBase64(bytes);
+        return {mimeType, base64, dataUrl: `data:${mimeType};base64,${base64}`, size: bytes.length, filename};
     }
 
     /**
-     * Convenience factory method for POST requests with JSON body
+     * Detects a MIME type from the leading bytes of the content, falling back to the file extension
      *
-     * @param {string} url - The URL to send the request to
-     * @param {Object} jsonObject - The object to serialize as JSON
-     * @param {Object} headers - Headers for the request
-     * @return {ApiClientInput} A new ApiClientInput for a POST request with JSON
+     * @param {Uint8Array} bytes - The content
+     * @param {string|null} [filename] - The file name
+     * @return {string} The MIME type, application/octet-stream if unknown
      */
-    static postJson(url, jsonObject, headers) {
-        return ApiClientInput.createJson('POST', url, jsonObject, headers);
+    static detectMimeType(bytes, filename) {
+        const startsWith = (signature, offset = 0) =>
+            signature.every((byte, i) => byte === null || bytes[offset + i] === byte);
+
+        if (startsWith([0x89, 0x50, 0x4E, 0x47])) return 'image/png';
+        if (startsWith([0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+        if (startsWith([0x47, 0x49, 0x46, 0x38])) return 'image/gif';
+        if (startsWith([0x52, 0x49, 0x46, 0x46]) && startsWith([0x57, 0x45, 0x42, 0x50], 8)) return 'image/webp';
+        if (startsWith([0x25, 0x50, 0x44, 0x46])) return 'application/pdf';
+
+        const extension = filename && /\.([^.]+)$/.exec(filename);
+        if (extension) {
+            const type = ApiClientMessage.MIME_TYPES[extension[1].toLowerCase()];
+            if (type) return type;
+        }
+        return 'application/octet-stream';
     }
 
     /**
-     * Convenience factory method for PUT requests with JSON body
+     * Encodes bytes as base64
      *
-     * @param {string} url - The URL to send the request to
-     * @param {Object} jsonObject - The object to serialize as JSON
-     * @param {Object} headers - Headers for the request
-     * @return {ApiClientInput} A new ApiClientInput for a PUT request with JSON
+     * @param {Uint8Array} bytes - The bytes to encode
+     * @return {string} The base64 text
      */
-    static putJson(url, jsonObject, headers) {
-        return ApiClientInput.createJson('PUT', url, jsonObject, headers);
+    static toBase64(bytes) {
+        // btoa takes a binary string; build it in slices so large files do not overflow the call stack
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
     }
 
     /**
-     * Convenience factory method for PATCH requests with JSON body
+     * Creates an assistant message
      *
-     * @param {string} url - The URL to send the request to
-     * @param {Object} jsonObject - The object to serialize as JSON
-     * @param {Object} headers - Headers for the request
-     * @return {ApiClientInput} A new ApiClientInput for a PATCH request with JSON
+     * @param {string} content - The assistant's text
+     * @return {Object} The message
      */
-    static patchJson(url, jsonObject, headers) {
-        return ApiClientInput.createJson('PATCH', url, jsonObject, headers);
+    static assistant(content) {
+        return {role: 'assistant', content};
     }
 
     /**
-     * Creates an input object for a POST request with an ApiClientInputBody
+     * Creates an assistant message that carries tool calls
      *
-     * @param {string} url - The URL to send the request to
-     * @param {ApiClientInputBody} inputBody - The input body object
-     * @param {Object} headers - Headers for the request
-     * @return {ApiClientInput} A new ApiClientInput configured for chat completions
+     * @param {Array<Object>} toolCalls - Calls in wire format ({id, type, function}) or as in ApiClientOutput.toolCalls ({id, name, arguments})
+     * @param {string|null} [content] - Any text that came with the calls
+     * @return {Object} The message
      */
-    static chat(url, inputBody, headers) {
-        const mergedHeaders = {
-            'Content-Type': 'application/json',
-            ...(headers || {})
-        };
+    static assistantToolCalls(toolCalls, content) {
+        const calls = toolCalls.map(call => call.function ? call : {
+            id: call.id,
+            type: 'function',
+            function: {
+                name: call.name,
+                arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+            }
+        });
+        return {role: 'assistant', content: content || '', tool_calls: calls};
+    }
 
-        // Convert the inputBody to a JSON string
-        const body = JSON.stringify(inputBody.toJsonObject());
+    /**
+     * Creates a tool message holding the result of a tool call
+     *
+     * @param {string|null} toolCallId - The id of the call being answered, null for servers that do not use ids
+     * @param {*} content - The result; anything other than a string is sent as JSON
+     * @param {string} [name] - The name of the tool that was called
+     * @return {Object} The message
+     */
+    static tool(toolCallId, content, name) {
+        const message = {role: 'tool', content: typeof content === 'string' ? content : JSON.stringify(content)};
+        if (toolCallId) message.tool_call_id = toolCallId;
+        if (name) message.name = name;
+        return message;
+    }
+}
 
-        // Create the ApiClientInput
-        const input = ApiClientInput.create('POST', url, body, mergedHeaders);
+/**
+ * Default size limit for ApiClientMessage.image, in bytes
+ */
+ApiClientMessage.maxImageBytes = 20 * 1024 * 1024;
 
-        // Store the original inputBody for reference during processing
-        input.inputBody = inputBody;
+/**
+ * Default size limit for ApiClientMessage.file, in bytes
+ */
+ApiClientMessage.maxFileBytes = 32 * 1024 * 1024;
 
-        return input;
-    }
-}
+/**
+ * MIME types by file extension, for content that has no recognisable signature
+ */
+ApiClientMessage.MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    svg: 'image/svg+xml',
+    pdf: 'application/pdf',
+    csv: 'text/csv',
+    tsv: 'text/tab-separated-values',
+    txt: 'text/plain',
+    md: 'text/markdown',
+    html: 'text/html',
+    json: 'application/json',
+    xml: 'application/xml',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
 
 /**
- * Output response for HTTP requests with enhanced utility methods
+ * Input contract for HTTP requests
  */
-class ApiClientOutput {
+class ApiClientInput {
     constructor() {
-        this.statusCode = 0;
-        this.headers = {};
+        this.url = '';
+        this.method = '';
         this.body = null;
-        this.error = null;
+        this.headers = {};
+        this.signal = null;
+        this.timeout = null;
+        this.retryPolicy = null; // Falls back to ApiClient.retryPolicy when null
+        this.responseType = 'text';
+        this.onDownloadProgress = null;
+        this.onUploadProgress = null;
+        this.cache = null; // false bypasses the client's cache, or {ttl, reload}
     }
 
     /**
-     * Determines if the request was successful based on status code
+     * Sets how the body of a successful response is read; error responses are always read as text
      *
-     * @return {boolean} true if the request was successful (status 200-299), false otherwise
+     * @param {string} responseType - "text", "json", "blob" or "arrayBuffer"
+     * @return {ApiClientInput} This input, for chaining
      */
-    isSuccessful() {
-        return this.error === null && this.statusCode >= 200 && this.statusCode < 300;
+    withResponseType(responseType) {
+        if (!ApiClientOutput.RESPONSE_TYPES.includes(responseType)) {
+            throw new TypeError(`responseType must be one of ${ApiClientOutput.RESPONSE_TYPES.join(', ')}, got ${JSON.stringify(responseType)}`);
+        }
+        this.responseType = responseType;
+        return this;
     }
 
     /**
-     * Gets the reason for failure if the request failed
+     * Sets progress callbacks, each called with {loaded, total}; total is null when the size is not known
+     * Download progress uses Content-Length. Upload progress is reported chunk by chunk where the runtime can
+     * stream request bodies, otherwise only at the start and once the server has received the body.
      *
-     * @return {string|null} The error message if an error occurred, null otherwise
+     * @param {Function|null} onDownloadProgress - Called as the response body is read
+     * @param {Function|null} [onUploadProgress] - Called as the request body is sent
+     * @return {ApiClientInput} This input, for chaining
      */
-    getFailureReason() {
-        return this.error ? this.error.message : null;
+    withProgress(onDownloadProgress, onUploadProgress) {
+        this.onDownloadProgress = onDownloadProgress || null;
+        this.onUploadProgress = onUploadProgress || null;
+        return this;
     }
 
     /**
-     * Retrieves a specific header value
+     * Sets an AbortSignal that cancels the request when aborted
      *
-     * @param {string} name - The name of the header to retrieve
-     * @return {string|null} The header value, or null if the header doesn't exist
+     * @param {AbortSignal|null} signal - The signal to follow
+     * @return {ApiClientInput} This input, for chaining
      */
-    getHeader(name) {
-        return this.headers[name] || null;
+    withSignal(signal) {
+        this.signal = signal;
+        return this;
     }
 
     /**
-     * Attempts to parse the response body as JSON, returning null if parsing fails
+     * Sets a timeout after which the request is aborted
+     * For streams the timeout applies to each wait for the next chunk, so long replies are not cut off.
      *
-     * @return {Object|null} The parsed JSON object or null if parsing fails
+     * @param {number|null} timeout - The timeout in milliseconds, or null for none
+     * @return {ApiClientInput} This input, for chaining
      */
-    parseJsonBody() {
-        try {
-            // First try standard JSON parsing
-            return JSON.parse(this.body);
-        } catch (e) {
-            try {
-                // Handle case where body is wrapped in quotes and/or uses single quotes
-                let processedBody = this.body;
-
-                // If the string starts and ends with quotes, remove them
-                if (
-                    (processedBody.startsWith('"') && processedBody.endsWith('"')) ||
-                    (processedBody.startsWith("'") && processedBody.endsWith("'"))
-                ) {
-                    processedBody = processedBody.slice(1, -1);
-                }
-
-                // Replace single quotes with double quotes, but only those used for object properties
-                // This regex handles various forms of single-quoted properties
-                processedBody = processedBody.replace(/([{,]\s*)'([^']+)'(\s*:)/g, '$1"$2"$3');
-
-                // Also handle single-quoted values
-                processedBody = processedBody.replace(/:\s*'([^']*?)'/g, ': "$1"');
-
-                return JSON.parse(processedBody);
-            } catch (innerError) {
-                // If all parsing attempts fail, return null
-                return null;
-            }
-        }
+    withTimeout(timeout) {
+        this.timeout = timeout;
+        return this;
     }
 
     /**
-     * Returns the response as a map for easier data access
+     * Sets the retry policy for this request, overriding ApiClient.retryPolicy
      *
-     * @return {Object} A map containing the status code, success flag, body, and error if any
+     * @param {ApiClientRetryPolicy|Object|null} policy - A policy, or options for ApiClientRetryPolicy.create
+     * @return {ApiClientInput} This input, for chaining
      */
-    asMap() {
+    withRetry(policy) {
+        this.retryPolicy = ApiClientRetryPolicy.from(policy);
+        return this;
+    }
+
+    /**
+     * Sets how this request uses the client's cache, see ApiClientCache
+     *
+     * @param {Object|boolean} options - false to bypass the cache, or settings
+     * @param {number} [options.ttl] - Milliseconds to keep the response when it carries no caching headers
+     * @param {boolean} [options.reload] - Go to the network even if a fresh response is stored, storing the new one
+     * @return {ApiClientInput} This input, for chaining
+     */
+    withCache(options) {
+        this.cache = options === true ? null : options;
+        return this;
+    }
+
+    /**
+     * Retrieves a request header, whatever the case of its name
+     *
+     * @param {string} name - The name of the header
+     * @return {string|null} The header value, or null if it is not set
+     */
+    getHeader(name) {
+        const key = ApiClientInput.findHeaderName(this.headers, name);
+        return key === null ? null : this.headers[key];
+    }
+
+    /**
+     * Sets a request header, replacing any value set under the same name in another case
+     *
+     * @param {string} name - The name of the header
+     * @param {string|null} value - The value, or null to remove the header
+     * @return {ApiClientInput} This input, for chaining
+     */
+    setHeader(name, value) {
+        const key = ApiClientInput.findHeaderName(this.headers, name);
+        if (key !== null) delete this.headers[key];
+        if (value !== null && value !== undefined) this.headers[name] = value;
+        return this;
+    }
+
+    /**
+     * Creates a copy of this input with its own headers object
+     *
+     * @return {ApiClientInput} The copy
+     */
+    clone() {
+        const copy = Object.assign(new ApiClientInput(), this);
+        copy.headers = {...this.headers};
+        return copy;
+    }
+
+    /**
+     * Returns the request as a JSON-serializable object, for storing it and sending it later
+     * The signal, retry policy, progress callbacks and cache settings are not included. Bodies other than text and
+     * URLSearchParams cannot be saved, see isSerializable().
+     *
+     * @return {Object} The serialized request
+     */
+    toJSON() {
+        if (!ApiClientInput.isSerializable(this.body)) {
+            throw new TypeError('Only text and URLSearchParams request bodies can be serialized');
+        }
+        const form = typeof URLSearchParams !== 'undefined' && this.body instanceof URLSearchParams;
+        return {
+            version: 1,
+            method: this.method,
+            url: this.url,
+            headers: {...this.headers},
+            body: form ? this.body.toString() : this.body,
+            bodyType: form ? 'urlencoded' : 'text',
+            timeout: this.timeout,
+            responseType: this.responseType
+        };
+    }
+
+    /**
+     * Restores a request saved with toJSON
+     *
+     * @param {string|Object} json - The saved request, as text or parsed
+     * @return {ApiClientInput} The restored request
+     */
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || data.version !== 1 || typeof data.url !== 'string') {
+            throw new TypeError('Not a saved ApiClientInput');
+        }
+        const body = data.bodyType === 'urlencoded' ? new URLSearchParams(data.body) : data.body;
+        const input = ApiClientInput.create(data.method, data.url, body, {...data.headers});
+        input.timeout = data.timeout;
+        input.responseType = data.responseType;
+        return input;
+    }
+
+    /**
+     * Determines if a request body survives toJSON: text, URLSearchParams or no body
+     *
+     * @param {*} body - The body
+     * @return {boolean} true if the body can be serialized
+     */
+    static isSerializable(body) {
+        return body === null || body === undefined || typeof body === 'string'
+            || (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams);
+    }
+
+    /**
+     * Finds the key under which a header is stored, comparing names case-insensitively
+     *
+     * @param {Object} headers - The headers to search
+     * @param {string} name - The name of the header
+     * @return {string|null} The key as stored, or null if the header is absent
+     */
+    static findHeaderName(headers, name) {
+        if (!headers) return null;
+        if (Object.prototype.hasOwnProperty.call(headers, name)) return name;
+        const lower = name.toLowerCase();
+        return Object.keys(headers).find(key => key.toLowerCase() === lower) || null;
+    }
+
+    /**
+     * Merges header objects, later ones overriding earlier ones whatever the case of their names
+     *
+     * @param {...Object} sources - The header objects, lowest priority first
+     * @return {Object} The merged headers
+     */
+    static mergeHeaders(...sources) {
+        const merged = {};
+        sources.forEach(source => {
+            Object.keys(source || {}).forEach(name => {
+                const existing = ApiClientInput.findHeaderName(merged, name);
+                if (existing !== null) delete merged[existing];
+                merged[name] = source[name];
+            });
+        });
+        return merged;
+    }
+
+    /**
+     * Creates an input object for any HTTP method
+     *
+     * @param {string} method - The HTTP method to use
+     * @param {string} url - The URL to send the request to
+     * @param {string|FormData|URLSearchParams|Blob|ArrayBuffer|Uint8Array|null} body - The body of the request
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput
+     */
+    static create(method, url, body, headers) {
+        const input = new ApiClientInput();
+        input.url = url;
+        input.method = method;
+        input.body = body;
+        input.headers = headers || {};
+        return input;
+    }
+
+    /**
+     * Convenience factory method for GET requests
+     *
+     * @param {string} url - The URL to send the request to
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput for a GET request
+     */
+    static get(url, headers) {
+        return ApiClientInput.create('GET', url, null, headers);
+    }
+
+    /**
+     * Convenience factory method for POST requests
+     *
+     * @param {string} url - The URL to send the request to
+     * @param {string} body - The body of the request
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput for a POST request
+     */
+    static post(url, body, headers) {
+        return ApiClientInput.create('POST', url, body, headers);
+    }
+
+    /**
+     * Convenience factory method for PUT requests
+     *
+     * @param {string} url - The URL to send the request to
+     * @param {string} body - The body of the request
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput for a PUT request
+     */
+    static put(url, body, headers) {
+        return ApiClientInput.create('PUT', url, body, headers);
+    }
+
+    /**
+     * Convenience factory method for DELETE requests
+     *
+     * @param {string} url - The URL to send the request to
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput for a DELETE request
+     */
+    static delete(url, headers) {
+        return ApiClientInput.create('DELETE', url, null, headers);
+    }
+
+    /**
+     * Convenience factory method for PATCH requests
+     *
+     * @param {string} url - The URL to send the request to
+     * @param {string} body - The body of the request
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput for a PATCH request
+     */
+    static patch(url, body, headers) {
+        return ApiClientInput.create('PATCH', url, body, headers);
+    }
+
+    /**
+     * Creates an input object for a JSON request
+     *
+     * @param {string} method - The HTTP method to use
+     * @param {string} url - The URL to send the request to
+     * @param {Object} jsonObject - The object to serialize as JSON
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput for a JSON request
+     */
+    static createJson(method, url, jsonObject, headers) {
+        const jsonBody = JSON.stringify(jsonObject);
+        const mergedHeaders = ApiClientInput.mergeHeaders({'Content-Type': 'application/json'}, headers);
+        return ApiClientInput.create(method, url, jsonBody, mergedHeaders);
+    }
+
+    /**
+     * Convenience factory method for POST requests with JSON body
+     *
+     * @param {string} url - The URL to send the request to
+     * @param {Object} jsonObject - The object to serialize as JSON
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput for a POST request with JSON
+     */
+    static postJson(url, jsonObject, headers) {
+        return ApiClientInput.createJson('POST', url, jsonObject, headers);
+    }
+
+    /**
+     * Convenience factory method for PUT requests with JSON body
+     *
+     * @param {string} url - The URL to send the request to
+     * @param {Object} jsonObject - The object to serialize as JSON
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput for a PUT request with JSON
+     */
+    static putJson(url, jsonObject, headers) {
+        return ApiClientInput.createJson('PUT', url, jsonObject, headers);
+    }
+
+    /**
+     * Convenience factory method for PATCH requests with JSON body
+     *
+     * @param {string} url - The URL to send the request to
+     * @param {Object} jsonObject - The object to serialize as JSON
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput for a PATCH request with JSON
+     */
+    static patchJson(url, jsonObject, headers) {
+        return ApiClientInput.createJson('PATCH', url, jsonObject, headers);
+    }
+
+    /**
+     * Creates a multipart/form-data request, for file uploads
+     * The Content-Type header, with its boundary, is set by fetch.
+     *
+     * @param {string} method - The HTTP method to use
+     * @param {string} url - The URL to send the request to
+     * @param {FormData|Object} formData - The form, or an object whose values are strings, Blobs or Files
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput with a multipart body
+     */
+    static createMultipart(method, url, formData, headers) {
+        let body = formData;
+        if (!(typeof FormData !== 'undefined' && formData instanceof FormData)) {
+            body = new FormData();
+            Object.keys(formData).forEach(name => {
+                const value = formData[name];
+                body.append(name, value instanceof Blob ? value : String(value));
+            });
+        }
+        return ApiClientInput.create(method, url, body, {...headers});
+    }
+
+    /**
+     * Convenience factory method for POST requests with a multipart/form-data body
+     *
+     * @param {string} url - The URL to send the request to
+     * @param {FormData|Object} formData - The form, or an object whose values are strings, Blobs or Files
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput for a multipart POST request
+     */
+    static postMultipart(url, formData, headers) {
+        return ApiClientInput.createMultipart('POST', url, formData, headers);
+    }
+
+    /**
+     * Creates an application/x-www-form-urlencoded request
+     *
+     * @param {string} method - The HTTP method to use
+     * @param {string} url - The URL to send the request to
+     * @param {URLSearchParams|Object} params - The fields, as URLSearchParams or a plain object
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput with a form body
+     */
+    static createForm(method, url, params, headers) {
+        const body = params instanceof URLSearchParams ? params : new URLSearchParams(params);
+        const mergedHeaders = ApiClientInput.mergeHeaders({'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8'}, headers);
+        return ApiClientInput.create(method, url, body, mergedHeaders);
+    }
+
+    /**
+     * Convenience factory method for POST requests with a form body
+     *
+     * @param {string} url - The URL to send the request to
+     * @param {URLSearchParams|Object} params - The fields, as URLSearchParams or a plain object
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput for a form POST request
+     */
+    static postForm(url, params, headers) {
+        return ApiClientInput.createForm('POST', url, params, headers);
+    }
+
+    /**
+     * Creates a request with a binary body
+     *
+     * @param {string} method - The HTTP method to use
+     * @param {string} url - The URL to send the request to
+     * @param {Blob|ArrayBuffer|Uint8Array} data - The body
+     * @param {string|null} contentType - The Content-Type, the Blob's type or application/octet-stream if null
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput with a binary body
+     */
+    static createBinary(method, url, data, contentType, headers) {
+        const type = contentType || (data instanceof Blob && data.type) || 'application/octet-stream';
+        return ApiClientInput.create(method, url, data, ApiClientInput.mergeHeaders({'Content-Type': type}, headers));
+    }
+
+    /**
+     * Convenience factory method for POST requests with a binary body
+     *
+     * @param {string} url - The URL to send the request to
+     * @param {Blob|ArrayBuffer|Uint8Array} data - The body
+     * @param {string|null} contentType - The Content-Type, the Blob's type or application/octet-stream if null
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput for a binary POST request
+     */
+    static postBinary(url, data, contentType, headers) {
+        return ApiClientInput.createBinary('POST', url, data, contentType, headers);
+    }
+
+    /**
+     * Convenience factory method for PUT requests with a binary body
+     *
+     * @param {string} url - The URL to send the request to
+     * @param {Blob|ArrayBuffer|Uint8Array} data - The body
+     * @param {string|null} contentType - The Content-Type, the Blob's type or application/octet-stream if null
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput for a binary PUT request
+     */
+    static putBinary(url, data, contentType, headers) {
+        return ApiClientInput.createBinary('PUT', url, data, contentType, headers);
+    }
+
+    /**
+     * Convenience factory method for downloading a file as a Blob
+     *
+     * @param {string} url - The URL to download
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput for a GET request read as a Blob
+     */
+    static download(url, headers) {
+        return ApiClientInput.get(url, headers).withResponseType('blob');
+    }
+
+    /**
+     * Creates an input object for a POST request with an ApiClientInputBody
+     *
+     * @param {string|ApiClientProvider} url - The URL to send the request to, or a provider that builds the request in its API's format
+     * @param {ApiClientInputBody} inputBody - The input body object
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput configured for chat completions
+     */
+    static chat(url, inputBody, headers) {
+        if (url instanceof ApiClientProvider) return url.createInput(inputBody, headers);
+
+        const mergedHeaders = ApiClientInput.mergeHeaders(
+            {'Content-Type': 'application/json'},
+            inputBody.isSse ? {'Accept': 'text/event-stream'} : {},
+            headers
+        );
+
+        // Convert the inputBody to a JSON string
+        const body = JSON.stringify(inputBody.toJsonObject());
+
+        // Create the ApiClientInput
+        const input = ApiClientInput.create('POST', url, body, mergedHeaders);
+
+        // Store the original inputBody for reference during processing
+        input.inputBody = inputBody;
+
+        return input;
+    }
+
+    /**
+     * Creates an input object for an embeddings request
+     *
+     * @param {string|ApiClientProvider} url - The embeddings URL, or a provider that knows its own
+     * @param {Object} body - The request body, see ApiClientInputBody.embeddings
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput, with the body kept as inputBody for ApiClient.sendEmbeddings
+     */
+    static embeddings(url, body, headers) {
+        if (url instanceof ApiClientProvider) return url.createEmbeddingsInput(body, headers);
+
+        const input = ApiClientInput.postJson(url, body, headers);
+        input.inputBody = body;
+        return input;
+    }
+
+    /**
+     * Creates an input object for a legacy text completions request
+     * The reply can be read with ApiClientOutput.getCompletion, or streamed with ApiClient.streamChat.
+     *
+     * @param {string|ApiClientProvider} url - The completions URL, or a provider that knows its own
+     * @param {Object} body - The request body, see ApiClientInputBody.completion
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} A new ApiClientInput
+     */
+    static completion(url, body, headers) {
+        if (url instanceof ApiClientProvider) return url.createCompletionInput(body, headers);
+
+        const input = ApiClientInput.postJson(url, body, headers);
+        input.inputBody = body;
+        return input;
+    }
+}
+
+/**
+ * Base class of the errors reported in ApiClientOutput.error
+ * Carries what is known about the failed request: the response status and headers, the error the server
+ * explained in its body, the input that was sent, and whether trying again may succeed.
+ */
+class ApiClientError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {Object} [details] - What is known about the request
+     * @param {number} [details.statusCode=0] - The response status, 0 if there was no response
+     * @param {Object} [details.headers] - The response headers
+     * @param {*} [details.body] - The response body, parsed for the server's own error description
+     * @param {ApiClientInput} [details.input] - The input that was sent
+     * @param {boolean} [details.isRetryable=false] - Whether the same request may succeed if tried again
+     * @param {*} [details.cause] - The underlying error
+     */
+    constructor(message, details) {
+        super(message);
+        const info = details || {};
+        this.name = 'ApiClientError';
+        this.type = 'client_error';
+        this.statusCode = info.statusCode || 0;
+        this.headers = info.headers || {};
+        this.providerError = info.body !== undefined ? ApiClientError.parseProviderError(info.body) : null;
+        this.input = info.input || null;
+        this.isRetryable = !!info.isRetryable;
+        if (info.cause !== undefined) this.cause = info.cause;
+    }
+
+    /**
+     * Returns the error's details as a JSON-serializable object, as reported by ApiClientOutput.asMap
+     *
+     * @return {Object} The name, type, message, statusCode, isRetryable and providerError
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            type: this.type,
+            message: this.message,
+            statusCode: this.statusCode,
+            isRetryable: this.isRetryable,
+            providerError: this.providerError
+        };
+    }
+
+    /**
+     * Extracts the error a server or LLM gateway describes in its response body
+     * Understands {"error": {"message", "code", "type"}} (OpenAI, Anthropic), {"error": "text"} (Ollama)
+     * and a top-level {"message", "code", "type"}.
+     *
+     * @param {*} body - The response body, as text or parsed
+     * @return {Object|null} {message, code, type}, or null if the body does not describe an error
+     */
+    static parseProviderError(body) {
+        let data = body;
+        if (typeof body === 'string') {
+            try {
+                data = JSON.parse(body);
+            } catch (e) {
+                return null;
+            }
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+
+        const described = data.error !== undefined ? data.error : data;
+        if (typeof described === 'string') return {message: described, code: null, type: null};
+        if (!described || typeof described !== 'object') return null;
+        if (data.error === undefined && typeof described.message !== 'string') return null;
+
+        return {
+            message: typeof described.message === 'string' ? described.message : null,
+            code: described.code !== undefined && described.code !== null ? String(described.code) : null,
+            type: typeof described.type === 'string' ? described.type : null
+        };
+    }
+
+    /**
+     * Wraps any thrown value as an ApiClientError, keeping it as the cause
+     *
+     * @param {*} error - The thrown value
+     * @param {ApiClientInput} [input] - The input that was sent
+     * @return {ApiClientError} The error itself if it already is one, with input filled in if it was missing
+     */
+    static from(error, input) {
+        if (error instanceof ApiClientError) {
+            if (input && !error.input) error.input = input;
+            return error;
+        }
+        const message = error && error.message ? error.message : String(error);
+        return new ApiClientError(message, {input, cause: error});
+    }
+}
+
+/**
+ * The request could not reach the server, or the connection failed while the response was read
+ */
+class ApiClientNetworkError extends ApiClientError {
+    constructor(message, details) {
+        super(message, {isRetryable: true, ...details});
+        this.name = 'ApiClientNetworkError';
+        this.type = 'network_error';
+    }
+}
+
+/**
+ * The request's timeout elapsed, see ApiClientInput.withTimeout
+ */
+class ApiClientTimeoutError extends ApiClientError {
+    /**
+     * @param {number|null} timeout - The timeout that elapsed, in milliseconds
+     * @param {Object} [details] - As for ApiClientError
+     */
+    constructor(timeout, details) {
+        super(`Request timed out after ${timeout}ms`, {isRetryable: true, ...details});
+        this.name = 'ApiClientTimeoutError';
+        this.type = 'timeout_error';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * The request was cancelled through its handle or AbortSignal
+ */
+class ApiClientAbortError extends ApiClientError {
+    constructor(details) {
+        super('Request was aborted', details);
+        this.name = 'ApiClientAbortError';
+        this.type = 'abort_error';
+    }
+}
+
+/**
+ * The server answered with a status outside 200-299
+ * The message includes the server's own explanation when its body has one.
+ */
+class ApiClientHttpError extends ApiClientError {
+    /**
+     * @param {number} statusCode - The response status
+     * @param {Object} [details] - As for ApiClientError; isRetryable defaults to whether the status is transient
+     */
+    constructor(statusCode, details) {
+        const retryable = ApiClientHttpError.RETRYABLE_STATUS_CODES.includes(statusCode);
+        super(`Server returned ${statusCode}`, {isRetryable: retryable, ...details, statusCode});
+        this.name = 'ApiClientHttpError';
+        this.type = 'http_error';
+
+        const provider = this.providerError;
+        if (provider && provider.message) this.message += `: ${provider.message}`;
+        if (provider && provider.code) this.message += ` (${provider.code})`;
+    }
+}
+
+/**
+ * Statuses that usually clear up if the request is tried again
+ */
+ApiClientHttpError.RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * The auth provider could not refresh its credentials after a 401
+ */
+class ApiClientAuthError extends ApiClientError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ApiClientAuthError';
+        this.type = 'auth_error';
+    }
+}
+
+/**
+ * A response body could not be parsed as the requested type
+ */
+class ApiClientParseError extends ApiClientError {
+    /**
+     * @param {string} message - What went wrong
+     * @param {Object} [details] - As for ApiClientError, plus the position, line and column of a JSON syntax error
+     */
+    constructor(message, details) {
+        super(message, details);
+        const info = details || {};
+        this.name = 'ApiClientParseError';
+        this.type = 'parse_error';
+        this.position = info.position !== undefined ? info.position : null;
+        this.line = info.line !== undefined ? info.line : null;
+        this.column = info.column !== undefined ? info.column : null;
+    }
+}
+
+/**
+ * A parsed body does not match the JSON schema it was validated against, see ApiClientJson.validate
+ */
+class ApiClientValidationError extends ApiClientError {
+    /**
+     * @param {Array<Object>} errors - The violations, each {path, keyword, message}
+     * @param {Object} [details] - As for ApiClientError
+     */
+    constructor(errors, details) {
+        const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+        super(`Value does not match the schema: ${errors[0].message}${more}`, details);
+        this.name = 'ApiClientValidationError';
+        this.type = 'validation_error';
+        this.errors = errors;
+    }
+}
+
+/**
+ * A streamed response stopped before it was complete
+ * The output's body holds the text received up to that point.
+ */
+class ApiClientStreamError extends ApiClientError {
+    constructor(message, details) {
+        super(message, {isRetryable: true, ...details});
+        this.name = 'ApiClientStreamError';
+        this.type = 'stream_interrupted';
+    }
+}
+
+/**
+ * Output response for HTTP requests with enhanced utility methods
+ */
+class ApiClientOutput {
+    constructor() {
+        this.statusCode = 0;
+        this.headers = {};
+        this.body = null;
+        this.error = null;
+    }
+
+    /**
+     * Determines if the request was successful based on status code
+     *
+     * @return {boolean} true if the request was successful (status 200-299), false otherwise
+     */
+    isSuccessful() {
+        return this.error === null && this.statusCode >= 200 && this.statusCode < 300;
+    }
+
+    /**
+     * Determines if the request was cancelled, by ApiClientRequestHandle.cancel() or the input's AbortSignal
+     *
+     * @return {boolean} true if the request was aborted, false otherwise
+     */
+    isAborted() {
+        return !!this.error && this.error.type === 'abort_error';
+    }
+
+    /**
+     * Determines if the request was aborted because its timeout elapsed
+     *
+     * @return {boolean} true if the request timed out, false otherwise
+     */
+    isTimedOut() {
+        return !!this.error && this.error.type === 'timeout_error';
+    }
+
+    /**
+     * Determines if the request failed because the auth provider could not refresh its credentials
+     *
+     * @return {boolean} true if authentication failed, false otherwise
+     */
+    isAuthFailure() {
+        return !!this.error && this.error.type === 'auth_error';
+    }
+
+    /**
+     * Determines if the request could not be sent and was saved by the client's ApiClientOfflineQueue for later
+     * The output still carries the network error; the queue reports the replay through its events.
+     *
+     * @return {boolean} true if the request was queued, false otherwise
+     */
+    isQueued() {
+        return !!this.queueId;
+    }
+
+    /**
+     * Gets the reason for failure if the request failed
+     *
+     * @return {string|null} The error message if an error occurred, null otherwise
+     */
+    getFailureReason() {
+        return this.error ? this.error.message : null;
+    }
+
+    /**
+     * Retrieves a specific header value, whatever the case of its name
+     * A header the server sent several times is returned as one comma-separated value.
+     *
+     * @param {string} name - The name of the header to retrieve
+     * @return {string|null} The header value, or null if the header doesn't exist
+     */
+    getHeader(name) {
+        const key = ApiClientInput.findHeaderName(this.headers, name);
+        return key === null ? null : this.headers[key];
+    }
+
+    /**
+     * Determines if the response has a header, whatever the case of its name
+     *
+     * @param {string} name - The name of the header
+     * @return {boolean} true if the header is present
+     */
+    hasHeader(name) {
+        return ApiClientInput.findHeaderName(this.headers, name) !== null;
+    }
+
+    /**
+     * Retrieves each value of a header that may be sent several times, such as Link, Vary or Set-Cookie
+     * Commas inside quoted strings, and the commas of HTTP dates, do not split values.
+     *
+     * @param {string} name - The name of the header
+     * @return {Array<string>} The values, empty if the header doesn't exist
+     */
+    getHeaderValues(name) {
+        const value = this.getHeader(name);
+        if (value === null || value === undefined || value === '') return [];
+
+        const lower = name.toLowerCase();
+        if (ApiClientOutput.SINGLE_VALUE_HEADERS.includes(lower)) return [value];
+        if (lower === 'set-cookie') {
+            // A new cookie starts after a comma that is followed by name=, which an Expires date never is
+            return value.split(/,\s*(?=[^;,=\s]+=)/).map(part => part.trim());
+        }
+
+        const values = [];
+        let current = '';
+        let quoted = false;
+        let bracketed = false;
+        for (let i = 0; i < value.length; i++) {
+            const char = value[i];
+            if (char === '\\' && quoted) {
+                current += char + (value[++i] || '');
+                continue;
+            }
+            if (char === '"') quoted = !quoted;
+            if (char === '<' && !quoted) bracketed = true;
+            if (char === '>' && !quoted) bracketed = false;
+            if (char === ',' && !quoted && !bracketed) {
+                if (current.trim()) values.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        if (current.trim()) values.push(current.trim());
+        return values;
+    }
+
+    /**
+     * Parses the RFC 5988 Link header into URLs by relation
+     * A link with several relations, such as rel="next last", is listed under each.
+     *
+     * @param {string} [baseUrl] - The URL to resolve relative links against, usually the request URL
+     * @return {Object} URLs keyed by relation, e.g. {next: '...', last: '...'}
+     */
+    getLinks(baseUrl) {
+        const links = {};
+        this.getHeaderValues('Link').forEach(link => {
+            const target = /^\s*<([^>]*)>/.exec(link);
+            const rel = /;\s*rel\s*=\s*(?:"([^"]*)"|([^\s;,]+))/i.exec(link);
+            if (!target || !rel) return;
+
+            let url = target[1];
+            try {
+                if (baseUrl) url = new URL(url, baseUrl).href;
+            } catch (e) {
+                // Keep the link as written
+            }
+            (rel[1] !== undefined ? rel[1] : rel[2]).split(/\s+/).filter(Boolean).forEach(name => {
+                const key = name.toLowerCase();
+                if (!(key in links)) links[key] = url;
+            });
+        });
+        return links;
+    }
+
+    /**
+     * Returns the response body as bytes, whatever response type it was read as
+     *
+     * @return {Promise<Uint8Array>} The bytes, empty if there is no body
+     */
+    async getBytes() {
+        const body = this.body;
+        if (body === null || body === undefined) return new Uint8Array(0);
+        if (typeof Blob !== 'undefined' && body instanceof Blob) return new Uint8Array(await body.arrayBuffer());
+        if (body instanceof ArrayBuffer) return new Uint8Array(body);
+        if (ArrayBuffer.isView(body)) return new Uint8Array(body.buffer, body.byteOffset, body.byteLength);
+        return new TextEncoder().encode(typeof body === 'string' ? body : JSON.stringify(body));
+    }
+
+    /**
+     * Returns the file name suggested by the Content-Disposition header
+     * The RFC 5987 form (filename*=UTF-8''...) is preferred over the plain one; any path is removed.
+     *
+     * @return {string|null} The file name, or null if the response does not suggest one
+     */
+    getFilename() {
+        const disposition = this.getHeader('content-disposition');
+        if (!disposition) return null;
+
+        let filename = null;
+        const extended = /filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i.exec(disposition);
+        if (extended) {
+            try {
+                filename = decodeURIComponent(extended[2].trim().replace(/^"|"$/g, ''));
+            } catch (e) {
+                filename = null;
+            }
+        }
+        if (!filename) {
+            const plain = /filename\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]+))/i.exec(disposition);
+            if (plain) filename = plain[1] !== undefined ? plain[1].replace(/\\(.)/g, '$1') : plain[2].trim();
+        }
+        if (!filename) return null;
+
+        return filename.split(/[\\/]/).pop() || null;
+    }
+
+    /**
+     * Attempts to parse the response body as JSON, returning null if parsing fails
+     * A body already read with the json response type is returned as it is. Model output is parsed tolerantly,
+     * see ApiClientJson.parse, but only an object or array that fills the body or its code fence is accepted:
+     * an HTML error page or a sentence is not JSON. Use parseJson() to find JSON within prose, or to learn why
+     * a body could not be parsed.
+     *
+     * @return {Object|null} The parsed JSON object or null if parsing fails
+     */
+    parseJsonBody() {
+        if (this.body !== null && typeof this.body === 'object') {
+            return ArrayBuffer.isView(this.body) || this.body instanceof ArrayBuffer ||
+                (typeof Blob !== 'undefined' && this.body instanceof Blob) ? null : this.body;
+        }
+        if (typeof this.body !== 'string') return null;
+        const result = ApiClientJson.parse(this.body, {whole: true});
+        return result.ok ? result.value : null;
+    }
+
+    /**
+     * Parses the response body as JSON, tolerating model output, and explains any failure
+     * Code fences, prose around the JSON, trailing commas and single quotes are repaired and listed in repairs.
+     *
+     * @param {Object} [options] - Parse settings, see ApiClientJson.parse
+     * @param {Object} [options.schema] - A JSON schema to validate the value against
+     * @param {boolean} [options.partial=false] - Close off a value the body ends in the middle of
+     * @return {Object} {ok, value, partial, repairs, error, errors}
+     */
+    parseJson(options) {
+        const body = typeof this.body === 'string' ? this.body : this.parseJsonBody();
+        return ApiClientJson.parse(body === null ? '' : body, options);
+    }
+
+    /**
+     * Returns the vectors of an embeddings response, in input order
+     * Understands OpenAI ({data: [{embedding, index}]}, float or base64) and Ollama ({embeddings} or {embedding}) replies.
+     *
+     * @return {Array<Array<number>>} The vectors, empty if the body holds none
+     */
+    getEmbeddings() {
+        const body = this.parseJsonBody();
+        if (!body || typeof body !== 'object') return [];
+        if (Array.isArray(body.data)) {
+            return body.data
+                .slice()
+                .sort((a, b) => (a.index || 0) - (b.index || 0))
+                .map(item => ApiClientOutput.decodeEmbedding(item.embedding));
+        }
+        if (Array.isArray(body.embeddings)) return body.embeddings;
+        if (Array.isArray(body.embedding)) return [body.embedding];
+        return [];
+    }
+
+    /**
+     * Returns the models of a model listing
+     * Understands OpenAI and Anthropic ({data: [...]}) and Ollama ({models: [...]}) listings.
+     *
+     * @return {Array<Object>} The models, see ApiClientOutput.createModelInfo
+     */
+    getModels() {
+        const body = this.parseJsonBody();
+        if (!body || typeof body !== 'object') return [];
+        const models = Array.isArray(body) ? body : body.data || body.models || [];
+        return models.map(record => ApiClientOutput.createModelInfo(record));
+    }
+
+    /**
+     * Returns the model described by a model inspection response
+     *
+     * @return {Object|null} The model, see ApiClientOutput.createModelInfo, or null if the body is not JSON
+     */
+    getModel() {
+        const body = this.parseJsonBody();
+        return body && typeof body === 'object' ? ApiClientOutput.createModelInfo(body) : null;
+    }
+
+    /**
+     * Returns the reply of a legacy text completions request, streamed or not
+     *
+     * @return {Object} {text, finishReason, model, usage}
+     */
+    getCompletion() {
+        const accumulator = ApiClientChatAccumulator.fromOutput(this);
+        return {
+            text: accumulator.content,
+            finishReason: accumulator.finishReason,
+            model: accumulator.model,
+            usage: accumulator.usage
+        };
+    }
+
+    /**
+     * Returns the token usage a JSON response reports
+     * Understands OpenAI ({usage: {prompt_tokens}}), Anthropic ({usage: {input_tokens}}) and Ollama ({prompt_eval_count}).
+     *
+     * @return {Object|null} {promptTokens, completionTokens, totalTokens}, or null if the body reports none
+     */
+    getUsage() {
+        const body = this.parseJsonBody();
+        if (!body || typeof body !== 'object') return null;
+
+        let promptTokens;
+        let completionTokens;
+        if (body.usage && typeof body.usage === 'object') {
+            promptTokens = body.usage.prompt_tokens !== undefined ? body.usage.prompt_tokens : body.usage.input_tokens;
+            completionTokens = body.usage.completion_tokens !== undefined ? body.usage.completion_tokens : body.usage.output_tokens;
+        } else if (body.prompt_eval_count !== undefined || body.eval_count !== undefined) {
+            promptTokens = body.prompt_eval_count;
+            completionTokens = body.eval_count;
+        } else {
+            return null;
+        }
+
+        promptTokens = promptTokens || 0;
+        completionTokens = completionTokens || 0;
+        return {promptTokens, completionTokens, totalTokens: promptTokens + completionTokens};
+    }
+
+    /**
+     * Returns the response as a map for easier data access
+     *
+     * @return {Object} A map containing the status code, success flag, body, and error if any
+     */
+    asMap() {
         const result = {
             statusCode: this.statusCode,
             successful: this.isSuccessful(),
             body: this.body
         };
 
-        if (this.error) {
-            result.error = this.getFailureReason();
+        if (this.error) {
+            result.error = this.getFailureReason();
+            result.errorDetails = ApiClientError.from(this.error).toJSON();
+        }
+
+        const contentType = this.getHeader('Content-Type');
+        if (contentType && contentType.toLowerCase().includes('json')) {
+            const jsonBody = this.parseJsonBody();
+            if (jsonBody !== null) {
+                result.json = jsonBody;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Normalises a model record of any supported server
+     *
+     * @param {Object} record - The model as the server describes it
+     * @return {Object} {id, name, created, ownedBy, size, details, raw}; created is in milliseconds since the epoch,
+     *                  and fields the server does not report are null
+     */
+    static createModelInfo(record) {
+        const created = typeof record.created === 'number'
+            ? record.created * 1000
+            : Date.parse(record.created_at || record.modified_at || '');
+        const id = record.id || record.model || record.name || null;
+        return {
+            id,
+            name: record.display_name || record.name || id,
+            created: Number.isFinite(created) ? created : null,
+            ownedBy: record.owned_by || null,
+            size: typeof record.size === 'number' ? record.size : null,
+            details: record.details || null,
+            raw: record
+        };
+    }
+
+    /**
+     * Decodes an embedding sent as base64 little-endian 32-bit floats
+     *
+     * @param {Array<number>|string} value - The embedding
+     * @return {Array<number>} The vector
+     */
+    static decodeEmbedding(value) {
+        if (typeof value !== 'string') return value;
+        const bytes = Uint8Array.from(atob(value), char => char.charCodeAt(0));
+        return Array.from(new Float32Array(bytes.buffer, 0, bytes.length >> 2));
+    }
+
+    /**
+     * Creates an output object for an error
+     * The output's status and headers are taken from the error, so an error that came with a response keeps them.
+     *
+     * @param {*} error - The error that occurred; anything other than an ApiClientError is wrapped in one
+     * @param {ApiClientInput} [input] - The input that was sent
+     * @return {ApiClientOutput} A new ApiClientOutput with the error set
+     */
+    static createForError(error, input) {
+        const output = new ApiClientOutput();
+        output.error = ApiClientError.from(error, input);
+        output.statusCode = output.error.statusCode; // 0 indicates a client-side error
+        output.headers = output.error.headers;
+        return output;
+    }
+
+    /**
+     * Creates an output object for a request that was aborted or timed out
+     *
+     * @param {string} reason - Either 'abort' or 'timeout'
+     * @param {number|null} timeout - The timeout that elapsed, used in the message
+     * @return {ApiClientOutput} A new ApiClientOutput with the error set
+     */
+    static createForAbort(reason, timeout) {
+        const error = reason === 'timeout' ? new ApiClientTimeoutError(timeout) : new ApiClientAbortError();
+        return ApiClientOutput.createForError(error);
+    }
+
+    /**
+     * Creates an output object for a request whose credentials could not be refreshed
+     *
+     * @param {Error} cause - The error raised by the auth provider's refresh
+     * @param {ApiClientOutput} output - The 401 output that triggered the refresh
+     * @return {ApiClientOutput} A new ApiClientOutput with the 401 response and the error set
+     */
+    static createForAuthFailure(cause, output) {
+        const error = new ApiClientAuthError(`Authentication failed: ${cause && cause.message ? cause.message : cause}`, {
+            statusCode: output.statusCode,
+            headers: output.headers,
+            body: output.body,
+            cause
+        });
+
+        const result = ApiClientOutput.createForError(error);
+        result.statusCode = output.statusCode;
+        result.headers = output.headers;
+        result.body = output.body;
+        return result;
+    }
+
+    /**
+     * Creates an output object for a successful response
+     *
+     * @param {Response} response - The fetch Response object
+     * @param {string} body - The response body content
+     * @return {ApiClientOutput} A new ApiClientOutput with success data
+     */
+    static createForSuccess(response, body) {
+        const output = new ApiClientOutput();
+        output.statusCode = response.status;
+        output.body = body;
+        output.headers = ApiClientOutput.createHeaders(response);
+        return output;
+    }
+
+    /**
+     * Creates an output object from a fetch Response
+     *
+     * @param {Response} response - The fetch Response object
+     * @param {string} [responseType="text"] - How to read a successful body: "text", "json", "blob" or "arrayBuffer"
+     * @param {Function|null} [onProgress] - Called with {loaded, total} as the body is read
+     * @return {Promise<ApiClientOutput>} A Promise that resolves to a new ApiClientOutput
+     */
+    static async create(response, responseType, onProgress) {
+        // Error bodies are read as text so the server's explanation stays readable
+        const output = await ApiClientOutput.read(response, response.ok && responseType ? responseType : 'text', onProgress);
+        if (!response.ok && !output.error) {
+            output.error = new ApiClientHttpError(response.status, {headers: output.headers, body: output.body});
+        }
+        return output;
+    }
+
+    /**
+     * Reads a response body as the given type
+     *
+     * @param {Response} response - The fetch Response object
+     * @param {string} type - "text", "json", "blob" or "arrayBuffer"
+     * @param {Function|null} onProgress - Called with {loaded, total} as the body is read
+     * @return {Promise<ApiClientOutput>} The output, with a parse or network error if the body could not be read
+     */
+    static async read(response, type, onProgress) {
+        try {
+            if (!onProgress && type !== 'json') {
+                return ApiClientOutput.createForSuccess(response, await response[type]());
+            }
+
+            const blob = onProgress ? await ApiClientOutput.readWithProgress(response, onProgress) : null;
+            const text = blob ? await blob.text() : await response.text();
+            if (type === 'text') return ApiClientOutput.createForSuccess(response, text);
+            if (type === 'blob') return ApiClientOutput.createForSuccess(response, blob);
+            if (type === 'arrayBuffer') return ApiClientOutput.createForSuccess(response, await blob.arrayBuffer());
+
+            try {
+                return ApiClientOutput.createForSuccess(response, text === '' ? null : JSON.parse(text));
+            } catch (e) {
+                const output = ApiClientOutput.createForSuccess(response, text);
+                output.error = new ApiClientParseError(`Response is not valid JSON: ${e.message}`, {
+                    statusCode: response.status,
+                    headers: output.headers,
+                    cause: e
+                });
+                return output;
+            }
+        } catch (e) {
+            const output = ApiClientOutput.createForError(new ApiClientNetworkError(`Error reading response body: ${e.message}`, {
+                statusCode: response.status,
+                headers: ApiClientOutput.createHeaders(response),
+                cause: e
+            }));
+            output.body = output.error.message;
+            return output;
+        }
+    }
+
+    /**
+     * Reads a response body, reporting progress against Content-Length
+     *
+     * @param {Response} response - The fetch Response object
+     * @param {Function} onProgress - Called with {loaded, total} after each chunk; total is null without Content-Length
+     * @return {Promise<Blob>} The body
+     */
+    static async readWithProgress(response, onProgress) {
+        const length = Number(response.headers.get('content-length'));
+        // Compressed responses report the encoded length, which the decoded bytes overrun
+        const total = length && !response.headers.get('content-encoding') ? length : null;
+        const type = response.headers.get('content-type') || '';
+        const chunks = [];
+        let loaded = 0;
+
+        onProgress({loaded, total});
+        if (response.body) {
+            const reader = response.body.getReader();
+            for (let record = await reader.read(); !record.done; record = await reader.read()) {
+                chunks.push(record.value);
+                loaded += record.value.length;
+                onProgress({loaded, total});
+            }
+        } else {
+            chunks.push(await response.arrayBuffer());
+            loaded = chunks[0].byteLength;
+            onProgress({loaded, total});
+        }
+
+        return new Blob(chunks, {type});
+    }
+
+    /**
+     * Creates an output object for a response error without reading its body
+     * Prefer ApiClientOutput.create, which includes the server's explanation from the body.
+     *
+     * @param {Response} response - The fetch Response object containing an error
+     * @return {ApiClientOutput} A new ApiClientOutput with error information
+     */
+    static createResponseError(response) {
+        const headers = ApiClientOutput.createHeaders(response);
+        return ApiClientOutput.createForError(new ApiClientHttpError(response.status, {headers}));
+    }
+
+    static createHeaders(response) {
+        const headers = {};
+        try {
+            // fetch combines repeated headers, except Set-Cookie which it reports once per cookie
+            response.headers.forEach((value, name) => {
+                headers[name] = name in headers ? `${headers[name]}, ${value}` : value;
+            });
+        } catch (ignore) {
+        }
+        return headers;
+    }
+}
+
+/**
+ * Headers whose values contain commas of their own, so getHeaderValues never splits them
+ */
+ApiClientOutput.SINGLE_VALUE_HEADERS = [
+    'date', 'expires', 'last-modified', 'if-modified-since', 'if-unmodified-since', 'retry-after'
+];
+
+/**
+ * Response types accepted by ApiClientInput.withResponseType
+ */
+ApiClientOutput.RESPONSE_TYPES = ['text', 'json', 'blob', 'arrayBuffer'];
+
+/**
+ * Tolerant JSON parsing and JSON schema validation for model output
+ * Models wrap JSON in Markdown code fences, surround it with prose, leave trailing commas, use single quotes or
+ * stop part way through. parse() repairs what it can and reports each repair; when it cannot, the error says where
+ * and why. In partial mode an unfinished value is closed off where the text ends, so it can be shown as it streams.
+ */
+class ApiClientJson {
+    /**
+     * Parses JSON from text that may not be strict JSON
+     * The result's repairs list each fix that was needed, empty for strict JSON. A failure sets error to an
+     * ApiClientParseError with the position, or to an ApiClientValidationError when the value breaks the schema.
+     *
+     * @param {string|*} text - The text; a value that is not a string is taken as already parsed
+     * @param {Object} [options] - Parse settings
+     * @param {boolean} [options.partial=false] - Close off a value that the text ends in the middle of
+     * @param {boolean} [options.whole=false] - Only accept an object or array that fills the text, or its code fence, rather than finding one in prose;
+     *                                           one pair of quotes around it is removed
+     * @param {Object} [options.schema] - A JSON schema, or a response_format from ApiClientInputBody.jsonSchema, to validate against
+     * @return {Object} {ok, value, partial, repairs, error, errors}; errors lists the schema violations
+     */
+    static parse(text, options) {
+        const settings = options || {};
+        const result = {ok: false, value: undefined, partial: false, repairs: [], error: null, errors: []};
+
+        if (typeof text !== 'string') {
+            result.value = text;
+        } else {
+            try {
+                result.value = JSON.parse(text);
+            } catch (strictError) {
+                if (!ApiClientJson.parseTolerant(text, !!settings.partial, result, !!settings.whole)) return result;
+            }
+        }
+
+        result.ok = true;
+        if (settings.schema && !result.partial) {
+            result.errors = ApiClientJson.validate(result.value, settings.schema);
+            if (result.errors.length > 0) {
+                result.ok = false;
+                result.error = new ApiClientValidationError(result.errors);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Parses text that may be incomplete, closing off open strings, arrays and objects
+     *
+     * @param {string} text - The text received so far
+     * @return {*} The value so far, or undefined if none has started
+     */
+    static parsePartial(text) {
+        const result = ApiClientJson.parse(text, {partial: true});
+        return result.ok ? result.value : undefined;
+    }
+
+    /**
+     * Finds and parses the JSON in text after strict parsing failed, filling in the result
+     *
+     * @param {string} text - The text
+     * @param {boolean} partial - Whether to close off an unfinished value
+     * @param {Object} result - The result, completed in place
+     * @param {boolean} [whole=false] - Whether the value must be an object or array that fills the text, once quotes around it are removed
+     * @return {boolean} true if a value was found
+     */
+    static parseTolerant(text, partial, result, whole) {
+        let source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+        const fence = /```[\w-]*[^\S\n]*\n?([\s\S]*?)(?:```|$)/.exec(source);
+        if (fence) {
+            source = fence[1];
+            result.repairs.push('Removed a Markdown code fence');
+        }
+
+        // A whole body may come wrapped in quotes, as when JSON was sent as a quoted string
+        const trimmed = source.trim();
+        if (whole && trimmed.length >= 2 && `"'`.includes(trimmed[0]) && trimmed[trimmed.length - 1] === trimmed[0]) {
+            source = trimmed.slice(1, -1);
+            result.repairs.push('Removed the quotes around the JSON');
+        }
+
+        // Try each { or [ in turn, which skips prose before the JSON; a quoted string is only tried at the start
+        const first = source.search(/\S/);
+        const starts = first !== -1 && (whole || `"'`.includes(source[first])) ? [first] : [];
+        for (let i = Math.max(first, 0); !whole && i < source.length && starts.length < 20; i++) {
+            if (source[i] === '{' || source[i] === '[') starts.push(i);
+        }
+        if (starts.length === 0) starts.push(Math.max(first, 0));
+
+        let firstError = null;
+        for (const start of starts) {
+            const reader = new ApiClientJsonReader(source, start, partial);
+            try {
+                const value = reader.read();
+                if (whole && (value === null || typeof value !== 'object')) {
+                    reader.position = start;
+                    reader.fail('Expected an object or array');
+                }
+                if (whole && reader.position < source.length) reader.fail('Unexpected text after the JSON');
+                const skipped = source.slice(0, start).trim();
+                if (skipped) result.repairs.push(`Skipped ${skipped.length} characters of text before the JSON`);
+                result.repairs.push(...reader.repairs);
+                result.partial = reader.truncated;
+                result.value = ApiClientJson.decodeNested(value, partial, result);
+                return true;
+            } catch (e) {
+                if (!firstError) firstError = e;
+            }
+        }
+
+        const position = firstError.position;
+        const before = source.slice(0, position);
+        const line = before.split('\n').length;
+        const column = position - before.lastIndexOf('\n');
+        result.error = new ApiClientParseError(`${firstError.message} at line ${line}, column ${column}`, {position, line, column, cause: firstError});
+        return false;
+    }
+
+    /**
+     * Parses a string that itself holds JSON, as when an object was encoded twice
+     *
+     * @param {*} value - The parsed value
+     * @param {boolean} partial - Whether to close off an unfinished value
+     * @param {Object} result - The result, whose repairs are extended
+     * @return {*} The inner value, or the value itself
+     */
+    static decodeNested(value, partial, result) {
+        if (typeof value !== 'string' || !/^\s*[{[]/.test(value)) return value;
+        const inner = ApiClientJson.parse(value, {partial});
+        if (!inner.ok) return value;
+        result.repairs.push('Parsed JSON that was encoded as a string', ...inner.repairs);
+        result.partial = result.partial || inner.partial;
+        return inner.value;
+    }
+
+    /**
+     * Validates a value against a JSON schema
+     * Supports type, enum, const, properties, required, additionalProperties, items, prefixItems, minItems,
+     * maxItems, uniqueItems, minLength, maxLength, pattern, minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+     * multipleOf, allOf, anyOf, oneOf, not and local $ref into $defs or definitions. Other keywords are ignored.
+     *
+     * @param {*} value - The value
+     * @param {Object} schema - The schema, or a response_format from ApiClientInputBody.jsonSchema
+     * @return {Array<Object>} The violations, each {path, keyword, message}; empty if the value is valid
+     */
+    static validate(value, schema) {
+        const root = schema && schema.type === 'json_schema' && schema.json_schema ? schema.json_schema.schema : schema;
+        const errors = [];
+        ApiClientJson.check(value, root, root, '$', errors);
+        return errors;
+    }
+
+    /**
+     * Checks a value against a schema, adding violations to errors
+     *
+     * @param {*} value - The value
+     * @param {Object|boolean} schema - The schema at this point
+     * @param {Object} root - The root schema, for $ref
+     * @param {string} path - Where the value is, as $.a[0].b
+     * @param {Array<Object>} errors - The violations found so far
+     */
+    static check(value, schema, root, path, errors) {
+        const fail = (keyword, message) => errors.push({path, keyword, message: `${path} ${message}`});
+        if (schema === true || schema === undefined || schema === null) return;
+        if (schema === false) return fail('false', 'is not allowed');
+
+        if (schema.$ref) {
+            const target = ApiClientJson.resolveRef(root, schema.$ref);
+            if (target === undefined) return fail('$ref', `refers to ${schema.$ref}, which does not exist`);
+            ApiClientJson.check(value, target, root, path, errors);
+        }
+
+        const type = ApiClientJson.typeOf(value);
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            const matches = types.some(expected => expected === type || (expected === 'number' && type === 'integer'));
+            if (!matches) return fail('type', `should be ${types.join(' or ')}, got ${type}`);
+        }
+
+        const json = JSON.stringify(value);
+        if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === json)) {
+            fail('enum', `should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        }
+        if (schema.const !== undefined && JSON.stringify(schema.const) !== json) {
+            fail('const', `should be ${JSON.stringify(schema.const)}`);
+        }
+
+        if (type === 'string') {
+            const length = Array.from(value).length;
+            if (schema.minLength !== undefined && length < schema.minLength) fail('minLength', `should have at least ${schema.minLength} characters`);
+            if (schema.maxLength !== undefined && length > schema.maxLength) fail('maxLength', `should have at most ${schema.maxLength} characters`);
+            if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) fail('pattern', `should match ${schema.pattern}`);
+        }
+
+        if (type === 'number' || type === 'integer') {
+            if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `should be at least ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `should be at most ${schema.maximum}`);
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail('exclusiveMinimum', `should be more than ${schema.exclusiveMinimum}`);
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail('exclusiveMaximum', `should be less than ${schema.exclusiveMaximum}`);
+            if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) fail('multipleOf', `should be a multiple of ${schema.multipleOf}`);
+        }
+
+        if (type === 'array') {
+            if (schema.minItems !== undefined && value.length < schema.minItems) fail('minItems', `should have at least ${schema.minItems} items`);
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('maxItems', `should have at most ${schema.maxItems} items`);
+            if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) fail('uniqueItems', 'should not have duplicate items');
+
+            const prefix = schema.prefixItems || [];
+            value.forEach((item, index) => {
+                const itemSchema = index < prefix.length ? prefix[index] : schema.items;
+                ApiClientJson.check(item, itemSchema, root, `${path}[${index}]`, errors);
+            });
+        }
+
+        if (type === 'object') {
+            const properties = schema.properties || {};
+            (schema.required || []).forEach(name => {
+                if (!Object.prototype.hasOwnProperty.call(value, name)) fail('required', `is missing required property "${name}"`);
+            });
+            Object.keys(value).forEach(name => {
+                const childPath = /^[A-Za-z_$][\w$]*$/.test(name) ? `${path}.${name}` : `${path}[${JSON.stringify(name)}]`;
+                if (Object.prototype.hasOwnProperty.call(properties, name)) {
+                    ApiClientJson.check(value[name], properties[name], root, childPath, errors);
+                } else if (schema.additionalProperties === false) {
+                    fail('additionalProperties', `should not have property "${name}"`);
+                } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                    ApiClientJson.check(value[name], schema.additionalProperties, root, childPath, errors);
+                }
+            });
+        }
+
+        const countValid = schemas => schemas.filter(option => {
+            const found = [];
+            ApiClientJson.check(value, option, root, path, found);
+            return found.length === 0;
+        }).length;
+
+        if (schema.allOf) schema.allOf.forEach(option => ApiClientJson.check(value, option, root, path, errors));
+        if (schema.anyOf && countValid(schema.anyOf) === 0) fail('anyOf', 'should match at least one of the allowed schemas');
+        if (schema.oneOf) {
+            const valid = countValid(schema.oneOf);
+            if (valid !== 1) fail('oneOf', `should match exactly one of the allowed schemas, matched ${valid}`);
+        }
+        if (schema.not && countValid([schema.not]) === 1) fail('not', 'should not match the excluded schema');
+    }
+
+    /**
+     * Resolves a local $ref such as #/$defs/item
+     *
+     * @param {Object} root - The root schema
+     * @param {string} ref - The reference
+     * @return {Object|undefined} The schema referred to, or undefined if it does not exist
+     */
+    static resolveRef(root, ref) {
+        if (ref === '#') return root;
+        if (!ref.startsWith('#/')) return undefined;
+        return ref.slice(2).split('/').reduce((node, part) => {
+            const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+            return node && typeof node === 'object' ? node[key] : undefined;
+        }, root);
+    }
+
+    /**
+     * Names the JSON type of a value
+     *
+     * @param {*} value - The value
+     * @return {string} "null", "array", "integer", "number", "string", "boolean" or "object"
+     */
+    static typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    }
+}
+
+/**
+ * Recursive-descent reader behind ApiClientJson.parse
+ * Beyond JSON it accepts single-quoted strings, unquoted keys, comments, trailing and missing commas, raw line
+ * breaks in strings and Python's True, False and None, recording a repair for each. Text after the value is ignored.
+ */
+class ApiClientJsonReader {
+    /**
+     * @param {string} text - The text
+     * @param {number} start - Where to start reading
+     * @param {boolean} partial - Whether to close off a value that the text ends in the middle of
+     */
+    constructor(text, start, partial) {
+        this.text = text;
+        this.position = start;
+        this.partial = partial;
+        this.truncated = false; // Set when the text ended inside the value
+        this.repairs = [];
+    }
+
+    /**
+     * Reads one value
+     *
+     * @return {*} The value
+     * @throws {SyntaxError} With the position where reading failed
+     */
+    read() {
+        this.skipSpace();
+        const value = this.readValue();
+        if (value === ApiClientJsonReader.INCOMPLETE) this.fail('Unexpected end of text');
+        this.skipSpace();
+        const rest = this.text.length - this.position;
+        if (rest > 0) this.repair(`Ignored ${rest} characters of text after the JSON`);
+        return value;
+    }
+
+    /**
+     * Reads the value at the current position
+     *
+     * @return {*} The value, or INCOMPLETE if the text ended before any usable part of it
+     */
+    readValue() {
+        if (this.atEnd()) return this.end();
+        const char = this.text[this.position];
+        if (char === '{') return this.readObject();
+        if (char === '[') return this.readArray();
+        if (char === '"' || char === "'") return this.readString();
+        if (char === '-' || (char >= '0' && char <= '9')) return this.readNumber();
+        return this.readLiteral();
+    }
+
+    /**
+     * Reads an object, starting at its opening brace
+     *
+     * @return {Object} The object, closed off if the text ends inside it
+     */
+    readObject() {
+        const object = {};
+        this.position++;
+        for (let first = true; ; first = false) {
+            this.skipSpace();
+            if (this.atEnd()) return this.end(object);
+            if (this.text[this.position] === '}') {
+                this.position++;
+                return object;
+            }
+            if (!first && !this.readSeparator('}')) return object;
+            this.skipSpace();
+            if (this.atEnd()) return this.end(object);
+
+            const key = this.readKey();
+            if (key === ApiClientJsonReader.INCOMPLETE) return this.end(object);
+            this.skipSpace();
+            if (this.atEnd()) return this.end(object);
+            if (this.text[this.position] !== ':') this.fail(`Expected ':' after property name "${key}"`);
+            this.position++;
+            this.skipSpace();
+
+            const value = this.readValue();
+            if (value === ApiClientJsonReader.INCOMPLETE) return this.end(object);
+            object[key] = value;
+        }
+    }
+
+    /**
+     * Reads an array, starting at its opening bracket
+     *
+     * @return {Array} The array, closed off if the text ends inside it
+     */
+    readArray() {
+        const array = [];
+        this.position++;
+        for (let first = true; ; first = false) {
+            this.skipSpace();
+            if (this.atEnd()) return this.end(array);
+            if (this.text[this.position] === ']') {
+                this.position++;
+                return array;
+            }
+            if (!first && !this.readSeparator(']')) return array;
+            this.skipSpace();
+            if (this.atEnd()) return this.end(array);
+
+            const value = this.readValue();
+            if (value === ApiClientJsonReader.INCOMPLETE) return this.end(array);
+            array.push(value);
+        }
+    }
+
+    /**
+     * Reads the comma between members, repairing a trailing or missing one
+     *
+     * @param {string} close - The closing bracket of the container
+     * @return {boolean} true to read another member, false if the container was closed after a trailing comma
+     */
+    readSeparator(close) {
+        if (this.text[this.position] !== ',') {
+            if (!/["'\w{[\-]/.test(this.text[this.position])) this.fail(`Expected ',' or '${close}'`);
+            this.repair(`Inserted a missing comma at position ${this.position}`);
+            return true;
+        }
+        this.position++;
+        this.skipSpace();
+        if (this.text[this.position] === close) {
+            this.repair(`Removed a trailing comma at position ${this.position}`);
+            this.position++;
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Reads a property name, quoted or bare
+     *
+     * @return {string|symbol} The name, or INCOMPLETE if the text ends inside it
+     */
+    readKey() {
+        const char = this.text[this.position];
+        if (char === '"' || char === "'") {
+            const key = this.readString();
+            return this.truncated ? ApiClientJsonReader.INCOMPLETE : key;
+        }
+        const match = /^[A-Za-z_$][\w$]*/.exec(this.text.slice(this.position, this.position + 256));
+        if (!match) this.fail('Expected a property name');
+        this.position += match[0].length;
+        this.repair(`Quoted the property name ${match[0]}`);
+        return match[0];
+    }
+
+    /**
+     * Reads a string in double or single quotes
+     *
+     * @return {string} The string, as far as the text goes if it ends inside it
+     */
+    readString() {
+        const quote = this.text[this.position];
+        if (quote === "'") this.repair(`Replaced single quotes at position ${this.position}`);
+        this.position++;
+        let value = '';
+
+        while (!this.atEnd()) {
+            const char = this.text[this.position++];
+            if (char === quote) return value;
+            if (char === '\n' || char === '\r') {
+                this.repair(`Escaped a line break in a string at position ${this.position - 1}`);
+                value += char;
+            } else if (char !== '\\') {
+                value += char;
+            } else {
+                if (this.atEnd()) break;
+                const escape = this.text[this.position++];
+                const simple = {'"': '"', "'": "'", '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t'};
+                if (simple[escape] !== undefined) {
+                    value += simple[escape];
+                } else if (escape === 'u') {
+                    const hex = this.text.slice(this.position, this.position + 4);
+                    if (hex.length < 4 && this.atEnd(this.position + hex.length)) break;
+                    if (!/^[0-9a-fA-F]{4}$/.test(hex)) this.fail('Invalid unicode escape');
+                    value += String.fromCharCode(parseInt(hex, 16));
+                    this.position += 4;
+                } else {
+                    value += escape;
+                }
+            }
+        }
+        return this.end(value);
+    }
+
+    /**
+     * Reads a number
+     *
+     * @return {number|symbol} The number, or INCOMPLETE if the text ends inside it
+     */
+    readNumber() {
+        const match = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/.exec(this.text.slice(this.position, this.position + 64));
+        const end = this.position + (match ? match[0].length : 0);
+        // A number the text ends inside, such as "-", "1." or "2e", is left out until more arrives
+        if (this.partial && /^[\d.eE+-]*$/.test(this.text.slice(this.position)) && (!match || end < this.text.length)) {
+            return this.end();
+        }
+        if (!match) this.fail('Invalid number');
+        this.position = end;
+        return parseFloat(match[0]);
+    }
+
+    /**
+     * Reads true, false or null, or their Python spellings
+     *
+     * @return {boolean|null|symbol} The value, or INCOMPLETE if the text ends inside the word
+     */
+    readLiteral() {
+        const match = /^[A-Za-z]+/.exec(this.text.slice(this.position, this.position + 16));
+        const word = match ? match[0] : '';
+        const literals = {true: true, false: false, null: null, True: true, False: false, None: null};
+
+        if (Object.prototype.hasOwnProperty.call(literals, word)) {
+            if (!['true', 'false', 'null'].includes(word)) this.repair(`Replaced ${word} with ${JSON.stringify(literals[word])}`);
+            this.position += word.length;
+            return literals[word];
+        }
+        if (this.partial && this.position + word.length === this.text.length &&
+            Object.keys(literals).some(literal => word && literal.startsWith(word))) {
+            return this.end();
+        }
+        this.fail(word ? `Unexpected word "${word}"` : `Unexpected character '${this.text[this.position]}'`);
+    }
+
+    /**
+     * Skips whitespace and comments
+     */
+    skipSpace() {
+        for (;;) {
+            const rest = this.text.slice(this.position, this.position + 2);
+            if (/^\s/.test(rest)) {
+                this.position++;
+            } else if (rest === '//') {
+                const end = this.text.indexOf('\n', this.position);
+                this.repair(`Removed a comment at position ${this.position}`);
+                this.position = end === -1 ? this.text.length : end;
+            } else if (rest === '/*') {
+                const end = this.text.indexOf('*/', this.position + 2);
+                this.repair(`Removed a comment at position ${this.position}`);
+                this.position = end === -1 ? this.text.length : end + 2;
+            } else {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Handles the end of the text inside a value: in partial mode the value so far is kept, otherwise it fails
+     *
+     * @param {*} [value=INCOMPLETE] - The value so far
+     * @return {*} The value so far
+     */
+    end(value) {
+        if (!this.partial) this.fail('Unexpected end of text');
+        this.truncated = true;
+        this.position = this.text.length;
+        return value === undefined ? ApiClientJsonReader.INCOMPLETE : value;
+    }
+
+    /**
+     * Determines if the text ends at a position
+     *
+     * @param {number} [position] - The position, the current one by default
+     * @return {boolean} true at or past the end of the text
+     */
+    atEnd(position) {
+        return (position === undefined ? this.position : position) >= this.text.length;
+    }
+
+    /**
+     * Records a repair
+     *
+     * @param {string} description - What was fixed
+     */
+    repair(description) {
+        this.repairs.push(description);
+    }
+
+    /**
+     * Stops reading with a syntax error at the current position
+     *
+     * @param {string} message - What was wrong
+     * @throws {SyntaxError} With a position property
+     */
+    fail(message) {
+        const error = new SyntaxError(message);
+        error.position = Math.min(this.position, this.text.length);
+        throw error;
+    }
+}
+
+/**
+ * Marks a value that the text ended before any usable part of
+ */
+ApiClientJsonReader.INCOMPLETE = Symbol('incomplete');
+
+/**
+ * Builds up a JSON value from streamed chunks, for rendering structured output as it arrives
+ * Each chunk gives the value so far, with unfinished strings, arrays and objects closed off. Once the stream has
+ * ended, end() parses the full text and validates it against the schema, if one was given.
+ */
+class ApiClientPartialJson {
+    /**
+     * @param {Object} [options] - Parse settings
+     * @param {Object} [options.schema] - A JSON schema, or a response_format from ApiClientInputBody.jsonSchema, for end()
+     */
+    constructor(options) {
+        this.schema = (options && options.schema) || null;
+        this.text = '';
+        this.value = undefined;
+        this.complete = false; // Set once the text holds a whole value
+    }
+
+    /**
+     * Adds a chunk of text
+     * The text so far is parsed again each time, which is quick for the size of model replies.
+     *
+     * @param {string} chunk - The next piece of the text
+     * @return {*} The value so far, or undefined if none has started
+     */
+    feed(chunk) {
+        this.text += chunk;
+        const result = ApiClientJson.parse(this.text, {partial: true});
+        if (result.ok) {
+            this.value = result.value;
+            this.complete = !result.partial;
+        }
+        return this.value;
+    }
+
+    /**
+     * Parses the full text once the stream has ended
+     *
+     * @return {Object} The result, see ApiClientJson.parse
+     */
+    end() {
+        return ApiClientJson.parse(this.text, {schema: this.schema});
+    }
+}
+
+/**
+ * A single Server-Sent Event as dispatched by ApiClientSseParser
+ */
+class ApiClientSseEvent {
+    constructor() {
+        this.type = 'message';
+        this.data = '';
+        this.id = '';
+        this.retry = null;
+    }
+
+    /**
+     * Attempts to parse the event data as JSON, returning null if parsing fails
+     *
+     * @return {Object|null} The parsed JSON object or null if parsing fails
+     */
+    parseJsonData() {
+        try {
+            return JSON.parse(this.data);
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+/**
+ * Incremental parser for the text/event-stream wire format
+ * Fields are buffered across chunk boundaries, so chunks can be fed exactly as they arrive from the network
+ */
+class ApiClientSseParser {
+    constructor() {
+        this.lastEventId = '';
+        this.retry = null;
+        this.reset();
+    }
+
+    /**
+     * Clears any partially received event, keeping lastEventId and retry for reconnection
+     */
+    reset() {
+        this.buffer = '';
+        this.dataLines = [];
+        this.eventType = '';
+        this.pendingCr = false;
+        this.started = false;
+    }
+
+    /**
+     * Creates a TransformStream that parses decoded text into ApiClientSseEvents
+     * Use it to pipe ApiClient.streamReadable() output: stream.pipeThrough(ApiClientSseParser.createTransform()).
+     *
+     * @return {TransformStream<string, ApiClientSseEvent>} The transform
+     */
+    static createTransform() {
+        const parser = new ApiClientSseParser();
+        return new TransformStream({
+            transform(chunk, controller) {
+                parser.feed(chunk).forEach(event => controller.enqueue(event));
+            }
+        });
+    }
+
+    /**
+     * Feeds decoded text into the parser
+     *
+     * @param {string} text - The next piece of the stream
+     * @return {Array<ApiClientSseEvent>} The events completed by this piece, in order
+     */
+    feed(text) {
+        const events = [];
+        if (!text) return events;
+
+        if (!this.started) {
+            this.started = true;
+            if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1); // Strip the byte order mark
+        }
+
+        // A CR at the end of the previous piece has already ended a line, so a following LF belongs to it
+        if (this.pendingCr && text[0] === '\n') text = text.slice(1);
+        this.pendingCr = false;
+
+        this.buffer += text;
+
+        let start = 0;
+        for (let i = 0; i < this.buffer.length; i++) {
+            const ch = this.buffer[i];
+            if (ch !== '\n' && ch !== '\r') continue;
+
+            const event = this.processLine(this.buffer.slice(start, i));
+            if (event) events.push(event);
+
+            if (ch === '\r') {
+                if (i + 1 === this.buffer.length) {
+                    this.pendingCr = true;
+                } else if (this.buffer[i + 1] === '\n') {
+                    i++;
+                }
+            }
+            start = i + 1;
+        }
+        this.buffer = this.buffer.slice(start);
+
+        return events;
+    }
+
+    /**
+     * Processes one complete line, dispatching an event on a blank line
+     *
+     * @param {string} line - The line without its terminator
+     * @return {ApiClientSseEvent|null} The dispatched event, or null if the line did not complete one
+     */
+    processLine(line) {
+        if (line === '') return this.dispatch();
+        if (line[0] === ':') return null; // Comment line
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value[0] === ' ') value = value.slice(1);
+
+        switch (field) {
+            case 'event':
+                this.eventType = value;
+                break;
+            case 'data':
+                this.dataLines.push(value);
+                break;
+            case 'id':
+                if (!value.includes('\0')) this.lastEventId = value;
+                break;
+            case 'retry':
+                if (/^\d+$/.test(value)) this.retry = parseInt(value, 10);
+                break;
+            default:
+                // Unknown fields are ignored
+                break;
+        }
+        return null;
+    }
+
+    /**
+     * Builds an event from the buffered fields and clears them
+     *
+     * @return {ApiClientSseEvent|null} The event, or null if no data was buffered
+     */
+    dispatch() {
+        const dataLines = this.dataLines;
+        const eventType = this.eventType;
+        this.dataLines = [];
+        this.eventType = '';
+
+        if (dataLines.length === 0) return null;
+
+        const event = new ApiClientSseEvent();
+        event.type = eventType || 'message';
+        event.data = dataLines.join('\n');
+        event.id = this.lastEventId;
+        event.retry = this.retry;
+        return event;
+    }
+}
+
+/**
+ * Assembles a streamed chat completion into a single assistant message
+ * Understands Ollama-style NDJSON records ({message: {content}, done}), OpenAI-style SSE records ({choices: [{delta}]})
+ * and Anthropic Messages API events ({type: "content_block_delta"}), streamed or complete, as well as the text
+ * completion records of both OpenAI ({choices: [{text}]}) and Ollama ({response}). An Anthropic error event
+ * ({type: "error"}) sent part way through the stream is kept as error. Finish reasons are
+ * reported in the OpenAI vocabulary whichever server sent them, see ApiClientChatAccumulator.FINISH_REASONS.
+ * Records are buffered by line, so one network chunk may hold several records or only part of one.
+ */
+class ApiClientChatAccumulator {
+    constructor() {
+        this.role = 'assistant';
+        this.content = '';
+        this.finishReason = null;
+        this.model = null;
+        this.usage = null;
+        this.toolCalls = []; // Indexed as the server numbers them, in wire format
+        this.blockCalls = {}; // Anthropic content block index to tool call index
+        this.done = false;
+        this.error = null; // An ApiClientStreamError once the server reports an error in the stream
+        this.buffer = '';
+        this.sseParser = null; // Created when the stream turns out to be SSE
+    }
+
+    /**
+     * Feeds raw stream text into the accumulator
+     *
+     * @param {string} text - The next chunk as received from ApiClient.stream
+     * @return {Array<string>} The content deltas completed by this chunk, in order
+     */
+    feed(text) {
+        const deltas = [];
+        if (!text) return deltas;
+
+        if (this.sseParser === null && this.buffer.trim() === '' && /^\s*(data|event|id|retry)?:/.test(text)) {
+            this.sseParser = new ApiClientSseParser();
+        }
+
+        if (this.sseParser) {
+            for (const event of this.sseParser.feed(text)) {
+                const delta = this.addEvent(event);
+                if (delta) deltas.push(delta);
+            }
+            return deltas;
+        }
+
+        this.buffer += text;
+        const lines = this.buffer.split('\n');
+        this.buffer = lines.pop();
+        for (const line of lines) {
+            const delta = this.addLine(line);
+            if (delta) deltas.push(delta);
+        }
+        return deltas;
+    }
+
+    /**
+     * Processes anything left in the buffer once the stream has ended
+     *
+     * @return {Array<string>} Any content deltas from a final record that had no trailing newline
+     */
+    flush() {
+        const deltas = [];
+        if (this.sseParser) {
+            // A last event without its terminating blank line is still worth keeping for chat
+            for (const event of this.sseParser.feed('\n\n')) {
+                const delta = this.addEvent(event);
+                if (delta) deltas.push(delta);
+            }
+        } else {
+            const line = this.buffer;
+            this.buffer = '';
+            const delta = this.addLine(line);
+            if (delta) deltas.push(delta);
+        }
+        return deltas;
+    }
+
+    /**
+     * Processes a single Server-Sent Event
+     *
+     * @param {ApiClientSseEvent} event - The event to process
+     * @return {string|null} The content delta, or null if the event carried none
+     */
+    addEvent(event) {
+        if (event.data === '[DONE]') {
+            this.done = true;
+            return null;
+        }
+        const record = event.parseJsonData();
+        return record ? this.addRecord(record) : null;
+    }
+
+    /**
+     * Processes a single NDJSON line
+     *
+     * @param {string} line - The line to process
+     * @return {string|null} The content delta, or null if the line carried none
+     */
+    addLine(line) {
+        if (line.trim() === '') return null;
+        try {
+            return this.addRecord(JSON.parse(line));
+        } catch (e) {
+            return null; // Not valid JSON, skip
+        }
+    }
+
+    /**
+     * Processes a single parsed record in either supported shape
+     *
+     * @param {Object} record - The parsed record
+     * @return {string|null} The content delta, or null if the record carried none
+     */
+    addRecord(record) {
+        if (!record || typeof record !== 'object') return null;
+        if (record.model) this.model = record.model;
+
+        let delta = null;
+
+        if (Array.isArray(record.choices)) {
+            // OpenAI style, streamed (delta) or complete (message)
+            const choice = record.choices[0];
+            if (choice) {
+                const part = choice.delta || choice.message || {};
+                if (part.role) this.role = part.role;
+                if (typeof part.content === 'string') delta = part.content;
+                if (typeof choice.text === 'string') delta = choice.text; // Legacy text completions
+                if (Array.isArray(part.tool_calls)) this.addToolCalls(part.tool_calls, !!choice.delta);
+                if (choice.finish_reason) this.finishReason = choice.finish_reason;
+            }
+            if (record.usage) {
+                this.usage = {
+                    promptTokens: record.usage.prompt_tokens || 0,
+                    completionTokens: record.usage.completion_tokens || 0,
+                    totalTokens: record.usage.total_tokens || 0
+                };
+            }
+        } else if (ApiClientChatAccumulator.ANTHROPIC_TYPES.includes(record.type)) {
+            delta = this.addAnthropicRecord(record);
+        } else if (record.message) {
+            // Ollama style
+            if (record.message.role) this.role = record.message.role;
+            if (typeof record.message.content === 'string') delta = record.message.content;
+            if (Array.isArray(record.message.tool_calls)) this.addToolCalls(record.message.tool_calls, false);
+        } else if (typeof record.response === 'string') {
+            // Ollama's /api/generate text completions
+            delta = record.response;
+        }
+
+        if (record.done === true) {
+            this.done = true;
+            this.finishReason = record.done_reason || this.finishReason || 'stop';
+            if (this.finishReason === 'stop' && this.toolCalls.length > 0) this.finishReason = 'tool_calls';
+            if (record.prompt_eval_count !== undefined || record.eval_count !== undefined) {
+                const promptTokens = record.prompt_eval_count || 0;
+                const completionTokens = record.eval_count || 0;
+                this.usage = {promptTokens, completionTokens, totalTokens: promptTokens + completionTokens};
+            }
+        }
+
+        if (delta) this.content += delta;
+        return delta || null;
+    }
+
+    /**
+     * Processes an Anthropic Messages API record: a complete message, or one streamed event
+     * Tool use blocks become tool calls in the OpenAI wire format, so replies look the same whichever server sent them.
+     *
+     * @param {Object} record - The parsed record
+     * @return {string|null} The content delta, or null if the record carried none
+     */
+    addAnthropicRecord(record) {
+        const reasons = ApiClientChatAccumulator.FINISH_REASONS;
+        const message = record.type === 'message' ? record : record.message;
+        let delta = null;
+
+        if (message) {
+            if (message.model) this.model = message.model;
+            if (message.role) this.role = message.role;
+            (message.content || []).forEach(block => {
+                if (block.type === 'text') delta = (delta || '') + block.text;
+                if (block.type === 'tool_use') {
+                    this.addToolCalls([{id: block.id, function: {name: block.name, arguments: JSON.stringify(block.input || {})}}], false);
+                }
+            });
+            if (message.stop_reason) this.finishReason = reasons[message.stop_reason] || message.stop_reason;
+            if (message.usage) this.addAnthropicUsage(message.usage);
+        } else if (record.type === 'content_block_start') {
+            const block = record.content_block || {};
+            if (block.type === 'text' && block.text) delta = block.text;
+            if (block.type === 'tool_use') {
+                const index = this.toolCalls.length;
+                this.blockCalls[record.index] = index;
+                this.addToolCalls([{index, id: block.id, function: {name: block.name, arguments: ''}}], true);
+            }
+        } else if (record.type === 'content_block_delta') {
+            const part = record.delta || {};
+            if (part.type === 'text_delta') delta = part.text;
+            if (part.type === 'input_json_delta' && this.blockCalls[record.index] !== undefined) {
+                this.addToolCalls([{index: this.blockCalls[record.index], function: {arguments: part.partial_json}}], true);
+            }
+        } else if (record.type === 'message_delta') {
+            const reason = record.delta && record.delta.stop_reason;
+            if (reason) this.finishReason = reasons[reason] || reason;
+            if (record.usage) this.addAnthropicUsage(record.usage);
+        } else if (record.type === 'message_stop') {
+            this.done = true;
+        } else if (record.type === 'error') {
+            const type = record.error && record.error.type;
+            const reason = record.error && record.error.message ? record.error.message : type || 'unknown error';
+            this.error = new ApiClientStreamError(`Server reported an error in the stream: ${reason}`, {
+                body: record,
+                isRetryable: ApiClientChatAccumulator.RETRYABLE_ERRORS.includes(type)
+            });
+        }
+
+        return delta;
+    }
+
+    /**
+     * Merges Anthropic token counts into usage
+     * Input tokens arrive at the start of a stream and output tokens, as a running total, at the end.
+     *
+     * @param {Object} usage - The usage object of the record
+     */
+    addAnthropicUsage(usage) {
+        const current = this.usage || {promptTokens: 0, completionTokens: 0, totalTokens: 0};
+        const promptTokens = usage.input_tokens !== undefined
+            ? usage.input_tokens + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0)
+            : current.promptTokens;
+        const completionTokens = usage.output_tokens !== undefined ? usage.output_tokens : current.completionTokens;
+        this.usage = {promptTokens, completionTokens, totalTokens: promptTokens + completionTokens};
+    }
+
+    /**
+     * Merges tool calls from a record
+     * Streamed calls arrive in fragments that share an index, with the arguments JSON split across them;
+     * complete calls (non-streamed, or Ollama's) are appended as they are.
+     *
+     * @param {Array<Object>} calls - The tool_calls array of the record
+     * @param {boolean} streamed - true if the calls are delta fragments
+     */
+    addToolCalls(calls, streamed) {
+        calls.forEach((call, position) => {
+            let index = this.toolCalls.length;
+            if (streamed) index = typeof call.index === 'number' ? call.index : position;
+
+            let entry = this.toolCalls[index];
+            if (!entry) {
+                entry = {id: null, type: 'function', function: {name: '', arguments: ''}};
+                this.toolCalls[index] = entry;
+            }
+
+            const fn = call.function || {};
+            if (call.id) entry.id = call.id;
+            if (fn.name) entry.function.name = fn.name;
+            if (typeof fn.arguments === 'string' && typeof entry.function.arguments === 'string') {
+                entry.function.arguments += fn.arguments;
+            } else if (fn.arguments !== undefined) {
+                entry.function.arguments = fn.arguments; // Ollama sends the arguments as an object
+            }
+        });
+    }
+
+    /**
+     * Returns the assembled tool calls with their arguments parsed
+     *
+     * @return {Array<Object>} Calls as {id, name, arguments, rawArguments}; arguments is null if the JSON was invalid
+     */
+    getToolCalls() {
+        return this.toolCalls.filter(Boolean).map(entry => {
+            const raw = entry.function.arguments;
+            let parsed = raw;
+            if (typeof raw === 'string') {
+                try {
+                    parsed = raw.trim() === '' ? {} : JSON.parse(raw);
+                } catch (e) {
+                    parsed = null;
+                }
+            }
+            return {
+                id: entry.id,
+                name: entry.function.name,
+                arguments: parsed,
+                rawArguments: typeof raw === 'string' ? raw : JSON.stringify(raw)
+            };
+        });
+    }
+
+    /**
+     * Returns the assembled assistant message, ready to append to a messages array
+     * Tool calls are kept in the wire format the server sent, so the message can be sent back as is.
+     *
+     * @return {Object} A message object with role and content, and tool_calls if the model called tools
+     */
+    toMessage() {
+        const message = {role: this.role, content: this.content};
+        const toolCalls = this.toolCalls.filter(Boolean).map(entry => {
+            const call = entry.id ? {id: entry.id} : {};
+            call.type = entry.type;
+            call.function = {...entry.function};
+            return call;
+        });
+        if (toolCalls.length > 0) message.tool_calls = toolCalls;
+        return message;
+    }
+
+    /**
+     * Copies the assembled message, finish reason, model and usage onto an output
+     *
+     * @param {ApiClientOutput} output - The output to populate
+     * @return {ApiClientOutput} The same output
+     */
+    applyTo(output) {
+        output.message = this.toMessage();
+        output.toolCalls = this.getToolCalls();
+        output.finishReason = this.finishReason;
+        output.model = this.model;
+        output.usage = this.usage;
+        return output;
+    }
+
+    /**
+     * Creates an accumulator from a complete, non-streamed chat response
+     *
+     * @param {ApiClientOutput} output - The output of ApiClient.send for a chat request
+     * @return {ApiClientChatAccumulator} The accumulator holding the parsed reply
+     */
+    static fromOutput(output) {
+        if (typeof output.body === 'string') {
+            // Strict parsing first, since the tolerant parse would read a streamed body as its first record
+            const streamed = new ApiClientChatAccumulator();
+            try {
+                streamed.addRecord(JSON.parse(output.body));
+                return streamed;
+            } catch (e) {
+                // Not a single record: a streamed body read in full, such as NDJSON fetched with send, or JSON needing repairs
+            }
+            streamed.feed(output.body);
+            streamed.flush();
+            if (streamed.done || streamed.content || streamed.toolCalls.length > 0) return streamed;
+        }
+
+        const accumulator = new ApiClientChatAccumulator();
+        const body = output.parseJsonBody();
+        if (body) accumulator.addRecord(body);
+        return accumulator;
+    }
+}
+
+/**
+ * Anthropic record types read by addAnthropicRecord
+ */
+ApiClientChatAccumulator.ANTHROPIC_TYPES = ['message', 'message_start', 'content_block_start', 'content_block_delta', 'message_delta', 'message_stop', 'error'];
+
+/**
+ * Anthropic error types of a stream that may succeed if the request is sent again
+ */
+ApiClientChatAccumulator.RETRYABLE_ERRORS = ['overloaded_error', 'api_error', 'rate_limit_error'];
+
+/**
+ * Finish reasons of other servers and the OpenAI reasons they are reported as
+ */
+ApiClientChatAccumulator.FINISH_REASONS = {
+    end_turn: 'stop',
+    stop_sequence: 'stop',
+    max_tokens: 'length',
+    tool_use: 'tool_calls',
+    refusal: 'content_filter'
+};
+
+/**
+ * Translates chat requests into the format of a provider's API
+ * Bodies are built with ApiClientInputBody and ApiClientMessage as for any server; a provider turns them into its own
+ * request, with its endpoint, auth and version headers. Replies need no provider: ApiClientChatAccumulator reads
+ * each format into the same message, finishReason and usage. Switching providers therefore only takes different
+ * settings, see ApiClientProvider.from.
+ */
+class ApiClientProvider {
+    /**
+     * @param {Object} [options] - Provider settings
+     * @param {string} [options.baseUrl] - The API's base URL, the provider's public endpoint by default
+     * @param {string} [options.url] - The full chat endpoint URL, overriding baseUrl
+     * @param {string} [options.apiKey] - The API key
+     * @param {string} [options.model] - Model for bodies that do not name one
+     * @param {Object} [options.headers] - Extra headers for each request; the request's own headers win
+     */
+    constructor(options) {
+        const settings = options || {};
+        this.baseUrl = settings.baseUrl || null;
+        this.url = settings.url || null;
+        this.apiKey = settings.apiKey || null;
+        this.model = settings.model || null;
+        this.headers = settings.headers || {};
+    }
+
+    /**
+     * Creates the input for a chat request in the provider's format
+     *
+     * @param {ApiClientInputBody} inputBody - The request body
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} The input, with inputBody set as for ApiClientInput.chat
+     * @throws {TypeError|RangeError} If the body is invalid or uses content the provider does not accept
+     */
+    createInput(inputBody, headers) {
+        const accept = inputBody.isSse ? {'Accept': 'text/event-stream'} : {};
+        const body = this.toJsonObject(inputBody);
+        const input = this.createJsonInput('POST', this.getUrl('chat'), body, ApiClientInput.mergeHeaders(accept, headers));
+        input.inputBody = inputBody;
+        return input;
+    }
+
+    /**
+     * Creates the input for an embeddings request
+     *
+     * @param {Object} body - The request body, see ApiClientInputBody.embeddings
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} The input, with the body sent kept as inputBody for ApiClient.sendEmbeddings
+     * @throws {TypeError} If the provider has no embeddings endpoint
+     */
+    createEmbeddingsInput(body, headers) {
+        const url = this.getUrl('embeddings');
+        const jsonObject = this.toEmbeddingsObject(body);
+        const input = this.createJsonInput('POST', url, jsonObject, headers);
+        input.inputBody = jsonObject;
+        return input;
+    }
+
+    /**
+     * Creates the input for a legacy text completions request
+     *
+     * @param {Object} body - The request body, see ApiClientInputBody.completion
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} The input
+     * @throws {TypeError} If the provider has no text completions endpoint
+     */
+    createCompletionInput(body, headers) {
+        const url = this.getUrl('completions');
+        const jsonObject = this.toCompletionObject(body);
+        const input = this.createJsonInput('POST', url, jsonObject, headers);
+        input.inputBody = jsonObject;
+        return input;
+    }
+
+    /**
+     * Creates the input that lists the available models, read with ApiClientOutput.getModels
+     *
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} The input
+     */
+    createModelsInput(headers) {
+        return this.createJsonInput('GET', this.getUrl('models'), null, headers);
+    }
+
+    /**
+     * Creates the input that describes one model, read with ApiClientOutput.getModel
+     *
+     * @param {string} id - The model identifier
+     * @param {Object} [headers] - Headers for the request
+     * @return {ApiClientInput} The input
+     */
+    createModelInput(id, headers) {
+        return this.createJsonInput('GET', `${this.getUrl('models')}/${encodeURIComponent(id)}`, null, headers);
+    }
+
+    /**
+     * Creates an input carrying the provider's headers
+     *
+     * @param {string} method - The HTTP method
+     * @param {string} url - The URL
+     * @param {Object|null} jsonObject - The body to send as JSON, null for none
+     * @param {Object} [headers] - Headers for the request, which win over the provider's
+     * @return {ApiClientInput} The input
+     */
+    createJsonInput(method, url, jsonObject, headers) {
+        const stream = !!(jsonObject && jsonObject.stream);
+        const mergedHeaders = ApiClientInput.mergeHeaders(
+            jsonObject ? {'Content-Type': 'application/json'} : {},
+            this.getHeaders(stream),
+            this.headers,
+            headers
+        );
+        return ApiClientInput.create(method, url, jsonObject ? JSON.stringify(jsonObject) : null, mergedHeaders);
+    }
+
+    /**
+     * Returns the URL of one of the provider's endpoints
+     *
+     * @param {string} [endpoint='chat'] - "chat", "embeddings", "completions" or "models"
+     * @return {string} The url setting for chat, otherwise the base URL joined with the endpoint's path
+     * @throws {TypeError} If the provider has no such endpoint
+     */
+    getUrl(endpoint = 'chat') {
+        if (endpoint === 'chat' && this.url) return this.url;
+        const path = this.constructor.PATHS[endpoint];
+        if (!path) throw new TypeError(`${this.constructor.name} has no ${endpoint} endpoint`);
+        return (this.baseUrl || this.constructor.BASE_URL).replace(/\/+$/, '') + path;
+    }
+
+    /**
+     * Returns the headers the provider's API requires, such as its API key and version headers
+     *
+     * @param {boolean} stream - Whether the request asks for a streamed reply
+     * @return {Object} The headers
+     */
+    getHeaders(stream) {
+        return {};
+    }
+
+    /**
+     * Converts a request body to the provider's JSON format
+     *
+     * @param {ApiClientInputBody} inputBody - The request body
+     * @return {Object} A JSON-serializable object
+     * @throws {TypeError|RangeError} If the body is invalid, see ApiClientInputBody.validate
+     */
+    toJsonObject(inputBody) {
+        const result = inputBody.toJsonObject();
+        if (!result.model && this.model) result.model = this.model;
+        return result;
+    }
+
+    /**
+     * Converts an embeddings request body to the provider's format
+     *
+     * @param {Object} body - The request body, see ApiClientInputBody.embeddings
+     * @return {Object} A JSON-serializable object
+     */
+    toEmbeddingsObject(body) {
+        return body.model || !this.model ? body : {...body, model: this.model};
+    }
+
+    /**
+     * Converts a text completions request body to the provider's format
+     *
+     * @param {Object} body - The request body, see ApiClientInputBody.completion
+     * @return {Object} A JSON-serializable object
+     */
+    toCompletionObject(body) {
+        return body.model || !this.model ? body : {...body, model: this.model};
+    }
+
+    /**
+     * Creates a provider from settings, so the provider can be chosen by configuration
+     *
+     * @param {ApiClientProvider|Object|string} value - A provider, a type name, or settings with a type
+     * @param {string} value.type - "openai", "ollama" or "anthropic"; the other settings are passed to the constructor
+     * @return {ApiClientProvider} The provider
+     * @throws {TypeError} If the type is not known
+     */
+    static from(value) {
+        if (value instanceof ApiClientProvider) return value;
+        const settings = typeof value === 'string' ? {type: value} : value || {};
+        const Provider = ApiClientProvider.TYPES[settings.type];
+        if (!Provider) {
+            throw new TypeError(`provider type must be one of ${Object.keys(ApiClientProvider.TYPES).join(', ')}, got ${JSON.stringify(settings.type)}`);
+        }
+        return new Provider(settings);
+    }
+
+    /**
+     * Creates a provider for the OpenAI Chat Completions API and servers compatible with it
+     *
+     * @param {Object} [options] - Provider settings, see the constructor
+     * @return {ApiClientOpenAiProvider} The provider
+     */
+    static openai(options) {
+        return new ApiClientOpenAiProvider(options);
+    }
+
+    /**
+     * Creates a provider for Ollama's native API
+     *
+     * @param {Object} [options] - Provider settings, see the constructor
+     * @return {ApiClientOllamaProvider} The provider
+     */
+    static ollama(options) {
+        return new ApiClientOllamaProvider(options);
+    }
+
+    /**
+     * Creates a provider for the Anthropic Messages API
+     *
+     * @param {Object} [options] - Provider settings, see ApiClientAnthropicProvider
+     * @return {ApiClientAnthropicProvider} The provider
+     */
+    static anthropic(options) {
+        return new ApiClientAnthropicProvider(options);
+    }
+
+    /**
+     * Joins the text of message content
+     *
+     * @param {string|Array<Object>|null} content - The content, as text or content parts
+     * @return {string} The text, with the text parts separated by newlines
+     */
+    static getText(content) {
+        if (!Array.isArray(content)) return content || '';
+        return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+    }
+
+    /**
+     * Splits a base64 data URL
+     *
+     * @param {string} url - The URL
+     * @return {Object|null} {mimeType, base64}, or null if the URL is not a base64 data URL
+     */
+    static parseDataUrl(url) {
+        const match = /^data:([^;,]*);base64,/i.exec(url || '');
+        return match ? {mimeType: match[1] || 'application/octet-stream', base64: url.slice(match[0].length)} : null;
+    }
+
+    /**
+     * Parses the arguments of a tool call for providers that take them as an object
+     *
+     * @param {string|Object} value - The arguments, as JSON text or already parsed
+     * @return {Object} The arguments, empty if the text is not valid JSON
+     */
+    static parseArguments(value) {
+        if (typeof value !== 'string') return value || {};
+        try {
+            return value.trim() === '' ? {} : JSON.parse(value);
+        } catch (e) {
+            return {};
+        }
+    }
+}
+
+/**
+ * Sends requests in the OpenAI Chat Completions format, as the input body serializes itself
+ * Also suits the many gateways and servers that copy that API; set baseUrl to theirs.
+ */
+class ApiClientOpenAiProvider extends ApiClientProvider {
+    getHeaders(stream) {
+        const headers = {};
+        if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+        if (stream) headers['Accept'] = 'text/event-stream';
+        return headers;
+    }
+
+    toJsonObject(inputBody) {
+        const result = super.toJsonObject(inputBody);
+        result.messages = result.messages.map(message => !message.tool_calls ? message : {
+            ...message,
+            // Replies from Ollama hold the arguments as an object, which OpenAI rejects
+            tool_calls: message.tool_calls.map(call => typeof call.function.arguments === 'string' ? call : {
+                ...call,
+                function: {...call.function, arguments: JSON.stringify(call.function.arguments)}
+            })
+        });
+        return ApiClientOpenAiProvider.requestUsage(result);
+    }
+
+    toCompletionObject(body) {
+        return ApiClientOpenAiProvider.requestUsage({...super.toCompletionObject(body)});
+    }
+
+    /**
+     * Asks a streamed request to report its token usage, which streams only do when asked to
+     *
+     * @param {Object} result - The request body, modified in place
+     * @return {Object} The same body
+     */
+    static requestUsage(result) {
+        if (result.stream && !result.stream_options) result.stream_options = {include_usage: true};
+        return result;
+    }
+}
+
+/**
+ * The OpenAI API's base URL
+ */
+ApiClientOpenAiProvider.BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * The endpoints, relative to the base URL
+ */
+ApiClientOpenAiProvider.PATHS = {
+    chat: '/chat/completions',
+    embeddings: '/embeddings',
+    completions: '/completions',
+    models: '/models'
+};
+
+/**
+ * Sends requests to Ollama's native API, such as its /api/chat endpoint
+ * Sampling settings move into options (maxTokens becomes num_predict), responseFormat becomes format, and images
+ * are sent as base64 in the message's images array. Developer messages become system messages. toolChoice and user
+ * have no equivalent and are left out.
+ */
+class ApiClientOllamaProvider extends ApiClientProvider {
+    getHeaders(stream) {
+        // Ollama itself needs no key, but the proxies and hosted services in front of it usually take a bearer token
+        return this.apiKey ? {'Authorization': `Bearer ${this.apiKey}`} : {};
+    }
+
+    toJsonObject(inputBody) {
+        inputBody.validate();
+
+        const result = {...inputBody.extras};
+        const model = inputBody.model || this.model;
+        if (model) result.model = model;
+        result.messages = inputBody.messages.map(message => ApiClientOllamaProvider.toMessage(message));
+        result.stream = inputBody.stream; // Ollama streams unless told otherwise
+        if (inputBody.tools && inputBody.tools.length > 0) result.tools = inputBody.tools;
+
+        const format = inputBody.responseFormat;
+        if (format && format.type === 'json_object') result.format = 'json';
+        if (format && format.type === 'json_schema') result.format = format.json_schema.schema;
+
+        return ApiClientOllamaProvider.moveOptions(result, key => inputBody[key]);
+    }
+
+    toCompletionObject(body) {
+        const result = {...super.toCompletionObject(body)};
+        const values = {};
+        Object.keys(ApiClientOllamaProvider.OPTIONS).forEach(key => {
+            const name = ApiClientInputBody.FIELDS[key];
+            values[key] = result[name];
+            delete result[name];
+        });
+        result.stream = !!result.stream;
+        return ApiClientOllamaProvider.moveOptions(result, key => values[key]);
+    }
+
+    createModelInput(id, headers) {
+        return this.createJsonInput('POST', this.getUrl('show'), {model: id}, headers);
+    }
+
+    /**
+     * Sets the sampling settings in the options object of a request, where Ollama expects them
+     *
+     * @param {Object} result - The request body, modified in place; its own options are kept unless a setting replaces them
+     * @param {Function} getValue - Returns the value of an input body field, such as maxTokens
+     * @return {Object} The same body
+     */
+    static moveOptions(result, getValue) {
+        const options = {...(result.options || {})};
+        Object.keys(ApiClientOllamaProvider.OPTIONS).forEach(key => {
+            const value = getValue(key);
+            if (value === null || value === undefined) return;
+            options[ApiClientOllamaProvider.OPTIONS[key]] = key === 'stop' && !Array.isArray(value) ? [value] : value;
+        });
+        if (Object.keys(options).length > 0) result.options = options;
+        return result;
+    }
+
+    /**
+     * Converts a message to Ollama's format
+     * Ollama has no developer role, so developer messages are sent as system messages.
+     *
+     * @param {Object} message - The message, as built by ApiClientMessage
+     * @return {Object} The message with plain text content, images and object tool call arguments
+     * @throws {TypeError} If the message has file parts or images given by URL, which Ollama cannot take
+     */
+    static toMessage(message) {
+        const result = {...message};
+        if (message.role === 'developer') result.role = 'system';
+
+        if (Array.isArray(message.content)) {
+            const images = [];
+            message.content.forEach(part => {
+                if (part.type === 'file') throw new TypeError('Ollama does not accept file content parts');
+                if (part.type !== 'image_url') return;
+                const image = ApiClientProvider.parseDataUrl(part.image_url.url);
+                if (!image) throw new TypeError('Ollama only accepts inline images; pass the image itself rather than its URL');
+                images.push(image.base64);
+            });
+            result.content = ApiClientProvider.getText(message.content);
+            if (images.length > 0) result.images = (message.images || []).concat(images);
+        }
+
+        if (message.tool_calls) {
+            result.tool_calls = message.tool_calls.map(call => ({
+                ...call,
+                function: {...call.function, arguments: ApiClientProvider.parseArguments(call.function.arguments)}
+            }));
+        }
+        if (message.role === 'tool' && message.name) result.tool_name = message.name;
+
+        return result;
+    }
+}
+
+/**
+ * A local Ollama server's base URL
+ */
+ApiClientOllamaProvider.BASE_URL = 'http://localhost:11434';
+
+/**
+ * The endpoints, relative to the base URL
+ */
+ApiClientOllamaProvider.PATHS = {
+    chat: '/api/chat',
+    embeddings: '/api/embed',
+    completions: '/api/generate',
+    models: '/api/tags',
+    show: '/api/show'
+};
+
+/**
+ * Input body fields and their names in Ollama's options object
+ */
+ApiClientOllamaProvider.OPTIONS = {
+    temperature: 'temperature',
+    maxTokens: 'num_predict',
+    topP: 'top_p',
+    stop: 'stop',
+    seed: 'seed',
+    presencePenalty: 'presence_penalty',
+    frequencyPenalty: 'frequency_penalty'
+};
+
+/**
+ * Sends requests to the Anthropic Messages API
+ * System and developer messages move to the system field, tool calls and results become tool_use and tool_result
+ * blocks, and consecutive messages of one role are merged since the API wants turns to alternate. max_tokens is
+ * required, so the provider's maxTokens is sent when the body sets none. seed, presencePenalty, frequencyPenalty
+ * and responseFormat have no equivalent and are left out.
+ */
+class ApiClientAnthropicProvider extends ApiClientProvider {
+    /**
+     * @param {Object} [options] - Provider settings, as for ApiClientProvider
+     * @param {string} [options.version] - The anthropic-version header, ApiClientAnthropicProvider.VERSION by default
+     * @param {number} [options.maxTokens] - max_tokens for bodies that set none, ApiClientAnthropicProvider.MAX_TOKENS by default
+     */
+    constructor(options) {
+        super(options);
+        const settings = options || {};
+        this.version = settings.version || ApiClientAnthropicProvider.VERSION;
+        this.maxTokens = settings.maxTokens || ApiClientAnthropicProvider.MAX_TOKENS;
+    }
+
+    getHeaders(stream) {
+        const headers = {'anthropic-version': this.version};
+        if (this.apiKey) headers['x-api-key'] = this.apiKey;
+        if (stream) headers['Accept'] = 'text/event-stream';
+        return headers;
+    }
+
+    toJsonObject(inputBody) {
+        inputBody.validate();
+
+        const result = {...inputBody.extras};
+        const model = inputBody.model || this.model;
+        if (!model) throw new TypeError('model is required by the Anthropic Messages API');
+        result.model = model;
+        result.max_tokens = inputBody.maxTokens || this.maxTokens;
+
+        const isSystem = message => message.role === 'system' || message.role === 'developer';
+        const system = inputBody.messages.filter(isSystem).map(message => ApiClientProvider.getText(message.content));
+        if (system.length > 0) result.system = system.join('\n\n');
+        result.messages = ApiClientAnthropicProvider.toMessages(inputBody.messages.filter(message => !isSystem(message)));
+        result.stream = inputBody.stream;
+
+        if (inputBody.temperature !== null && inputBody.temperature !== undefined) result.temperature = inputBody.temperature;
+        if (inputBody.topP !== null && inputBody.topP !== undefined) result.top_p = inputBody.topP;
+        if (inputBody.stop) result.stop_sequences = Array.isArray(inputBody.stop) ? inputBody.stop : [inputBody.stop];
+        if (inputBody.user) result.metadata = {...(result.metadata || {}), user_id: inputBody.user};
+        if (inputBody.tools && inputBody.tools.length > 0) {
+            result.tools = inputBody.tools.map(tool => ({
+                name: tool.function.name,
+                description: tool.function.description,
+                input_schema: tool.function.parameters || {type: 'object', properties: {}}
+            }));
+        }
+        if (inputBody.toolChoice) result.tool_choice = ApiClientAnthropicProvider.toToolChoice(inputBody.toolChoice);
+
+        return result;
+    }
+
+    /**
+     * Converts messages to the Messages API format, merging consecutive messages of one role
+     *
+     * @param {Array<Object>} messages - The messages other than system and developer ones
+     * @return {Array<Object>} The messages, alternating between user and assistant
+     */
+    static toMessages(messages) {
+        const toBlocks = content => typeof content === 'string' ? [{type: 'text', text: content}] : content;
+        const result = [];
+
+        messages.forEach(message => {
+            const role = message.role === 'assistant' ? 'assistant' : 'user';
+            const content = ApiClientAnthropicProvider.toContent(message);
+            const previous = result[result.length - 1];
+            if (previous && previous.role === role) {
+                previous.content = toBlocks(previous.content).concat(toBlocks(content));
+            } else {
+                result.push({role, content});
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Converts the content of one message to text or content blocks
+     *
+     * @param {Object} message - The message, as built by ApiClientMessage
+     * @return {string|Array<Object>} The content
+     */
+    static toContent(message) {
+        if (message.role === 'tool') {
+            return [{type: 'tool_result', tool_use_id: message.tool_call_id, content: ApiClientProvider.getText(message.content)}];
+        }
+        if (!message.tool_calls && !Array.isArray(message.content)) return message.content || '';
+
+        const blocks = Array.isArray(message.content)
+            ? message.content.map(part => ApiClientAnthropicProvider.toBlock(part))
+            : message.content ? [{type: 'text', text: message.content}] : []; // The API rejects empty text blocks
+        (message.tool_calls || []).forEach(call => blocks.push({
+            type: 'tool_use',
+            id: call.id,
+            name: call.function.name,
+            input: ApiClientProvider.parseArguments(call.function.arguments)
+        }));
+        return blocks;
+    }
+
+    /**
+     * Converts a content part to a content block
+     * Images and PDFs are sent as base64 or by URL, other files as plain text documents; blocks already in the
+     * Messages API format are sent as they are.
+     *
+     * @param {Object} part - The content part, as built by ApiClientMessage
+     * @return {Object} The content block
+     */
+    static toBlock(part) {
+        if (part.type === 'image_url') {
+            const image = ApiClientProvider.parseDataUrl(part.image_url.url);
+            const source = image
+                ? {type: 'base64', media_type: image.mimeType, data: image.base64}
+                : {type: 'url', url: part.image_url.url};
+            return {type: 'image', source};
+        }
+        if (part.type === 'file') {
+            const file = ApiClientProvider.parseDataUrl(part.file.file_data);
+            const block = {type: 'document', title: part.file.filename};
+            if (file && file.mimeType === 'application/pdf') {
+                block.source = {type: 'base64', media_type: file.mimeType, data: file.base64};
+            } else {
+                const bytes = Uint8Array.from(atob(file ? file.base64 : ''), char => char.charCodeAt(0));
+                block.source = {type: 'text', media_type: 'text/plain', data: new TextDecoder().decode(bytes)};
+            }
+            return block;
+        }
+        return part;
+    }
+
+    /**
+     * Converts a tool_choice value
+     *
+     * @param {string|Object} choice - "auto", "none", "required" or a specific tool, as for ApiClientInputBody.withTools
+     * @return {Object} The Messages API tool_choice
+     */
+    static toToolChoice(choice) {
+        if (choice === 'required') return {type: 'any'};
+        if (typeof choice === 'string') return {type: choice};
+        if (choice.function) return {type: 'tool', name: choice.function.name};
+        return choice;
+    }
+}
+
+/**
+ * The Anthropic API's base URL
+ */
+ApiClientAnthropicProvider.BASE_URL = 'https://api.anthropic.com';
+
+/**
+ * The endpoints, relative to the base URL; the API has no embeddings or text completions
+ */
+ApiClientAnthropicProvider.PATHS = {
+    chat: '/v1/messages',
+    models: '/v1/models'
+};
+
+/**
+ * The default anthropic-version header
+ */
+ApiClientAnthropicProvider.VERSION = '2023-06-01';
+
+/**
+ * The default max_tokens, sent when the body sets none
+ */
+ApiClientAnthropicProvider.MAX_TOKENS = 4096;
+
+/**
+ * Provider classes by the type names ApiClientProvider.from accepts
+ */
+ApiClientProvider.TYPES = {
+    openai: ApiClientOpenAiProvider,
+    ollama: ApiClientOllamaProvider,
+    anthropic: ApiClientAnthropicProvider
+};
+
+/**
+ * Decides whether and when a failed request is attempted again
+ * Delays grow exponentially with jitter, unless the server sends a Retry-After header.
+ */
+class ApiClientRetryPolicy {
+    constructor() {
+        this.maxAttempts = 3;
+        this.baseDelay = 500;
+        this.maxDelay = 30000;
+        this.factor = 2;
+        this.jitter = 0.5; // Fraction of the delay that is randomised
+        this.retryableStatusCodes = ApiClientHttpError.RETRYABLE_STATUS_CODES.slice();
+        this.retryableMethods = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+        this.retryOnNetworkError = true;
+        this.respectRetryAfter = true;
+        this.maxRetryAfter = 60000; // Give up rather than wait longer than this for Retry-After
+    }
+
+    /**
+     * Creates a policy, overriding the defaults with the given options
+     *
+     * @param {Object} [options] - Any of the policy's properties
+     * @return {ApiClientRetryPolicy} The created policy
+     */
+    static create(options) {
+        return Object.assign(new ApiClientRetryPolicy(), options || {});
+    }
+
+    /**
+     * Creates a policy that never retries, used to opt a request out of ApiClient.retryPolicy
+     *
+     * @return {ApiClientRetryPolicy} The created policy
+     */
+    static none() {
+        return ApiClientRetryPolicy.create({maxAttempts: 1});
+    }
+
+    /**
+     * Normalises a policy or an options object into a policy
+     *
+     * @param {ApiClientRetryPolicy|Object|null} value - The value to normalise
+     * @return {ApiClientRetryPolicy|null} The policy, or null if none was given
+     */
+    static from(value) {
+        if (!value) return null;
+        return value instanceof ApiClientRetryPolicy ? value : ApiClientRetryPolicy.create(value);
+    }
+
+    /**
+     * Determines if a failed attempt should be retried
+     *
+     * @param {ApiClientInput} input - The input that was sent
+     * @param {ApiClientOutput} output - The output of the attempt
+     * @param {number} attempt - The number of the attempt, starting at 1
+     * @return {boolean} true if another attempt should be made
+     */
+    shouldRetry(input, output, attempt) {
+        if (attempt >= this.maxAttempts) return false;
+        if (output.isSuccessful() || output.isAborted() || output.isTimedOut()) return false;
+        if (!this.retryableMethods.includes((input.method || 'GET').toUpperCase())) return false;
+
+        if (output.statusCode === 0) return this.retryOnNetworkError;
+        if (!this.retryableStatusCodes.includes(output.statusCode)) return false;
+
+        const retryAfter = this.getRetryAfter(output);
+        return retryAfter === null || retryAfter <= this.maxRetryAfter;
+    }
+
+    /**
+     * Calculates how long to wait before the next attempt
+     *
+     * @param {number} attempt - The number of the attempt that failed, starting at 1
+     * @param {ApiClientOutput} output - The output of that attempt
+     * @return {number} The delay in milliseconds
+     */
+    getDelay(attempt, output) {
+        const retryAfter = this.getRetryAfter(output);
+        if (retryAfter !== null) return retryAfter;
+
+        const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(this.factor, attempt - 1));
+        return Math.round(delay * (1 - this.jitter * Math.random()));
+    }
+
+    /**
+     * Reads the Retry-After header, which holds either seconds or an HTTP date
+     *
+     * @param {ApiClientOutput} output - The output to read
+     * @return {number|null} The delay it asks for in milliseconds, or null if absent or ignored
+     */
+    getRetryAfter(output) {
+        if (!this.respectRetryAfter || !output || !output.headers) return null;
+        const key = ApiClientInput.findHeaderName(output.headers, 'Retry-After');
+        const value = key === null ? null : output.headers[key];
+        if (!value) return null;
+
+        if (/^\s*\d+\s*$/.test(value)) return parseInt(value, 10) * 1000;
+
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Creates the record of an attempt that is stored on ApiClientOutput.attempts
+     *
+     * @param {number} attempt - The number of the attempt, starting at 1
+     * @param {ApiClientOutput} output - The output of the attempt
+     * @param {number} delay - The delay before the next attempt, 0 if there is none
+     * @return {Object} An object with attempt, statusCode, error and delay
+     */
+    static createAttempt(attempt, output, delay) {
+        return {
+            attempt,
+            statusCode: output.statusCode,
+            error: output.getFailureReason(),
+            delay
+        };
+    }
+}
+
+/**
+ * Limits how fast requests are sent, queueing the excess instead of failing it
+ * Limits apply per key, the request's host by default. Each key uses a token bucket (bursts up to the limit,
+ * refilled evenly over the interval) or a sliding window (at most limit requests in any interval). The limiter
+ * also follows the server: X-RateLimit-Remaining/Reset and RateLimit-Remaining/Reset pause a key once the
+ * server's quota is used up, and Retry-After on a 429 or 503 pauses it for the time asked.
+ */
+class ApiClientRateLimiter {
+    /**
+     * @param {Object} [options] - Limiter settings
+     * @param {string} [options.algorithm="token-bucket"] - "token-bucket" or "sliding-window"
+     * @param {number} [options.limit=10] - Requests allowed per interval
+     * @param {number} [options.interval=1000] - The interval in milliseconds
+     * @param {Function} [options.key] - Maps an ApiClientInput to the key it is limited under, its host by default
+     * @param {Object} [options.limits] - Settings ({algorithm, limit, interval}) for particular keys
+     * @param {boolean} [options.adaptive=true] - Whether to follow the server's rate-limit headers
+     */
+    constructor(options) {
+        const settings = options || {};
+        this.algorithm = settings.algorithm || 'token-bucket';
+        this.limit = settings.limit || 10;
+        this.interval = settings.interval || 1000;
+        this.key = settings.key || (input => ApiClient.getHost(input.url));
+        this.limits = settings.limits || {};
+        this.adaptive = settings.adaptive !== false;
+        this.buckets = {};
+        this.listeners = {queue: [], wait: [], throttle: []};
+    }
+
+    /**
+     * Adds an event listener
+     * - "queue": the number of waiting requests changed, with {key, depth, totalDepth, waitTime}
+     * - "wait": a queued request was released, with {key, waited}
+     * - "throttle": the server asked for a pause, with {key, until}
+     *
+     * @param {string} type - "queue", "wait" or "throttle"
+     * @param {Function} listener - Called with the event
+     * @return {Function} Removes the listener
+     */
+    on(type, listener) {
+        if (!this.listeners[type]) throw new TypeError(`Unknown rate limiter event: ${type}`);
+        this.listeners[type].push(listener);
+        return () => {
+            this.listeners[type] = this.listeners[type].filter(registered => registered !== listener);
+        };
+    }
+
+    /**
+     * Calls the listeners of an event, ignoring their errors so a faulty listener cannot stall the queue
+     *
+     * @param {string} type - The event type
+     * @param {Object} event - The event
+     */
+    emit(type, event) {
+        this.listeners[type].forEach(listener => {
+            try {
+                listener(event);
+            } catch (ignore) {
+            }
+        });
+    }
+
+    /**
+     * Waits until a request may be sent
+     *
+     * @param {ApiClientInput} input - The request
+     * @param {AbortSignal} [signal] - Resolves early, without taking a slot, when aborted
+     * @return {Promise<boolean>} true once the request may be sent, false if the signal aborted first
+     */
+    acquire(input, signal) {
+        const key = this.key(input);
+        const bucket = this.getBucket(key);
+
+        return new Promise(resolve => {
+            if (signal && signal.aborted) return resolve(false);
+            if (bucket.queue.length === 0 && this.take(bucket)) return resolve(true);
+
+            const entry = {enqueued: Date.now(), resolve: null};
+            const onAbort = () => {
+                bucket.queue = bucket.queue.filter(queued => queued !== entry);
+                this.emitQueue(bucket);
+                resolve(false);
+            };
+            entry.resolve = () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                this.emit('wait', {key, waited: Date.now() - entry.enqueued});
+                resolve(true);
+            };
+            if (signal) signal.addEventListener('abort', onAbort);
+
+            bucket.queue.push(entry);
+            this.emitQueue(bucket);
+            this.schedule(bucket);
+        });
+    }
+
+    /**
+     * Adapts the limits of a key to the rate-limit headers of a response
+     *
+     * @param {ApiClientInput} input - The request
+     * @param {ApiClientOutput} output - Its output
+     */
+    update(input, output) {
+        if (!this.adaptive || !output || !output.headers) return;
+        const bucket = this.getBucket(this.key(input));
+        const now = Date.now();
+        let until = 0;
+
+        if (output.statusCode === 429 || output.statusCode === 503) {
+            const retryAfter = ApiClientRateLimiter.parseDelay(output.getHeader('Retry-After'), now);
+            if (retryAfter !== null) until = now + retryAfter;
+        }
+
+        const remaining = ApiClientRateLimiter.readHeader(output, ApiClientRateLimiter.REMAINING_HEADERS);
+        if (remaining !== null && /^\s*\d+\s*$/.test(remaining)) {
+            const count = parseInt(remaining, 10);
+            if (bucket.algorithm === 'token-bucket') bucket.tokens = Math.min(bucket.tokens, count);
+            if (count === 0) {
+                const reset = ApiClientRateLimiter.parseDelay(ApiClientRateLimiter.readHeader(output, ApiClientRateLimiter.RESET_HEADERS), now);
+                until = Math.max(until, now + (reset !== null ? reset : bucket.interval));
+            }
+        }
+
+        if (until > bucket.blockedUntil) {
+            bucket.blockedUntil = until;
+            this.emit('throttle', {key: bucket.key, until});
+            clearTimeout(bucket.timer);
+            bucket.timer = null;
+            this.schedule(bucket);
+        }
+    }
+
+    /**
+     * Normalises a limiter or an options object into a limiter
+     *
+     * @param {ApiClientRateLimiter|Object|null} value - The value to normalise
+     * @return {ApiClientRateLimiter|null} The limiter, or null if none was given
+     */
+    static from(value) {
+        if (!value) return null;
+        return value instanceof ApiClientRateLimiter ? value : new ApiClientRateLimiter(value);
+    }
+
+    /**
+     * Returns the number of requests waiting
+     *
+     * @param {string} [key] - A key, or all keys if omitted
+     * @return {number} The queue depth
+     */
+    getQueueDepth(key) {
+        if (key !== undefined) return this.buckets[key] ? this.buckets[key].queue.length : 0;
+        return Object.keys(this.buckets).reduce((sum, name) => sum + this.buckets[name].queue.length, 0);
+    }
+
+    /**
+     * Determines if requests are waiting, or a key is paused at the server's request
+     *
+     * @param {string} [key] - A key, or any key if omitted
+     * @return {boolean} true while throttled
+     */
+    isThrottled(key) {
+        const keys = key !== undefined ? [key] : Object.keys(this.buckets);
+        return keys.some(name => {
+            const bucket = this.buckets[name];
+            return !!bucket && (bucket.queue.length > 0 || bucket.blockedUntil > Date.now());
+        });
+    }
+
+    /**
+     * Returns the state of a key, creating it on first use
+     *
+     * @param {string} key - The key
+     * @return {Object} The bucket
+     */
+    getBucket(key) {
+        if (!this.buckets[key]) {
+            const settings = {algorithm: this.algorithm, limit: this.limit, interval: this.interval, ...(this.limits[key] || {})};
+            this.buckets[key] = {
+                key,
+                ...settings,
+                tokens: settings.limit,
+                refilled: Date.now(),
+                sent: [], // Send times within the window, for sliding-window
+                blockedUntil: 0,
+                queue: [],
+                timer: null
+            };
+        }
+        return this.buckets[key];
+    }
+
+    /**
+     * Takes a slot from a bucket if one is free
+     *
+     * @param {Object} bucket - The bucket
+     * @return {boolean} true if a slot was taken
+     */
+    take(bucket) {
+        if (this.getDelay(bucket) > 0) return false;
+        this.consume(bucket);
+        return true;
+    }
+
+    /**
+     * Uses up a slot of a bucket that has one free
+     *
+     * @param {Object} bucket - The bucket
+     */
+    consume(bucket) {
+        if (bucket.algorithm === 'sliding-window') {
+            bucket.sent.push(Date.now());
+        } else {
+            bucket.tokens -= 1;
+        }
+    }
+
+    /**
+     * Calculates how long until a bucket has a free slot
+     *
+     * @param {Object} bucket - The bucket
+     * @return {number} The delay in milliseconds, 0 if a slot is free now
+     */
+    getDelay(bucket) {
+        const now = Date.now();
+        let delay = Math.max(0, bucket.blockedUntil - now);
+
+        if (bucket.algorithm === 'sliding-window') {
+            bucket.sent = bucket.sent.filter(time => time > now - bucket.interval);
+            if (bucket.sent.length >= bucket.limit) {
+                delay = Math.max(delay, bucket.sent[bucket.sent.length - bucket.limit] + bucket.interval - now);
+            }
+        } else {
+            const rate = bucket.limit / bucket.interval;
+            bucket.tokens = Math.min(bucket.limit, bucket.tokens + (now - bucket.refilled) * rate);
+            bucket.refilled = now;
+            if (bucket.tokens < 1) delay = Math.max(delay, Math.ceil((1 - bucket.tokens) / rate));
+        }
+        return delay;
+    }
+
+    /**
+     * Releases queued requests as slots free up, setting a timer for the next one
+     *
+     * @param {Object} bucket - The bucket
+     */
+    schedule(bucket) {
+        if (bucket.timer) return;
+        while (bucket.queue.length > 0) {
+            const delay = this.getDelay(bucket);
+            if (delay > 0) {
+                bucket.timer = setTimeout(() => {
+                    bucket.timer = null;
+                    this.schedule(bucket);
+                }, delay);
+                return;
+            }
+            this.consume(bucket);
+            bucket.queue.shift().resolve();
+            this.emitQueue(bucket);
+        }
+    }
+
+    /**
+     * Reports a change in a bucket's queue
+     *
+     * @param {Object} bucket - The bucket
+     */
+    emitQueue(bucket) {
+        const slots = Math.max(0, bucket.queue.length - 1);
+        this.emit('queue', {
+            key: bucket.key,
+            depth: bucket.queue.length,
+            totalDepth: this.getQueueDepth(),
+            // Rough time until the last queued request is released
+            waitTime: bucket.queue.length === 0 ? 0 : this.getDelay(bucket) + Math.ceil(slots * bucket.interval / bucket.limit)
+        });
+    }
+
+    /**
+     * Reads the first of several headers that is present
+     *
+     * @param {ApiClientOutput} output - The output
+     * @param {Array<string>} names - Header names, in order of preference
+     * @return {string|null} The value, or null if none is present
+     */
+    static readHeader(output, names) {
+        for (const name of names) {
+            const value = output.getHeader(name);
+            if (value !== null && value !== undefined && value !== '') return value;
+        }
+        return null;
+    }
+
+    /**
+     * Parses a rate-limit delay: seconds, an epoch timestamp in seconds or milliseconds, an HTTP date,
+     * or a duration such as "1m30s" or "250ms"
+     *
+     * @param {string|null} value - The header value
+     * @param {number} now - The current time in milliseconds
+     * @return {number|null} The delay in milliseconds, or null if the value cannot be read
+     */
+    static parseDelay(value, now) {
+        if (value === null || value === undefined) return null;
+        const text = String(value).trim();
+
+        if (/^\d+(\.\d+)?$/.test(text)) {
+            const number = parseFloat(text);
+            if (number > 1e12) return Math.max(0, number - now); // Epoch milliseconds
+            if (number > 1e9) return Math.max(0, number * 1000 - now); // Epoch seconds
+            return Math.round(number * 1000);
+        }
+
+        const units = {ms: 1, s: 1000, m: 60000, h: 3600000};
+        const parts = text.match(/\d+(?:\.\d+)?(?:ms|s|m|h)/g);
+        if (parts && parts.join('') === text) {
+            return Math.round(parts.reduce((sum, part) => {
+                const [, amount, unit] = /^([\d.]+)(ms|s|m|h)$/.exec(part);
+                return sum + parseFloat(amount) * units[unit];
+            }, 0));
+        }
+
+        const date = Date.parse(text);
+        return isNaN(date) ? null : Math.max(0, date - now);
+    }
+}
+
+/**
+ * Headers that report the requests left in the server's quota, in order of preference
+ */
+ApiClientRateLimiter.REMAINING_HEADERS = ['X-RateLimit-Remaining', 'RateLimit-Remaining', 'X-RateLimit-Remaining-Requests'];
+
+/**
+ * Headers that report when the server's quota resets, in order of preference
+ */
+ApiClientRateLimiter.RESET_HEADERS = ['X-RateLimit-Reset', 'RateLimit-Reset', 'X-RateLimit-Reset-Requests'];
+
+/**
+ * Caches GET responses for an ApiClient and collapses identical concurrent requests into one fetch
+ * Responses are kept as long as Cache-Control or Expires allows, or for the configured TTL when the server says
+ * nothing. Stale entries with an ETag or Last-Modified are revalidated with If-None-Match/If-Modified-Since, and a
+ * 304 answer is turned back into the stored response. Only bodies read as "text" or "json" are stored.
+ * Entries are keyed by the Authorization and Accept headers as well as the URL, and a stored response is only used
+ * for a request that matches it in the headers named by its Vary header. Requests that carry credentials bypass
+ * the cache unless the credentialed option is set.
+ */
+class ApiClientCache {
+    /**
+     * @param {Object} [options] - Cache settings
+     * @param {Object} [options.storage] - Where entries are kept, an ApiClientMemoryStorage by default; any object with
+     * get(key), set(key, entry), delete(key) and keys() works, and each may return a Promise
+     * @param {number} [options.maxEntries=100] - Size of the default in-memory storage
+     * @param {number} [options.ttl=0] - Milliseconds to keep responses that carry no caching headers
+     * @param {boolean} [options.dedupe=true] - Whether identical concurrent requests share one fetch
+     * @param {boolean} [options.credentialed=false] - Whether to also cache requests that carry credentials, see isCredentialed
+     * @param {Function} [options.key] - Maps an ApiClientInput to its cache key, see createKey
+     */
+    constructor(options) {
+        const settings = options || {};
+        this.storage = settings.storage || new ApiClientMemoryStorage(settings.maxEntries);
+        this.ttl = settings.ttl || 0;
+        this.dedupe = settings.dedupe !== false;
+        this.credentialed = !!settings.credentialed;
+        this.key = settings.key || (input => ApiClientCache.createKey(input));
+        this.inFlight = {};
+    }
+
+    /**
+     * Normalises a cache, an options object or true into a cache
+     *
+     * @param {ApiClientCache|Object|boolean|null} value - The value to normalise
+     * @return {ApiClientCache|null} The cache, or null if none was given
+     */
+    static from(value) {
+        if (!value) return null;
+        if (value instanceof ApiClientCache) return value;
+        return new ApiClientCache(value === true ? {} : value);
+    }
+
+    /**
+     * Determines if a request goes through the cache
+     * Requests that opted out with withCache(false), set their own conditional headers, or read their
+     * body as a blob or ArrayBuffer bypass it, as do requests with credentials unless the cache is credentialed.
+     *
+     * @param {ApiClientInput} input - The prepared input
+     * @param {boolean} [authorized=false] - Whether the client's auth provider adds credentials to the request
+     * @return {boolean} true if the request is cached
+     */
+    accepts(input, authorized) {
+        return input.method === 'GET'
+            && input.cache !== false
+            && (input.responseType === 'text' || input.responseType === 'json')
+            && input.getHeader('If-None-Match') === null
+            && input.getHeader('If-Modified-Since') === null
+            && (this.credentialed || (!authorized && !ApiClientCache.isCredentialed(input)));
+    }
+
+    /**
+     * Creates the default cache key of a request
+     * Besides the method, URL and response type it holds the Accept header, which selects the representation, and a
+     * hash of the credential headers, so that different users never share an entry.
+     *
+     * @param {ApiClientInput} input - The prepared input
+     * @return {string} The key
+     */
+    static createKey(input) {
+        const parts = [input.method, input.url, input.responseType];
+        const accept = input.getHeader('Accept');
+        if (accept !== null) parts.push(`accept=${accept}`);
+        ApiClientCache.CREDENTIAL_HEADERS.forEach(name => {
+            const value = input.getHeader(name);
+            if (value !== null) parts.push(`${name.toLowerCase()}=${ApiClientCache.hash(value)}`);
+        });
+        return parts.join(' ');
+    }
+
+    /**
+     * Determines if a request carries credentials of its own, in an Authorization, Proxy-Authorization or Cookie header
+     *
+     * @param {ApiClientInput} input - The input
+     * @return {boolean} true if the request has credentials
+     */
+    static isCredentialed(input) {
+        return ApiClientCache.CREDENTIAL_HEADERS.some(name => input.getHeader(name) !== null);
+    }
+
+    /**
+     * Hashes a header value, so that credentials do not appear in keys that storage may persist
+     *
+     * @param {string} text - The text
+     * @return {string} A 53-bit hash as hex
+     */
+    static hash(text) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ code, 2654435761);
+            h2 = Math.imul(h2 ^ code, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+    }
+
+    /**
+     * Lists the request headers a response varies by, from its Vary header
+     *
+     * @param {Object} headers - The response headers
+     * @return {Array<string>|null} The header names in lower case, or null for Vary: *, which no request can match
+     */
+    static getVary(headers) {
+        const output = new ApiClientOutput();
+        output.headers = headers;
+        const names = output.getHeaderValues('Vary').map(name => name.toLowerCase());
+        return names.includes('*') ? null : names;
+    }
+
+    /**
+     * Answers a request from the cache, or from the network through load
+     * The output's cacheStatus is "hit" when it came from storage, "revalidated" when the server confirmed a
+     * stored response with a 304, and "miss" otherwise.
+     *
+     * @param {ApiClientInput} input - The prepared input
+     * @param {ApiClientRequestHandle} handle - The handle of the caller
+     * @param {Function} load - Sends an input under a handle, returning a Promise of its ApiClientOutput
+     * @return {Promise<ApiClientOutput>} A Promise that resolves to the output
+     */
+    async fetch(input, handle, load) {
+        const key = this.key(input);
+        if (!this.dedupe) return this.resolve(key, input, {stale: false}, request => load(request, handle));
+
+        // Only requests with the same headers share a fetch, since the response may vary by any of them
+        const flight = `${key} ${ApiClientCache.hash(JSON.stringify(Object.keys(input.headers).sort()
+            .map(name => [name.toLowerCase(), input.headers[name]])))}`;
+        let shared = this.inFlight[flight];
+        const joined = !!shared;
+        if (!shared) {
+            // The fetch runs under a handle of its own, cancelled only once every caller has given up
+            const sharedHandle = new ApiClientRequestHandle(null);
+            shared = {url: input.url, handle: sharedHandle, waiting: 0, stale: false, promise: null};
+            // Cleared however the fetch ends, so a failed fetch is not shared with later callers
+            shared.promise = this.resolve(key, input, shared, request => load(request, sharedHandle)).finally(() => {
+                if (this.inFlight[flight] === shared) delete this.inFlight[flight];
+                sharedHandle.dispose();
+            });
+            this.inFlight[flight] = shared;
+        }
+
+        shared.waiting++;
+        return new Promise(resolve => {
+            const onAbort = () => {
+                if (--shared.waiting === 0) shared.handle.cancel();
+                resolve(handle.createOutput());
+            };
+            if (handle.reason) return onAbort();
+            handle.signal.addEventListener('abort', onAbort);
+            shared.promise.then(output => {
+                handle.signal.removeEventListener('abort', onAbort);
+                if (joined && ApiClientCache.getVary(output.headers || {}) === null) {
+                    // Vary: * means the response is not to be reused, not even by a request made at the same time
+                    load(input, handle).then(resolve, error => resolve(ApiClientOutput.createForError(error)));
+                } else {
+                    resolve(output);
+                }
+            }, error => {
+                handle.signal.removeEventListener('abort', onAbort);
+                resolve(ApiClientOutput.createForError(error));
+            });
+        });
+    }
+
+    /**
+     * Looks a request up in storage and goes to the network when the entry is missing or stale
+     *
+     * @param {string} key - The cache key
+     * @param {ApiClientInput} input - The prepared input
+     * @param {Object} state - Marked stale when the URL is invalidated mid-flight, so the result is not stored
+     * @param {Function} send - Sends an input, returning a Promise of its ApiClientOutput
+     * @return {Promise<ApiClientOutput>} A Promise that resolves to the output
+     */
+    async resolve(key, input, state, send) {
+        const stored = await this.read(key);
+        const entry = stored && ApiClientCache.matchesVary(stored, input) ? stored : null;
+        const now = Date.now();
+        if (entry && entry.expires > now && !(input.cache && input.cache.reload)) {
+            return ApiClientCache.createOutput(entry, 'hit');
+        }
+
+        let request = input;
+        if (entry && (entry.etag || entry.lastModified)) {
+            request = input.clone();
+            if (entry.etag) request.setHeader('If-None-Match', entry.etag);
+            if (entry.lastModified) request.setHeader('If-Modified-Since', entry.lastModified);
+        }
+
+        const output = await send(request);
+        if (output.statusCode === 304 && entry) {
+            const refreshed = {...entry, headers: {...entry.headers, ...output.headers}};
+            refreshed.expires = this.getExpiry(refreshed.headers, input, Date.now());
+            if (!state.stale) await this.write(key, refreshed);
+            return ApiClientCache.createOutput(refreshed, 'revalidated');
+        }
+
+        output.cacheStatus = 'miss';
+        if (!state.stale && output.statusCode === 200 && !output.error) await this.store(key, input, output);
+        return output;
+    }
+
+    /**
+     * Stores a response if its headers allow it
+     *
+     * @param {string} key - The cache key
+     * @param {ApiClientInput} input - The prepared input
+     * @param {ApiClientOutput} output - The response
+     */
+    async store(key, input, output) {
+        if (output.getHeaderValues('Cache-Control').some(directive => directive.toLowerCase() === 'no-store')) return;
+        const vary = ApiClientCache.getVary(output.headers);
+        if (vary === null) return;
+
+        const entry = {
+            url: input.url,
+            statusCode: output.statusCode,
+            headers: output.headers,
+            body: output.body,
+            etag: output.getHeader('ETag'),
+            lastModified: output.getHeader('Last-Modified'),
+            vary: ApiClientCache.getVaryValues(vary, input),
+            stored: Date.now()
+        };
+        entry.expires = this.getExpiry(entry.headers, input, entry.stored);
+
+        // Without freshness or a validator the entry could never be used
+        if (entry.expires > entry.stored || entry.etag || entry.lastModified) await this.write(key, entry);
+    }
+
+    /**
+     * Collects the values a request has for the headers a response varies by
+     *
+     * @param {Array<string>} names - The header names, in lower case
+     * @param {ApiClientInput} input - The request
+     * @return {Object} The value of each header, null where the request does not have it
+     */
+    static getVaryValues(names, input) {
+        const values = {};
+        names.forEach(name => {
+            values[name] = input.getHeader(name);
+        });
+        return values;
+    }
+
+    /**
+     * Determines if a stored entry may answer a request, which must match it in the headers the response varies by
+     *
+     * @param {Object} entry - The entry
+     * @param {ApiClientInput} input - The request
+     * @return {boolean} true if the entry applies to the request
+     */
+    static matchesVary(entry, input) {
+        const vary = entry.vary || {};
+        return Object.keys(vary).every(name => input.getHeader(name) === vary[name]);
+    }
+
+    /**
+     * Calculates until when a response is fresh
+     *
+     * @param {Object} headers - The response headers
+     * @param {ApiClientInput} input - The prepared input, whose withCache TTL is used when the headers say nothing
+     * @param {number} now - The time the response was received
+     * @return {number} The expiry time in milliseconds since the epoch
+     */
+    getExpiry(headers, input, now) {
+        const output = new ApiClientOutput();
+        output.headers = headers;
+        const directives = output.getHeaderValues('Cache-Control').map(directive => directive.toLowerCase());
+
+        if (directives.includes('no-cache')) return now;
+        const maxAge = directives.find(directive => /^max-age=\d+$/.test(directive));
+        if (maxAge) return now + parseInt(maxAge.slice(8), 10) * 1000;
+
+        const expires = Date.parse(output.getHeader('Expires'));
+        if (!isNaN(expires)) {
+            // Measure against the server's clock when it sends one
+            const date = Date.parse(output.getHeader('Date'));
+            return now + Math.max(0, expires - (isNaN(date) ? now : date));
+        }
+
+        const ttl = input.cache && input.cache.ttl !== undefined ? input.cache.ttl : this.ttl;
+        return now + ttl;
+    }
+
+    /**
+     * Removes the entries whose URL starts with a prefix, typically after a mutation
+     * Requests for those URLs that are still in flight are not stored when they complete.
+     *
+     * @param {string} prefix - The URL prefix; an empty string removes everything
+     * @return {Promise<number>} A Promise that resolves to the number of entries removed
+     */
+    async invalidate(prefix) {
+        Object.keys(this.inFlight).forEach(key => {
+            const shared = this.inFlight[key];
+            if (!shared.url.startsWith(prefix)) return;
+            shared.stale = true;
+            delete this.inFlight[key];
+        });
+
+        let removed = 0;
+        for (const key of await this.storage.keys()) {
+            const entry = await this.read(key);
+            if (entry && !entry.url.startsWith(prefix)) continue;
+            await this.storage.delete(key);
+            if (entry) removed++;
+        }
+        return removed;
+    }
+
+    /**
+     * Removes every entry
+     *
+     * @return {Promise<number>} A Promise that resolves to the number of entries removed
+     */
+    clear() {
+        return this.invalidate('');
+    }
+
+    /**
+     * Reads an entry, treating a storage failure as a miss
+     *
+     * @param {string} key - The cache key
+     * @return {Promise<Object|null>} The entry, or null
+     */
+    async read(key) {
+        try {
+            return (await this.storage.get(key)) || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Writes an entry, ignoring storage failures such as a full quota
+     *
+     * @param {string} key - The cache key
+     * @param {Object} entry - The entry
+     */
+    async write(key, entry) {
+        try {
+            await this.storage.set(key, entry);
+        } catch (ignore) {
+        }
+    }
+
+    /**
+     * Creates an output from a stored entry
+     *
+     * @param {Object} entry - The entry
+     * @param {string} cacheStatus - "hit" or "revalidated"
+     * @return {ApiClientOutput} A new ApiClientOutput
+     */
+    static createOutput(entry, cacheStatus) {
+        const output = new ApiClientOutput();
+        output.statusCode = entry.statusCode;
+        output.headers = {...entry.headers};
+        output.body = entry.body;
+        output.cacheStatus = cacheStatus;
+        return output;
+    }
+}
+
+/**
+ * Request headers that carry credentials: a request with any of them bypasses a cache that is not credentialed,
+ * and the default key holds a hash of their values
+ */
+ApiClientCache.CREDENTIAL_HEADERS = ['Authorization', 'Proxy-Authorization', 'Cookie'];
+
+/**
+ * In-memory cache storage that evicts the least recently used entry once full
+ */
+class ApiClientMemoryStorage {
+    /**
+     * @param {number} [maxEntries=100] - The number of entries kept
+     */
+    constructor(maxEntries) {
+        this.maxEntries = maxEntries || 100;
+        this.entries = new Map(); // Iterates in insertion order, so the first key is the least recently used
+    }
+
+    /**
+     * Retrieves an entry, marking it as the most recently used
+     *
+     * @param {string} key - The cache key
+     * @return {Object|undefined} The entry, or undefined if absent
+     */
+    get(key) {
+        if (!this.entries.has(key)) return undefined;
+        const entry = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Stores an entry, evicting the least recently used entry when full
+     *
+     * @param {string} key - The cache key
+     * @param {Object} entry - The entry
+     */
+    set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) this.entries.delete(this.entries.keys().next().value);
+    }
+
+    /**
+     * Removes an entry
+     *
+     * @param {string} key - The cache key
+     */
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    /**
+     * Lists the keys of the stored entries
+     *
+     * @return {Array<string>} The keys
+     */
+    keys() {
+        return Array.from(this.entries.keys());
+    }
+}
+
+/**
+ * Cache or offline queue storage backed by localStorage or sessionStorage, so entries survive a page reload
+ * Entries are stored as JSON under a prefix, which keeps them apart from the page's own keys.
+ */
+class ApiClientWebStorage {
+    /**
+     * @param {Storage} [storage=localStorage] - The Web Storage area
+     * @param {string} [prefix="api-client-cache:"] - Prefix for the keys written
+     */
+    constructor(storage, prefix) {
+        this.storage = storage || localStorage;
+        this.prefix = prefix || 'api-client-cache:';
+    }
+
+    /**
+     * Retrieves an entry
+     *
+     * @param {string} key - The cache key
+     * @return {Object|undefined} The entry, or undefined if absent
+     */
+    get(key) {
+        const value = this.storage.getItem(this.prefix + key);
+        return value === null ? undefined : JSON.parse(value);
+    }
+
+    /**
+     * Stores an entry; throws if the storage quota is exceeded
+     *
+     * @param {string} key - The cache key
+     * @param {Object} entry - The entry
+     */
+    set(key, entry) {
+        this.storage.setItem(this.prefix + key, JSON.stringify(entry));
+    }
+
+    /**
+     * Removes an entry
+     *
+     * @param {string} key - The cache key
+     */
+    delete(key) {
+        this.storage.removeItem(this.prefix + key);
+    }
+
+    /**
+     * Lists the keys of the stored entries
+     *
+     * @return {Array<string>} The keys
+     */
+    keys() {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const name = this.storage.key(i);
+            if (name !== null && name.startsWith(this.prefix)) keys.push(name.slice(this.prefix.length));
+        }
+        return keys;
+    }
+}
+
+/**
+ * Keeps writes that could not be sent because the device is offline, and sends them again once it is back
+ * A request is queued when the browser reports being offline or the send fails with a network error. Queued requests
+ * are saved through a storage backend and replayed one at a time, oldest first, when the browser's online event
+ * fires, when another request of the client succeeds, or when replay() is called. Each queueable request carries an
+ * idempotency key from its first attempt on, so a write the server received before the connection dropped is not
+ * applied twice. A queue belongs to one client: pass it as new ApiClient({offlineQueue}).
+ */
+class ApiClientOfflineQueue {
+    /**
+     * @param {Object} [options] - Queue settings
+     * @param {Object} [options.storage] - Where queued requests are kept, an ApiClientMemoryStorage by default; pass an
+     * ApiClientWebStorage with a prefix of its own to keep them across page reloads. Same interface as the cache's storage.
+     * @param {Array<string>} [options.methods=["POST", "PUT", "PATCH", "DELETE"]] - Methods whose requests are queued
+     * @param {Function} [options.match] - Further limits which inputs are queued; by default every input except model
+     *                                     requests (chat, embeddings, completions), whose answers are of no use later
+     * @param {string|null} [options.idempotencyHeader="Idempotency-Key"] - Header carrying the key, null to send none
+     * @param {number} [options.maxAttempts=5] - Replays of a request answered with 408, 429 or 5xx before it is given up
+     * @param {boolean} [options.replayOnReconnect=true] - Whether to replay by itself, on the online event and after a
+     *                                                     request of the client succeeds
+     */
+    constructor(options) {
+        const settings = options || {};
+        this.storage = settings.storage || new ApiClientMemoryStorage(Infinity);
+        this.methods = (settings.methods || ApiClientOfflineQueue.METHODS).map(method => method.toUpperCase());
+        this.match = settings.match || (input => !input.inputBody);
+        this.idempotencyHeader = settings.idempotencyHeader !== undefined ? settings.idempotencyHeader : 'Idempotency-Key';
+        this.maxAttempts = settings.maxAttempts || 5;
+        this.replayOnReconnect = settings.replayOnReconnect !== false;
+        this.client = null;
+        this.pending = true; // Not known until storage is read, since a previous session may have left requests behind
+        this.replaying = null;
+        this.sequence = 0;
+        this.onOnline = null;
+        this.listeners = {queued: [], replayed: [], failed: []};
+    }
+
+    /**
+     * Normalises a queue, an options object or true into a queue
+     *
+     * @param {ApiClientOfflineQueue|Object|boolean|null} value - The value to normalise
+     * @return {ApiClientOfflineQueue|null} The queue, or null if none was given
+     */
+    static from(value) {
+        if (!value) return null;
+        if (value instanceof ApiClientOfflineQueue) return value;
+        return new ApiClientOfflineQueue(value === true ? {} : value);
+    }
+
+    /**
+     * Adds an event listener
+     * - "queued": a request was saved for later, with {entry, input, output}; output is the failure that queued it
+     * - "replayed": a queued request was sent successfully, with {entry, input, output}
+     * - "failed": a queued request was given up, with {entry, input, output}; output is the server's last answer,
+     *   or for an entry that could not be restored, input is null and output holds the error
+     *
+     * @param {string} type - "queued", "replayed" or "failed"
+     * @param {Function} listener - Called with the event
+     * @return {Function} Removes the listener
+     */
+    on(type, listener) {
+        if (!this.listeners[type]) throw new TypeError(`Unknown offline queue event: ${type}`);
+        this.listeners[type].push(listener);
+        return () => {
+            this.listeners[type] = this.listeners[type].filter(registered => registered !== listener);
+        };
+    }
+
+    /**
+     * Calls the listeners of an event, ignoring their errors so a faulty listener cannot stop a replay
+     *
+     * @param {string} type - The event type
+     * @param {Object} event - The event
+     */
+    emit(type, event) {
+        this.listeners[type].forEach(listener => {
+            try {
+                listener(event);
+            } catch (ignore) {
+            }
+        });
+    }
+
+    /**
+     * Connects the queue to the client that replays its requests, listening for the online event where there is one
+     *
+     * @param {ApiClient} client - The client
+     */
+    attach(client) {
+        this.detach();
+        this.client = client;
+        if (this.replayOnReconnect && typeof globalThis.addEventListener === 'function') {
+            this.onOnline = () => this.resume();
+            globalThis.addEventListener('online', this.onOnline);
+        }
+    }
+
+    /**
+     * Stops listening for the online event
+     */
+    detach() {
+        if (this.onOnline) globalThis.removeEventListener('online', this.onOnline);
+        this.onOnline = null;
+    }
+
+    /**
+     * Determines if a request is queued when it cannot be sent
+     *
+     * @param {ApiClientInput} input - The input as given by the caller
+     * @return {boolean} true if the request is queued
+     */
+    accepts(input) {
+        return this.methods.includes((input.method || '').toUpperCase())
+            && ApiClientInput.isSerializable(input.body)
+            && !!this.match(input);
+    }
+
+    /**
+     * Gives a request an idempotency key, unless it already has one
+     *
+     * @param {ApiClientInput} input - The input as given by the caller, which is left unchanged
+     * @return {ApiClientInput} The input to send, a copy when a key was added
+     */
+    addIdempotencyKey(input) {
+        if (!this.idempotencyHeader || input.getHeader(this.idempotencyHeader) !== null) return input;
+        return input.clone().setHeader(this.idempotencyHeader, ApiClientRequestMonitor.createId());
+    }
+
+    /**
+     * Determines if the runtime reports being offline; runtimes without navigator.onLine never are
+     *
+     * @return {boolean} true if offline
+     */
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    /**
+     * Determines if requests are still queued, so that a new request must wait behind them to keep their order
+     * With replayOnReconnect the queued requests are replayed first, and only those the replay leaves count.
+     *
+     * @return {Promise<boolean>} true if requests remain queued
+     */
+    async hasPending() {
+        if (!this.pending) return false;
+        if (this.replayOnReconnect && this.client) {
+            await this.replay().catch(() => {});
+        } else {
+            try {
+                this.pending = (await this.getEntries()).length > 0;
+            } catch (e) {
+                return false; // Storage that cannot be read cannot hold a request either
+            }
+        }
+        return this.pending;
+    }
+
+    /**
+     * Determines if a failed send means the request should wait for the connection
+     *
+     * @param {ApiClientOutput} output - The output of the send
+     * @return {boolean} true for network errors
+     */
+    shouldQueue(output) {
+        return output.error instanceof ApiClientNetworkError;
+    }
+
+    /**
+     * Saves a request for replay and marks its output as queued
+     * If storage fails, for example over quota, the output is returned unchanged and the request is not queued.
+     *
+     * @param {ApiClientInput} input - The input as given by the caller, with its idempotency key
+     * @param {ApiClientOutput} output - The failure that queues the request
+     * @return {Promise<ApiClientOutput>} A Promise that resolves to the output, where isQueued() is true
+     */
+    async enqueue(input, output) {
+        const id = ApiClientRequestMonitor.createId();
+        const entry = {
+            id,
+            idempotencyKey: this.idempotencyHeader ? input.getHeader(this.idempotencyHeader) : null,
+            input: input.toJSON(),
+            queuedAt: Date.now(),
+            sequence: this.sequence++,
+            attempts: 0
+        };
+        try {
+            await this.storage.set(id, entry);
+        } catch (e) {
+            return output;
+        }
+        this.pending = true;
+        output.queueId = id;
+        this.emit('queued', {entry, input, output});
+        return output;
+    }
+
+    /**
+     * Lists the queued requests, oldest first
+     *
+     * @return {Promise<Array<Object>>} The entries: {id, idempotencyKey, input (from ApiClientInput.toJSON), queuedAt, attempts}
+     */
+    async getEntries() {
+        const keys = await this.storage.keys();
+        const entries = await Promise.all(keys.map(key => this.storage.get(key)));
+        return entries
+            .filter(entry => entry && entry.input && entry.id) // Skips anything else kept under the same storage
+            .sort((a, b) => a.queuedAt - b.queuedAt || a.sequence - b.sequence);
+    }
+
+    /**
+     * Removes every queued request without sending it
+     *
+     * @return {Promise<void>}
+     */
+    async clear() {
+        const entries = await this.getEntries();
+        await Promise.all(entries.map(entry => this.storage.delete(entry.id)));
+        this.pending = false;
+    }
+
+    /**
+     * Sends the queued requests, one at a time and oldest first
+     * A request that succeeds is removed and reported as "replayed". One that is answered with any other error, or
+     * with 408, 429 or 5xx for the maxAttempts-th time, is removed and reported as "failed", as is an entry that
+     * ApiClientInput.fromJSON cannot restore. A network error, a retryable status, or the runtime going offline
+     * stops the replay so that later requests do not overtake it. Requests queued while the replay runs are sent
+     * by it too. Calls made while a replay runs share it.
+     *
+     * @return {Promise<Object>} A Promise that resolves to {replayed, failed, remaining}, counts of requests;
+     *                           remaining is read from storage once the replay is over
+     */
+    replay() {
+        if (!this.client) return Promise.reject(new Error('The offline queue is not attached to a client'));
+        if (!this.replaying) {
+            this.replaying = this.replayEntries().finally(() => {
+                this.replaying = null;
+            });
+        }
+        return this.replaying;
+    }
+
+    /**
+     * Starts a replay in the background when requests may be waiting, ignoring its failures
+     */
+    resume() {
+        if (!this.pending || this.replaying || !this.client) return;
+        this.replay().catch(() => {});
+    }
+
+    /**
+     * Sends the queued requests, see replay()
+     *
+     * @return {Promise<Object>} A Promise that resolves to {replayed, failed, remaining}
+     */
+    async replayEntries() {
+        const result = {replayed: 0, failed: 0, remaining: 0};
+        const seen = new Set();
+        let entries = await this.getEntries();
+        let stopped = false;
+
+        while (!stopped && entries.length > 0) {
+            for (const entry of entries) {
+                seen.add(entry.id);
+                if (this.isOffline() || !(await this.replayEntry(entry, result))) {
+                    stopped = true;
+                    break;
+                }
+            }
+            // Requests queued while the replay ran go out in the same replay, behind the others
+            if (!stopped) entries = (await this.getEntries()).filter(entry => !seen.has(entry.id));
+        }
+
+        // Counted from storage, which may have gained requests since the replay started
+        result.remaining = (await this.getEntries()).length;
+        this.pending = result.remaining > 0;
+        return result;
+    }
+
+    /**
+     * Sends one queued request and removes it, unless it has to wait for another replay
+     *
+     * @param {Object} entry - The entry, see getEntries()
+     * @param {Object} result - The counts of the replay, updated in place
+     * @return {Promise<boolean>} true to go on with the next request, false to stop the replay
+     */
+    async replayEntry(entry, result) {
+        let input;
+        try {
+            input = ApiClientInput.fromJSON(entry.input);
+        } catch (e) {
+            // A corrupt entry can never be sent, so drop it rather than let it hold up the rest
+            await this.storage.delete(entry.id);
+            result.failed++;
+            this.emit('failed', {entry, input: null, output: ApiClientOutput.createForError(e)});
+            return true;
+        }
+        const handle = new ApiClientRequestHandle(input);
+        handle.queueEntry = entry;
+        const output = await this.client.sendWithHandle(input, handle);
+
+        if (output.isSuccessful()) {
+            await this.storage.delete(entry.id);
+            result.replayed++;
+            this.emit('replayed', {entry, input, output});
+            return true;
+        }
+        if (this.shouldQueue(output)) return false;
+
+        entry.attempts++;
+        if (ApiClientHttpError.RETRYABLE_STATUS_CODES.includes(output.statusCode) && entry.attempts < this.maxAttempts) {
+            await this.storage.set(entry.id, entry);
+            return false;
+        }
+
+        await this.storage.delete(entry.id);
+        result.failed++;
+        this.emit('failed', {entry, input, output});
+        return true;
+    }
+}
+
+/**
+ * The methods whose requests are queued by default
+ */
+ApiClientOfflineQueue.METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Supplies credentials for the requests of an ApiClient
+ * Providers implement authorize(), and refresh() if their credentials can be renewed after a 401.
+ * The static factories create the providers that ship with the client.
+ */
+class ApiClientAuth {
+    /**
+     * Adds credentials to the headers of a request
+     *
+     * @param {Object} headers - The headers to send, modified in place
+     * @param {ApiClientInput} input - The prepared input
+     * @return {Promise<*>} The credential used, passed back to refresh() if the request gets a 401
+     */
+    async authorize(headers, input) {
+        return null;
+    }
+
+    /**
+     * Renews the credentials after a 401
+     *
+     * @param {*} credential - The credential the failed request was sent with
+     * @return {Promise<boolean>} true if the request should be replayed with new credentials
+     */
+    async refresh(credential) {
+        return false;
+    }
+
+    /**
+     * Creates a bearer token provider
+     *
+     * @param {Object} options - Provider settings
+     * @param {string} [options.token] - The initial token
+     * @param {Function} [options.getToken] - Returns the initial token (or a Promise of it) when options.token is not given
+     * @param {Function} [options.refresh] - Returns a new token (or a Promise of it) after a 401
+     * @return {ApiClientBearerAuth} The provider
+     */
+    static bearer(options) {
+        return new ApiClientBearerAuth(options);
+    }
+
+    /**
+     * Creates an API key provider
+     *
+     * @param {string} key - The API key
+     * @param {string} [headerName='X-API-Key'] - The header that carries the key
+     * @return {ApiClientApiKeyAuth} The provider
+     */
+    static apiKey(key, headerName) {
+        return new ApiClientApiKeyAuth(key, headerName);
+    }
+
+    /**
+     * Creates an HTTP basic auth provider
+     *
+     * @param {string} username - The user name
+     * @param {string} password - The password
+     * @return {ApiClientBasicAuth} The provider
+     */
+    static basic(username, password) {
+        return new ApiClientBasicAuth(username, password);
+    }
+}
+
+/**
+ * Sends "Authorization: Bearer <token>" and refreshes the token on a 401
+ * Concurrent requests that fail with the same token share one refresh.
+ */
+class ApiClientBearerAuth extends ApiClientAuth {
+    constructor(options) {
+        super();
+        const settings = options || {};
+        this.token = settings.token || null;
+        this.getToken = settings.getToken || null;
+        this.refreshToken = settings.refresh || null;
+        this.refreshing = null; // The in-flight refresh, shared by every request waiting on it
+    }
+
+    async authorize(headers, input) {
+        if (!this.token && this.getToken) this.token = await this.getToken();
+        if (this.token) headers['Authorization'] = `Bearer ${this.token}`;
+        return this.token;
+    }
+
+    async refresh(credential) {
+        if (!this.refreshToken) return false;
+        if (this.token !== credential && !this.refreshing) return true; // Already refreshed since the request was sent
+
+        if (!this.refreshing) {
+            // Cleared once settled rather than inside the call, which a refresh callback that throws synchronously
+            // would finish before the promise is stored
+            const refreshing = (async () => {
+                const token = await this.refreshToken();
+                if (!token) throw new Error('Token refresh returned no token');
+                this.token = token;
+                return true;
+            })();
+            this.refreshing = refreshing;
+            refreshing.finally(() => {
+                if (this.refreshing === refreshing) this.refreshing = null;
+            }).catch(() => {});
+        }
+        return this.refreshing;
+    }
+}
+
+/**
+ * Sends an API key in a header
+ */
+class ApiClientApiKeyAuth extends ApiClientAuth {
+    constructor(key, headerName) {
+        super();
+        this.key = key;
+        this.headerName = headerName || 'X-API-Key';
+    }
+
+    async authorize(headers, input) {
+        headers[this.headerName] = this.key;
+        return this.key;
+    }
+}
+
+/**
+ * Sends HTTP basic auth credentials
+ */
+class ApiClientBasicAuth extends ApiClientAuth {
+    constructor(username, password) {
+        super();
+        this.username = username;
+        this.password = password;
+    }
+
+    async authorize(headers, input) {
+        // btoa only accepts Latin-1, so encode as UTF-8 bytes first
+        const bytes = new TextEncoder().encode(`${this.username}:${this.password}`);
+        const credential = btoa(String.fromCharCode(...bytes));
+        headers['Authorization'] = `Basic ${credential}`;
+        return credential;
+    }
+}
+
+/**
+ * Controls an in-flight request started by ApiClient
+ * Cancelling aborts the fetch and cancels the response body reader, so the connection stops downloading.
+ */
+class ApiClientRequestHandle {
+    /**
+     * @param {ApiClientInput|null} input - The input whose signal and timeout the handle follows
+     */
+    constructor(input) {
+        this.controller = new AbortController();
+        this.signal = this.controller.signal;
+        this.reason = null; // 'abort' or 'timeout' once aborted
+        this.reader = null;
+        this.timeout = input && input.timeout > 0 ? input.timeout : null;
+        this.timer = null;
+        this.listeners = [];
+        this.monitor = null; // The ApiClientRequestMonitor of the request, set by the client once it starts
+        this.queueEntry = null; // The ApiClientOfflineQueue entry being replayed, which is not queued again
+
+        if (input) this.follow(input.signal);
+        this.restartTimeout();
+    }
+
+    /**
+     * Aborts this handle when the given signal aborts
+     *
+     * @param {AbortSignal|null} signal - The signal to follow
+     * @return {ApiClientRequestHandle} This handle, for chaining
+     */
+    follow(signal) {
+        if (!signal) return this;
+        if (signal.aborted) {
+            this.abort('abort');
+            return this;
+        }
+        const listener = () => this.abort('abort');
+        signal.addEventListener('abort', listener);
+        this.listeners.push({signal, listener});
+        return this;
+    }
+
+    /**
+     * Cancels the request; the request's onFailure receives an output where isAborted() is true
+     */
+    cancel() {
+        this.abort('abort');
+    }
+
+    /**
+     * Determines if the request has been cancelled or timed out
+     *
+     * @return {boolean} true if the request was aborted, false otherwise
+     */
+    isCancelled() {
+        return this.reason !== null;
+    }
+
+    /**
+     * Aborts the fetch and cancels the reader, if one is attached
+     *
+     * @param {string} reason - Either 'abort' or 'timeout'
+     */
+    abort(reason) {
+        if (this.reason) return;
+        this.reason = reason;
+        clearTimeout(this.timer);
+        this.controller.abort();
+        ApiClientRequestHandle.cancelReader(this.reader);
+    }
+
+    /**
+     * Starts the timeout again, called as stream chunks arrive
+     */
+    restartTimeout() {
+        if (this.timeout === null || this.reason) return;
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.abort('timeout'), this.timeout);
+    }
+
+    /**
+     * Stops the timeout while the caller processes a chunk, until restartTimeout() is called
+     */
+    pauseTimeout() {
+        clearTimeout(this.timer);
+    }
+
+    /**
+     * Waits for the given delay, resolving early if the handle is aborted
+     *
+     * @param {number} delay - The delay in milliseconds
+     * @return {Promise<void>} A Promise that resolves after the delay or on abort
+     */
+    sleep(delay) {
+        return new Promise(resolve => {
+            if (this.reason) return resolve();
+            const timer = setTimeout(done, delay);
+            const signal = this.signal;
+            function done() {
+                clearTimeout(timer);
+                signal.removeEventListener('abort', done);
+                resolve();
+            }
+            signal.addEventListener('abort', done);
+        });
+    }
+
+    /**
+     * Stops the timeout and detaches from followed signals once the request is over
+     */
+    dispose() {
+        clearTimeout(this.timer);
+        this.listeners.forEach(({signal, listener}) => signal.removeEventListener('abort', listener));
+        this.listeners = [];
+    }
+
+    /**
+     * Creates the failure output for an aborted request
+     *
+     * @return {ApiClientOutput} An output where isAborted() or isTimedOut() is true
+     */
+    createOutput() {
+        return ApiClientOutput.createForAbort(this.reason, this.timeout);
+    }
+
+    /**
+     * Cancels a reader, ignoring errors from a stream that has already failed
+     *
+     * @param {ReadableStreamDefaultReader|null} reader - The reader to cancel
+     */
+    static cancelReader(reader) {
+        if (!reader) return;
+        try {
+            const result = reader.cancel();
+            if (result && result.catch) result.catch(() => {});
+        } catch (e) {
+            // Ignore cancel errors
+        }
+    }
+}
+
+/**
+ * Follows one request of an ApiClient from start to finish
+ * It emits the client's lifecycle events, measures the request's timing for output.timing and, when the client
+ * traces requests, adds a W3C traceparent header to each attempt. Created by the client; a request's monitor is
+ * available as handle.monitor once the request has started.
+ */
+class ApiClientRequestMonitor {
+    /**
+     * @param {ApiClient} client - The client whose listeners receive the events
+     * @param {ApiClientInput} input - The request as given by the caller, replaced by the prepared input once known
+     * @param {boolean} streaming - Whether the body is read as a stream, which adds chunk metrics
+     */
+    constructor(client, input, streaming) {
+        this.client = client;
+        this.input = input;
+        this.streaming = streaming;
+        this.requestId = ApiClientRequestMonitor.createId();
+        this.trace = null; // {traceId, flags} once the first attempt is traced
+        this.startedAt = Date.now();
+        this.start = ApiClientRequestMonitor.now();
+        this.responseTime = null;
+        this.firstChunkTime = null;
+        this.firstTokenTime = null;
+        this.endTime = null;
+        this.chunks = 0;
+        this.bytes = 0;
+    }
+
+    /**
+     * Emits an event to the client's listeners, with the fields every lifecycle event carries
+     *
+     * @param {string} type - The event type, see ApiClient.on()
+     * @param {Object} [details] - Fields particular to the event
+     */
+    emit(type, details) {
+        this.client.emit(type, {
+            type,
+            requestId: this.requestId,
+            traceId: this.trace ? this.trace.traceId : null,
+            input: this.input,
+            time: Date.now(),
+            elapsed: this.getElapsed(ApiClientRequestMonitor.now()),
+            ...details
+        });
+    }
+
+    /**
+     * Adds the traceparent header for an attempt, when the client traces requests
+     * The trace continues the input's own traceparent header or the one returned by the client's tracing function,
+     * and starts afresh otherwise, also when the tracing function throws. Each attempt is a span of its own,
+     * so it gets a new parent id.
+     *
+     * @param {Object} headers - The headers of the attempt, which are left unchanged
+     * @return {Object} The headers to send
+     */
+    addTraceparent(headers) {
+        const tracing = this.client.tracing;
+        if (!tracing) return headers;
+
+        const result = {};
+        let parent = null;
+        Object.keys(headers).forEach(name => {
+            if (name.toLowerCase() === 'traceparent') parent = headers[name];
+            else result[name] = headers[name];
+        });
+        if (!this.trace) {
+            if (!parent && typeof tracing === 'function') {
+                try {
+                    parent = tracing(this.input);
+                } catch (e) {
+                    parent = null;
+                }
+            }
+            this.trace = ApiClientRequestMonitor.parseTraceparent(parent)
+                || {traceId: ApiClientRequestMonitor.randomHex(16), flags: '01'};
+        }
+        result['traceparent'] = `00-${this.trace.traceId}-${ApiClientRequestMonitor.randomHex(8)}-${this.trace.flags}`;
+        return result;
+    }
+
+    /**
+     * Records the arrival of an attempt's response headers and emits "response"
+     *
+     * @param {Response} response - The response
+     * @param {number} attempt - The attempt number, from 1
+     */
+    markResponse(response, attempt) {
+        this.responseTime = ApiClientRequestMonitor.now();
+        this.emit('response', {attempt, statusCode: response.status, headers: ApiClientOutput.createHeaders(response)});
+    }
+
+    /**
+     * Counts a received stream chunk, emitting "firstChunk" for the first
+     *
+     * @param {number} bytes - The size of the chunk in bytes
+     */
+    markChunk(bytes) {
+        this.chunks++;
+        this.bytes += bytes;
+        if (this.firstChunkTime !== null) return;
+        this.firstChunkTime = ApiClientRequestMonitor.now();
+        this.emit('firstChunk', {bytes});
+    }
+
+    /**
+     * Records the arrival of the first token of a chat reply; later calls are ignored
+     */
+    markToken() {
+        if (this.firstTokenTime === null) this.firstTokenTime = ApiClientRequestMonitor.now();
+    }
+
+    /**
+     * Emits "retry" before an attempt is repeated
+     *
+     * @param {number} attempt - The attempt that failed, from 1
+     * @param {ApiClientOutput} output - Its output
+     * @param {number} delay - Milliseconds until the next attempt
+     * @param {string} reason - "retry" for the retry policy, "auth" for a replay after refreshed credentials, or
+     *                          "reconnect" for a Server-Sent Events stream that dropped
+     */
+    markRetry(attempt, output, delay, reason) {
+        this.emit('retry', {attempt, delay, reason, output});
+    }
+
+    /**
+     * Stops the clock and sets requestId, traceId and timing on the output
+     *
+     * @param {ApiClientOutput} output - The final output of the request
+     * @return {ApiClientOutput} The same output
+     */
+    complete(output) {
+        this.endTime = ApiClientRequestMonitor.now();
+        output.requestId = this.requestId;
+        output.traceId = this.trace ? this.trace.traceId : null;
+        output.timing = this.getTiming();
+        return output;
+    }
+
+    /**
+     * Adds the chat metrics to a completed output: time to the first token and tokens per second after it
+     * Tokens are the completion tokens the server reported, or an estimate from the reply when it reported none.
+     *
+     * @param {ApiClientOutput} output - A completed output with message and usage set
+     * @return {ApiClientOutput} The same output
+     */
+    addTokenTiming(output) {
+        if (!output.timing || this.firstTokenTime === null) return output;
+        const tokens = output.usage && output.usage.completionTokens
+            ? output.usage.completionTokens
+            : ApiClientConversation.estimateTokens(output.message || {}) - 4; // Without the role overhead
+        const generating = this.endTime - this.firstTokenTime;
+        output.timing.timeToFirstToken = this.getElapsed(this.firstTokenTime);
+        output.timing.tokensPerSecond = generating > 0 ? ApiClientRequestMonitor.round(tokens / (generating / 1000)) : null;
+        return output;
+    }
+
+    /**
+     * Emits "finish" for a successful output and "failure" for any other, once the request is over
+     *
+     * @param {ApiClientOutput} output - The completed output
+     */
+    report(output) {
+        this.emit(output.isSuccessful() ? 'finish' : 'failure', {output, timing: output.timing});
+    }
+
+    /**
+     * Builds the timing metrics of the request, in milliseconds; those that do not apply are null
+     *
+     * @return {Object} {startedAt, duration, timeToFirstByte, timeToFirstChunk, chunks, bytes, bytesPerSecond,
+     *                  timeToFirstToken, tokensPerSecond}
+     */
+    getTiming() {
+        const end = this.endTime !== null ? this.endTime : ApiClientRequestMonitor.now();
+        const transfer = this.responseTime !== null ? end - this.responseTime : 0;
+        return {
+            startedAt: this.startedAt,
+            duration: this.getElapsed(end),
+            timeToFirstByte: this.responseTime !== null ? this.getElapsed(this.responseTime) : null,
+            timeToFirstChunk: this.firstChunkTime !== null ? this.getElapsed(this.firstChunkTime) : null,
+            chunks: this.streaming ? this.chunks : null,
+            bytes: this.streaming ? this.bytes : null,
+            bytesPerSecond: this.streaming && transfer > 0 ? ApiClientRequestMonitor.round(this.bytes / (transfer / 1000)) : null,
+            timeToFirstToken: null,
+            tokensPerSecond: null
+        };
+    }
+
+    /**
+     * Measures the time from the start of the request
+     *
+     * @param {number} time - A time from ApiClientRequestMonitor.now()
+     * @return {number} The milliseconds since the start
+     */
+    getElapsed(time) {
+        return ApiClientRequestMonitor.round(time - this.start);
+    }
+
+    /**
+     * Reads a high-resolution clock where available, the wall clock otherwise
+     *
+     * @return {number} The time in milliseconds
+     */
+    static now() {
+        return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+    }
+
+    /**
+     * Rounds a metric to one decimal place
+     *
+     * @param {number} value - The value
+     * @return {number} The rounded value
+     */
+    static round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    /**
+     * Creates a request ID, a random UUID
+     *
+     * @return {string} The ID
+     */
+    static createId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        const hex = ApiClientRequestMonitor.randomHex(16);
+        const variant = (8 | (parseInt(hex[16], 16) & 3)).toString(16);
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20)}`;
+    }
+
+    /**
+     * Creates random bytes as lowercase hex, from crypto.getRandomValues where available
+     *
+     * @param {number} bytes - The number of bytes
+     * @return {string} The hex string, two characters per byte
+     */
+    static randomHex(bytes) {
+        const values = new Uint8Array(bytes);
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            crypto.getRandomValues(values);
+        } else {
+            for (let i = 0; i < bytes; i++) values[i] = Math.floor(Math.random() * 256);
+        }
+        return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Reads the trace ID and flags of a W3C traceparent header
+     *
+     * @param {string|null} value - The header value, e.g. "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01"
+     * @return {Object|null} {traceId, flags}, or null if the value is missing or malformed
+     */
+    static parseTraceparent(value) {
+        const match = typeof value === 'string' && /^([\da-f]{2})-([\da-f]{32})-([\da-f]{16})-([\da-f]{2})$/.exec(value.trim());
+        if (!match || match[1] === 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) return null;
+        return {traceId: match[2], flags: match[4]};
+    }
+}
+
+/**
+ * Sends the requests of an ApiClient
+ * The default transport calls the global fetch. Pass another to new ApiClient({transport}) to send requests some
+ * other way; ApiClientMockTransport answers them from canned responses and ApiClientRecordingTransport records them.
+ * A transport only has to implement fetch(url, options) and resolve to a Response.
+ */
+class ApiClientTransport {
+    /**
+     * Sends a request
+     *
+     * @param {string} url - The URL to send the request to
+     * @param {Object} options - The fetch options: method, headers, body, signal and so on
+     * @return {Promise<Response>} A Promise that resolves to the response
+     */
+    fetch(url, options) {
+        return fetch(url, options);
+    }
+
+    /**
+     * Normalises a transport or a fetch-like function into a transport
+     *
+     * @param {ApiClientTransport|Object|Function|null} value - The value to normalise
+     * @return {ApiClientTransport|Object} The transport, the global fetch if none was given
+     */
+    static from(value) {
+        if (!value) return new ApiClientTransport();
+        if (typeof value !== 'function') return value;
+        const transport = new ApiClientTransport();
+        transport.fetch = value;
+        return transport;
+    }
+
+    /**
+     * Buffers a streamed request body, which can be read only once, so it can be both inspected and sent
+     *
+     * @param {Object} options - The fetch options
+     * @return {Promise<Object>} The options, copied with the body buffered if it was a stream
+     */
+    static async bufferBody(options) {
+        if (typeof ReadableStream === 'undefined' || !(options.body instanceof ReadableStream)) return options;
+        const buffered = {...options, body: new Uint8Array(await new Response(options.body).arrayBuffer())};
+        delete buffered.duplex;
+        return buffered;
+    }
+
+    /**
+     * Reads a request body as text, without consuming it unless it is a stream
+     *
+     * @param {*} body - The body given to fetch
+     * @return {Promise<string|null>} The text, or null without a body
+     */
+    static async readBody(body) {
+        if (body === undefined || body === null) return null;
+        if (typeof body === 'string') return body;
+        return new Response(body).text();
+    }
+
+    /**
+     * Creates a Response from a description, used to answer requests without a network
+     * The body is sent whole, or as a list of chunks that arrive one by one; each chunk is a string, bytes,
+     * or {data, delay} to wait that many milliseconds before it. With error set and no chunks the request
+     * fails as a network error would; with chunks the stream breaks after the last one.
+     *
+     * @param {Object|ApiClientOutput} spec - {status, statusText, headers, body, chunks, interval, error}, or an output
+     * (whose statusCode is used for status)
+     * @param {AbortSignal|null} [signal] - Breaks off the chunks when aborted
+     * @return {Response} The response
+     */
+    static createResponse(spec, signal) {
+        const status = spec.status || spec.statusCode || 200;
+        const headers = new Headers(spec.headers || {});
+        let body = spec.body === undefined ? null : spec.body;
+
+        if (spec.chunks) {
+            body = ApiClientTransport.createChunkStream(spec.chunks, spec.interval || 0, spec.error || null, signal);
+        } else if (ApiClientTransport.isJsonValue(body)) {
+            body = JSON.stringify(body);
+            if (!headers.has('Content-Type')) headers.set('Content-Type', 'application/json');
+        }
+
+        // These statuses cannot carry a body
+        if ([101, 204, 205, 304].includes(status)) body = null;
+        return new Response(body, {status, statusText: spec.statusText || '', headers});
+    }
+
+    /**
+     * Creates a stream that delivers chunks with delays in between
+     *
+     * @param {Array} chunks - Strings, bytes, or {data, delay}
+     * @param {number} interval - Delay before chunks that do not set their own, in milliseconds
+     * @param {string|null} error - Message of an error raised after the last chunk
+     * @param {AbortSignal|null} signal - Breaks off the stream when aborted
+     * @return {ReadableStream} The stream
+     */
+    static createChunkStream(chunks, interval, error, signal) {
+        const encoder = new TextEncoder();
+        let index = 0;
+
+        return new ReadableStream({
+            async pull(controller) {
+                if (index >= chunks.length) {
+                    if (error) controller.error(new TypeError(error));
+                    else controller.close();
+                    return;
+                }
+                const chunk = chunks[index++];
+                const data = chunk !== null && typeof chunk === 'object' && 'data' in chunk ? chunk.data : chunk;
+                const delay = chunk !== null && typeof chunk === 'object' && chunk.delay !== undefined ? chunk.delay : interval;
+
+                if (delay > 0) await ApiClientTransport.wait(delay, signal);
+                if (signal && signal.aborted) {
+                    controller.error(new DOMException('The operation was aborted.', 'AbortError'));
+                    return;
+                }
+                controller.enqueue(typeof data === 'string' ? encoder.encode(data) : new Uint8Array(data));
+            }
+        });
+    }
+
+    /**
+     * Waits for a delay, resolving early if the signal aborts
+     *
+     * @param {number} delay - The delay in milliseconds
+     * @param {AbortSignal|null} signal - The signal to follow
+     * @return {Promise<void>} A Promise that resolves after the delay or on abort
+     */
+    static wait(delay, signal) {
+        return new Promise(resolve => {
+            if (signal && signal.aborted) return resolve();
+            const timer = setTimeout(done, delay);
+            function done() {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', done);
+                resolve();
+            }
+            if (signal) signal.addEventListener('abort', done);
+        });
+    }
+
+    /**
+     * Determines if a response body given as a value should be sent as JSON
+     *
+     * @param {*} body - The body
+     * @return {boolean} true for plain objects and arrays
+     */
+    static isJsonValue(body) {
+        if (body === null || typeof body !== 'object') return false;
+        const prototype = Object.getPrototypeOf(body);
+        return Array.isArray(body) || prototype === Object.prototype || prototype === null;
+    }
+}
+
+/**
+ * Answers requests from canned responses, for testing code built on ApiClient without a server
+ * Routes are matched in the order they were added. Every request is kept in requests, so tests can assert on
+ * what was sent. A request without a matching route fails as a network error, or goes to the fallback transport.
+ */
+class ApiClientMockTransport extends ApiClientTransport {
+    /**
+     * @param {Object} [options] - Mock settings
+     * @param {ApiClientTransport} [options.fallback] - Transport for requests that match no route
+     */
+    constructor(options) {
+        super();
+        const settings = options || {};
+        this.routes = [];
+        this.requests = [];
+        this.fallback = settings.fallback || null;
+    }
+
+    /**
+     * Adds a route
+     * The matcher is a URL, a RegExp tested against the URL, a function of the request, or an object with any of
+     * method, url, headers and body. A URL without a scheme matches the path and query of the request. An object
+     * body matches JSON bodies that contain it; a function body is called with the body text.
+     * The reply is a response description (see ApiClientTransport.createResponse), an ApiClientOutput, or a
+     * function of the request returning either, possibly through a Promise.
+     *
+     * @param {string|RegExp|Function|Object} matcher - Which requests the route answers
+     * @param {Object|ApiClientOutput|Function} reply - The response
+     * @param {number} [times=Infinity] - How many requests the route answers
+     * @return {ApiClientMockTransport} This transport, for chaining
+     */
+    on(matcher, reply, times) {
+        this.routes.push({matcher, reply, remaining: times === undefined ? Infinity : times});
+        return this;
+    }
+
+    /**
+     * Adds a route that answers a single request
+     *
+     * @param {string|RegExp|Function|Object} matcher - Which request the route answers
+     * @param {Object|ApiClientOutput|Function} reply - The response
+     * @return {ApiClientMockTransport} This transport, for chaining
+     */
+    once(matcher, reply) {
+        return this.on(matcher, reply, 1);
+    }
+
+    /**
+     * Removes all routes and recorded requests
+     *
+     * @return {ApiClientMockTransport} This transport, for chaining
+     */
+    reset() {
+        this.routes = [];
+        this.requests = [];
+        return this;
+    }
+
+    /**
+     * Answers a request from the first matching route
+     *
+     * @param {string} url - The URL of the request
+     * @param {Object} options - The fetch options
+     * @return {Promise<Response>} A Promise that resolves to the canned response
+     */
+    async fetch(url, options) {
+        const settings = await ApiClientTransport.bufferBody(options || {});
+        const signal = settings.signal || null;
+        const request = {
+            method: (settings.method || 'GET').toUpperCase(),
+            url,
+            headers: Object.fromEntries(new Headers(settings.headers || {}).entries()),
+            body: await ApiClientTransport.readBody(settings.body)
+        };
+        this.requests.push(request);
+
+        const route = this.routes.find(candidate => candidate.remaining > 0 && ApiClientMockTransport.matches(candidate.matcher, request));
+        if (!route) {
+            if (this.fallback) return this.fallback.fetch(url, settings);
+            throw new TypeError(`No mock response for ${request.method} ${url}`);
+        }
+        route.remaining--;
+
+        const spec = typeof route.reply === 'function' ? await route.reply(request) : route.reply;
+        if (spec.delay > 0) await ApiClientTransport.wait(spec.delay, signal);
+        if (signal && signal.aborted) throw new DOMException('The operation was aborted.', 'AbortError');
+        if (spec instanceof ApiClientOutput && spec.statusCode === 0) {
+            throw new TypeError(spec.error ? spec.error.message : 'Network request failed');
+        }
+        if (typeof spec.error === 'string' && !spec.chunks) throw new TypeError(spec.error);
+        return ApiClientTransport.createResponse(spec, signal);
+    }
+
+    /**
+     * Determines if a request matches a route
+     *
+     * @param {string|RegExp|Function|Object} matcher - The route's matcher
+     * @param {Object} request - {method, url, headers, body}
+     * @return {boolean} true if the route answers the request
+     */
+    static matches(matcher, request) {
+        if (typeof matcher === 'function') return !!matcher(request);
+        if (typeof matcher === 'string' || matcher instanceof RegExp) return ApiClientMockTransport.matchesUrl(matcher, request.url);
+
+        if (matcher.method && matcher.method.toUpperCase() !== request.method) return false;
+        if (matcher.url && !ApiClientMockTransport.matchesUrl(matcher.url, request.url)) return false;
+        if (matcher.headers && Object.keys(matcher.headers).some(name => request.headers[name.toLowerCase()] !== String(matcher.headers[name]))) {
+            return false;
+        }
+        if (matcher.body !== undefined && !ApiClientMockTransport.matchesBody(matcher.body, request.body)) return false;
+        return true;
+    }
+
+    /**
+     * Determines if a URL matches a route's URL
+     *
+     * @param {string|RegExp} expected - The route's URL; without a scheme it matches the path and query
+     * @param {string} url - The URL of the request
+     * @return {boolean} true if they match
+     */
+    static matchesUrl(expected, url) {
+        if (expected instanceof RegExp) return expected.test(url);
+        if (expected === url || expected.includes('://')) return expected === url;
+        const match = /^[a-z][a-z0-9+.-]*:\/\/[^/?#]*(.*)$/i.exec(url);
+        return match !== null && (match[1] || '/') === expected;
+    }
+
+    /**
+     * Determines if a request body matches a route's body
+     *
+     * @param {string|Function|Object} expected - Text, a function of the text, or a value the JSON body must contain
+     * @param {string|null} text - The body of the request
+     * @return {boolean} true if they match
+     */
+    static matchesBody(expected, text) {
+        if (typeof expected === 'function') return !!expected(text);
+        if (typeof expected === 'string' || expected === null) return expected === text;
+        try {
+            return ApiClientMockTransport.contains(JSON.parse(text), expected);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Determines if a value contains another: objects by their listed keys, arrays item by item
+     *
+     * @param {*} actual - The value received
+     * @param {*} expected - The value looked for
+     * @return {boolean} true if actual contains expected
+     */
+    static contains(actual, expected) {
+        if (expected === null || typeof expected !== 'object') return actual === expected;
+        if (actual === null || typeof actual !== 'object' || Array.isArray(expected) !== Array.isArray(actual)) return false;
+        if (Array.isArray(expected) && expected.length !== actual.length) return false;
+        return Object.keys(expected).every(key => ApiClientMockTransport.contains(actual[key], expected[key]));
+    }
+
+    /**
+     * Splits text into chunks of UTF-8 bytes, for scripting streams that break characters and records apart
+     *
+     * @param {string} text - The text
+     * @param {number|Array<number>} sizes - A chunk size in bytes, or the size of each chunk in turn (the rest forms
+     * the last chunk)
+     * @return {Array<Uint8Array>} The chunks
+     */
+    static split(text, sizes) {
+        const bytes = new TextEncoder().encode(text);
+        const chunks = [];
+        let offset = 0;
+        for (let i = 0; offset < bytes.length; i++) {
+            const size = Array.isArray(sizes) ? (i < sizes.length ? sizes[i] : bytes.length - offset) : sizes;
+            chunks.push(bytes.slice(offset, offset + Math.max(1, size)));
+            offset += Math.max(1, size);
+        }
+        return chunks;
+    }
+
+    /**
+     * Creates a mock that replays a recording, answering each request with the responses recorded for it in order
+     * Once those run out the last one is repeated. Recorded chunk delays are kept only when asked for, so by default
+     * replays run as fast as possible.
+     *
+     * @param {Object|string} recording - ApiClientRecordingTransport.toJSON() or toHar() output, or its JSON text
+     * @param {Object} [options] - Replay settings
+     * @param {boolean} [options.delays=false] - Whether to wait the recorded delay before each chunk
+     * @param {ApiClientTransport} [options.fallback] - Transport for requests that were not recorded
+     * @return {ApiClientMockTransport} The mock
+     */
+    static fromRecording(recording, options) {
+        const settings = options || {};
+        const data = typeof recording === 'string' ? JSON.parse(recording) : recording;
+        const entries = data.log ? data.log.entries.map(ApiClientRecordingTransport.fromHarEntry) : data.entries;
+        const mock = new ApiClientMockTransport({fallback: settings.fallback});
+        const queues = {};
+
+        entries.forEach(entry => {
+            const key = JSON.stringify([entry.request.method, entry.request.url, entry.request.body]);
+            if (!queues[key]) {
+                queues[key] = [];
+                const matcher = {method: entry.request.method, url: entry.request.url, body: entry.request.body};
+                mock.on(matcher, () => ApiClientRecordingTransport.toSpec(queues[key].length > 1 ? queues[key].shift() : queues[key][0], settings.delays));
+            }
+            queues[key].push(entry);
+        });
+        return mock;
+    }
+}
+
+/**
+ * Passes requests on to another transport and records them with their responses, to replay offline later
+ * Streamed bodies are recorded chunk by chunk with the delay before each chunk. Credentials in headers are
+ * redacted. Save toJSON() or toHar() as a fixture and load it with ApiClientMockTransport.fromRecording.
+ */
+class ApiClientRecordingTransport extends ApiClientTransport {
+    /**
+     * @param {ApiClientTransport} [transport] - The transport that sends the requests, the global fetch by default
+     * @param {Object} [options] - Recording settings
+     * @param {Array<string>} [options.redact] - Headers whose values are replaced, see ApiClientRecordingTransport.REDACTED_HEADERS
+     */
+    constructor(transport, options) {
+        super();
+        const settings = options || {};
+        this.transport = ApiClientTransport.from(transport);
+        this.redact = (settings.redact || ApiClientRecordingTransport.REDACTED_HEADERS).map(name => name.toLowerCase());
+        this.entries = [];
+        this.pending = [];
+    }
+
+    /**
+     * Sends a request through the wrapped transport, recording it
+     *
+     * @param {string} url - The URL of the request
+     * @param {Object} options - The fetch options
+     * @return {Promise<Response>} A Promise that resolves to the response, whose body is recorded as it is read
+     */
+    async fetch(url, options) {
+        const settings = await ApiClientTransport.bufferBody(options || {});
+
+        const started = Date.now();
+        const entry = {
+            started: new Date(started).toISOString(),
+            time: 0,
+            request: {
+                method: (settings.method || 'GET').toUpperCase(),
+                url,
+                headers: this.redactHeaders(new Headers(settings.headers || {})),
+                body: await ApiClientTransport.readBody(settings.body)
+            },
+            response: null
+        };
+        this.entries.push(entry);
+
+        let response;
+        try {
+            response = await this.transport.fetch(url, settings);
+        } catch (e) {
+            entry.time = Date.now() - started;
+            entry.error = e && e.message ? e.message : String(e);
+            throw e;
+        }
+
+        entry.time = Date.now() - started;
+        entry.response = {
+            status: response.status,
+            statusText: response.statusText,
+            headers: this.redactHeaders(response.headers),
+            body: null
+        };
+        if (!response.body) return response;
+
+        const [returned, recorded] = response.body.tee();
+        this.pending.push(ApiClientRecordingTransport.recordBody(recorded, entry.response));
+        return new Response(returned, {status: response.status, statusText: response.statusText, headers: response.headers});
+    }
+
+    /**
+     * Waits until the bodies still being read have been recorded
+     *
+     * @return {Promise<void>} A Promise that resolves once the recording is complete
+     */
+    async flush() {
+        const pending = this.pending;
+        this.pending = [];
+        await Promise.all(pending);
+    }
+
+    /**
+     * Returns the recording in this library's fixture format
+     *
+     * @return {Object} {version, entries}
+     */
+    toJSON() {
+        return {version: 1, entries: this.entries};
+    }
+
+    /**
+     * Returns the recording as a HAR 1.2 log, readable by browser developer tools
+     * Chunk timings are kept in the non-standard _chunks field of each response's content.
+     *
+     * @return {Object} {log}
+     */
+    toHar() {
+        const toList = headers => Object.keys(headers).map(name => ({name, value: headers[name]}));
+        return {
+            log: {
+                version: '1.2',
+                creator: {name: 'api-client-js', version: '1'},
+                entries: this.entries.filter(entry => entry.response).map(entry => {
+                    const request = entry.request;
+                    const response = entry.response;
+                    const requestType = ApiClientRecordingTransport.getHeader(request.headers, 'content-type') || '';
+                    const content = {
+                        size: response.size || 0,
+                        mimeType: ApiClientRecordingTransport.getHeader(response.headers, 'content-type') || '',
+                        text: response.body === null ? '' : response.body
+                    };
+                    if (response.encoding) content.encoding = response.encoding;
+                    if (response.chunks) content._chunks = response.chunks;
+
+                    return {
+                        startedDateTime: entry.started,
+                        time: entry.time,
+                        request: {
+                            method: request.method,
+                            url: request.url,
+                            httpVersion: 'HTTP/1.1',
+                            headers: toList(request.headers),
+                            queryString: [],
+                            cookies: [],
+                            headersSize: -1,
+                            bodySize: request.body === null ? 0 : request.body.length,
+                            ...(request.body === null ? {} : {postData: {mimeType: requestType, text: request.body}})
+                        },
+                        response: {
+                            status: response.status,
+                            statusText: response.statusText,
+                            httpVersion: 'HTTP/1.1',
+                            headers: toList(response.headers),
+                            cookies: [],
+                            content,
+                            redirectURL: '',
+                            headersSize: -1,
+                            bodySize: content.size
+                        },
+                        cache: {},
+                        timings: {send: 0, wait: entry.time, receive: 0}
+                    };
+                })
+            }
+        };
+    }
+
+    /**
+     * Copies headers into an object, replacing the values of redacted headers
+     *
+     * @param {Headers} headers - The headers
+     * @return {Object} The headers, keyed by lower-case name
+     */
+    redactHeaders(headers) {
+        const result = {};
+        headers.forEach((value, name) => {
+            result[name] = this.redact.includes(name.toLowerCase()) ? '[REDACTED]' : value;
+        });
+        return result;
+    }
+
+    /**
+     * Reads a recorded copy of a response body, as text chunks or, for binary content, as base64
+     *
+     * @param {ReadableStream} stream - The copy of the body
+     * @param {Object} response - The recorded response, completed in place
+     * @return {Promise<void>} A Promise that resolves once the body has been read
+     */
+    static async recordBody(stream, response) {
+        const contentType = ApiClientRecordingTransport.getHeader(response.headers, 'content-type') || '';
+        const isText = ApiClientRecordingTransport.isText(contentType);
+        const decoder = new TextDecoder();
+        const reader = stream.getReader();
+        const chunks = [];
+        const bytes = [];
+        let last = Date.now();
+        let size = 0;
+
+        try {
+            for (let record = await reader.read(); !record.done; record = await reader.read()) {
+                const now = Date.now();
+                size += record.value.length;
+                if (isText) {
+                    chunks.push({data: decoder.decode(record.value, {stream: true}), delay: now - last});
+                } else {
+                    bytes.push(record.value);
+                }
+                last = now;
+            }
+        } catch (e) {
+            response.error = e && e.message ? e.message : String(e);
+        }
+
+        response.size = size;
+        if (isText) {
+            const rest = decoder.decode();
+            if (rest) chunks.push({data: rest, delay: 0});
+            response.body = chunks.map(chunk => chunk.data).join('');
+            if (chunks.length > 1 || response.error) response.chunks = chunks;
+        } else {
+            const joined = new Uint8Array(size);
+            let offset = 0;
+            bytes.forEach(chunk => {
+                joined.set(chunk, offset);
+                offset += chunk.length;
+            });
+            response.body = ApiClientMessage.toBase64(joined);
+            response.encoding = 'base64';
+        }
+    }
+
+    /**
+     * Turns a recorded entry back into a response description for ApiClientTransport.createResponse
+     *
+     * @param {Object} entry - The recorded entry
+     * @param {boolean} delays - Whether to keep the recorded chunk delays
+     * @return {Object} The response description
+     */
+    static toSpec(entry, delays) {
+        if (!entry.response) return {error: entry.error || 'Recorded request failed'};
+        const response = entry.response;
+        const spec = {status: response.status, statusText: response.statusText, headers: response.headers, error: response.error};
+
+        if (response.chunks) {
+            spec.chunks = response.chunks.map(chunk => ({data: chunk.data, delay: delays ? chunk.delay : 0}));
+        } else if (response.encoding === 'base64') {
+            spec.body = Uint8Array.from(atob(response.body), character => character.charCodeAt(0));
+        } else {
+            spec.body = response.body;
+        }
+        return spec;
+    }
+
+    /**
+     * Converts a HAR entry into this library's fixture format
+     *
+     * @param {Object} har - The HAR entry
+     * @return {Object} The entry
+     */
+    static fromHarEntry(har) {
+        const toObject = list => (list || []).reduce((headers, header) => ({...headers, [header.name.toLowerCase()]: header.value}), {});
+        const content = har.response.content || {};
+        return {
+            started: har.startedDateTime,
+            time: har.time,
+            request: {
+                method: har.request.method.toUpperCase(),
+                url: har.request.url,
+                headers: toObject(har.request.headers),
+                body: har.request.postData ? har.request.postData.text : null
+            },
+            response: {
+                status: har.response.status,
+                statusText: har.response.statusText,
+                headers: toObject(har.response.headers),
+                body: content.text === undefined ? null : content.text,
+                encoding: content.encoding,
+                chunks: content._chunks
+            }
+        };
+    }
+
+    /**
+     * Determines if a content type is text, which is recorded as readable chunks rather than base64
+     *
+     * @param {string} contentType - The Content-Type header
+     * @return {boolean} true for text
+     */
+    static isText(contentType) {
+        return contentType === '' || /^text\/|[/+](json|xml|javascript|x-ndjson|x-www-form-urlencoded)\b/i.test(contentType);
+    }
+
+    /**
+     * Reads a header from a recorded header object
+     *
+     * @param {Object} headers - Headers keyed by name
+     * @param {string} name - The name of the header, in any case
+     * @return {string|null} The value, or null if absent
+     */
+    static getHeader(headers, name) {
+        const key = ApiClientInput.findHeaderName(headers, name);
+        return key === null ? null : headers[key];
+    }
+}
+
+/**
+ * Headers whose values ApiClientRecordingTransport replaces by default, since they carry credentials
+ */
+ApiClientRecordingTransport.REDACTED_HEADERS = ['Authorization', 'Proxy-Authorization', 'Cookie', 'Set-Cookie', 'X-API-Key', 'Api-Key'];
+
+/**
+ * A utility class for making HTTP requests
+ */
+class ApiClient {
+    /**
+     * Creates a client with its own base URL, default headers, retry policy and middleware
+     * The static methods use a shared default client, see ApiClient.getDefault().
+     *
+     * @param {Object} [options] - Client settings
+     * @param {string} [options.baseUrl] - Prefix for input URLs that are not absolute
+     * @param {Object} [options.defaultHeaders] - Headers sent with every request; the input's own headers win
+     * @param {ApiClientRetryPolicy|Object} [options.retryPolicy] - Retry policy for inputs without their own
+     * @param {Array<Object>} [options.middleware] - Middleware, in order; see use()
+     * @param {ApiClientAuth} [options.auth] - Auth provider that supplies credentials for each request, see ApiClientAuth
+     * @param {ApiClientRateLimiter|Object} [options.rateLimiter] - Limiter, or its options, that every request waits on
+     * @param {ApiClientCache|Object|boolean} [options.cache] - Cache, or its options, for GET requests made with send
+     * @param {ApiClientOfflineQueue|Object|boolean} [options.offlineQueue] - Queue, or its options, that keeps writes
+     *                                                                       made with send while offline
+     * @param {ApiClientTransport|Function} [options.transport] - Sends the requests, the global fetch by default
+     * @param {boolean|Function} [options.tracing] - Adds a W3C traceparent header to every request: true starts a
+     *                                               trace per request, a function (input) => traceparent|null names
+     *                                               the parent span, such as the app tracer's active span
+     */
+    constructor(options) {
+        const settings = options || {};
+        this.baseUrl = settings.baseUrl || '';
+        this.defaultHeaders = {...(settings.defaultHeaders || {})};
+        this.retryPolicy = ApiClientRetryPolicy.from(settings.retryPolicy);
+        this.middleware = (settings.middleware || []).slice();
+        this.auth = settings.auth || null;
+        this.rateLimiter = ApiClientRateLimiter.from(settings.rateLimiter);
+        this.cache = ApiClientCache.from(settings.cache);
+        this.offlineQueue = ApiClientOfflineQueue.from(settings.offlineQueue);
+        if (this.offlineQueue) this.offlineQueue.attach(this);
+        this.transport = ApiClientTransport.from(settings.transport);
+        this.tracing = settings.tracing || null;
+        this.listeners = {start: [], response: [], firstChunk: [], retry: [], finish: [], failure: []};
+    }
+
+    /**
+     * Returns the client used by the static methods, creating it on first use
+     *
+     * @return {ApiClient} The default client
+     */
+    static getDefault() {
+        if (!ApiClient.defaultClient) ApiClient.defaultClient = new ApiClient();
+        return ApiClient.defaultClient;
+    }
+
+    /**
+     * Replaces the client used by the static methods
+     *
+     * @param {ApiClient} client - The new default client
+     */
+    static setDefault(client) {
+        ApiClient.defaultClient = client;
+    }
+
+    /**
+     * Retry policy of the default client, used for inputs without their own; null disables retries
+     *
+     * @return {ApiClientRetryPolicy|null} The policy
+     */
+    static get retryPolicy() {
+        return ApiClient.getDefault().retryPolicy;
+    }
+
+    static set retryPolicy(policy) {
+        ApiClient.getDefault().retryPolicy = ApiClientRetryPolicy.from(policy);
+    }
+
+    /**
+     * Rate limiter of the default client; null sends requests as soon as they are made
+     *
+     * @return {ApiClientRateLimiter|null} The limiter
+     */
+    static get rateLimiter() {
+        return ApiClient.getDefault().rateLimiter;
+    }
+
+    static set rateLimiter(limiter) {
+        ApiClient.getDefault().rateLimiter = ApiClientRateLimiter.from(limiter);
+    }
+
+    /**
+     * Response cache of the default client; null sends every request to the network
+     *
+     * @return {ApiClientCache|null} The cache
+     */
+    static get cache() {
+        return ApiClient.getDefault().cache;
+    }
+
+    static set cache(cache) {
+        ApiClient.getDefault().cache = ApiClientCache.from(cache);
+    }
+
+    /**
+     * Offline queue of the default client; null lets writes fail while offline
+     *
+     * @return {ApiClientOfflineQueue|null} The queue
+     */
+    static get offlineQueue() {
+        return ApiClient.getDefault().offlineQueue;
+    }
+
+    static set offlineQueue(queue) {
+        const client = ApiClient.getDefault();
+        if (client.offlineQueue) client.offlineQueue.detach();
+        client.offlineQueue = ApiClientOfflineQueue.from(queue);
+        if (client.offlineQueue) client.offlineQueue.attach(client);
+    }
+
+    /**
+     * Adds a lifecycle event listener to the default client, see on()
+     *
+     * @return {Function} Removes the listener
+     */
+    static on(type, listener) {
+        return ApiClient.getDefault().on(type, listener);
+    }
+
+    /**
+     * Performs an HTTP request with the default client
+     *
+     * @param {ApiClientInput} input - The input parameters for the request
+     * @return {Promise<ApiClientOutput>} A Promise that resolves to the output response
+     */
+    static send(input) {
+        return ApiClient.getDefault().send(input);
+    }
+
+    /**
+     * Performs an HTTP request with the default client, cancellable through the given handle
+     *
+     * @param {ApiClientInput} input - The input parameters for the request
+     * @param {ApiClientRequestHandle} handle - The handle controlling the request
+     * @return {Promise<ApiClientOutput>} A Promise that resolves to the output response
+     */
+    static sendWithHandle(input, handle) {
+        return ApiClient.getDefault().sendWithHandle(input, handle);
+    }
+
+    /**
+     * Performs a streaming HTTP request with the default client, see stream()
+     *
+     * @return {ApiClientRequestHandle} A handle whose cancel() stops the stream
+     */
+    static stream(input, onStart, onChunk, onFinish, onFailure, options) {
+        return ApiClient.getDefault().stream(input, onStart, onChunk, onFinish, onFailure, options);
+    }
+
+    /**
+     * Performs a streaming HTTP request with the default client, see streamIterator()
+     *
+     * @return {AsyncGenerator<string>} The decoded chunks
+     */
+    static streamIterator(input, options) {
+        return ApiClient.getDefault().streamIterator(input, options);
+    }
+
+    /**
+     * Performs a streaming HTTP request with the default client, see streamReadable()
+     *
+     * @return {ReadableStream<string>} The decoded chunks
+     */
+    static streamReadable(input, options) {
+        return ApiClient.getDefault().streamReadable(input, options);
+    }
+
+    /**
+     * Performs a Server-Sent Events request with the default client, see streamSse()
+     *
+     * @return {ApiClientRequestHandle} A handle whose cancel() stops the stream
+     */
+    static streamSse(input, handlers, options) {
+        return ApiClient.getDefault().streamSse(input, handlers, options);
+    }
+
+    /**
+     * Performs a streaming chat request with the default client, see streamChat()
+     *
+     * @return {ApiClientRequestHandle} A handle whose cancel() stops the stream
+     */
+    static streamChat(input, handlers) {
+        return ApiClient.getDefault().streamChat(input, handlers);
+    }
+
+    /**
+     * Performs an embeddings request with the default client, see sendEmbeddings()
+     *
+     * @return {Promise<ApiClientOutput>} A Promise that resolves to the output, with embeddings and usage set
+     */
+    static sendEmbeddings(input, options) {
+        return ApiClient.getDefault().sendEmbeddings(input, options);
+    }
+
+    /**
+     * Executes multiple requests in parallel with the default client, see batchSendParallel()
+     *
+     * @return {Promise<Array<ApiClientOutput>>} A Promise that resolves to an array of outputs, in input order
+     */
+    static batchSendParallel(inputs, onStart, onUnit, onFinished, onFailure, options) {
+        return ApiClient.getDefault().batchSendParallel(inputs, onStart, onUnit, onFinished, onFailure, options);
+    }
+
+    /**
+     * Iterates over the pages of a paged endpoint with the default client, see paginate()
+     *
+     * @return {AsyncGenerator} Yields an ApiClientOutput per page, or each item in items mode
+     */
+    static paginate(input, strategy) {
+        return ApiClient.getDefault().paginate(input, strategy);
+    }
+
+    /**
+     * Adds middleware to the end of the chain
+     * Middleware is an object with optional hooks, which may be async:
+     * onRequest(input) runs in order before sending and may modify the input or return a replacement;
+     * onResponse(output, input) runs in reverse order afterwards and may modify the output or return a replacement.
+     * The chain applies to send, stream and batch requests alike.
+     *
+     * @param {Object} middleware - The middleware to add
+     * @return {ApiClient} This client, for chaining
+     */
+    use(middleware) {
+        this.middleware.push(middleware);
+        return this;
+    }
+
+    /**
+     * Adds a lifecycle event listener, called for every send, stream and batch request of this client
+     * Every event carries {type, requestId, traceId, input, time, elapsed}: requestId is the same for all events of
+     * one request, traceId is set from the first attempt on when the client traces requests, and elapsed is in milliseconds since the start.
+     * - "start": the request was made, before middleware runs
+     * - "response": an attempt's response headers arrived, with {attempt, statusCode, headers}
+     * - "firstChunk": the first chunk of a streamed body arrived, with {bytes}
+     * - "retry": an attempt is repeated, with {attempt, delay, reason, output}; reason is "retry", "auth" or "reconnect"
+     * - "finish": the request succeeded, with {output, timing}
+     * - "failure": the request failed, was cancelled or answered with an error status, with {output, timing}
+     *
+     * @param {string} type - "start", "response", "firstChunk", "retry", "finish" or "failure"
+     * @param {Function} listener - Called with the event
+     * @return {Function} Removes the listener
+     */
+    on(type, listener) {
+        if (!this.listeners[type]) throw new TypeError(`Unknown client event: ${type}`);
+        this.listeners[type].push(listener);
+        return () => {
+            this.listeners[type] = this.listeners[type].filter(registered => registered !== listener);
+        };
+    }
+
+    /**
+     * Calls the listeners of an event, ignoring their errors so a faulty listener cannot break a request
+     *
+     * @param {string} type - The event type
+     * @param {Object} event - The event
+     */
+    emit(type, event) {
+        this.listeners[type].forEach(listener => {
+            try {
+                listener(event);
+            } catch (ignore) {
+            }
+        });
+    }
+
+    /**
+     * Resolves a URL against the client's base URL
+     *
+     * @param {string} url - An absolute URL, or a path relative to baseUrl
+     * @return {string} The URL to request
+     */
+    resolveUrl(url) {
+        if (!this.baseUrl || /^[a-z][a-z\d+\-.]*:/i.test(url) || url.startsWith('//')) return url;
+        return this.baseUrl.replace(/\/+$/, '') + '/' + url.replace(/^\/+/, '');
+    }
+
+    /**
+     * Builds the input that is actually sent: a copy with the base URL and default headers applied,
+     * passed through each middleware's onRequest
+     *
+     * @param {ApiClientInput} input - The input as given by the caller, which is left unchanged
+     * @return {Promise<ApiClientInput>} A Promise that resolves to the prepared input
+     */
+    async prepare(input) {
+        let prepared = input.clone();
+        prepared.url = this.resolveUrl(prepared.url);
+        prepared.headers = ApiClientInput.mergeHeaders(this.defaultHeaders, prepared.headers);
+
+        for (const middleware of this.middleware) {
+            if (!middleware.onRequest) continue;
+            const result = await middleware.onRequest(prepared);
+            if (result) prepared = result;
+        }
+        return prepared;
+    }
+
+    /**
+     * Passes an output through each middleware's onResponse, last middleware first
+     * An error thrown by middleware replaces the output with an error output.
+     *
+     * @param {ApiClientOutput} output - The output of the request
+     * @param {ApiClientInput} input - The prepared input that produced it
+     * @return {Promise<ApiClientOutput>} A Promise that resolves to the final output
+     */
+    async finalize(output, input) {
+        let result = output;
+        if (result.error instanceof ApiClientError && !result.error.input) result.error.input = input;
+        try {
+            for (let i = this.middleware.length - 1; i >= 0; i--) {
+                const middleware = this.middleware[i];
+                if (!middleware.onResponse) continue;
+                const replacement = await middleware.onResponse(result, input);
+                if (replacement) result = replacement;
+            }
+        } catch (e) {
+            result = ApiClientOutput.createForError(e, input);
+        }
+        return result;
+    }
+
+    /**
+     * Performs an HTTP request
+     * The request follows the input's signal and timeout. With an offline queue, a write that cannot be sent is
+     * saved for later and its output's isQueued() is true.
+     *
+     * @param {ApiClientInput} input - The input parameters for the request
+     * @return {Promise<ApiClientOutput>} A Promise that resolves to the output response
+     */
+    send(input) {
+        return this.sendWithHandle(input, new ApiClientRequestHandle(input));
+    }
+
+    /**
+     * Performs an HTTP request that can be cancelled through the given handle
+     *
+     * @param {ApiClientInput} input - The input parameters for the request
+     * @param {ApiClientRequestHandle} handle - The handle controlling the request
+     * @return {Promise<ApiClientOutput>} A Promise that resolves to the output response
+     */
+    sendWithHandle(input, handle) {
+        const queue = this.offlineQueue && !handle.queueEntry && this.offlineQueue.accepts(input) ? this.offlineQueue : null;
+        const request = queue ? queue.addIdempotencyKey(input) : input;
+        const monitor = new ApiClientRequestMonitor(this, request, false);
+        handle.monitor = monitor;
+        monitor.emit('start');
+
+        return (async () => {
+            let prepared = request;
+            let output;
+            try {
+                prepared = await this.prepare(request);
+                monitor.input = prepared;
+                if (queue && queue.isOffline()) {
+                    output = ApiClientOutput.createForError(new ApiClientNetworkError('Network request failed: the device is offline'));
+                } else if (queue && await queue.hasPending()) {
+                    // Sending now would overtake the queued requests, which may write to the same resource
+                    output = ApiClientOutput.createForError(new ApiClientNetworkError('Network request deferred: earlier requests are still queued'));
+                } else if (this.cache && this.cache.accepts(prepared, !!this.auth)) {
+                    const load = (request, shared) => {
+                        shared.monitor = monitor; // The handle of a deduplicated fetch reports to its first caller
+                        return this.execute(request, request.headers, shared, false).then(result => result.output);
+                    };
+                    output = await this.cache.fetch(prepared, handle, load);
+                } else {
+                    output = (await this.execute(prepared, prepared.headers, handle, false)).output;
+                }
+            } catch (e) {
+                output = ApiClientOutput.createForError(e);
+            } finally {
+                handle.dispose();
+            }
+            if (queue && queue.shouldQueue(output)) {
+                output = await queue.enqueue(request, output);
+            } else if (this.offlineQueue && this.offlineQueue.replayOnReconnect && !handle.queueEntry && output.isSuccessful()) {
+                this.offlineQueue.resume(); // The connection is back, so requests queued earlier can go out
+            }
+            const result = monitor.complete(await this.finalize(output, prepared));
+            monitor.report(result);
+            return result;
+        })();
+    }
+
+    /**
+     * Performs a streaming HTTP request
+     *
+     * @param {ApiClientInput} input - The input parameters for the request
+     * @param {Function} onStart - Callback that runs before first chunk is received
+     * @param {Function} onChunk - Callback that runs for each chunk of data
+     * @param {Function} onFinish - Callback that runs when all data is received, returns ApiClientOutput
+     * @param {Function} onFailure - Callback that runs if an error occurs, returns ApiClientOutput with error
+     * @param {Object} [options] - Stream settings
+     * @param {boolean} [options.buffer=true] - Whether to keep the full text as the body of the final output; turn off
+     *                                          for very long streams, whose chunks are then only seen by onChunk
+     * @return {ApiClientRequestHandle} A handle whose cancel() stops the stream
+     */
+    stream(input, onStart, onChunk, onFinish, onFailure, options) {
+        const buffer = !(options && options.buffer === false);
+        const handle = new ApiClientRequestHandle(input);
+        const monitor = new ApiClientRequestMonitor(this, input, true);
+        handle.monitor = monitor;
+        monitor.emit('start');
+
+        (async () => {
+            let failed = false;
+            let reader = null;
+            let prepared = input;
+            let response = null;
+            let reading = false; // Set while waiting on the network, so handler errors are not reported as interruptions
+            let fullText = '';
+            // The finish or failure event follows the callback, so it sees what the callback adds, such as chat metrics
+            const emit = async (callback, output) => {
+                const result = monitor.complete(await this.finalize(output, prepared));
+                callback(result);
+                monitor.report(result);
+            };
+
+            try {
+                prepared = await this.prepare(input);
+                monitor.input = prepared;
+                const opened = await this.openStream(prepared, prepared.headers, handle);
+
+                if (opened.failure) {
+                    failed = true;
+                    await emit(onFailure, opened.failure);
+                    return;
+                }
+
+                response = opened.response;
+                onStart();
+
+                reader = response.body.getReader();
+                handle.reader = reader;
+                const decoder = new TextDecoder("utf-8");
+
+                while (!failed) {
+                    reading = true;
+                    const record = await reader.read();
+                    reading = false;
+                    if (handle.reason) break; // A cancelled reader resolves as done, which is not a finish
+                    handle.restartTimeout();
+
+                    const isDone = ApiClient.isDone(record);
+
+                    // The chunk carrying the end marker can also carry the last records, so deliver it first
+                    const value = record.value;
+                    if (value) {
+                        monitor.markChunk(value.byteLength);
+                        const chunk = decoder.decode(value, {stream: true});
+                        if (buffer) fullText += chunk;
+                        onChunk(chunk);
+                    }
+
+                    if (isDone) {
+                        const output = ApiClientOutput.createForSuccess(response, buffer ? fullText : null);
+                        await emit(onFinish, output);
+                        break;
+                    }
+                }
+
+                if (handle.reason) {
+                    failed = true;
+                    await emit(onFailure, handle.createOutput());
+                }
+            } catch (error) {
+                if (!failed) {
+                    failed = true;
+                    let errorOutput;
+                    if (handle.reason) {
+                        errorOutput = handle.createOutput();
+                    } else if (reading) {
+                        errorOutput = ApiClient.createForInterruption(error, response, fullText);
+                    } else {
+                        errorOutput = ApiClientOutput.createForError(error);
+                    }
+                    await emit(onFailure, errorOutput);
+                }
+            } finally {
+                handle.dispose();
+                // Cancel rather than just release, so a stream ended by an in-band marker or an error stops downloading
+                ApiClientRequestHandle.cancelReader(reader);
+            }
+        })();
+
+        return handle;
+    }
+
+    /**
+     * Performs a streaming HTTP request as an async iterable of decoded text chunks, for use with for await
+     * Leaving the loop early, by break, return or an exception, cancels the request. A failure is thrown as the
+     * ApiClientError of its output. Each chunk is read only when the loop asks for the next one, so a slow consumer
+     * slows the download rather than buffering it; the timeout only starts once iteration does, and is paused while
+     * the loop body runs. The returned iterator also carries the request's handle, and once the stream has ended its
+     * final ApiClientOutput, which is a cancelled output when the loop was left early.
+     *
+     * @param {ApiClientInput} input - The input parameters for the request
+     * @param {Object} [options] - Stream settings
+     * @param {boolean} [options.buffer=false] - Whether to keep the full text as the final output's body
+     * @return {AsyncGenerator<string>} The chunks, with handle and output properties
+     */
+    streamIterator(input, options) {
+        const buffer = !!(options && options.buffer);
+        const handle = new ApiClientRequestHandle(input);
+        handle.pauseTimeout(); // Armed once iteration starts
+        const monitor = new ApiClientRequestMonitor(this, input, true);
+        handle.monitor = monitor;
+        const client = this;
+        let started = false;
+
+        const iterator = (async function* () {
+            let prepared = input;
+            let response = null;
+            let reader = null;
+            let reading = false;
+            let finished = false;
+            let fullText = '';
+            let failure = null;
+
+            started = true;
+            handle.restartTimeout();
+            monitor.emit('start');
+            try {
+                prepared = await client.prepare(input);
+                monitor.input = prepared;
+                const opened = await client.openStream(prepared, prepared.headers, handle);
+
+                if (opened.failure) {
+                    failure = opened.failure;
+                } else {
+                    response = opened.response;
+                    reader = response.body.getReader();
+                    handle.reader = reader;
+                    const decoder = new TextDecoder('utf-8');
+
+                    for (;;) {
+                        handle.restartTimeout();
+                        reading = true;
+                        const record = await reader.read();
+                        reading = false;
+                        if (handle.reason) break; // A cancelled reader resolves as done, which is not a finish
+                        handle.pauseTimeout();
+
+                        if (record.value) monitor.markChunk(record.value.byteLength);
+                        const chunk = record.value ? decoder.decode(record.value, {stream: true}) : decoder.decode();
+                        if (buffer) fullText += chunk;
+                        if (chunk) yield chunk;
+                        if (ApiClient.isDone(record)) break;
+                    }
+
+                    if (handle.reason) {
+                        failure = handle.createOutput();
+                    } else {
+                        finished = true;
+                        iterator.output = monitor.complete(await client.finalize(ApiClientOutput.createForSuccess(response, buffer ? fullText : null), prepared));
+                        monitor.report(iterator.output);
+                    }
+                }
+            } catch (error) {
+                if (handle.reason) {
+                    failure = handle.createOutput();
+                } else if (reading) {
+                    failure = ApiClient.createForInterruption(error, response, fullText);
+                } else {
+                    failure = ApiClientOutput.createForError(error);
+                }
+            } finally {
+                // Also reached when the loop is left early, which cancels the request
+                if (!finished && !failure) {
+                    handle.cancel();
+                    iterator.output = monitor.complete(handle.createOutput());
+                    monitor.report(iterator.output);
+                }
+                handle.dispose();
+                ApiClientRequestHandle.cancelReader(reader);
+            }
+
+            if (failure) {
+                iterator.output = monitor.complete(await client.finalize(failure, prepared));
+                monitor.report(iterator.output);
+                throw iterator.output.error;
+            }
+        })();
+
+        // Ending the generator before its body has run skips the finally above, so release the handle here
+        const end = method => {
+            const original = iterator[method].bind(iterator);
+            iterator[method] = value => {
+                if (!started) handle.dispose();
+                return original(value);
+            };
+        };
+        end('return');
+        end('throw');
+
+        iterator.handle = handle;
+        iterator.output = null;
+        return iterator;
+    }
+
+    /**
+     * Performs a streaming HTTP request as a ReadableStream of decoded text chunks
+     * The stream pulls from the network only as fast as it is read, so it can be piped through transforms such as
+     * ApiClientSseParser.createTransform() with backpressure. Cancelling the stream cancels the request, and a
+     * failure errors the stream with the ApiClientError of its output.
+     *
+     * @param {ApiClientInput} input - The input parameters for the request
+     * @param {Object} [options] - Stream settings, see streamIterator()
+     * @return {ReadableStream<string>} The chunks, with a handle property
+     */
+    streamReadable(input, options) {
+        const iterator = this.streamIterator(input, options);
+        const readable = new ReadableStream({
+            async pull(controller) {
+                try {
+                    const {value, done} = await iterator.next();
+                    if (done) controller.close();
+                    else controller.enqueue(value);
+                } catch (error) {
+                    controller.error(error);
+                }
+            },
+            async cancel() {
+                await iterator.return();
+            }
+        }, {highWaterMark: 0}); // Read nothing ahead of the consumer
+        readable.handle = iterator.handle;
+        return readable;
+    }
+
+    /**
+     * Creates a TransformStream that splits text into lines, for newline-delimited formats such as NDJSON
+     * Blank lines are dropped and a final line without a newline is emitted when the input ends.
+     *
+     * @return {TransformStream<string, string>} The transform
+     */
+    static createLineTransform() {
+        let buffer = '';
+        const emitLines = (controller, text) => {
+            text.split(/\r?\n/).forEach(line => {
+                if (line.trim() !== '') controller.enqueue(line);
+            });
+        };
+
+        return new TransformStream({
+            transform(chunk, controller) {
+                buffer += chunk;
+                const end = buffer.lastIndexOf('\n');
+                if (end === -1) return;
+                emitLines(controller, buffer.slice(0, end));
+                buffer = buffer.slice(end + 1);
+            },
+            flush(controller) {
+                emitLines(controller, buffer);
+                buffer = '';
+            }
+        });
+    }
+
+    /**
+     * Performs a streaming request over fetch and parses the response as Server-Sent Events
+     * Unlike EventSource this works with any method, so the request body and auth headers can be sent.
+     * If the connection drops mid-stream it is re-established after the server's retry interval,
+     * sending the last received event id as Last-Event-ID. As with EventSource, a connection the server closes
+     * before data: [DONE] counts as dropped, unless options.finishOnClose is set; a 204 reply to a reconnect ends the stream.
+     *
+     * @param {ApiClientInput} input - The input parameters for the request
+     * @param {Object} handlers - Callbacks for the stream
+     * @param {Function} handlers.onStart - Callback that runs once the first connection is established
+     * @param {Function} handlers.onEvent - Callback that runs for each dispatched ApiClientSseEvent
+     * @param {Function} handlers.onFinish - Callback that runs when data: [DONE] is received or the stream otherwise ends, returns ApiClientOutput
+     * @param {Function} handlers.onFailure - Callback that runs if an error occurs, returns ApiClientOutput with error
+     * @param {Object} [options] - Reconnection settings
+     * @param {number} [options.maxReconnects=3] - Maximum number of reconnection attempts
+     * @param {number} [options.retry=3000] - Reconnection delay in ms until the server sends a retry field
+     * @param {boolean} [options.finishOnClose=false] - Finish when the server closes the connection, for servers that send no data: [DONE]
+     * @return {ApiClientRequestHandle} A handle whose cancel() stops the stream, including pending reconnects
+     */
+    streamSse(input, handlers, options) {
+        const onStart = handlers.onStart || (() => {});
+        const onEvent = handlers.onEvent || (() => {});
+        const onFinish = handlers.onFinish || (() => {});
+        const onFailure = handlers.onFailure || (() => {});
+        const maxReconnects = options && options.maxReconnects != null ? options.maxReconnects : 3;
+        const defaultRetry = options && options.retry != null ? options.retry : 3000;
+        const finishOnClose = !!(options && options.finishOnClose);
+        const handle = new ApiClientRequestHandle(input);
+        const monitor = new ApiClientRequestMonitor(this, input, true);
+        handle.monitor = monitor;
+        monitor.emit('start');
+
+        (async () => {
+            const parser = new ApiClientSseParser();
+            let started = false;
+            let reconnects = 0;
+            let fullText = '';
+            let prepared = input;
+            let drop = null; // The output of a dropped connection, reported with the reconnect
+            const emit = async (callback, output) => {
+                const result = monitor.complete(await this.finalize(output, prepared));
+                callback(result);
+                monitor.report(result);
+            };
+
+            try {
+                prepared = await this.prepare(input);
+                monitor.input = prepared;
+            } catch (error) {
+                handle.dispose();
+                await emit(onFailure, ApiClientOutput.createForError(error));
+                return;
+            }
+
+            while (true) {
+                let reader = null;
+                let response = null;
+                let finished = false;
+                let dropped = false; // Set while waiting on the network, so handler errors are not retried
+
+                if (handle.reason) {
+                    handle.dispose();
+                    await emit(onFailure, handle.createOutput());
+                    return;
+                }
+
+                try {
+                    const headers = ApiClientInput.mergeHeaders({'Accept': 'text/event-stream'}, prepared.headers);
+                    if (parser.lastEventId) headers['Last-Event-ID'] = parser.lastEventId;
+
+                    if (!started) {
+                        const opened = await this.openStream(prepared, headers, handle);
+                        if (opened.failure) {
+                            handle.dispose();
+                            await emit(onFailure, opened.failure);
+                            return;
+                        }
+                        response = opened.response;
+                        started = true;
+                        onStart();
+                    } else {
+                        const authorized = await this.authorize(headers, prepared);
+                        dropped = true;
+                        if (this.rateLimiter) await this.rateLimiter.acquire(prepared, handle.signal);
+                        const traced = monitor.addTraceparent(authorized.headers);
+                        response = await this.transport.fetch(prepared.url, ApiClient.createFetchOptions(prepared, traced, handle.signal));
+                        dropped = false;
+                        monitor.markResponse(response, reconnects + 1);
+                        if (this.rateLimiter) this.rateLimiter.update(prepared, ApiClientOutput.createForSuccess(response, null));
+
+                        // 204 No Content tells the client to stop reconnecting
+                        if (response.status === 204) {
+                            handle.dispose();
+                            await emit(onFinish, ApiClientOutput.createForSuccess(response, fullText));
+                            return;
+                        }
+
+                        if (!response.ok || !response.body) {
+                            handle.dispose();
+                            await emit(onFailure, response.ok ? ApiClientOutput.createResponseError(response) : await ApiClientOutput.create(response));
+                            return;
+                        }
+                    }
+
+                    reader = response.body.getReader();
+                    handle.reader = reader;
+                    const decoder = new TextDecoder("utf-8");
+
+                    while (!finished) {
+                        dropped = true;
+                        const record = await reader.read();
+                        dropped = false;
+                        if (handle.reason) break;
+                        handle.restartTimeout();
+
+                        if (record.value) monitor.markChunk(record.value.byteLength);
+                        const chunk = record.done ? decoder.decode() : decoder.decode(record.value, {stream: true});
+                        fullText += chunk;
+
+                        for (const event of parser.feed(chunk)) {
+                            if (event.data === '[DONE]') {
+                                finished = true;
+                                break;
+                            }
+                            onEvent(event);
+                        }
+
+                        if (record.done) break;
+                    }
+
+                    if (!finished && !handle.reason && !finishOnClose) {
+                        dropped = true;
+                        throw new Error('Connection closed before data: [DONE]');
+                    }
+
+                    handle.dispose();
+                    if (handle.reason) {
+                        await emit(onFailure, handle.createOutput());
+                    } else {
+                        await emit(onFinish, ApiClientOutput.createForSuccess(response, fullText));
+                    }
+                    return;
+                } catch (error) {
+                    if (handle.reason || !started || !dropped || reconnects >= maxReconnects) {
+                        handle.dispose();
+                        let errorOutput;
+                        if (handle.reason) {
+                            errorOutput = handle.createOutput();
+                        } else if (started && dropped) {
+                            errorOutput = ApiClient.createForInterruption(error, reader ? response : null, fullText);
+                        } else {
+                            errorOutput = ApiClientOutput.createForError(error);
+                        }
+                        await emit(onFailure, errorOutput);
+                        return;
+                    }
+                    drop = ApiClient.createForInterruption(error, reader ? response : null, fullText);
+                } finally {
+                    // Cancel rather than release when [DONE] arrives before the server closes the connection
+                    ApiClientRequestHandle.cancelReader(reader);
+                    handle.reader = null;
+                }
+
+                reconnects++;
+                parser.reset();
+                const delay = parser.retry !== null ? parser.retry : defaultRetry;
+                monitor.markRetry(reconnects, drop, delay, 'reconnect');
+                await handle.sleep(delay);
+            }
+        })();
+
+        return handle;
+    }
+
+    /**
+     * Performs a streaming chat request and assembles the reply
+     * Works with Ollama-style NDJSON and OpenAI-style SSE responses, detected from the stream itself.
+     * An error event in an Anthropic stream fails the request with an ApiClientStreamError carrying providerError.
+     *
+     * @param {ApiClientInput} input - The input parameters for the request, usually from ApiClientInput.chat
+     * @param {Object} handlers - Callbacks for the stream
+     * @param {Function} handlers.onStart - Callback that runs before first chunk is received
+     * @param {Function} handlers.onDelta - Callback that runs for each piece of assistant content as it arrives
+     * @param {Function} handlers.onFinish - Callback that runs when the reply is complete, returns ApiClientOutput
+     *                                       with message, finishReason, model and usage set, and timing extended by
+     *                                       timeToFirstToken and tokensPerSecond
+     * @param {Function} handlers.onFailure - Callback that runs if an error occurs, returns ApiClientOutput with error
+     * @return {ApiClientRequestHandle} A handle whose cancel() stops the stream
+     */
+    streamChat(input, handlers) {
+        const onStart = handlers.onStart || (() => {});
+        const onDelta = handlers.onDelta || (() => {});
+        const onFinish = handlers.onFinish || (() => {});
+        const onFailure = handlers.onFailure || (() => {});
+        const accumulator = new ApiClientChatAccumulator();
+        const deliver = (delta) => {
+            handle.monitor.markToken();
+            onDelta(delta);
+        };
+
+        const handle = this.stream(
+            input,
+            onStart,
+            (chunk) => {
+                accumulator.feed(chunk).forEach(deliver);
+                if (accumulator.error) throw accumulator.error;
+            },
+            (output) => {
+                accumulator.flush().forEach(deliver);
+                if (accumulator.error) throw accumulator.error;
+                onFinish(handle.monitor.addTokenTiming(accumulator.applyTo(output)));
+            },
+            onFailure
+        );
+        return handle;
+    }
+
+    /**
+     * Performs an embeddings request, splitting a long input array into batches
+     * The batches are sent in parallel and their vectors put back together in input order. If any batch fails, the
+     * rest are cancelled and the failed batch's output is returned.
+     *
+     * @param {ApiClientInput} input - An input made by ApiClientInput.embeddings
+     * @param {Object} [options] - Batch settings
+     * @param {number} [options.batchSize] - Texts per request, ApiClient.embeddingBatchSize by default
+     * @param {number} [options.maxConcurrency=4] - Maximum number of batches in flight at once
+     * @param {AbortSignal} [options.signal] - Aborts every batch
+     * @return {Promise<ApiClientOutput>} A Promise that resolves to the output, with embeddings (one vector per text, in
+     *                                    order) and usage (summed over the batches) set
+     */
+    async sendEmbeddings(input, options) {
+        const settings = options || {};
+        const batchSize = settings.batchSize > 0 ? settings.batchSize : ApiClient.embeddingBatchSize;
+        const body = input.inputBody;
+        const texts = body && Array.isArray(body.input) ? body.input : null;
+
+        const finish = (output, outputs) => {
+            output.embeddings = [].concat(...outputs.map(part => part.getEmbeddings()));
+            const usages = outputs.map(part => part.getUsage()).filter(Boolean);
+            output.usage = usages.length === 0 ? null : usages.reduce((total, usage) => ({
+                promptTokens: total.promptTokens + usage.promptTokens,
+                completionTokens: total.completionTokens + usage.completionTokens,
+                totalTokens: total.totalTokens + usage.totalTokens
+            }));
+            return output;
+        };
+
+        if (!texts || texts.length <= batchSize) {
+            const handle = new ApiClientRequestHandle(input).follow(settings.signal);
+            const output = await this.sendWithHandle(input, handle);
+            return output.isSuccessful() ? finish(output, [output]) : output;
+        }
+
+        const batches = [];
+        for (let start = 0; start < texts.length; start += batchSize) {
+            const batch = input.clone();
+            batch.inputBody = {...body, input: texts.slice(start, start + batchSize)};
+            batch.body = JSON.stringify(batch.inputBody);
+            batches.push(batch);
+        }
+
+        const outputs = await this.runBatch(batches, {
+            maxConcurrency: settings.maxConcurrency > 0 ? settings.maxConcurrency : 4,
+            signal: settings.signal,
+            failFast: true
+        }, () => {});
+
+        // With failFast the batches cancelled after the first failure are aborted; report the failure itself
+        const failed = outputs.find(output => !output.isSuccessful() && !output.isAborted()) ||
+            outputs.find(output => !output.isSuccessful());
+        if (failed) return failed;
+
+        const output = new ApiClientOutput();
+        const last = outputs[outputs.length - 1];
+        output.statusCode = last.statusCode;
+        output.headers = last.headers;
+        const lastBody = last.parseJsonBody() || {};
+        finish(output, outputs);
+        output.body = JSON.stringify({model: lastBody.model, embeddings: output.embeddings});
+        return output;
+    }
+
+    /**
+     * Execute multiple requests in parallel
+     *
+     * @param {Array<ApiClientInput>} inputs - List of request inputs
+     * @param {Function} onStart - Called before the batch begins processing
+     * @param {Function} onUnit - Called for each completed request with ApiClientOutput (success or error),
+     *                            the input's index and progress counts {completed, successful, failed, total}
+     * @param {Function} onFinished - Called when all requests are complete with a summary ApiClientOutput
+     * @param {Function} onFailure - Called if there's a failure in the batch process, returns ApiClientOutput with error
+     * @param {Object} [options] - Batch settings
+     * @param {AbortSignal} [options.signal] - Aborts every request in the batch; each input's own signal and timeout also apply
+     * @param {number} [options.maxConcurrency] - Maximum number of requests in flight at once, unlimited by default
+     * @param {number} [options.maxPerHost] - Maximum number of requests in flight to the same host, unlimited by default
+     * @param {boolean} [options.failFast=false] - Abort in-flight and pending requests once any request fails
+     * @return {Promise<Array<ApiClientOutput>>} A Promise that resolves to an array of outputs, in input order
+     */
+    batchSendParallel(inputs, onStart, onUnit, onFinished, onFailure, options) {
+        return (async () => {
+            try {
+                if (!inputs || inputs.length === 0) {
+                    const emptyOutput = new ApiClientOutput();
+                    emptyOutput.statusCode = 200;
+                    emptyOutput.body = JSON.stringify([]);
+
+                    onFinished(emptyOutput);
+                    return [];
+                }
+
+                onStart();
+
+                const results = await this.runBatch(inputs, options || {}, onUnit);
+
+                // Create a batch summary output
+                const batchOutput = new ApiClientOutput();
+                batchOutput.statusCode = 200; // Assume success
+
+                // Compile results into a structured batch response
+                const responseData = {
+                    total: results.length,
+                    successful: results.filter(r => r.isSuccessful()).length,
+                    failed: results.filter(r => !r.isSuccessful()).length,
+                    failedIndices: results.map((r, index) => r.isSuccessful() ? -1 : index).filter(index => index >= 0),
+                    results: results.map(r => r.asMap())
+                };
+
+                batchOutput.body = JSON.stringify(responseData);
+
+                // Check if any requests failed
+                if (responseData.failed > 0) {
+                    batchOutput.statusCode = 207; // Multi-Status
+                }
+
+                onFinished(batchOutput);
+                return results;
+            } catch (error) {
+                const errorOutput = ApiClientOutput.createForError(error);
+                onFailure(errorOutput);
+                throw error; // Re-throw for Promise rejection
+            }
+        })();
+    }
+
+    /**
+     * Sends the inputs of a batch, respecting its concurrency limits and fail-fast setting
+     *
+     * @param {Array<ApiClientInput>} inputs - List of request inputs
+     * @param {Object} options - Batch settings, as for batchSendParallel
+     * @param {Function} onUnit - Called with each output, its index and progress counts
+     * @return {Promise<Array<ApiClientOutput>>} A Promise that resolves to the outputs, in input order
+     */
+    runBatch(inputs, options, onUnit) {
+        const maxConcurrency = options.maxConcurrency > 0 ? options.maxConcurrency : Infinity;
+        const maxPerHost = options.maxPerHost > 0 ? options.maxPerHost : Infinity;
+        const failFast = new AbortController(); // Aborted on the first failure when options.failFast is set
+
+        return new Promise((resolve, reject) => {
+            const results = new Array(inputs.length);
+            const pending = inputs.map((input, index) => index);
+            const hostCounts = {};
+            const progress = {completed: 0, successful: 0, failed: 0, total: inputs.length};
+            let running = 0;
+            let settled = false;
+
+            const complete = (index, output) => {
+                results[index] = output;
+                progress.completed++;
+                if (output.isSuccessful()) progress.successful++; else progress.failed++;
+                onUnit(output, index, {...progress});
+
+                if (options.failFast && !output.isSuccessful() && !failFast.signal.aborted) {
+                    failFast.abort();
+                    // Pending requests are reported as aborted without being sent
+                    pending.splice(0).forEach(pendingIndex => complete(pendingIndex, ApiClientOutput.createForAbort('abort', null)));
+                }
+            };
+
+            const fail = (error) => {
+                if (settled) return;
+                settled = true;
+                failFast.abort();
+                reject(error);
+            };
+
+            const pump = () => {
+                if (settled) return;
+                for (let i = 0; i < pending.length && running < maxConcurrency;) {
+                    const index = pending[i];
+                    const host = ApiClient.getHost(this.resolveUrl(inputs[index].url));
+                    if ((hostCounts[host] || 0) >= maxPerHost) {
+                        i++;
+                        continue;
+                    }
+                    pending.splice(i, 1);
+                    start(index, host);
+                }
+
+                if (running === 0 && pending.length === 0 && !settled) {
+                    settled = true;
+                    resolve(results);
+                }
+            };
+
+            const start = (index, host) => {
+                const input = inputs[index];
+                const handle = new ApiClientRequestHandle(input).follow(options.signal).follow(failFast.signal);
+                running++;
+                hostCounts[host] = (hostCounts[host] || 0) + 1;
+
+                this.sendWithHandle(input, handle).then(output => {
+                    running--;
+                    hostCounts[host]--;
+                    if (settled) return;
+                    complete(index, output);
+                    pump();
+                }).catch(fail);
+            };
+
+            try {
+                pump();
+            } catch (error) {
+                fail(error);
+            }
+        });
+    }
+
+    /**
+     * Extracts the host of a URL, resolving relative URLs against the page
+     *
+     * @param {string} url - The URL to read
+     * @return {string} The host, or an empty string if the URL cannot be parsed
+     */
+    static getHost(url) {
+        try {
+            const base = typeof location !== 'undefined' ? location.href : undefined;
+            return new URL(url, base).host;
+        } catch (e) {
+            return '';
+        }
+    }
+
+    /**
+     * Iterates over the pages of a paged endpoint
+     * Pages are requested one at a time, as the loop asks for them. Strategies:
+     * - "link": follow the Link header's rel="next" URL (RFC 5988)
+     * - "cursor": read the next cursor from the JSON body and send it as a query parameter
+     * - "page": increment a page number query parameter until a page has no items
+     * - "offset": advance an offset query parameter by the number of items received
+     *
+     * @param {ApiClientInput} input - The request for the first page
+     * @param {Object} [strategy] - How to find the next page
+     * @param {string} [strategy.type="link"] - "link", "cursor", "page" or "offset"
+     * @param {string|Function} [strategy.itemsPath] - Dot path to the items array in the JSON body, or a function(body, output);
+     *                                                 the body itself if it is an array
+     * @param {string|Function} [strategy.cursorPath="next_cursor"] - For "cursor": dot path to the next cursor, or a function(body, output)
+     * @param {string} [strategy.cursorParam="cursor"] - For "cursor": the query parameter the cursor is sent in
+     * @param {string} [strategy.pageParam="page"] - For "page": the page number query parameter
+     * @param {number} [strategy.startPage=1] - For "page": the number of the first page
+     * @param {string} [strategy.offsetParam="offset"] - For "offset": the offset query parameter
+     * @param {string} [strategy.limitParam] - For "page" and "offset": a page size query parameter to send
+     * @param {number} [strategy.limit] - The page size; a shorter page is taken as the last
+     * @param {number} [strategy.maxPages=100] - Stop after this many pages, guarding against endless paging
+     * @param {boolean} [strategy.items=false] - Yield each item instead of each page
+     * @return {AsyncGenerator} Yields an ApiClientOutput per page; a failed page is yielded and ends the iteration.
+     *                          In items mode yields each item, and a failed page throws its ApiClientError.
+     * @throws {TypeError} On the first iteration, before any page is requested, if the strategy type is unknown
+     */
+    async *paginate(input, strategy) {
+        const settings = {type: 'link', maxPages: 100, items: false, ...(strategy || {})};
+        if (!ApiClient.PAGINATION_TYPES.includes(settings.type)) {
+            throw new TypeError(`Pagination type must be one of ${ApiClient.PAGINATION_TYPES.join(', ')}, got ${JSON.stringify(settings.type)}`);
+        }
+        const getItems = output => {
+            const body = output.parseJsonBody();
+            const items = typeof settings.itemsPath === 'function'
+                ? settings.itemsPath(body, output)
+                : ApiClient.getPath(body, settings.itemsPath);
+            return Array.isArray(items) ? items : [];
+        };
+
+        let url = this.resolveUrl(input.url);
+        let page = settings.startPage !== undefined ? settings.startPage : 1;
+        let offset = 0;
+        const seen = new Set();
+
+        if (settings.limitParam && settings.limit) url = ApiClient.setQueryParam(url, settings.limitParam, settings.limit);
+        if (settings.type === 'page') url = ApiClient.setQueryParam(url, settings.pageParam || 'page', page);
+        if (settings.type === 'offset') url = ApiClient.setQueryParam(url, settings.offsetParam || 'offset', offset);
+
+        for (let count = 0; count < settings.maxPages && url && !seen.has(url); count++) {
+            seen.add(url);
+            const pageInput = input.clone();
+            pageInput.url = url;
+            const output = await this.send(pageInput);
+            output.pageNumber = count + 1;
+
+            if (!output.isSuccessful()) {
+                if (settings.items) throw output.error || ApiClientError.from(new Error(`Page ${count + 1} failed`), pageInput);
+                yield output;
+                return;
+            }
+
+            const items = getItems(output);
+            if (settings.items) {
+                yield* items;
+            } else {
+                yield output;
+            }
+
+            const short = settings.limit ? items.length < settings.limit : items.length === 0;
+            if (settings.type === 'link') {
+                url = output.getLinks(url).next || null;
+            } else if (settings.type === 'cursor') {
+                const body = output.parseJsonBody();
+                const cursor = typeof settings.cursorPath === 'function'
+                    ? settings.cursorPath(body, output)
+                    : ApiClient.getPath(body, settings.cursorPath || 'next_cursor');
+                url = cursor === null || cursor === undefined || cursor === '' || cursor === false
+                    ? null
+                    : ApiClient.setQueryParam(url, settings.cursorParam || 'cursor', cursor);
+            } else if (settings.type === 'page') {
+                page++;
+                url = short ? null : ApiClient.setQueryParam(url, settings.pageParam || 'page', page);
+            } else {
+                offset += items.length;
+                url = short ? null : ApiClient.setQueryParam(url, settings.offsetParam || 'offset', offset);
+            }
+        }
+    }
+
+    /**
+     * Reads a value from a parsed JSON body by dot path
+     *
+     * @param {*} value - The parsed body
+     * @param {string|null} [path] - A path such as "meta.next_cursor"; the value itself if empty
+     * @return {*} The value at the path, or undefined if any part is missing
+     */
+    static getPath(value, path) {
+        if (!path) return value;
+        return path.split('.').reduce((current, key) => current === null || current === undefined ? undefined : current[key], value);
+    }
+
+    /**
+     * Sets a query parameter on a URL, keeping relative URLs relative
+     *
+     * @param {string} url - The URL to change
+     * @param {string} name - The parameter name
+     * @param {*} value - The parameter value
+     * @return {string} The changed URL
+     */
+    static setQueryParam(url, name, value) {
+        const absolute = /^[a-z][a-z\d+\-.]*:/i.test(url);
+        const protocolRelative = url.startsWith('//');
+        const parsed = new URL(protocolRelative ? 'http:' + url : url, 'http://relative.invalid');
+        parsed.searchParams.set(name, String(value));
+        if (absolute) return parsed.href;
+        if (protocolRelative) return parsed.href.slice('http:'.length);
+        return parsed.pathname + parsed.search + parsed.hash;
+    }
+
+    /**
+     * Sends a prepared input, applying auth and making further attempts as its retry policy allows
+     * A 401 response is replayed once after the auth provider refreshes its credentials;
+     * if the refresh fails the output is an auth failure, see ApiClientOutput.isAuthFailure().
+     *
+     * @param {ApiClientInput} input - The prepared input
+     * @param {Object} headers - The headers to send, before auth is applied
+     * @param {ApiClientRequestHandle} handle - The handle controlling the request
+     * @param {boolean} streaming - true to hand back a successful response unread, for streaming its body
+     * @return {Promise<Object>} Either {response} when streaming succeeded, or {output} with the ApiClientOutput to report
+     */
+    async execute(input, headers, handle, streaming) {
+        const policy = this.getRetryPolicy(input);
+        const attempts = [];
+        const monitor = handle.monitor || null;
+        let authorized = await this.authorize(headers, input);
+        let replayed = false;
+
+        for (let attempt = 1; ; attempt++) {
+            let output;
+            // A progress callback that throws while fetch streams the body surfaces as a fetch or read failure;
+            // remember it so the caller's error is reported rather than a retryable network error
+            let callbackError = null;
+            const guard = callback => callback && (progress => {
+                try {
+                    return callback(progress);
+                } catch (e) {
+                    callbackError = callbackError || e;
+                    throw e;
+                }
+            });
+            try {
+                if (this.rateLimiter) await this.rateLimiter.acquire(input, handle.signal);
+                const sent = monitor ? monitor.addTraceparent(authorized.headers) : authorized.headers;
+                const options = ApiClient.createFetchOptions(input, sent, handle.signal);
+                const uploaded = input.onUploadProgress ? await ApiClient.trackUpload(options, guard(input.onUploadProgress)) : null;
+                let response;
+                try {
+                    response = await this.transport.fetch(input.url, options);
+                } catch (e) {
+                    throw callbackError || new ApiClientNetworkError(`Network request failed: ${e.message}`, {cause: e});
+                }
+                if (uploaded) uploaded();
+                if (monitor) monitor.markResponse(response, attempt);
+                if (this.rateLimiter) this.rateLimiter.update(input, ApiClientOutput.createForSuccess(response, null));
+                if (streaming && response.ok && response.body) return {response};
+                if (streaming) {
+                    // A failed stream's body is the server's explanation, small enough to read in full
+                    output = response.ok ? ApiClientOutput.createResponseError(response) : await ApiClientOutput.create(response);
+                } else {
+                    output = await ApiClientOutput.create(response, input.responseType, guard(input.onDownloadProgress));
+                    if (callbackError) throw callbackError;
+                }
+                if (handle.reason && output.error) output = handle.createOutput();
+            } catch (e) {
+                output = handle.reason ? handle.createOutput() : ApiClientOutput.createForError(e, input);
+            }
+
+            if (output.statusCode === 401 && this.auth && !replayed) {
+                replayed = true;
+                let refreshed;
+                try {
+                    refreshed = await this.auth.refresh(authorized.credential);
+                } catch (e) {
+                    refreshed = false;
+                    output = ApiClientOutput.createForAuthFailure(e, output);
+                }
+
+                attempts.push(ApiClientRetryPolicy.createAttempt(attempt, output, 0));
+                if (refreshed) {
+                    if (monitor) monitor.markRetry(attempt, output, 0, 'auth');
+                    authorized = await this.authorize(headers, input);
+                    continue;
+                }
+                output.attempts = attempts;
+                return {output};
+            }
+
+            // The replay after a refresh does not use up an attempt of the retry policy
+            const policyAttempt = replayed ? attempt - 1 : attempt;
+            const retry = policy !== null && policy.shouldRetry(input, output, policyAttempt);
+            const delay = retry ? policy.getDelay(policyAttempt, output) : 0;
+            attempts.push(ApiClientRetryPolicy.createAttempt(attempt, output, delay));
+
+            if (!retry) {
+                output.attempts = attempts;
+                return {output};
+            }
+
+            if (monitor) monitor.markRetry(attempt, output, delay, 'retry');
+            await handle.sleep(delay);
+            if (handle.reason) {
+                const abortOutput = handle.createOutput();
+                abortOutput.attempts = attempts;
+                return {output: abortOutput};
+            }
+        }
+    }
+
+    /**
+     * Opens the response for a stream, retrying failures that happen before the body starts
+     *
+     * @param {ApiClientInput} input - The prepared input
+     * @param {Object} headers - The headers to send, before auth is applied
+     * @param {ApiClientRequestHandle} handle - The handle controlling the request
+     * @return {Promise<Object>} Either {response} with a readable body, or {failure} with the ApiClientOutput to report
+     */
+    async openStream(input, headers, handle) {
+        const result = await this.execute(input, headers, handle, true);
+        return result.response ? {response: result.response} : {failure: result.output};
+    }
+
+    /**
+     * Applies the client's auth provider to a copy of the headers
+     *
+     * @param {Object} headers - The headers to send
+     * @param {ApiClientInput} input - The prepared input
+     * @return {Promise<Object>} {headers, credential}, where credential identifies what the provider used
+     */
+    async authorize(headers, input) {
+        if (!this.auth) return {headers, credential: null};
+        const authorized = {...headers};
+        const credential = await this.auth.authorize(authorized, input);
+        return {headers: authorized, credential};
+    }
+
+    /**
+     * Resolves the retry policy for an input
+     *
+     * @param {ApiClientInput} input - The input parameters for the request
+     * @return {ApiClientRetryPolicy|null} The input's policy, else the client's, else null
+     */
+    getRetryPolicy(input) {
+        return input.retryPolicy || ApiClientRetryPolicy.from(this.retryPolicy);
+    }
+
+    /**
+     * Builds the fetch options for an input
+     *
+     * @param {ApiClientInput} input - The input parameters for the request
+     * @param {Object} headers - The headers to send
+     * @param {AbortSignal} [signal] - The signal that aborts the fetch
+     * @return {Object} The options to pass to fetch
+     */
+    static createFetchOptions(input, headers, signal) {
+        const options = {
+            method: input.method,
+            headers: headers
+        };
+
+        // CORS mode only means something to a page; server-side runtimes have no origin to enforce it for
+        if (ApiClient.isBrowser()) options.mode = 'cors';
+        if (signal) options.signal = signal;
+
+        // Add body for non-GET requests
+        if (input.method !== 'GET' && input.body) {
+            options.body = input.body;
+        }
+
+        return options;
+    }
+
+    /**
+     * Creates the output for a stream whose connection failed part way through
+     *
+     * @param {*} error - The error raised while reading or reconnecting
+     * @param {Response|null} response - The response being read, if any
+     * @param {string} received - The text received before the failure
+     * @return {ApiClientOutput} An output with an ApiClientStreamError and the received text as its body
+     */
+    static createForInterruption(error, response, received) {
+        const reason = error && error.message ? error.message : String(error);
+        const output = ApiClientOutput.createForError(new ApiClientStreamError(`Stream interrupted: ${reason}`, {
+            statusCode: response ? response.status : 0,
+            headers: response ? ApiClientOutput.createHeaders(response) : {},
+            cause: error
+        }));
+        output.body = received;
+        return output;
+    }
+
+    /**
+     * Prepares fetch options so that sending the body reports upload progress
+     * Where request bodies can be streamed, the body is sent in slices and progress is reported per slice;
+     * elsewhere only the start is reported, and the returned function reports completion once fetch resolves.
+     *
+     * @param {Object} options - The fetch options, modified in place
+     * @param {Function} onProgress - Called with {loaded, total}
+     * @return {Promise<Function>} Reports the upload as complete
+     */
+    static async trackUpload(options, onProgress) {
+        if (options.body === undefined || options.body === null) {
+            onProgress({loaded: 0, total: 0});
+            return () => {};
+        }
+
+        // Serialise the body the way fetch would, to learn its size and, for forms, the multipart boundary
+        const encoded = new Response(options.body);
+        const contentType = encoded.headers.get('content-type');
+        const bytes = new Uint8Array(await encoded.arrayBuffer());
+        const total = bytes.length;
+        let loaded = 0;
+
+        if (contentType && !Object.keys(options.headers).some(name => name.toLowerCase() === 'content-type')) {
+            options.headers = {...options.headers, 'Content-Type': contentType};
+        }
+        onProgress({loaded, total});
+
+        if (ApiClient.canStreamUploads()) {
+            const sliceSize = 64 * 1024;
+            options.body = new ReadableStream({
+                pull(controller) {
+                    if (loaded >= total) return controller.close();
+                    const slice = bytes.subarray(loaded, loaded + sliceSize);
+                    controller.enqueue(slice);
+                    loaded += slice.length;
+                    onProgress({loaded, total});
+                }
+            });
+            options.duplex = 'half';
+            return () => {};
+        }
+
+        options.body = bytes;
+        return () => onProgress({loaded: total, total});
+    }
+
+    /**
+     * Determines if the client runs in a browser page, as opposed to Node.js or another server-side runtime
+     *
+     * @return {boolean} true in a browser window
+     */
+    static isBrowser() {
+        return typeof window !== 'undefined' && typeof document !== 'undefined';
+    }
+
+    /**
+     * Determines if fetch can send a ReadableStream as a request body
+     * Browsers only do so over HTTP/2, which cannot be detected up front, so streamed uploads are left to
+     * runtimes without a window, such as Node.js.
+     *
+     * @return {boolean} true if request bodies can be streamed
+     */
+    static canStreamUploads() {
+        if (ApiClient.isBrowser() || typeof ReadableStream === 'undefined') return false;
+        let duplexAccessed = false;
+        try {
+            const hasContentType = new Request('http://localhost/', {
+                body: new ReadableStream(),
+                method: 'POST',
+                get duplex() {
+                    duplexAccessed = true;
+                    return 'half';
+                }
+            }).headers.has('Content-Type');
+            return duplexAccessed && !hasContentType;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Determines if a stream is completed based on the reader record
+     *
+     * @param {Object} record - The record from reader.read()
+     * @return {boolean} true if the stream is done, false otherwise
+     */
+    static isDone(record) {
+        if (record.done) return true; // Check if reader is done at network level
+        if (!record.value) return false; // No value to process
+
+        try {
+            const chunk = new TextDecoder("utf-8").decode(record.value, {stream: true});
+            if (chunk.includes('data: [DONE]')) return true; // Check for SSE end marker
+
+            // Check for JSON stream completion marker
+            if (chunk.includes('"done":true') || chunk.includes('"done": true')) {
+                const lines = chunk.split('\n');
+                for (const line of lines) {
+                    if (line.trim() === '') continue;
+                    try {
+                        const json = JSON.parse(line);
+                        if (json.done === true) return true;
+                    } catch (e) {
+                        // Not valid JSON, continue
+                    }
+                }
+            }
+        } catch (e) {
+            // Error processing chunk, assume not done
+        }
+
+        return false;
+    }
+}
+
+/**
+ * Default number of texts per request for ApiClient.sendEmbeddings
+ */
+ApiClient.embeddingBatchSize = 100;
+
+/**
+ * Strategy types understood by ApiClient.paginate
+ */
+ApiClient.PAGINATION_TYPES = ['link', 'cursor', 'page', 'offset'];
+
+/**
+ * Runs requests that depend on each other, such as sign in, then fetch a report, then one query per chart
+ * Each step names the steps it depends on and builds its request from their outputs. Steps whose dependencies are
+ * done run in parallel, or one at a time in sequential mode. A step can build several requests to fan out, and a
+ * condition can skip it. What happens after a step fails is up to the step, see step().
+ */
+class ApiClientPipeline {
+    /**
+     * @param {ApiClient} [client] - The client to send with, the default client if omitted
+     */
+    constructor(client) {
+        this.client = client || ApiClient.getDefault();
+        this.steps = [];
+    }
+
+    /**
+     * Adds a step
+     * build and when receive the outputs of the steps named in dependsOn, by name: an ApiClientOutput, or an array of
+     * them for a step that fanned out. Both may return a Promise; an exception fails the step.
+     *
+     * @param {string} name - The step's name, unique within the pipeline
+     * @param {Function} build - Called with the outputs of the dependencies; returns the ApiClientInput to send, an
+     *                           array of inputs to send in parallel, or null to skip the step
+     * @param {Object} [options] - Step settings
+     * @param {Array<string>} [options.dependsOn=[]] - Names of the steps that must be done first
+     * @param {Function} [options.when] - Called with the outputs of the dependencies before build; false skips the step
+     * @param {string} [options.onFailure="stop"] - When the step fails: "stop" cancels the whole pipeline, "skip" skips
+     *                                              the steps that depend on it, "continue" runs them with the failure
+     * @return {ApiClientPipeline} This pipeline, for chaining
+     */
+    step(name, build, options) {
+        const settings = options || {};
+        if (this.steps.some(step => step.name === name)) throw new TypeError(`Duplicate pipeline step: ${name}`);
+        if (settings.onFailure && !ApiClientPipeline.FAILURE_POLICIES.includes(settings.onFailure)) {
+            throw new TypeError(`onFailure must be one of ${ApiClientPipeline.FAILURE_POLICIES.join(', ')}, got ${JSON.stringify(settings.onFailure)}`);
         }
+        this.steps.push({
+            name,
+            build,
+            dependsOn: (settings.dependsOn || []).slice(),
+            when: settings.when || null,
+            onFailure: settings.onFailure || 'stop'
+        });
+        return this;
+    }
+
+    /**
+     * Runs the steps and summarises them like batchSendParallel: the summary output's status is 200 when no step
+     * failed or was cancelled and 207 otherwise. Its body lists each step's status ("succeeded", "failed", "skipped"
+     * or "cancelled") with its outputs as asMap() reports them, and its results property holds the outputs by step name.
+     *
+     * @param {Object} [options] - Run settings
+     * @param {boolean} [options.sequential=false] - Run one request at a time, steps in the order they were added
+     * @param {number} [options.maxConcurrency] - Maximum number of steps running at once, and of requests in flight
+     *                                            within a step that fans out; unlimited by default
+     * @param {AbortSignal} [options.signal] - Cancels the pipeline
+     * @param {Function} [options.onStep] - Called as each step ends with {name, status, output} and progress counts
+     *                                      {completed, successful, failed, skipped, cancelled, total}
+     * @return {Promise<ApiClientOutput>} A Promise that resolves to the summary output; rejects with a TypeError if a
+     *                                    step depends on an unknown step or the dependencies form a cycle
+     */
+    run(options) {
+        const settings = options || {};
+        const maxConcurrency = settings.sequential ? 1 : (settings.maxConcurrency > 0 ? settings.maxConcurrency : Infinity);
+        const onStep = settings.onStep || (() => {});
+
+        return new Promise((resolve, reject) => {
+            this.validate();
+
+            const stop = new AbortController(); // Aborted when the caller's signal aborts or a "stop" step fails
+            const onAbort = () => stop.abort();
+            if (settings.signal) {
+                if (settings.signal.aborted) stop.abort();
+                else settings.signal.addEventListener('abort', onAbort);
+            }
+
+            const states = {};
+            this.steps.forEach(step => {
+                states[step.name] = {status: 'pending', output: null};
+            });
+            const progress = {completed: 0, successful: 0, failed: 0, skipped: 0, cancelled: 0, total: this.steps.length};
+            let active = 0; // Steps started and not yet ended
+            let settled = false;
+
+            const fail = (error) => {
+                if (settled) return;
+                settled = true;
+                stop.abort();
+                if (settings.signal) settings.signal.removeEventListener('abort', onAbort);
+                reject(error);
+            };
+
+            const end = (step, status, output) => {
+                states[step.name] = {status, output};
+                progress.completed++;
+                progress[status === 'succeeded' ? 'successful' : status]++;
+                onStep({name: step.name, status, output}, {...progress});
+                if (status === 'failed' && step.onFailure === 'stop') stop.abort();
+            };
+
+            const getDependencies = (step) => {
+                const outputs = {};
+                step.dependsOn.forEach(name => {
+                    outputs[name] = states[name].output;
+                });
+                return outputs;
+            };
+
+            // "waiting" until the dependencies are done, then "skipped" if the step cannot run, or null if it can
+            const getBlocker = (step) => {
+                for (const name of step.dependsOn) {
+                    const state = states[name];
+                    if (state.status === 'pending' || state.status === 'running') return 'waiting';
+                    if (state.status === 'skipped' || state.status === 'cancelled') return 'skipped';
+                    if (state.status === 'failed') {
+                        const dependency = this.steps.find(candidate => candidate.name === name);
+                        if (dependency.onFailure !== 'continue') return 'skipped';
+                    }
+                }
+                return null;
+            };
+
+            const pump = () => {
+                if (settled) return;
+                for (let changed = true; changed;) {
+                    changed = false;
+                    for (const step of this.steps) {
+                        if (states[step.name].status !== 'pending') continue;
+                        if (stop.signal.aborted) {
+                            end(step, 'cancelled', null);
+                            changed = true;
+                            continue;
+                        }
+                        const blocker = getBlocker(step);
+                        if (blocker === 'skipped') {
+                            end(step, 'skipped', null);
+                            changed = true;
+                        } else if (blocker === null && active < maxConcurrency) {
+                            start(step);
+                        }
+                    }
+                }
+
+                if (active === 0 && !settled) {
+                    settled = true;
+                    if (settings.signal) settings.signal.removeEventListener('abort', onAbort);
+                    resolve(this.summarize(states));
+                }
+            };
 
-        const contentType = this.getHeader('Content-Type');
-        if (contentType && contentType.toLowerCase().includes('json')) {
-            const jsonBody = this.parseJsonBody();
-            if (jsonBody !== null) {
-                result.json = jsonBody;
+            const start = (step) => {
+                states[step.name].status = 'running';
+                active++;
+                this.runStep(step, getDependencies(step), stop.signal, maxConcurrency).then(({status, output}) => {
+                    active--;
+                    if (settled) return;
+                    end(step, status, output);
+                    pump();
+                }).catch(fail);
+            };
+
+            try {
+                pump();
+            } catch (error) {
+                fail(error);
             }
+        });
+    }
+
+    /**
+     * Builds and sends the requests of one step
+     *
+     * @param {Object} step - The step
+     * @param {Object} outputs - The outputs of its dependencies, by name
+     * @param {AbortSignal} signal - Cancels the step's requests
+     * @param {number} maxConcurrency - Maximum number of the step's requests in flight at once
+     * @return {Promise<Object>} {status, output}: output is an ApiClientOutput, an array of them, or null if skipped
+     */
+    async runStep(step, outputs, signal, maxConcurrency) {
+        let built;
+        try {
+            if (step.when && !(await step.when(outputs))) return {status: 'skipped', output: null};
+            built = await step.build(outputs);
+        } catch (e) {
+            return {status: 'failed', output: ApiClientOutput.createForError(e)};
         }
+        if (built === null || built === undefined) return {status: 'skipped', output: null};
+        if (signal.aborted) return {status: 'cancelled', output: null};
 
-        return result;
+        const inputs = Array.isArray(built) ? built : [built];
+        const results = await this.client.runBatch(inputs, {signal, maxConcurrency}, () => {});
+        const output = Array.isArray(built) ? results : results[0];
+
+        if (results.every(result => result.isSuccessful())) return {status: 'succeeded', output};
+        // Requests aborted by a failure elsewhere, or by the caller, did not fail on their own
+        if (signal.aborted && results.every(result => result.isSuccessful() || result.isAborted())) {
+            return {status: 'cancelled', output};
+        }
+        return {status: 'failed', output};
     }
 
     /**
-     * Creates an output object for an error
+     * Checks that every dependency names a step and that the dependencies form no cycle
      *
-     * @param {Error} error - The error that occurred
-     * @return {ApiClientOutput} A new ApiClientOutput with the error set
+     * @throws {TypeError} If a dependency is unknown or part of a cycle
      */
-    static createForError(error) {
-        const output = new ApiClientOutput();
-        output.error = error;
-        output.statusCode = 0; // Indicate a client-side error
-        return output;
+    validate() {
+        const byName = {};
+        this.steps.forEach(step => {
+            byName[step.name] = step;
+        });
+        this.steps.forEach(step => step.dependsOn.forEach(name => {
+            if (!byName[name]) throw new TypeError(`Pipeline step "${step.name}" depends on unknown step "${name}"`);
+        }));
+
+        const visited = {}; // 1 while on the current path, 2 once checked
+        const visit = (step, path) => {
+            if (visited[step.name] === 2) return;
+            if (visited[step.name] === 1) {
+                const cycle = path.slice(path.indexOf(step.name)).concat(step.name);
+                throw new TypeError(`Pipeline steps depend on each other in a cycle: ${cycle.join(' -> ')}`);
+            }
+            visited[step.name] = 1;
+            step.dependsOn.forEach(name => visit(byName[name], path.concat(step.name)));
+            visited[step.name] = 2;
+        };
+        this.steps.forEach(step => visit(step, []));
     }
 
     /**
-     * Creates an output object for a successful response
+     * Creates the summary output of a run
      *
-     * @param {Response} response - The fetch Response object
-     * @param {string} body - The response body content
-     * @return {ApiClientOutput} A new ApiClientOutput with success data
+     * @param {Object} states - {status, output} of each step, by name
+     * @return {ApiClientOutput} The summary, 200 if every step succeeded or was skipped and 207 otherwise
      */
-    static createForSuccess(response, body) {
-        const output = new ApiClientOutput();
-        output.statusCode = response.status;
-        output.body = body;
-        output.headers = ApiClientOutput.createHeaders(response);
-        return output;
+    summarize(states) {
+        const names = this.steps.map(step => step.name);
+        const withStatus = (status) => names.filter(name => states[name].status === status);
+        const steps = {};
+        const results = {};
+        names.forEach(name => {
+            const {status, output} = states[name];
+            if (Array.isArray(output)) {
+                steps[name] = {status, results: output.map(result => result.asMap())};
+            } else {
+                steps[name] = output ? {status, ...output.asMap()} : {status};
+            }
+            if (output) results[name] = output;
+        });
+
+        const responseData = {
+            total: names.length,
+            successful: withStatus('succeeded').length,
+            failed: withStatus('failed').length,
+            skipped: withStatus('skipped').length,
+            cancelled: withStatus('cancelled').length,
+            failedSteps: withStatus('failed'),
+            skippedSteps: withStatus('skipped'),
+            steps
+        };
+
+        const summary = new ApiClientOutput();
+        summary.statusCode = responseData.failed > 0 || responseData.cancelled > 0 ? 207 : 200;
+        summary.body = JSON.stringify(responseData);
+        summary.results = results;
+        return summary;
     }
+}
+
+/**
+ * What a step may do when it fails, see ApiClientPipeline.step
+ */
+ApiClientPipeline.FAILURE_POLICIES = ['stop', 'skip', 'continue'];
 
+/**
+ * Runs a chat that lets the model call registered JavaScript functions
+ * Each round sends the conversation; if the reply asks for tool calls, their handlers run and the results are
+ * sent back, until the model answers without calling tools.
+ */
+class ApiClientToolRunner {
     /**
-     * Creates an output object from a fetch Response
+     * @param {ApiClient} [client] - The client to send with, the default client if omitted
+     */
+    constructor(client) {
+        this.client = client || ApiClient.getDefault();
+        this.tools = [];
+        this.handlers = {};
+        this.maxRounds = 8;
+    }
+
+    /**
+     * Registers a tool and the function that handles its calls
      *
-     * @param {Response} response - The fetch Response object
-     * @return {Promise<ApiClientOutput>} A Promise that resolves to a new ApiClientOutput
+     * @param {string} name - The function name the model calls
+     * @param {string} description - What the function does, for the model
+     * @param {Object} parameters - JSON schema of the function's arguments
+     * @param {Function} handler - Called with the parsed arguments and the call; may return a Promise
+     * @return {ApiClientToolRunner} This runner, for chaining
      */
-    static async create(response) {
-        try {
-            const body = await response.text();
-            return ApiClientOutput.createForSuccess(response, body);
-        } catch (e) {
-            const output = new ApiClientOutput();
-            output.statusCode = response.status;
-            output.headers = ApiClientOutput.createHeaders(response);
-            output.error = e;
-            output.body = `Error reading response body: ${e.message}`;
-            return output;
-        }
+    register(name, description, parameters, handler) {
+        this.tools = this.tools.filter(tool => tool.function.name !== name);
+        this.tools.push(ApiClientInputBody.tool(name, description, parameters));
+        this.handlers[name] = handler;
+        return this;
     }
 
     /**
-     * Creates an output object for a response error
+     * Runs the conversation until the model gives a final answer
      *
-     * @param {Response} response - The fetch Response object containing an error
-     * @return {ApiClientOutput} A new ApiClientOutput with error information
+     * @param {string|ApiClientProvider} url - The chat completions URL, or the provider to build requests for
+     * @param {ApiClientInputBody} inputBody - The initial request; its messages array is not modified
+     * @param {Object} [headers] - Headers for each request
+     * @param {Object} [callbacks] - Progress callbacks
+     * @param {Function} [callbacks.onDelta] - Called with content deltas when the body streams
+     * @param {Function} [callbacks.onToolCall] - Called with each tool call and its result before the result is sent
+     * @return {Promise<ApiClientOutput>} The output of the final round, with messages holding the whole conversation
      */
-    static createResponseError(response) {
-        const output = new ApiClientOutput();
-        output.statusCode = response.status;
-        output.headers = ApiClientOutput.createHeaders(response);
-        try {
-            output.error = {
-                message: `Server returned ${response.status}`,
-                type: 'http_error',
-                code: response.status.toString()
-            };
-        } catch (headerError) {
-            output.error = response['error'] || response;
+    async run(url, inputBody, headers, callbacks) {
+        const onDelta = (callbacks && callbacks.onDelta) || (() => {});
+        const onToolCall = (callbacks && callbacks.onToolCall) || (() => {});
+        const messages = inputBody.messages.slice();
+        const tools = (inputBody.tools || []).concat(this.tools);
+
+        for (let round = 0; round < this.maxRounds; round++) {
+            const body = Object.assign(new ApiClientInputBody(), inputBody, {messages: messages.slice(), tools});
+            const output = await this.complete(ApiClientInput.chat(url, body, headers || {}), onDelta);
+
+            if (!output.isSuccessful() || output.toolCalls.length === 0) {
+                if (output.message) messages.push(output.message);
+                output.messages = messages;
+                return output;
+            }
+
+            messages.push(output.message);
+            for (const call of output.toolCalls) {
+                const result = await this.invoke(call);
+                onToolCall(call, result);
+                messages.push(ApiClientMessage.tool(call.id, result, call.name));
+            }
         }
 
+        const output = ApiClientOutput.createForError(new Error(`Tool calls did not finish within ${this.maxRounds} rounds`));
+        output.messages = messages;
         return output;
     }
 
-    static createHeaders(response) {
-        const headers = {};
-        try {
-            response.headers.forEach((value, name) => {
-                headers[name] = value;
+    /**
+     * Sends one round, streaming if the body asks for it
+     *
+     * @param {ApiClientInput} input - The chat request
+     * @param {Function} onDelta - Called with content deltas when streaming
+     * @return {Promise<ApiClientOutput>} The output with message and toolCalls set
+     */
+    complete(input, onDelta) {
+        if (input.inputBody.stream) {
+            return new Promise(resolve => {
+                this.client.streamChat(input, {onDelta, onFinish: resolve, onFailure: resolve});
             });
-        } catch (ignore) {
         }
-        return headers;
+        return this.client.send(input).then(output =>
+            output.isSuccessful() ? ApiClientChatAccumulator.fromOutput(output).applyTo(output) : output
+        );
+    }
+
+    /**
+     * Runs the handler for a tool call
+     * Failures are returned to the model as an error result rather than ending the run.
+     *
+     * @param {Object} call - The call, as in ApiClientOutput.toolCalls
+     * @return {Promise<*>} The handler's result, or {error} describing why it could not run
+     */
+    async invoke(call) {
+        const handler = this.handlers[call.name];
+        if (!handler) return {error: `Unknown tool: ${call.name}`};
+        if (call.arguments === null) return {error: `Arguments for ${call.name} are not valid JSON: ${call.rawArguments}`};
+        try {
+            const result = await handler(call.arguments, call);
+            return result === undefined ? null : result;
+        } catch (e) {
+            return {error: e && e.message ? e.message : String(e)};
+        }
     }
 }
 
 /**
- * A utility class for making HTTP requests
+ * A chat conversation that keeps its own message history
+ * User turns and completed assistant replies are appended as they happen, and the oldest turns are left out of
+ * requests when the history no longer fits the token budget. The system prompt is always sent.
  */
-class ApiClient {
+class ApiClientConversation {
     /**
-     * Performs an HTTP request
+     * @param {Object} options - Conversation settings
+     * @param {string} [options.url] - The chat completions URL, required unless provider is set
+     * @param {ApiClientProvider|Object|string} [options.provider] - Builds requests in a provider's format, see ApiClientProvider.from
+     * @param {ApiClient} [options.client] - The client to send with, the default client if omitted
+     * @param {Object} [options.headers] - Headers for each request
+     * @param {string|null} [options.systemPrompt] - Instructions sent first in every request
+     * @param {Object} [options.body] - Request parameters, as for ApiClientInputBody.create without messages
+     * @param {number|null} [options.maxContextTokens] - Token budget for the messages sent, null for no limit
+     * @param {Function} [options.tokenEstimator] - Estimates the tokens of a message, ApiClientConversation.estimateTokens by default
+     */
+    constructor(options) {
+        const settings = options || {};
+        this.url = settings.url;
+        this.provider = settings.provider ? ApiClientProvider.from(settings.provider) : null;
+        this.client = settings.client || ApiClient.getDefault();
+        this.headers = settings.headers || {};
+        this.systemPrompt = settings.systemPrompt || null;
+        this.body = settings.body || {};
+        this.maxContextTokens = settings.maxContextTokens || null;
+        this.tokenEstimator = settings.tokenEstimator || ApiClientConversation.estimateTokens;
+        this.messages = [];
+    }
+
+    /**
+     * Appends a user turn
      *
-     * @param {ApiClientInput} input - The input parameters for the request
-     * @return {Promise<ApiClientOutput>} A Promise that resolves to the output response
+     * @param {string|Array<Object>} content - The user's text, or content parts
+     * @return {ApiClientConversation} This conversation, for chaining
      */
-    static send(input) {
-        return (async () => {
-            try {
-                const options = {
-                    method: input.method,
-                    headers: input.headers,
-                    mode: 'cors'
-                };
+    addUser(content) {
+        this.messages.push(ApiClientMessage.user(content));
+        return this;
+    }
 
-                // Add body for non-GET requests
-                if (input.method !== 'GET' && input.body) {
-                    options.body = input.body;
-                }
+    /**
+     * Replaces a message and discards every message after it, ready to regenerate from there
+     *
+     * @param {number} index - The index of the message in messages
+     * @param {string|Array<Object>} content - The new content
+     * @return {ApiClientConversation} This conversation, for chaining
+     */
+    edit(index, content) {
+        if (!this.messages[index]) throw new RangeError(`No message at index ${index}`);
+        this.messages = this.messages.slice(0, index + 1);
+        this.messages[index] = {...this.messages[index], content};
+        return this;
+    }
 
-                const response = await fetch(input.url, options);
-                return await ApiClientOutput.create(response);
-            } catch (e) {
-                return ApiClientOutput.createForError(e);
-            }
-        })();
+    /**
+     * Discards the message at an index and every message after it
+     *
+     * @param {number} index - The index of the first message to discard
+     * @return {Array<Object>} The discarded messages
+     */
+    rewind(index) {
+        return this.messages.splice(index);
     }
 
     /**
-     * Performs a streaming HTTP request
+     * Discards the replies after the last user turn so they can be generated again with send or stream
      *
-     * @param {ApiClientInput} input - The input parameters for the request
-     * @param {Function} onStart - Callback that runs before first chunk is received
-     * @param {Function} onChunk - Callback that runs for each chunk of data
-     * @param {Function} onFinish - Callback that runs when all data is received, returns ApiClientOutput
-     * @param {Function} onFailure - Callback that runs if an error occurs, returns ApiClientOutput with error
+     * @return {ApiClientConversation} This conversation, for chaining
      */
-    static stream(input, onStart, onChunk, onFinish, onFailure) {
-        (async () => {
-            let failed = false;
-            let reader = null;
+    prepareRegenerate() {
+        let index = this.messages.length;
+        while (index > 0 && this.messages[index - 1].role !== 'user') index--;
+        if (index === 0) throw new RangeError('There is no user turn to regenerate from');
+        this.rewind(index);
+        return this;
+    }
 
-            try {
-                const options = {
-                    method: input.method,
-                    headers: input.headers,
-                    mode: 'cors'
-                };
+    /**
+     * Returns the messages for the next request: the system prompt, then as many of the most recent turns as fit
+     * the token budget. Whole turns are dropped, oldest first, so tool results never lose their call; the latest
+     * turn is always kept.
+     *
+     * @param {Array<Object>} [pending=[]] - Messages to include after the history without appending them
+     * @return {Array<Object>} The messages to send
+     */
+    getContextMessages(pending = []) {
+        const system = this.systemPrompt ? [ApiClientMessage.system(this.systemPrompt)] : [];
 
-                if (input.method !== 'GET' && input.body) {
-                    options.body = input.body;
-                }
+        // A turn starts at a user message and runs to the next one
+        const turns = [];
+        this.messages.concat(pending).forEach(message => {
+            if (message.role === 'user' || turns.length === 0) turns.push([]);
+            turns[turns.length - 1].push(message);
+        });
 
-                const response = await fetch(input.url, options);
+        if (this.maxContextTokens) {
+            const count = messages => messages.reduce((sum, message) => sum + this.tokenEstimator(message), 0);
+            let total = count(system) + turns.reduce((sum, turn) => sum + count(turn), 0);
+            while (turns.length > 1 && total > this.maxContextTokens) {
+                total -= count(turns.shift());
+            }
+        }
 
-                if (!response.ok || !response.body) {
-                    failed = true;
-                    const errorOutput = ApiClientOutput.createResponseError(response);
-                    onFailure(errorOutput);
-                    return;
-                }
+        return system.concat(...turns);
+    }
 
-                onStart();
+    /**
+     * Builds the request body for the next request
+     *
+     * @param {Array<Object>} [pending=[]] - Messages to include after the history without appending them
+     * @return {ApiClientInputBody} The body, with the context messages
+     * @throws {TypeError|RangeError} If the body option holds an invalid value
+     */
+    createInputBody(pending = []) {
+        return ApiClientInputBody.create({...this.body, messages: this.getContextMessages(pending)});
+    }
 
-                reader = response.body.getReader();
-                const decoder = new TextDecoder("utf-8");
-                let fullText = '';
+    /**
+     * Returns the user turn that send and stream append, as a list that is empty when there is none
+     *
+     * @param {string|Array<Object>|null} [content] - The user turn, or null or undefined for none
+     * @return {Array<Object>} The messages to append
+     */
+    static createTurn(content) {
+        return content === undefined || content === null ? [] : [ApiClientMessage.user(content)];
+    }
 
-                while (!failed) {
-                    const record = await reader.read();
-                    const isDone = ApiClient.isDone(record);
+    /**
+     * Sends the conversation and appends the reply when it succeeds
+     * The body is validated before the user turn is appended, so an invalid body option leaves the history as it was.
+     *
+     * @param {string|Array<Object>|null} [content] - A user turn to append first; pass null or omit to send the history as it is
+     * @return {Promise<ApiClientOutput>} The output, with message set to the reply
+     */
+    async send(content) {
+        const turn = ApiClientConversation.createTurn(content);
+        const body = this.createInputBody(turn).set({stream: false, sse: false});
+        this.messages.push(...turn);
+        const input = ApiClientInput.chat(this.provider || this.url, body, this.headers);
+        const output = await this.client.send(input);
+        if (!output.isSuccessful()) return output;
 
-                    if (isDone) {
-                        const output = ApiClientOutput.createForSuccess(response, fullText);
-                        onFinish(output);
-                        break;
-                    }
+        ApiClientChatAccumulator.fromOutput(output).applyTo(output);
+        this.messages.push(output.message);
+        return output;
+    }
 
-                    const value = record.value;
-                    if (!value) continue;
+    /**
+     * Streams the reply to the conversation and appends it once complete
+     * A failed or cancelled reply is not appended; the user turn stays so the request can be regenerated.
+     *
+     * @param {string|Array<Object>|null} [content] - A user turn to append first; pass null or omit to send the history as it is
+     * @param {Object} [handlers] - Callbacks, as for ApiClient.streamChat
+     * @return {ApiClientRequestHandle} A handle that can cancel the stream
+     */
+    stream(content, handlers) {
+        const callbacks = handlers || {};
+        const turn = ApiClientConversation.createTurn(content);
+        const body = this.createInputBody(turn).set({stream: true});
+        this.messages.push(...turn);
+        const input = ApiClientInput.chat(this.provider || this.url, body, this.headers);
 
-                    const chunk = decoder.decode(value, {stream: true});
-                    fullText += chunk;
-                    onChunk(chunk);
-                }
-            } catch (error) {
-                if (!failed) {
-                    failed = true;
-                    const errorOutput = ApiClientOutput.createForError(error);
-                    onFailure(errorOutput);
-                }
-            } finally {
-                // Release the reader
-                if (reader) {
-                    try {
-                        reader.releaseLock(); // Letting the stream be garbage collected 
-                    } catch (e) {
-                        // Ignore release errors
-                    }
-                }
+        return this.client.streamChat(input, {
+            ...callbacks,
+            onFinish: output => {
+                this.messages.push(output.message);
+                if (callbacks.onFinish) callbacks.onFinish(output);
             }
-        })();
+        });
     }
 
     /**
-     * Execute multiple requests in parallel
+     * Returns the conversation as a JSON-serializable object
+     * The client, headers and token estimator are not included; pass them again to fromJSON.
      *
-     * @param {Array<ApiClientInput>} inputs - List of request inputs
-     * @param {Function} onStart - Called before the batch begins processing
-     * @param {Function} onUnit - Called for each completed request with ApiClientOutput (success or error)
-     * @param {Function} onFinished - Called when all requests are complete with a summary ApiClientOutput
-     * @param {Function} onFailure - Called if there's a failure in the batch process, returns ApiClientOutput with error
-     * @return {Promise<Array<ApiClientOutput>>} A Promise that resolves to an array of outputs
+     * @return {Object} The serialized conversation
      */
-    static batchSendParallel(inputs, onStart, onUnit, onFinished, onFailure) {
-        return (async () => {
-            try {
-                if (!inputs || inputs.length === 0) {
-                    const emptyOutput = new ApiClientOutput();
-                    emptyOutput.statusCode = 200;
-                    emptyOutput.body = JSON.stringify([]);
-
-                    onFinished(emptyOutput);
-                    return [];
-                }
-
-                onStart();
-
-                const promises = inputs.map(input =>
-                    ApiClient.send(input).then(output => {
-                        onUnit(output);
-                        return output;
-                    })
-                );
-
-                const results = await Promise.all(promises);
-
-                // Create a batch summary output
-                const batchOutput = new ApiClientOutput();
-                batchOutput.statusCode = 200; // Assume success
-
-                // Compile results into a structured batch response
-                const responseData = {
-                    total: results.length,
-                    successful: results.filter(r => r.isSuccessful()).length,
-                    failed: results.filter(r => !r.isSuccessful()).length,
-                    results: results.map(r => r.asMap())
-                };
-
-                batchOutput.body = JSON.stringify(responseData);
+    toJSON() {
+        return {
+            version: 1,
+            systemPrompt: this.systemPrompt,
+            body: this.body,
+            maxContextTokens: this.maxContextTokens,
+            messages: this.messages
+        };
+    }
 
-                // Check if any requests failed
-                if (responseData.failed > 0) {
-                    batchOutput.statusCode = 207; // Multi-Status
-                }
+    /**
+     * Restores a conversation saved with toJSON
+     *
+     * @param {string|Object} json - The saved conversation, as text or parsed
+     * @param {Object} options - Settings that are not saved (url, provider, client, headers, tokenEstimator); saved ones can be overridden
+     * @return {ApiClientConversation} The restored conversation
+     */
+    static fromJSON(json, options) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || data.version !== 1 || !Array.isArray(data.messages)) {
+            throw new TypeError('Not a saved ApiClientConversation');
+        }
 
-                onFinished(batchOutput);
-                return results;
-            } catch (error) {
-                const errorOutput = ApiClientOutput.createForError(error);
-                onFailure(errorOutput);
-                throw error; // Re-throw for Promise rejection
-            }
-        })();
+        const conversation = new ApiClientConversation({
+            systemPrompt: data.systemPrompt,
+            body: data.body,
+            maxContextTokens: data.maxContextTokens,
+            ...(options || {})
+        });
+        conversation.messages = data.messages;
+        return conversation;
     }
 
     /**
-     * Determines if a stream is completed based on the reader record
+     * Estimates the tokens of a message at roughly four characters per token
+     * Good enough for trimming; pass a real tokenizer as tokenEstimator for exact budgets.
      *
-     * @param {Object} record - The record from reader.read()
-     * @return {boolean} true if the stream is done, false otherwise
+     * @param {Object} message - The message
+     * @return {number} The estimated token count
      */
-    static isDone(record) {
-        if (record.done) return true; // Check if reader is done at network level
-        if (!record.value) return false; // No value to process
-
-        try {
-            const chunk = new TextDecoder("utf-8").decode(record.value, {stream: true});
-            if (chunk.includes('data: [DONE]')) return true; // Check for SSE end marker
+    static estimateTokens(message) {
+        const overhead = 4; // Role and separators
+        let length = 0;
+        const content = Array.isArray(message.content) ? message.content : [{type: 'text', text: message.content || ''}];
+        content.forEach(part => {
+            if (part.type === 'text') length += part.text.length;
+            else length += 4 * 1000; // Images and files: a flat estimate, their size in tokens depends on the model
+        });
+        if (message.tool_calls) length += JSON.stringify(message.tool_calls).length;
+        return overhead + Math.ceil(length / 4);
+    }
+}
 
-            // Check for JSON stream completion marker
-            if (chunk.includes('"done":true') || chunk.includes('"done": true')) {
-                const lines = chunk.split('\n');
-                for (const line of lines) {
-                    if (line.trim() === '') continue;
-                    try {
-                        const json = JSON.parse(line);
-                        if (json.done === true) return true;
-                    } catch (e) {
-                        // Not valid JSON, continue
-                    }
-                }
-            }
-        } catch (e) {
-            // Error processing chunk, assume not done
-        }
+/**
+ * Exports the classes: as CommonJS under Node.js and bundlers, and as the ApiClientJs global in browsers,
+ * where a script tag also leaves each class defined as a global of its own
+ * api-client.mjs and api-client.d.ts list the same names, so a class added here must be added there too.
+ */
+{
+    const exported = {
+        ApiClientInputBody,
+        ApiClientMessage,
+        ApiClientInput,
+        ApiClientError,
+        ApiClientNetworkError,
+        ApiClientTimeoutError,
+        ApiClientAbortError,
+        ApiClientHttpError,
+        ApiClientAuthError,
+        ApiClientParseError,
+        ApiClientValidationError,
+        ApiClientStreamError,
+        ApiClientOutput,
+        ApiClientJson,
+        ApiClientPartialJson,
+        ApiClientSseEvent,
+        ApiClientSseParser,
+        ApiClientChatAccumulator,
+        ApiClientProvider,
+        ApiClientOpenAiProvider,
+        ApiClientOllamaProvider,
+        ApiClientAnthropicProvider,
+        ApiClientRetryPolicy,
+        ApiClientRateLimiter,
+        ApiClientCache,
+        ApiClientMemoryStorage,
+        ApiClientWebStorage,
+        ApiClientOfflineQueue,
+        ApiClientAuth,
+        ApiClientBearerAuth,
+        ApiClientApiKeyAuth,
+        ApiClientBasicAuth,
+        ApiClientRequestHandle,
+        ApiClientRequestMonitor,
+        ApiClientTransport,
+        ApiClientMockTransport,
+        ApiClientRecordingTransport,
+        ApiClient,
+        ApiClientPipeline,
+        ApiClientToolRunner,
+        ApiClientConversation
+    };
 
-        return false;
+    if (typeof module === 'object' && module && module.exports) {
+        module.exports = exported;
+    } else {
+        globalThis.ApiClientJs = exported;
     }
 }
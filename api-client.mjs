@@ -0,0 +1,50 @@
+/**
+ * ES module entry point for Node.js and bundlers, re-exporting the classes of api-client.js
+ * It imports api-client.js as CommonJS, so browsers cannot load it natively; pages without a bundler include
+ * api-client.js with a script tag instead. The names are those of the exported object at the end of api-client.js.
+ */
+import ApiClientJs from './api-client.js';
+
+export const {
+    ApiClientInputBody,
+    ApiClientMessage,
+    ApiClientInput,
+    ApiClientError,
+    ApiClientNetworkError,
+    ApiClientTimeoutError,
+    ApiClientAbortError,
+    ApiClientHttpError,
+    ApiClientAuthError,
+    ApiClientParseError,
+    ApiClientValidationError,
+    ApiClientStreamError,
+    ApiClientOutput,
+    ApiClientJson,
+    ApiClientPartialJson,
+    ApiClientSseEvent,
+    ApiClientSseParser,
+    ApiClientChatAccumulator,
+    ApiClientProvider,
+    ApiClientOpenAiProvider,
+    ApiClientOllamaProvider,
+    ApiClientAnthropicProvider,
+    ApiClientRetryPolicy,
+    ApiClientRateLimiter,
+    ApiClientCache,
+    ApiClientMemoryStorage,
+    ApiClientWebStorage,
+    ApiClientOfflineQueue,
+    ApiClientAuth,
+    ApiClientBearerAuth,
+    ApiClientApiKeyAuth,
+    ApiClientBasicAuth,
+    ApiClientRequestHandle,
+    ApiClientRequestMonitor,
+    ApiClientTransport,
+    ApiClientMockTransport,
+    ApiClientRecordingTransport,
+    ApiClient,
+    ApiClientPipeline,
+    ApiClientToolRunner,
+    ApiClientConversation
+} = ApiClientJs;
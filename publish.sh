@@ -80,6 +80,11 @@ if [ ! -f "api-client.js" ]; then
   exit 1
 fi
 
+if [ ! -f "api-client.mjs" ]; then
+  echo -e "${RED}Error: api-client.mjs not found${NC}"
+  exit 1
+fi
+
 if [ ! -f "api-client.d.ts" ]; then
   echo -e "${RED}Error: api-client.d.ts not found${NC}"
   exit 1
@@ -90,7 +95,7 @@ echo ""
 echo -e "${YELLOW}Ready to publish:${NC}"
 echo -e "${YELLOW}- Package: ${PACKAGE_NAME}${NC}"
 echo -e "${YELLOW}- Version: ${VERSION}${NC}"
-echo -e "${YELLOW}- Files to publish: api-client.js, api-client.d.ts, README.md, LICENSE${NC}"
+echo -e "${YELLOW}- Files to publish: api-client.js, api-client.mjs, api-client.d.ts, README.md, LICENSE${NC}"
 echo ""
 
 read -p "Publish to npm? (y/n): " CONFIRM